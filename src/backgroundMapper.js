@@ -0,0 +1,363 @@
+/**
+ * Background Mapper for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for translating CSS backgrounds into Webflow's background
+ * model. Webflow keeps a background as an ordered list of layers, each an image, a linear,
+ * radial or conic gradient, or a colour overlay, with its own size, position, tiling and
+ * attachment. Comma-separated background longhands are split into those layers, gradient
+ * angles and stops are parsed, and image URLs are resolved to Webflow assets.
+ */
+
+// Background longhands that hold one value per layer
+const LAYER_PROPERTIES = ['background-image', 'background-position', 'background-size', 'background-repeat',
+  'background-attachment', 'background-origin', 'background-clip'];
+
+// Initial values of the per-layer longhands
+const LAYER_DEFAULTS = {
+  'background-position': '0% 0%',
+  'background-size': 'auto',
+  'background-repeat': 'repeat',
+  'background-attachment': 'scroll',
+  'background-origin': 'padding-box',
+  'background-clip': 'border-box'
+};
+
+// Directions of linear gradients, as angles
+const SIDE_ANGLES = { top: 0, right: 90, bottom: 180, left: 270 };
+
+const ANGLE = /^(-?(?:\d+\.?\d*|\.\d+))(deg|rad|grad|turn)$/i;
+const STOP_POSITION = /^-?(?:\d+\.?\d*|\.\d+)(%|px|em|rem|vw|vh|ch|deg|rad|grad|turn)?$/i;
+
+class BackgroundMapper {
+  /**
+   * Constructor for the Background Mapper
+   * @param {WebflowElementMapper} elementMapper - The element mapper, for creating assets
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint inheritance
+   * @param {ValueNormalizer} valueNormalizer - The value normalizer, whose report background
+   *                                            issues join
+   */
+  constructor(elementMapper, breakpointMapper, valueNormalizer) {
+    this.elementMapper = elementMapper;
+    this.breakpointMapper = breakpointMapper;
+    this.valueNormalizer = valueNormalizer;
+  }
+
+  /**
+   * Turn the background longhands of style variants into background layers
+   * @param {Array} variants - The style variants, after value normalisation; variants
+   *                           changing the background get a `backgrounds` list of layers
+   *                           in place of their per-layer longhands
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @returns {Promise<void>}
+   */
+  async applyToVariants(variants, elementId) {
+    const computed = {};
+
+    // Layers are replaced as a whole, so each is built from the full background
+    for (const breakpoint of this.breakpointMapper.getBreakpoints()) {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      const resting = variants.find(variant => variant.breakpoint === breakpoint && !variant.state);
+      computed[breakpoint] = BackgroundMapper.mergeStyles(parent ? computed[parent] : {}, resting ? resting.styles : {});
+
+      const breakpointVariants = variants.filter(variant => variant.breakpoint === breakpoint);
+      for (const variant of breakpointVariants) {
+        if (!LAYER_PROPERTIES.some(property => property in variant.styles)) continue;
+
+        const styles = variant.state ? BackgroundMapper.mergeStyles(computed[breakpoint], variant.styles) : computed[breakpoint];
+        variant.backgrounds = await this.parseLayers(styles, elementId);
+        LAYER_PROPERTIES.forEach(property => delete variant.styles[property]);
+      }
+    }
+  }
+
+  /**
+   * Apply a style delta to a full style
+   * @param {Object} base - The full style
+   * @param {Object} delta - The properties set over it; 'initial' removes a property
+   * @returns {Object} - The combined style
+   */
+  static mergeStyles(base, delta) {
+    const styles = { ...base };
+    Object.entries(delta).forEach(([property, value]) => {
+      if (value === 'initial') {
+        delete styles[property];
+      } else {
+        styles[property] = value;
+      }
+    });
+    return styles;
+  }
+
+  /**
+   * Split a background into Webflow background layers
+   * @param {Object} styles - The full style, with background longhands
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @returns {Promise<Array>} - The layers, topmost first; empty when there is no image
+   */
+  async parseLayers(styles, elementId = null) {
+    const value = styles['background-image'];
+    if (!value || value === 'none') return [];
+
+    const images = this.splitList(value);
+    const lists = {};
+    Object.keys(LAYER_DEFAULTS).forEach(property => {
+      lists[property] = styles[property] ? this.splitList(styles[property]) : [LAYER_DEFAULTS[property]];
+    });
+
+    const layers = [];
+    for (let index = 0; index < images.length; index++) {
+      const layer = await this.parseImage(images[index], value, elementId);
+      if (!layer) continue;
+
+      // Lists shorter than the images repeat, as they do in CSS
+      if (layer.type !== 'color-overlay') {
+        Object.assign(layer, {
+          size: lists['background-size'][index % lists['background-size'].length],
+          position: lists['background-position'][index % lists['background-position'].length],
+          repeat: lists['background-repeat'][index % lists['background-repeat'].length],
+          attachment: lists['background-attachment'][index % lists['background-attachment'].length],
+          origin: lists['background-origin'][index % lists['background-origin'].length],
+          clip: lists['background-clip'][index % lists['background-clip'].length]
+        });
+      }
+      layers.push(layer);
+    }
+
+    return layers;
+  }
+
+  /**
+   * Turn one background image into a layer
+   * @param {string} image - The image, e.g. "url(hero.jpg)" or "linear-gradient(...)"
+   * @param {string} value - The whole background-image value, for the report
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @returns {Promise<Object|null>} - The layer, or null if it draws nothing or Webflow
+   *                                   has no such layer
+   */
+  async parseImage(image, value, elementId) {
+    if (image === 'none') return null;
+
+    const url = image.match(/^url\(\s*(['"]?)([\s\S]*?)\1\s*\)$/i);
+    if (url) {
+      const asset = await this.elementMapper.getAsset(url[2]);
+      return { type: 'image', url: url[2], asset: asset.id };
+    }
+
+    // image-set() offers the same image at several resolutions, so the first is taken
+    const imageSet = image.match(/^(?:-webkit-)?image-set\(([\s\S]*)\)$/i);
+    if (imageSet) {
+      const [first] = this.splitList(imageSet[1]);
+      const source = first.match(/^(url\([^)]*\)|(['"])[^'"]*\2)/i);
+      if (source) {
+        this.valueNormalizer.addIssue('background-image', value, 'image-set() was reduced to its first image', elementId);
+        const text = source[1].startsWith('url(') ? source[1] : `url(${source[1]})`;
+        return this.parseImage(text, value, elementId);
+      }
+    }
+
+    const gradient = image.match(/^(repeating-)?(linear|radial|conic)-gradient\(([\s\S]*)\)$/i);
+    if (gradient) {
+      const layer = this.parseGradient(gradient[2].toLowerCase(), !!gradient[1], gradient[3], value, elementId);
+      if (layer) return layer;
+    }
+
+    this.valueNormalizer.addIssue('background-image', value, `Webflow has no background layer for "${image}"; the layer was dropped`, elementId);
+    return null;
+  }
+
+  /**
+   * Parse a gradient into a layer
+   * @param {string} kind - 'linear', 'radial' or 'conic'
+   * @param {boolean} repeating - True for repeating gradients
+   * @param {string} text - The arguments of the gradient function
+   * @param {string} value - The whole background-image value, for the report
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @returns {Object|null} - The gradient layer, a colour overlay for a single-colour linear
+   *                          gradient, or null if the gradient cannot be read
+   */
+  parseGradient(kind, repeating, text, value, elementId) {
+    const args = this.splitList(text);
+    const layer = { type: `${kind}-gradient`, repeating };
+
+    if (kind === 'linear') {
+      layer.angle = 180;
+      if (/^to\s/i.test(args[0]) || ANGLE.test(args[0])) {
+        const direction = args.shift();
+        layer.angle = this.parseDirection(direction);
+        if (layer.angle === null) return null;
+        if (/^to\s+\S+\s+\S+$/i.test(direction)) {
+          this.valueNormalizer.addIssue('background-image', value, `"${direction}" depends on the element's shape; it was approximated with ${layer.angle}deg`, elementId);
+        }
+      }
+    } else if (kind === 'radial') {
+      layer.shape = 'ellipse';
+      layer.extent = 'farthest-corner';
+      layer.center = 'center';
+      if (/^(circle|ellipse|closest-|farthest-|at\s)/i.test(args[0]) || /\sat\s/i.test(args[0]) || /^[\d.]+[a-z%]*(\s+[\d.]+[a-z%]*)?$/i.test(args[0])) {
+        const [shapeAndExtent, center] = args.shift().split(/\s*\bat\s+/i);
+        const words = shapeAndExtent.trim().split(/\s+/).filter(Boolean);
+        const shape = words.find(word => /^(circle|ellipse)$/i.test(word));
+        const extent = words.filter(word => word !== shape).join(' ');
+        if (shape) layer.shape = shape.toLowerCase();
+        if (extent) layer.extent = extent;
+        if (center) layer.center = center.trim();
+      }
+    } else {
+      layer.angle = 0;
+      layer.center = 'center';
+      if (/^(from|at)\s/i.test(args[0])) {
+        const config = args.shift();
+        const from = config.match(/from\s+(\S+)/i);
+        const center = config.match(/\bat\s+([\s\S]+)$/i);
+        if (from) {
+          layer.angle = this.parseDirection(from[1]);
+          if (layer.angle === null) return null;
+        }
+        if (center) layer.center = center[1].trim();
+      }
+    }
+
+    const stops = this.parseStops(args);
+    if (!stops) return null;
+
+    // A gradient of one colour is how CSS draws a colour overlay
+    const colors = [...new Set(stops.filter(stop => stop.color).map(stop => stop.color))];
+    if (kind === 'linear' && !repeating && colors.length === 1) {
+      return { type: 'color-overlay', color: colors[0] };
+    }
+
+    layer.stops = stops;
+    return layer;
+  }
+
+  /**
+   * Parse the direction of a linear gradient, or the start angle of a conic gradient
+   * @param {string} direction - An angle such as "45deg" or "0.25turn", or a side or corner
+   *                             such as "to right" or "to top left"
+   * @returns {number|null} - The angle in degrees, or null if it cannot be read
+   */
+  parseDirection(direction) {
+    const angle = direction.trim().match(ANGLE);
+    if (angle) {
+      const amount = parseFloat(angle[1]);
+      const degrees = {
+        deg: amount,
+        rad: amount * 180 / Math.PI,
+        grad: amount * 0.9,
+        turn: amount * 360
+      }[angle[2].toLowerCase()];
+      return Math.round(degrees * 1000) / 1000;
+    }
+
+    const sides = direction.trim().toLowerCase().replace(/^to\s+/, '').split(/\s+/);
+    if (sides.length === 0 || sides.length > 2 || sides.some(side => !(side in SIDE_ANGLES))) {
+      return null;
+    }
+    if (sides.length === 1) {
+      return SIDE_ANGLES[sides[0]];
+    }
+
+    // Corners are taken at 45 degrees between their sides
+    const [first, second] = sides.map(side => SIDE_ANGLES[side]).sort((a, b) => a - b);
+    if (second - first === 180 || second === first) return null;
+    return first === 0 && second === 270 ? 315 : (first + second) / 2;
+  }
+
+  /**
+   * Parse the colour stops of a gradient
+   * @param {Array<string>} args - The stops and hints, e.g. ["red", "blue 40%", "60%", "green"]
+   * @returns {Array|null} - The stops, each with a colour and a position, and hints, each
+   *                         with only a position; null if a stop cannot be read
+   */
+  parseStops(args) {
+    const stops = [];
+
+    for (const arg of args) {
+      const parts = this.valueNormalizer.splitComponents(arg.trim());
+      const positions = parts.filter(part => STOP_POSITION.test(part));
+      const color = parts.filter(part => !STOP_POSITION.test(part)).join(' ');
+
+      if (!color) {
+        if (positions.length !== 1) return null;
+        stops.push({ hint: positions[0] });
+      } else if (positions.length === 0) {
+        stops.push({ color, position: null });
+      } else if (positions.length <= 2) {
+        // A stop with two positions is the same colour at both
+        positions.forEach(position => stops.push({ color, position }));
+      } else {
+        return null;
+      }
+    }
+
+    const colorStops = stops.filter(stop => stop.color);
+    if (colorStops.length < 2) return null;
+
+    this.fillStopPositions(colorStops);
+    return stops;
+  }
+
+  /**
+   * Give positionless stops the positions CSS spreads them at, where positions are percentages
+   * @param {Array} stops - The colour stops; positions are filled in place
+   */
+  fillStopPositions(stops) {
+    if (stops.some(stop => stop.position !== null && !/%$/.test(stop.position))) return;
+
+    const percents = stops.map(stop => (stop.position === null ? null : parseFloat(stop.position)));
+    if (percents[0] === null) percents[0] = 0;
+    if (percents[percents.length - 1] === null) percents[percents.length - 1] = 100;
+
+    // A stop before an earlier one is moved up to it
+    for (let i = 1; i < percents.length; i++) {
+      if (percents[i] !== null) {
+        const previous = percents.slice(0, i).filter(percent => percent !== null).pop();
+        percents[i] = Math.max(percents[i], previous);
+      }
+    }
+
+    // Runs of positionless stops are spread evenly between their neighbours
+    for (let i = 0; i < percents.length; i++) {
+      if (percents[i] !== null) continue;
+
+      let end = i;
+      while (percents[end] === null) end++;
+      const start = percents[i - 1];
+      const step = (percents[end] - start) / (end - i + 1);
+      for (let j = i; j < end; j++) {
+        percents[j] = start + step * (j - i + 1);
+      }
+    }
+
+    stops.forEach((stop, index) => {
+      stop.position = `${Math.round(percents[index] * 1000) / 1000}%`;
+    });
+  }
+
+  /**
+   * Split a comma-separated list on its top-level commas
+   * @param {string} value - The list
+   * @returns {Array<string>} - The items, trimmed, keeping functions intact
+   */
+  splitList(value) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        items.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current.trim());
+
+    return items.filter(Boolean);
+  }
+}
+
+module.exports = BackgroundMapper;
@@ -0,0 +1,326 @@
+/**
+ * Breakpoint Mapper for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for translating CSS media queries into Webflow's
+ * breakpoint model. Webflow styles the desktop breakpoint first and cascades those
+ * styles down to the smaller tiers and up to the larger ones.
+ */
+
+// Webflow breakpoints and the viewport widths each one covers
+const BREAKPOINTS = {
+  tiny: { min: 0, max: 479, parent: 'small' },
+  small: { min: 480, max: 767, parent: 'medium' },
+  medium: { min: 768, max: 991, parent: 'main' },
+  main: { min: 992, max: 1279, parent: null },
+  large: { min: 1280, max: 1439, parent: 'main' },
+  xl: { min: 1440, max: 1919, parent: 'large' },
+  xxl: { min: 1920, max: Infinity, parent: 'xl' }
+};
+
+// Viewport widths viewport-dependent values are evaluated at, one per breakpoint
+const REFERENCE_WIDTHS = {
+  tiny: 375,
+  small: 568,
+  medium: 768,
+  main: 1136,
+  large: 1360,
+  xl: 1680,
+  xxl: 1920
+};
+
+// Breakpoints in the order their styles must be applied (parents first)
+const BREAKPOINT_ORDER = ['main', 'medium', 'small', 'tiny', 'large', 'xl', 'xxl'];
+
+// Width thresholds Webflow can express exactly
+const MAX_WIDTH_TIERS = [479, 767, 991, 1279, 1439, 1919];
+const MIN_WIDTH_TIERS = [480, 768, 992, 1280, 1440, 1920];
+
+// Snapping policies for widths that fall between tiers
+const SNAP_POLICIES = ['nearest', 'smaller', 'larger'];
+
+// Root font size used to convert em and rem widths
+const ROOT_FONT_SIZE = 16;
+
+class BreakpointMapper {
+  /**
+   * Constructor for the Breakpoint Mapper
+   * @param {string} policy - How to snap widths between tiers: 'nearest', 'smaller' or 'larger'
+   */
+  constructor(policy = 'nearest') {
+    this.policy = SNAP_POLICIES.includes(policy) ? policy : 'nearest';
+    this.mapped = [];
+    this.unmapped = [];
+  }
+
+  /**
+   * Clear the report of previously mapped queries
+   */
+  reset() {
+    this.mapped = [];
+    this.unmapped = [];
+  }
+
+  /**
+   * Map a media query onto the Webflow breakpoints it applies to
+   * @param {string} query - The media query, e.g. "screen and (max-width: 768px)"
+   * @returns {Object} - The matching breakpoints, whether the mapping was approximated, the
+   *                     queries of a list that were dropped, and the reason if the query
+   *                     cannot be mapped
+   */
+  mapQuery(query) {
+    const result = {
+      query,
+      breakpoints: [],
+      approximated: false,
+      dropped: [],
+      reason: null
+    };
+
+    const applies = new Set();
+    let mappedParts = 0;
+
+    // A query list applies wherever one of its queries does, so unmappable ones are dropped
+    for (const part of query.split(',').map(p => p.trim()).filter(Boolean)) {
+      const evaluated = this.evaluateQuery(part);
+      if (evaluated.reason) {
+        result.dropped.push({ query: part, reason: evaluated.reason });
+        continue;
+      }
+      mappedParts++;
+      if (evaluated.approximated) {
+        result.approximated = true;
+      }
+      evaluated.breakpoints.forEach(breakpoint => applies.add(breakpoint));
+    }
+
+    if (mappedParts === 0) {
+      result.reason = result.dropped.length > 0 ? result.dropped[0].reason : 'Empty media query';
+      this.unmapped.push({ query, reason: result.reason });
+      return result;
+    }
+
+    result.breakpoints = BREAKPOINT_ORDER.filter(breakpoint => applies.has(breakpoint));
+
+    this.mapped.push({
+      query,
+      breakpoints: result.breakpoints,
+      approximated: result.approximated,
+      dropped: result.dropped
+    });
+
+    return result;
+  }
+
+  /**
+   * Evaluate a single media query (no top-level commas) against every breakpoint
+   * @param {string} query - The media query
+   * @returns {Object} - The matching breakpoints, approximation flag and failure reason
+   */
+  evaluateQuery(query) {
+    let text = query.trim().toLowerCase();
+    let negated = false;
+
+    if (/^not\s+/.test(text)) {
+      negated = true;
+      text = text.replace(/^not\s+/, '');
+    }
+    text = text.replace(/^only\s+/, '');
+
+    const ranges = [{ min: 0, max: Infinity }];
+    let approximated = false;
+
+    const parts = text.split(/\s+and\s+/);
+    for (const part of parts) {
+      if (/^(all|screen)$/.test(part)) {
+        continue;
+      }
+      if (/^[a-z-]+$/.test(part)) {
+        return { reason: `Media type "${part}" has no Webflow breakpoint` };
+      }
+
+      const feature = this.parseFeature(part);
+      if (feature.reason) {
+        return feature;
+      }
+      if (feature.approximated) {
+        approximated = true;
+      }
+      ranges.push(feature);
+    }
+
+    const min = Math.max(...ranges.map(range => range.min));
+    const max = Math.min(...ranges.map(range => range.max));
+
+    const breakpoints = BREAKPOINT_ORDER.filter(breakpoint => {
+      const applies = BREAKPOINTS[breakpoint].min >= min && BREAKPOINTS[breakpoint].max <= max;
+      return negated ? !applies : applies;
+    });
+
+    return { breakpoints, approximated };
+  }
+
+  /**
+   * Parse a media feature into the viewport width range it allows
+   * @param {string} feature - The media feature, e.g. "(max-width: 767px)"
+   * @returns {Object} - The snapped width range, or a reason it cannot be mapped
+   */
+  parseFeature(feature) {
+    const inner = feature.replace(/^\(\s*|\s*\)$/g, '');
+
+    // Legacy syntax: (min-width: 768px), (max-width: 767px)
+    let match = inner.match(/^(min|max)-width\s*:\s*([\d.]+)(px|em|rem)$/);
+    if (match) {
+      const width = this.toPixels(parseFloat(match[2]), match[3]);
+      return match[1] === 'min' ? this.snapMin(width) : this.snapMax(width);
+    }
+
+    // Range syntax: (width <= 767px), (768px <= width < 992px)
+    match = inner.match(/^(?:([\d.]+)(px|em|rem)\s*(<=?)\s*)?width(?:\s*(<=?|>=?)\s*([\d.]+)(px|em|rem))?$/);
+    if (match && (match[1] || match[5])) {
+      const range = { min: 0, max: Infinity, approximated: false };
+      const merge = snapped => {
+        range.min = Math.max(range.min, snapped.min);
+        range.max = Math.min(range.max, snapped.max);
+        range.approximated = range.approximated || snapped.approximated;
+      };
+
+      if (match[1]) {
+        const width = this.toPixels(parseFloat(match[1]), match[2]);
+        merge(this.snapMin(match[3] === '<' ? width + 1 : width));
+      }
+      if (match[5]) {
+        const width = this.toPixels(parseFloat(match[5]), match[6]);
+        switch (match[4]) {
+          case '<':
+            merge(this.snapMax(width - 1));
+            break;
+          case '<=':
+            merge(this.snapMax(width));
+            break;
+          case '>':
+            merge(this.snapMin(width + 1));
+            break;
+          default:
+            merge(this.snapMin(width));
+        }
+      }
+      return range;
+    }
+
+    const name = inner.split(/[:<>=\s]/)[0] || inner;
+    return { reason: `Media feature "${name}" has no Webflow breakpoint` };
+  }
+
+  /**
+   * Convert a media query length to pixels
+   * @param {number} value - The numeric value
+   * @param {string} unit - The unit (px, em or rem)
+   * @returns {number} - The length in pixels
+   */
+  toPixels(value, unit) {
+    return unit === 'px' ? value : value * ROOT_FONT_SIZE;
+  }
+
+  /**
+   * Snap a max-width threshold onto a Webflow tier
+   * @param {number} width - The max-width in pixels
+   * @returns {Object} - The resulting width range
+   */
+  snapMax(width) {
+    const tier = this.snap(width, MAX_WIDTH_TIERS);
+    return { min: 0, max: tier, approximated: tier !== width };
+  }
+
+  /**
+   * Snap a min-width threshold onto a Webflow tier
+   * @param {number} width - The min-width in pixels
+   * @returns {Object} - The resulting width range
+   */
+  snapMin(width) {
+    if (width <= 0) {
+      return { min: 0, max: Infinity, approximated: false };
+    }
+    const tier = this.snap(width, MIN_WIDTH_TIERS);
+    return { min: tier, max: Infinity, approximated: tier !== width };
+  }
+
+  /**
+   * Pick the tier for a width according to the snapping policy
+   * @param {number} width - The width in pixels
+   * @param {Array<number>} tiers - The available tiers, ascending
+   * @returns {number} - The chosen tier
+   */
+  snap(width, tiers) {
+    if (tiers.includes(width)) {
+      return width;
+    }
+
+    const smaller = tiers.filter(tier => tier < width).pop();
+    const larger = tiers.find(tier => tier > width);
+
+    if (smaller === undefined) return larger;
+    if (larger === undefined) return smaller;
+
+    switch (this.policy) {
+      case 'smaller':
+        return smaller;
+      case 'larger':
+        return larger;
+      default:
+        return width - smaller <= larger - width ? smaller : larger;
+    }
+  }
+
+  /**
+   * Get the breakpoint a breakpoint inherits its styles from
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {string|null} - The parent breakpoint ID, or null for the base breakpoint
+   */
+  getParentBreakpoint(breakpoint) {
+    return BREAKPOINTS[breakpoint] ? BREAKPOINTS[breakpoint].parent : null;
+  }
+
+  /**
+   * Get the viewport width a breakpoint's viewport-dependent values are evaluated at
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {number} - The width in pixels
+   */
+  getReferenceWidth(breakpoint) {
+    return REFERENCE_WIDTHS[breakpoint] || REFERENCE_WIDTHS.main;
+  }
+
+  /**
+   * Get the media query that targets a breakpoint, for use in custom code
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {string|null} - The media query, or null for the base breakpoint
+   */
+  getMediaQuery(breakpoint) {
+    const range = BREAKPOINTS[breakpoint];
+    if (!range || breakpoint === 'main') return null;
+
+    return range.min === 0 || range.max < BREAKPOINTS.main.min
+      ? `(max-width: ${range.max}px)`
+      : `(min-width: ${range.min}px)`;
+  }
+
+  /**
+   * Get all breakpoint IDs, parents before the breakpoints that inherit from them
+   * @returns {Array<string>} - The breakpoint IDs
+   */
+  getBreakpoints() {
+    return BREAKPOINT_ORDER.slice();
+  }
+
+  /**
+   * Get the report of mapped and unmapped queries
+   * @returns {Object} - The mapped and unmapped media queries
+   */
+  getReport() {
+    return {
+      mapped: this.mapped.slice(),
+      unmapped: this.unmapped.slice()
+    };
+  }
+}
+
+module.exports = BreakpointMapper;
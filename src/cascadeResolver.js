@@ -0,0 +1,182 @@
+/**
+ * Cascade Resolver for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for resolving the declarations of all rules matching an
+ * element into its final style, following the CSS cascade: importance, inline styles,
+ * cascade layers, specificity and source order.
+ */
+
+const SelectorMatcher = require('./selectorMatcher');
+const PropertySupport = require('./propertySupport');
+
+class CascadeResolver {
+  /**
+   * Constructor for the Cascade Resolver
+   */
+  constructor() {
+    this.propertySupport = new PropertySupport();
+  }
+
+  /**
+   * Resolve the final style of an element
+   * @param {Array} matches - Matching rules as returned by SelectorMatcher.findMatchingRules
+   * @param {Object} inlineStyles - The element's inline styles, as parsed by HTMLParser
+   * @returns {Object} - The resolved properties, the winning declaration of each property
+   *                     and the declarations it overrode
+   */
+  resolve(matches, inlineStyles = {}) {
+    const candidates = [];
+
+    matches.forEach(match => {
+      CascadeResolver.getDeclarations(match.rule).forEach((declaration, index) => {
+        candidates.push({
+          property: declaration.property,
+          value: declaration.value,
+          important: declaration.important,
+          shorthand: declaration.shorthand || null,
+          inline: false,
+          selector: match.rule.originalSelector || match.rule.selector,
+          specificity: match.specificity || match.rule.specificity,
+          layerOrder: this.getLayerOrder(match.rule),
+          sourceOrder: match.rule.sourceOrder || 0,
+          declarationOrder: index,
+          rule: match.rule
+        });
+      });
+    });
+
+    this.getInlineDeclarations(inlineStyles).forEach((declaration, index) => {
+      candidates.push({
+        ...declaration,
+        inline: true,
+        selector: null,
+        specificity: [0, 0, 0],
+        layerOrder: Infinity,
+        sourceOrder: Infinity,
+        declarationOrder: index,
+        rule: null
+      });
+    });
+
+    // Sort from lowest to highest priority, so the last declaration of a property wins
+    candidates.sort((a, b) => this.compareDeclarations(a, b));
+
+    const properties = {};
+    const declarations = {};
+    const overridden = {};
+
+    candidates.forEach(candidate => {
+      if (declarations[candidate.property]) {
+        overridden[candidate.property] = overridden[candidate.property] || [];
+        overridden[candidate.property].unshift(declarations[candidate.property]);
+      }
+      declarations[candidate.property] = candidate;
+      properties[candidate.property] = candidate.value;
+    });
+
+    return { properties, declarations, overridden };
+  }
+
+  /**
+   * Compare the cascade priority of two declarations
+   * @param {Object} a - The first declaration
+   * @param {Object} b - The second declaration
+   * @returns {number} - Negative if a loses to b, positive if a wins
+   */
+  compareDeclarations(a, b) {
+    if (a.important !== b.important) {
+      return a.important ? 1 : -1;
+    }
+
+    // Inline styles beat any selector within the same importance
+    if (a.inline !== b.inline) {
+      return a.inline ? 1 : -1;
+    }
+
+    // Later layers win, and unlayered styles beat every layer; !important reverses both
+    if (a.layerOrder !== b.layerOrder) {
+      const later = a.layerOrder > b.layerOrder ? 1 : -1;
+      return a.important ? -later : later;
+    }
+
+    const specificity = SelectorMatcher.compareSpecificity(a.specificity, b.specificity);
+    if (specificity !== 0) {
+      return specificity;
+    }
+
+    if (a.sourceOrder !== b.sourceOrder) {
+      return a.sourceOrder < b.sourceOrder ? -1 : 1;
+    }
+
+    return a.declarationOrder - b.declarationOrder;
+  }
+
+  /**
+   * Get the declarations of a rule
+   * @param {Object} rule - The rule, as processed by CSSParser, or a rule with properties only
+   * @returns {Array} - The declarations, with property, value and importance
+   */
+  static getDeclarations(rule) {
+    return rule.declarations || Object.entries(rule.properties)
+      .map(([property, value]) => ({ property, value, important: false }));
+  }
+
+  /**
+   * Get the priority of a rule's cascade layer
+   * @param {Object} rule - The rule, as processed by CSSParser
+   * @returns {number} - The layer's position from lowest priority, or Infinity when unlayered
+   */
+  getLayerOrder(rule) {
+    return typeof rule.layerOrder === 'number' ? rule.layerOrder : Infinity;
+  }
+
+  /**
+   * Convert inline styles back into the CSS declarations Webflow styles can hold
+   * @param {Object} inlineStyles - Inline styles keyed by camelCase property name
+   * @returns {Array} - Declarations with kebab-case property names, unprefixed and with
+   *                    shorthands expanded
+   */
+  getInlineDeclarations(inlineStyles) {
+    return this.processInlineStyles(inlineStyles).declarations;
+  }
+
+  /**
+   * Sort inline styles by where Webflow can hold them
+   * @param {Object} inlineStyles - Inline styles keyed by camelCase property name
+   * @returns {Object} - The declarations Webflow styles can hold, those only custom code can
+   *                     hold, and a diagnostic for each declaration folded, dropped or moved
+   *                     to custom code
+   */
+  processInlineStyles(inlineStyles) {
+    const sorted = this.propertySupport.sortDeclarations(Object.entries(inlineStyles || {}).map(([property, rawValue]) => ({
+      property: this.toKebabCase(property),
+      value: rawValue.replace(/\s*!important\s*$/i, ''),
+      important: /\s*!important\s*$/i.test(rawValue)
+    })));
+    const withoutSource = ({ source, ...entry }) => entry;
+
+    return {
+      declarations: sorted.declarations.map(withoutSource),
+      customDeclarations: sorted.customDeclarations.map(withoutSource),
+      diagnostics: sorted.diagnostics.map(withoutSource)
+    };
+  }
+
+  /**
+   * Convert a camelCase property name to its CSS form
+   * @param {string} property - The property name
+   * @returns {string} - The kebab-case property name
+   */
+  toKebabCase(property) {
+    if (property.startsWith('--')) {
+      return property;
+    }
+
+    const kebab = property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+    // WebkitTransform already yields -webkit-transform; msTransform is written lowercase
+    return /^ms-/.test(kebab) ? `-${kebab}` : kebab;
+  }
+}
+
+module.exports = CascadeResolver;
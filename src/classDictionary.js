@@ -0,0 +1,197 @@
+/**
+ * Class Dictionary for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for remembering, per Webflow site, which Webflow class each
+ * original class was converted to and what that class was styled with. Later conversions
+ * into the same site reuse those classes instead of creating suffixed copies. The
+ * dictionary is kept in a storage such as localStorage, and can be exported to and
+ * imported from JSON so a team works from one dictionary.
+ */
+
+// Storage key the dictionary is kept under
+const DICTIONARY_KEY = 'html2wf-class-dictionary';
+
+// Version of the exported JSON
+const FORMAT_VERSION = 1;
+
+class ClassDictionary {
+  /**
+   * Constructor for the Class Dictionary
+   * @param {Object|null} storage - Where the dictionary is kept between sessions, with
+   *                                getItem and setItem like localStorage (default: none)
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+    this.sites = new Map(); // Maps site IDs to maps of original class names to their entries
+    this.loaded = false;
+  }
+
+  /**
+   * Load the dictionary from storage, once
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.storage) return;
+
+    try {
+      this.readData(JSON.parse(this.storage.getItem(DICTIONARY_KEY) || '{}'), null);
+    } catch (error) {
+      // A dictionary saved by an older version is started afresh
+      this.sites.clear();
+    }
+  }
+
+  /**
+   * Save the dictionary to storage
+   */
+  save() {
+    if (this.storage) {
+      this.storage.setItem(DICTIONARY_KEY, JSON.stringify(this.toData(null)));
+    }
+  }
+
+  /**
+   * Get the entries of a site
+   * @param {string} siteId - The Webflow site ID
+   * @returns {Object} - Maps original class names to their Webflow class name, the styles
+   *                     the class was given and when it was last converted
+   */
+  getEntries(siteId) {
+    this.load();
+    const entries = {};
+    (this.sites.get(siteId) || new Map()).forEach((entry, original) => {
+      entries[original] = { ...entry, styles: { ...entry.styles } };
+    });
+    return entries;
+  }
+
+  /**
+   * Remember the Webflow class an original class was converted to
+   * @param {string} siteId - The Webflow site ID
+   * @param {string} original - The original class name
+   * @param {string} name - The Webflow class name
+   * @param {Object} styles - The class's styles at the base breakpoint
+   */
+  record(siteId, original, name, styles = {}) {
+    this.load();
+    if (!this.sites.has(siteId)) {
+      this.sites.set(siteId, new Map());
+    }
+    this.sites.get(siteId).set(original, { name, styles: { ...styles }, lastUsed: Date.now() });
+  }
+
+  /**
+   * Forget the entries of a site, or of every site
+   * @param {string|null} siteId - The Webflow site ID, or null for every site
+   */
+  reset(siteId = null) {
+    this.load();
+    if (siteId === null) {
+      this.sites.clear();
+    } else {
+      this.sites.delete(siteId);
+    }
+  }
+
+  /**
+   * Forget some entries of a site
+   * @param {string} siteId - The Webflow site ID
+   * @param {Object} options - Which entries to forget
+   * @param {Array<string>} options.classes - Original class names to forget
+   * @param {number} options.unusedSince - Forget entries not converted since this time, in
+   *                                       milliseconds since the epoch
+   * @returns {Array<string>} - The original class names forgotten
+   */
+  prune(siteId, options = {}) {
+    this.load();
+    const entries = this.sites.get(siteId);
+    if (!entries) return [];
+
+    const classes = options.classes || [];
+    const pruned = [];
+    entries.forEach((entry, original) => {
+      const unused = typeof options.unusedSince === 'number' && entry.lastUsed < options.unusedSince;
+      if (classes.includes(original) || unused) {
+        pruned.push(original);
+      }
+    });
+    pruned.forEach(original => entries.delete(original));
+
+    return pruned;
+  }
+
+  /**
+   * Export the dictionary as JSON
+   * @param {string|null} siteId - The Webflow site ID, or null for every site
+   * @returns {string} - The JSON
+   */
+  export(siteId = null) {
+    this.load();
+    return JSON.stringify(this.toData(siteId), null, 2);
+  }
+
+  /**
+   * Import a dictionary exported as JSON, keeping entries it does not replace
+   * @param {string} json - The JSON
+   * @param {string|null} siteId - The site to import every entry into, or null to import
+   *                               each site's entries into that site
+   * @returns {number} - The number of entries imported
+   */
+  import(json, siteId = null) {
+    this.load();
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid class dictionary: ${error.message}`);
+    }
+    if (!data || data.version !== FORMAT_VERSION || typeof data.sites !== 'object') {
+      throw new Error(`Invalid class dictionary; expected version ${FORMAT_VERSION} with sites`);
+    }
+
+    return this.readData(data, siteId);
+  }
+
+  /**
+   * Read the entries of exported data into the dictionary
+   * @param {Object} data - The data, as built by toData
+   * @param {string|null} siteId - The site to read every entry into, or null for their own
+   * @returns {number} - The number of entries read
+   */
+  readData(data, siteId) {
+    let count = 0;
+    Object.entries(data.sites || {}).forEach(([dataSiteId, classes]) => {
+      const targetSiteId = siteId || dataSiteId;
+      if (!this.sites.has(targetSiteId)) {
+        this.sites.set(targetSiteId, new Map());
+      }
+      Object.entries(classes || {}).forEach(([original, entry]) => {
+        if (!entry || typeof entry.name !== 'string') return;
+        this.sites.get(targetSiteId).set(original, {
+          name: entry.name,
+          styles: { ...(entry.styles || {}) },
+          lastUsed: typeof entry.lastUsed === 'number' ? entry.lastUsed : 0
+        });
+        count++;
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Build the data the dictionary is exported as
+   * @param {string|null} siteId - The Webflow site ID, or null for every site
+   * @returns {Object} - The version and, per site, the entries by original class name
+   */
+  toData(siteId) {
+    const sites = {};
+    this.sites.forEach((entries, entriesSiteId) => {
+      if (siteId !== null && entriesSiteId !== siteId) return;
+      sites[entriesSiteId] = this.getEntries(entriesSiteId);
+    });
+    return { version: FORMAT_VERSION, sites };
+  }
+}
+
+module.exports = ClassDictionary;
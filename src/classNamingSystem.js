@@ -5,15 +5,30 @@
  * to avoid conflicts with existing classes in the project.
  */
 
+const NamingConvention = require('./namingConvention');
+
+// Ways a class named like an existing site style can be resolved
+const RESOLUTIONS = ['reuse', 'suffix', 'merge'];
+
 class ClassNamingSystem {
   /**
    * Constructor for the Class Naming System
    * @param {string} prefix - Prefix for generated class names (default: 'html2wf-')
+   * @param {NamingConvention} convention - The templates class names are built from
+   *                                        (default: the prefix convention)
    */
-  constructor(prefix = 'html2wf-') {
+  constructor(prefix = 'html2wf-', convention = new NamingConvention()) {
     this.prefix = prefix;
+    this.convention = convention;
     this.classMap = new Map(); // Maps original class names to generated Webflow class names
     this.reverseMap = new Map(); // Maps generated Webflow class names to original class names
+    this.elementClassMap = new Map(); // Maps parsed element IDs to the classes named for them
+    this.existingStyles = null; // The site's existing styles, which generated names must not take over
+    this.resolutions = {}; // Maps colliding class names to how the user chose to resolve them
+    this.defaultResolution = 'suffix';
+    this.collisions = new Map(); // Maps colliding class names to how they were resolved
+    this.dictionary = {}; // Maps original class names to the names earlier conversions gave them
+    this.rememberedNames = new Set(); // Names taken from the dictionary
     this.counter = 0; // Counter for generating unique names
   }
 
@@ -31,23 +46,24 @@ class ClassNamingSystem {
     // Generate a new unique class name
     let generatedName;
     
-    // If the original name is valid and doesn't start with a number, use it with prefix
+    // If the original name is valid and doesn't start with a number, name it by the convention
     if (originalClassName && /^[a-zA-Z_-][a-zA-Z0-9_-]*$/.test(originalClassName)) {
-      generatedName = `${this.prefix}${originalClassName}`;
-    } else {
+      generatedName = this.convention.formatClassName(originalClassName, { prefix: this.prefix });
+    }
+    if (!this.isValidClassName(generatedName)) {
       // Otherwise, generate a name based on counter
       generatedName = `${this.prefix}class-${this.counter}`;
     }
     
-    // Ensure uniqueness by adding a counter if needed
-    let uniqueName = generatedName;
-    let suffix = 0;
-    
-    while (this.reverseMap.has(uniqueName)) {
-      suffix++;
-      uniqueName = `${generatedName}-${suffix}`;
+    // Classes named by an earlier conversion keep their name, suffix included
+    const remembered = this.dictionary[originalClassName];
+    if (remembered && this.isFormOf(remembered, generatedName)) {
+      generatedName = remembered;
+      this.rememberedNames.add(remembered);
     }
     
+    const uniqueName = this.resolveCollision(generatedName, originalClassName);
+    
     // Store the mapping
     this.classMap.set(originalClassName, uniqueName);
     this.reverseMap.set(uniqueName, originalClassName);
@@ -58,6 +74,209 @@ class ClassNamingSystem {
     return uniqueName;
   }
 
+  /**
+   * Set the names earlier conversions into the site gave each class
+   * @param {Object} names - Maps original class names to Webflow class names
+   */
+  setDictionary(names) {
+    this.dictionary = { ...names };
+  }
+
+  /**
+   * Check whether a remembered name is the generated name, or a suffixed copy of it
+   * @param {string} remembered - The name from the dictionary
+   * @param {string} generatedName - The name the convention gives the class now
+   * @returns {boolean} - False if the convention or prefix changed since
+   */
+  isFormOf(remembered, generatedName) {
+    if (remembered === generatedName) return true;
+    return remembered.startsWith(`${generatedName}-`) && /^\d+$/.test(remembered.slice(generatedName.length + 1));
+  }
+
+  /**
+   * Get the names taken from the dictionary
+   * @returns {Array<string>} - The Webflow class names earlier conversions gave
+   */
+  getRememberedNames() {
+    return Array.from(this.rememberedNames);
+  }
+
+  /**
+   * Set the site's existing styles, and how names taken by them are resolved
+   * @param {SiteStyleRegistry} existingStyles - The site's existing styles
+   * @param {Object} resolutions - Maps colliding class names to 'reuse' (use the existing
+   *                               style as it is), 'suffix' (create a new, suffixed class) or
+   *                               'merge' (set what differs on the existing style)
+   * @param {string} defaultResolution - How collisions without a choice are resolved
+   *                                     (default: 'suffix')
+   */
+  setExistingStyles(existingStyles, resolutions = {}, defaultResolution = 'suffix') {
+    [defaultResolution, ...Object.values(resolutions)].forEach(resolution => {
+      if (!RESOLUTIONS.includes(resolution)) {
+        throw new Error(`Unknown collision resolution "${resolution}"; expected one of ${RESOLUTIONS.join(', ')}`);
+      }
+    });
+    
+    this.existingStyles = existingStyles;
+    this.resolutions = { ...resolutions };
+    this.defaultResolution = defaultResolution;
+  }
+
+  /**
+   * Resolve a generated name against the site's existing styles
+   * @param {string} className - The generated name
+   * @param {string} originalClassName - The original CSS class name
+   * @returns {string} - The name to use: the existing style's name when it is reused or
+   *                     merged into, otherwise a name no style has
+   */
+  resolveCollision(className, originalClassName) {
+    if (!this.existingStyles || !this.existingStyles.has(className) || this.reverseMap.has(className)) {
+      return this.makeUnique(className);
+    }
+    
+    // A class an earlier conversion created is the conversion's own, so it is reused
+    const resolution = this.resolutions[className]
+      || (this.rememberedNames.has(className) ? 'reuse' : this.defaultResolution);
+    const resolvedName = resolution === 'suffix' ? this.makeUnique(className) : className;
+    this.collisions.set(className, {
+      name: className,
+      original: originalClassName,
+      resolution,
+      createdAs: resolution === 'suffix' ? resolvedName : null
+    });
+    
+    return resolvedName;
+  }
+
+  /**
+   * Get how a class that is an existing site style was resolved
+   * @param {string} className - The generated class name
+   * @returns {string|null} - 'reuse' or 'merge' if the class is the existing style, or null
+   *                          if it was created by the conversion
+   */
+  getExistingResolution(className) {
+    const collision = this.collisions.get(className);
+    return collision && collision.resolution !== 'suffix' ? collision.resolution : null;
+  }
+
+  /**
+   * Get the ways a collision with an existing site style can be resolved
+   * @param {string} className - The colliding name
+   * @param {Object|null} properties - The existing style's properties, or null if unknown
+   * @returns {Array<string>} - Of 'reuse', 'suffix' and 'merge', the one applied without a
+   *                            choice first; 'merge' needs the style's properties to be known
+   */
+  getResolutions(className, properties = null) {
+    const resolutions = RESOLUTIONS.filter(resolution => resolution !== 'merge'
+      || (properties && Object.keys(properties).length > 0));
+    const preferred = this.resolutions[className]
+      || (this.rememberedNames.has(className) ? 'reuse' : this.defaultResolution);
+    
+    return resolutions.includes(preferred)
+      ? [preferred, ...resolutions.filter(resolution => resolution !== preferred)]
+      : resolutions;
+  }
+
+  /**
+   * Get the names that collided with existing site styles
+   * @returns {Array} - One entry per colliding name: the name, the original class, the
+   *                    resolution and, for suffixed classes, the name created instead
+   */
+  getAllCollisions() {
+    return Array.from(this.collisions.values());
+  }
+
+  /**
+   * Generate a readable class name for an element that had no class
+   * @param {string} elementId - The parsed element's ID
+   * @param {Object} context - The element's tag name, the component it sits in (the base
+   *                           class of its nearest classed ancestor, or a landmark tag) and
+   *                           the breakpoint it is styled from, null for the base breakpoint
+   * @returns {string} - The generated Webflow class name
+   */
+  generateElementClassName(elementId, context = {}) {
+    if (this.elementClassMap.has(elementId)) {
+      return this.elementClassMap.get(elementId);
+    }
+    
+    let generatedName = this.convention.formatElementName({
+      prefix: this.prefix,
+      role: this.convention.getRole(context.tagName),
+      component: context.component || null,
+      breakpoint: context.breakpoint || null
+    });
+    if (!this.isValidClassName(generatedName)) {
+      generatedName = `${this.prefix}class-${this.counter}`;
+    }
+    
+    // Elements named alike are told apart by a counter, as Webflow does
+    const uniqueName = this.makeUnique(generatedName);
+    this.elementClassMap.set(elementId, uniqueName);
+    this.reverseMap.set(uniqueName, null);
+    this.counter++;
+    
+    return uniqueName;
+  }
+
+  /**
+   * Name the class several elements share instead of each having its own
+   * @param {Array<string>} elementIds - The parsed elements' IDs
+   * @param {Object} context - The shared tag name, component and breakpoint, as for
+   *                           generateElementClassName
+   * @returns {string} - The generated Webflow class name
+   */
+  generateSharedClassName(elementIds, context = {}) {
+    // The names the elements had on their own are given up first, so the shared class
+    // can take the plainest of them
+    elementIds.forEach(elementId => {
+      const name = this.elementClassMap.get(elementId);
+      if (name && this.reverseMap.get(name) === null) {
+        this.reverseMap.delete(name);
+      }
+      this.elementClassMap.delete(elementId);
+    });
+    
+    const sharedName = this.generateElementClassName(elementIds[0], context);
+    elementIds.forEach(elementId => this.elementClassMap.set(elementId, sharedName));
+    
+    return sharedName;
+  }
+
+  /**
+   * Get the class named for an element, or shared by it with others
+   * @param {string} elementId - The parsed element's ID
+   * @returns {string|null} - The generated Webflow class name, or null if none was named
+   */
+  getElementClassName(elementId) {
+    return this.elementClassMap.get(elementId) || null;
+  }
+
+  /**
+   * Check whether a generated name can be used as a class name
+   * @param {string|undefined} className - The generated name
+   * @returns {boolean} - True if it is non-empty and does not start with a digit
+   */
+  isValidClassName(className) {
+    return !!className && /^-*[a-zA-Z_][a-zA-Z0-9_-]*$/.test(className);
+  }
+
+  /**
+   * Make a class name unique by adding a counter if needed
+   * @param {string} className - The class name
+   * @returns {string} - The class name, suffixed if another class or a site style already has it
+   */
+  makeUnique(className) {
+    let uniqueName = className;
+    let suffix = 0;
+    
+    while (this.reverseMap.has(uniqueName) || (this.existingStyles && this.existingStyles.has(uniqueName))) {
+      suffix++;
+      uniqueName = `${className}-${suffix}`;
+    }
+    
+    return uniqueName;
+  }
+
   /**
    * Generate class names for a list of original class names
    * @param {Array<string>} originalClassNames - List of original CSS class names
@@ -123,12 +342,27 @@ class ClassNamingSystem {
     return mappings;
   }
 
+  /**
+   * Get the classes named for elements that had no class
+   * @returns {Object} - Object with parsed element IDs as keys and generated names as values
+   */
+  getAllElementClassMappings() {
+    const mappings = {};
+    for (const [elementId, generated] of this.elementClassMap.entries()) {
+      mappings[elementId] = generated;
+    }
+    return mappings;
+  }
+
   /**
    * Reset the class naming system
    */
   reset() {
     this.classMap.clear();
     this.reverseMap.clear();
+    this.elementClassMap.clear();
+    this.collisions.clear();
+    this.rememberedNames.clear();
     this.counter = 0;
   }
 }
@@ -0,0 +1,759 @@
+/**
+ * Color Normalizer for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for colours. CSS writes colours as keywords, hex and the
+ * rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color() and color-mix() functions,
+ * while Webflow holds hex and rgba(). Every colour is converted to sRGB, clipping colours
+ * outside its gamut, currentColor is replaced by the colour it refers to, and the distinct
+ * colours the styles use are collected into a palette.
+ */
+
+const ShorthandExpander = require('./shorthandExpander');
+
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+  darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+  darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1',
+  darkviolet: '9400d3', deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+  gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+  green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+  indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+  lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90',
+  lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa',
+  lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de',
+  lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff',
+  maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a',
+  mediumturquoise: '48d1cc', mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa',
+  mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6',
+  olive: '808000', olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd',
+  powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f',
+  royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57',
+  seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4',
+  tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0',
+  violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00',
+  yellowgreen: '9acd32'
+};
+
+// Properties holding a single colour, and properties holding colours among other values
+const COLOR_PROPERTIES = ['color', 'background-color', 'border-top-color', 'border-right-color',
+  'border-bottom-color', 'border-left-color', 'outline-color', 'text-decoration-color', 'column-rule-color',
+  'caret-color', 'accent-color', 'fill', 'stroke', '-webkit-text-fill-color', '-webkit-text-stroke-color'];
+const COLOR_LIST_PROPERTIES = ['box-shadow', 'text-shadow', 'background-image', 'filter'];
+
+const COLOR_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'color', 'color-mix'];
+
+const INHERITING_KEYWORDS = ['inherit', 'unset', 'currentcolor'];
+
+// What a percentage means for each component of a colour space; 'hue' marks angles
+const SPACES = {
+  srgb: [1, 1, 1],
+  'srgb-linear': [1, 1, 1],
+  'display-p3': [1, 1, 1],
+  xyz: [1, 1, 1],
+  'xyz-d65': [1, 1, 1],
+  'xyz-d50': [1, 1, 1],
+  hsl: ['hue', 100, 100],
+  hwb: ['hue', 100, 100],
+  lab: [100, 125, 125],
+  lch: [100, 150, 'hue'],
+  oklab: [1, 0.4, 0.4],
+  oklch: [1, 0.4, 'hue']
+};
+
+// Spaces the color() function takes
+const PREDEFINED_SPACES = ['srgb', 'srgb-linear', 'display-p3', 'xyz', 'xyz-d65', 'xyz-d50'];
+
+// Spaces color-mix() can interpolate in
+const MIX_SPACES = ['srgb', 'srgb-linear', 'xyz', 'xyz-d65', 'xyz-d50', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch'];
+
+// Conversions between linear RGB, CIE XYZ and white points, from CSS Color 4
+const SRGB_TO_XYZ = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+const XYZ_TO_SRGB = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+const P3_TO_XYZ = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976]
+];
+const XYZ_TO_P3 = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+];
+const D50_TO_D65 = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+];
+const D65_TO_D50 = [
+  [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+  [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+  [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008]
+];
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const LAB_KAPPA = 24389 / 27;
+const LAB_EPSILON = 216 / 24389;
+
+// How far outside sRGB a channel may fall before the colour counts as clipped
+const GAMUT_TOLERANCE = 0.002;
+
+class ColorNormalizer {
+  /**
+   * Constructor for the Color Normalizer
+   */
+  constructor() {
+    this.shorthandExpander = new ShorthandExpander();
+    this.palette = new Map(); // Maps normalised colours to the properties and elements using them
+  }
+
+  /**
+   * Clear the collected palette
+   */
+  reset() {
+    this.palette.clear();
+  }
+
+  /**
+   * Check whether a property's values can hold colours
+   * @param {string} property - The CSS property
+   * @returns {boolean} - True if the property's colours are normalised
+   */
+  handles(property) {
+    return COLOR_PROPERTIES.includes(property) || COLOR_LIST_PROPERTIES.includes(property);
+  }
+
+  /**
+   * Normalise the colours in a value
+   * @param {string} value - The value, e.g. "0 2px 4px hsl(0 0% 0% / 0.2)"
+   * @param {string|null} currentColor - The colour currentColor refers to, or null if unknown
+   * @returns {Object|null} - The value with its colours normalised and the approximations
+   *                          made, or null if a colour in it cannot be read
+   */
+  normalize(value, currentColor = null) {
+    const approximations = [];
+    const pattern = /([+-]?(?:\d+\.?\d*|\.\d+)[a-z%]*)|([a-z-][\w-]*)\(|(#[\w-]+)|([a-z-][\w-]*)/gi;
+    let result = '';
+    let index = 0;
+    let match;
+
+    while ((match = pattern.exec(value))) {
+      if (match[1]) continue;
+
+      let end = pattern.lastIndex;
+      if (match[2]) {
+        const name = match[2].toLowerCase();
+        // Arguments of other functions, such as gradients and drop-shadow(), are scanned too
+        if (!COLOR_FUNCTIONS.includes(name) && name !== 'url') continue;
+        end = this.findClose(value, end - 1) + 1;
+        pattern.lastIndex = end;
+        if (name === 'url') continue;
+      } else if (match[4]) {
+        const keyword = match[4].toLowerCase();
+        if (!NAMED_COLORS[keyword] && keyword !== 'currentcolor') continue;
+      }
+
+      const text = value.slice(match.index, end);
+      const color = this.parseColor(text, currentColor, approximations);
+      if (!color) return null;
+
+      result += value.slice(index, match.index) + this.format(color, text, approximations);
+      index = end;
+    }
+
+    return { value: result + value.slice(index), approximations };
+  }
+
+  /**
+   * Find the parenthesis closing a function
+   * @param {string} value - The value
+   * @param {number} open - The index of the opening parenthesis
+   * @returns {number} - The index of the closing parenthesis, or the last index if it is unclosed
+   */
+  findClose(value, open) {
+    let depth = 0;
+    for (let i = open; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      if (value[i] === ')' && --depth === 0) return i;
+    }
+    return value.length - 1;
+  }
+
+  /**
+   * Compute the colour of an element from its declared color and its parent's colour
+   * @param {string|undefined} value - The element's resolved color value
+   * @param {string|null} inherited - The parent's computed colour, or null for the default
+   * @returns {string|null} - The normalised colour, or null for the default text colour
+   */
+  computeColor(value, inherited = null) {
+    if (!value || INHERITING_KEYWORDS.includes(value.trim().toLowerCase())) {
+      return inherited;
+    }
+
+    const normalized = this.normalize(value, inherited);
+    if (!normalized) return inherited;
+
+    // Keywords such as initial reset to the default text colour
+    return /^[a-z-]+$/i.test(normalized.value) ? null : normalized.value;
+  }
+
+  /**
+   * Record the colours in a normalised value in the palette
+   * @param {string} value - The normalised value
+   * @param {string} property - The property the value is for
+   * @param {string|null} elementId - The parsed element's ID
+   */
+  recordPalette(value, property, elementId) {
+    const colors = value.match(/#[0-9a-f]{6}\b|rgba\([^)]*\)/gi) || [];
+
+    colors.forEach(color => {
+      if (!this.palette.has(color)) {
+        this.palette.set(color, { color, properties: [], elements: [] });
+      }
+
+      const entry = this.palette.get(color);
+      if (!entry.properties.includes(property)) {
+        entry.properties.push(property);
+      }
+      if (elementId && !entry.elements.includes(elementId)) {
+        entry.elements.push(elementId);
+      }
+    });
+  }
+
+  /**
+   * Get the palette of distinct colours the styles use
+   * @returns {Array} - One entry per colour with the properties and elements using it,
+   *                    the most widely used first
+   */
+  getPalette() {
+    return Array.from(this.palette.values())
+      .map(entry => ({ ...entry, properties: entry.properties.slice(), elements: entry.elements.slice() }))
+      .sort((a, b) => b.elements.length - a.elements.length);
+  }
+
+  /**
+   * Read a single colour
+   * @param {string} text - The colour, e.g. "rebeccapurple", "#abc" or "oklch(70% 0.1 200)"
+   * @param {string|null} currentColor - The colour currentColor refers to, or null if unknown
+   * @param {Array<string>} approximations - Collects the approximations made
+   * @returns {Object|null} - The colour's space, coordinates and alpha, or null if it is not a colour
+   */
+  parseColor(text, currentColor = null, approximations = []) {
+    const value = text.trim().toLowerCase();
+
+    if (value === 'currentcolor') {
+      if (currentColor) return this.parseColor(currentColor);
+      approximations.push('currentColor could not be resolved; the default text colour was used');
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 1 };
+    }
+    if (value === 'transparent') {
+      return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+    }
+    if (NAMED_COLORS[value]) {
+      return this.parseHex(NAMED_COLORS[value]);
+    }
+    if (value.startsWith('#')) {
+      return this.parseHex(value.slice(1));
+    }
+
+    const match = /^([a-z-]+)\(([\s\S]*)\)$/.exec(value);
+    if (!match || !COLOR_FUNCTIONS.includes(match[1])) return null;
+
+    if (match[1] === 'color-mix') {
+      return this.parseMix(match[2], currentColor, approximations);
+    }
+    return this.parseFunction(match[1], match[2]);
+  }
+
+  /**
+   * Read a hex colour
+   * @param {string} hex - The hex digits, without '#'
+   * @returns {Object|null} - The colour, or null if the digits are invalid
+   */
+  parseHex(hex) {
+    if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+
+    const digits = hex.length <= 4 ? hex.split('').map(digit => digit + digit) : hex.match(/../g);
+    const channels = digits.map(pair => parseInt(pair, 16) / 255);
+
+    return { space: 'srgb', coords: channels.slice(0, 3), alpha: channels.length === 4 ? channels[3] : 1 };
+  }
+
+  /**
+   * Read a colour function other than color-mix()
+   * @param {string} name - The function name
+   * @param {string} body - The arguments
+   * @returns {Object|null} - The colour, or null if the arguments are invalid
+   */
+  parseFunction(name, body) {
+    const commas = this.shorthandExpander.splitList(body);
+    let parts;
+    let alpha = null;
+
+    // Legacy syntax separates components with commas, modern syntax puts alpha after a slash
+    if (commas.length > 1) {
+      parts = commas;
+      if (parts.length === 4) alpha = parts.pop();
+    } else {
+      const slashes = this.shorthandExpander.splitTopLevel(body, /\//);
+      if (slashes.length === 0 || slashes.length > 2) return null;
+      parts = this.shorthandExpander.splitValue(slashes[0]);
+      alpha = slashes.length === 2 ? slashes[1] : null;
+    }
+
+    let space = name.replace(/^(rgb|hsl)a$/, '$1');
+    if (space === 'color') {
+      space = parts.shift();
+      if (!PREDEFINED_SPACES.includes(space)) return null;
+    }
+
+    const ranges = space === 'rgb' ? [255, 255, 255] : SPACES[space];
+    if (parts.length !== 3) return null;
+
+    const coords = parts.map((part, index) => {
+      return ranges[index] === 'hue' ? this.parseHue(part) : this.parseNumber(part, ranges[index]);
+    });
+    const alphaValue = alpha === null ? 1 : this.parseNumber(alpha, 1);
+    if (coords.includes(null) || alphaValue === null) return null;
+
+    if (space === 'rgb') {
+      return { space: 'srgb', coords: coords.map(channel => channel / 255), alpha: this.clamp(alphaValue) };
+    }
+    return { space, coords, alpha: this.clamp(alphaValue) };
+  }
+
+  /**
+   * Read and evaluate a color-mix() function
+   * @param {string} body - The arguments, e.g. "in oklab, red 40%, blue"
+   * @param {string|null} currentColor - The colour currentColor refers to
+   * @param {Array<string>} approximations - Collects the approximations made
+   * @returns {Object|null} - The mixed colour, or null if the arguments are invalid
+   */
+  parseMix(body, currentColor, approximations) {
+    const parts = this.shorthandExpander.splitList(body);
+    if (parts.length !== 3) return null;
+
+    const method = /^in\s+([a-z0-9-]+)(?:\s+(shorter|longer|increasing|decreasing)\s+hue)?$/.exec(parts[0]);
+    if (!method || !MIX_SPACES.includes(method[1])) return null;
+    const space = method[1];
+
+    const stops = parts.slice(1).map(part => {
+      const tokens = this.shorthandExpander.splitValue(part);
+      const percentageIndex = tokens.findIndex(token => /^(\d+\.?\d*|\.\d+)%$/.test(token));
+      const percentage = percentageIndex === -1 ? null : parseFloat(tokens.splice(percentageIndex, 1)[0]);
+      return { color: this.parseColor(tokens.join(' '), currentColor, approximations), percentage };
+    });
+    if (stops.some(stop => !stop.color)) return null;
+
+    // Omitted percentages make up the rest of 100%; a smaller total makes the mix transparent
+    let [first, second] = stops.map(stop => stop.percentage);
+    if (first === null && second === null) {
+      first = 50;
+      second = 50;
+    } else if (first === null) {
+      first = 100 - second;
+    } else if (second === null) {
+      second = 100 - first;
+    }
+    const total = first + second;
+    if (total <= 0) return null;
+
+    const weight = second / total;
+    const [a, b] = stops.map(stop => ({ ...stop.color, coords: this.convert(stop.color.space, space, stop.color.coords) }));
+    const alpha = a.alpha * (1 - weight) + b.alpha * weight;
+
+    // Components are interpolated premultiplied by alpha, hues along the requested arc
+    const coords = a.coords.map((value, index) => {
+      if (SPACES[space][index] === 'hue') {
+        return this.interpolateHue(value, b.coords[index], weight, method[2] || 'shorter');
+      }
+      const mixed = value * a.alpha * (1 - weight) + b.coords[index] * b.alpha * weight;
+      return alpha === 0 ? mixed : mixed / alpha;
+    });
+
+    return { space, coords, alpha: alpha * Math.min(total, 100) / 100 };
+  }
+
+  /**
+   * Interpolate between two hues
+   * @param {number} from - The first hue in degrees, NaN if powerless
+   * @param {number} to - The second hue in degrees, NaN if powerless
+   * @param {number} weight - How far towards the second hue to go, from 0 to 1
+   * @param {string} method - 'shorter', 'longer', 'increasing' or 'decreasing'
+   * @returns {number} - The interpolated hue
+   */
+  interpolateHue(from, to, weight, method) {
+    if (isNaN(from) && isNaN(to)) return 0;
+    if (isNaN(from)) return to;
+    if (isNaN(to)) return from;
+
+    let start = ((from % 360) + 360) % 360;
+    let end = ((to % 360) + 360) % 360;
+    const difference = end - start;
+
+    if (method === 'shorter') {
+      if (difference > 180) start += 360;
+      else if (difference < -180) end += 360;
+    } else if (method === 'longer') {
+      if (difference > 0 && difference < 180) start += 360;
+      else if (difference > -180 && difference <= 0) end += 360;
+    } else if (method === 'increasing') {
+      if (difference < 0) end += 360;
+    } else if (difference > 0) {
+      start += 360;
+    }
+
+    return (start + (end - start) * weight) % 360;
+  }
+
+  /**
+   * Read a number or percentage component
+   * @param {string} text - The component
+   * @param {number} range - The value 100% stands for
+   * @returns {number|null} - The number, or null if the component is invalid
+   */
+  parseNumber(text, range) {
+    if (text === 'none') return 0;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/.exec(text);
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    return match[2] ? number / 100 * range : number;
+  }
+
+  /**
+   * Read a hue component
+   * @param {string} text - The component, a number of degrees or an angle
+   * @returns {number|null} - The hue in degrees, or null if the component is invalid
+   */
+  parseHue(text) {
+    if (text === 'none') return NaN;
+
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/.exec(text);
+    if (!match) return null;
+
+    const degrees = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+    return parseFloat(match[1]) * (match[2] ? degrees[match[2]] : 1);
+  }
+
+  /**
+   * Convert coordinates between colour spaces
+   * @param {string} from - The source space
+   * @param {string} to - The target space
+   * @param {Array<number>} coords - The coordinates in the source space
+   * @returns {Array<number>} - The coordinates in the target space
+   */
+  convert(from, to, coords) {
+    if (from === to) return coords.slice();
+    return this.fromXyz(to, this.toXyz(from, coords));
+  }
+
+  /**
+   * Convert coordinates to CIE XYZ relative to D65
+   * @param {string} space - The source space
+   * @param {Array<number>} coords - The coordinates
+   * @returns {Array<number>} - The XYZ coordinates
+   */
+  toXyz(space, coords) {
+    const [x, y, z] = coords.map(value => (isNaN(value) ? 0 : value));
+
+    switch (space) {
+      case 'srgb':
+        return this.multiply(SRGB_TO_XYZ, [x, y, z].map(value => this.toLinear(value)));
+      case 'srgb-linear':
+        return this.multiply(SRGB_TO_XYZ, [x, y, z]);
+      case 'display-p3':
+        return this.multiply(P3_TO_XYZ, [x, y, z].map(value => this.toLinear(value)));
+      case 'xyz-d50':
+        return this.multiply(D50_TO_D65, [x, y, z]);
+      case 'hsl':
+        return this.toXyz('srgb', this.hslToSrgb(x, y / 100, z / 100));
+      case 'hwb':
+        return this.toXyz('srgb', this.hwbToSrgb(x, y / 100, z / 100));
+      case 'lab':
+        return this.multiply(D50_TO_D65, this.labToXyzD50(x, y, z));
+      case 'lch':
+        return this.toXyz('lab', this.fromPolar(x, y, z));
+      case 'oklab':
+        return this.multiply(SRGB_TO_XYZ, this.oklabToLinearSrgb(x, y, z));
+      case 'oklch':
+        return this.toXyz('oklab', this.fromPolar(x, y, z));
+      default:
+        return [x, y, z];
+    }
+  }
+
+  /**
+   * Convert CIE XYZ coordinates relative to D65 to a colour space
+   * @param {string} space - The target space
+   * @param {Array<number>} xyz - The XYZ coordinates
+   * @returns {Array<number>} - The coordinates in the target space
+   */
+  fromXyz(space, xyz) {
+    switch (space) {
+      case 'srgb':
+        return this.multiply(XYZ_TO_SRGB, xyz).map(value => this.fromLinear(value));
+      case 'srgb-linear':
+        return this.multiply(XYZ_TO_SRGB, xyz);
+      case 'display-p3':
+        return this.multiply(XYZ_TO_P3, xyz).map(value => this.fromLinear(value));
+      case 'xyz-d50':
+        return this.multiply(D65_TO_D50, xyz);
+      case 'hsl':
+        return this.srgbToHsl(this.fromXyz('srgb', xyz));
+      case 'hwb':
+        return this.srgbToHwb(this.fromXyz('srgb', xyz));
+      case 'lab':
+        return this.xyzD50ToLab(this.multiply(D65_TO_D50, xyz));
+      case 'lch':
+        return this.toPolar(this.fromXyz('lab', xyz), 0.0015);
+      case 'oklab':
+        return this.linearSrgbToOklab(this.multiply(XYZ_TO_SRGB, xyz));
+      case 'oklch':
+        return this.toPolar(this.fromXyz('oklab', xyz), 0.000004);
+      default:
+        return xyz.slice();
+    }
+  }
+
+  /**
+   * Multiply a 3x3 matrix by a vector
+   * @param {Array<Array<number>>} matrix - The matrix
+   * @param {Array<number>} vector - The vector
+   * @returns {Array<number>} - The product
+   */
+  multiply(matrix, vector) {
+    return matrix.map(row => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]);
+  }
+
+  /**
+   * Remove the sRGB transfer function from a channel
+   * @param {number} value - The gamma-encoded channel
+   * @returns {number} - The linear channel
+   */
+  toLinear(value) {
+    const magnitude = Math.abs(value);
+    const linear = magnitude <= 0.04045 ? magnitude / 12.92 : Math.pow((magnitude + 0.055) / 1.055, 2.4);
+    return Math.sign(value) * linear;
+  }
+
+  /**
+   * Apply the sRGB transfer function to a channel
+   * @param {number} value - The linear channel
+   * @returns {number} - The gamma-encoded channel
+   */
+  fromLinear(value) {
+    const magnitude = Math.abs(value);
+    const encoded = magnitude <= 0.0031308 ? magnitude * 12.92 : 1.055 * Math.pow(magnitude, 1 / 2.4) - 0.055;
+    return Math.sign(value) * encoded;
+  }
+
+  /**
+   * Convert HSL to sRGB
+   * @param {number} hue - The hue in degrees
+   * @param {number} saturation - The saturation, from 0 to 1
+   * @param {number} lightness - The lightness, from 0 to 1
+   * @returns {Array<number>} - The sRGB channels
+   */
+  hslToSrgb(hue, saturation, lightness) {
+    const h = ((hue % 360) + 360) % 360;
+    const amount = saturation * Math.min(lightness, 1 - lightness);
+    const channel = n => {
+      const k = (n + h / 30) % 12;
+      return lightness - amount * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [channel(0), channel(8), channel(4)];
+  }
+
+  /**
+   * Convert HWB to sRGB
+   * @param {number} hue - The hue in degrees
+   * @param {number} whiteness - The whiteness, from 0 to 1
+   * @param {number} blackness - The blackness, from 0 to 1
+   * @returns {Array<number>} - The sRGB channels
+   */
+  hwbToSrgb(hue, whiteness, blackness) {
+    if (whiteness + blackness >= 1) {
+      const gray = whiteness / (whiteness + blackness);
+      return [gray, gray, gray];
+    }
+    return this.hslToSrgb(hue, 1, 0.5).map(channel => channel * (1 - whiteness - blackness) + whiteness);
+  }
+
+  /**
+   * Convert sRGB to HSL
+   * @param {Array<number>} rgb - The sRGB channels
+   * @returns {Array<number>} - The hue (NaN for greys), saturation and lightness percentages
+   */
+  srgbToHsl([red, green, blue]) {
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+
+    let hue = NaN;
+    let saturation = 0;
+    if (delta !== 0) {
+      saturation = lightness === 0 || lightness === 1 ? 0 : (max - lightness) / Math.min(lightness, 1 - lightness);
+      if (max === red) hue = (green - blue) / delta + (green < blue ? 6 : 0);
+      else if (max === green) hue = (blue - red) / delta + 2;
+      else hue = (red - green) / delta + 4;
+      hue *= 60;
+    }
+
+    return [hue, saturation * 100, lightness * 100];
+  }
+
+  /**
+   * Convert sRGB to HWB
+   * @param {Array<number>} rgb - The sRGB channels
+   * @returns {Array<number>} - The hue (NaN for greys), whiteness and blackness percentages
+   */
+  srgbToHwb(rgb) {
+    return [this.srgbToHsl(rgb)[0], Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+  }
+
+  /**
+   * Convert CIE Lab to XYZ relative to D50
+   * @param {number} lightness - L
+   * @param {number} a - a
+   * @param {number} b - b
+   * @returns {Array<number>} - The XYZ coordinates
+   */
+  labToXyzD50(lightness, a, b) {
+    const fy = (lightness + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+
+    const xyz = [
+      Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA,
+      lightness > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : lightness / LAB_KAPPA,
+      Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA
+    ];
+    return xyz.map((value, index) => value * D50_WHITE[index]);
+  }
+
+  /**
+   * Convert XYZ relative to D50 to CIE Lab
+   * @param {Array<number>} xyz - The XYZ coordinates
+   * @returns {Array<number>} - L, a and b
+   */
+  xyzD50ToLab(xyz) {
+    const [fx, fy, fz] = xyz.map((value, index) => {
+      const relative = value / D50_WHITE[index];
+      return relative > LAB_EPSILON ? Math.cbrt(relative) : (LAB_KAPPA * relative + 16) / 116;
+    });
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * Convert OKLab to linear sRGB
+   * @param {number} lightness - L
+   * @param {number} a - a
+   * @param {number} b - b
+   * @returns {Array<number>} - The linear sRGB channels
+   */
+  oklabToLinearSrgb(lightness, a, b) {
+    const l = Math.pow(lightness + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(lightness - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(lightness - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  }
+
+  /**
+   * Convert linear sRGB to OKLab
+   * @param {Array<number>} rgb - The linear sRGB channels
+   * @returns {Array<number>} - L, a and b
+   */
+  linearSrgbToOklab([red, green, blue]) {
+    const l = Math.cbrt(0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue);
+    const m = Math.cbrt(0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue);
+    const s = Math.cbrt(0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue);
+    return [
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+  }
+
+  /**
+   * Convert polar coordinates (LCh) to rectangular ones (Lab)
+   * @param {number} lightness - L
+   * @param {number} chroma - C
+   * @param {number} hue - h in degrees
+   * @returns {Array<number>} - L, a and b
+   */
+  fromPolar(lightness, chroma, hue) {
+    const radians = (isNaN(hue) ? 0 : hue) * Math.PI / 180;
+    return [lightness, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+  }
+
+  /**
+   * Convert rectangular coordinates (Lab) to polar ones (LCh)
+   * @param {Array<number>} lab - L, a and b
+   * @param {number} achromatic - The chroma below which the hue is powerless
+   * @returns {Array<number>} - L, C and h (NaN for greys)
+   */
+  toPolar([lightness, a, b], achromatic) {
+    const chroma = Math.sqrt(a * a + b * b);
+    const hue = chroma < achromatic ? NaN : ((Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+    return [lightness, chroma, hue];
+  }
+
+  /**
+   * Write a colour as Webflow holds it
+   * @param {Object} color - The colour's space, coordinates and alpha
+   * @param {string} source - The colour as written, for the report
+   * @param {Array<string>} approximations - Collects the approximations made
+   * @returns {string} - A hex colour, or rgba() for translucent colours
+   */
+  format(color, source, approximations) {
+    const rgb = this.convert(color.space, 'srgb', color.coords);
+
+    if (rgb.some(channel => channel < -GAMUT_TOLERANCE || channel > 1 + GAMUT_TOLERANCE)) {
+      approximations.push(`${source} is outside the sRGB gamut and was clipped`);
+    }
+
+    const channels = rgb.map(channel => Math.round(this.clamp(channel) * 255));
+    const alpha = Math.round(this.clamp(color.alpha) * 1000) / 1000;
+
+    if (alpha === 1) {
+      return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+    }
+    return `rgba(${channels.join(', ')}, ${alpha})`;
+  }
+
+  /**
+   * Limit a number to the range 0 to 1
+   * @param {number} value - The number
+   * @returns {number} - The clamped number
+   */
+  clamp(value) {
+    return Math.min(1, Math.max(0, value));
+  }
+}
+
+module.exports = ColorNormalizer;
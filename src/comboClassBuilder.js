@@ -0,0 +1,438 @@
+/**
+ * Combo Class Builder for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for turning the classes of converted elements into Webflow's
+ * class model: a base class, optionally followed by combo classes that only apply on top
+ * of it. Every element's classes are put in one global order, so `btn btn-primary` and
+ * `btn-primary btn` share the combo `btn` + `btn-primary`. Rules whose selector is only
+ * classes, such as `.btn`, `.btn-primary` or `.btn.btn-primary`, are set on the classes or
+ * combos holding those classes instead of on each element, and elements keep only what
+ * their classes do not give them.
+ * A base class that is an existing site style is reused as it is, or only given what its
+ * rules set differently.
+ */
+
+const BackgroundMapper = require('./backgroundMapper');
+const CascadeResolver = require('./cascadeResolver');
+
+// Grid placement is resolved against the grid of each element's parent
+const PLACEMENT_PROPERTY = /^grid-(area|column|row)(-start|-end)?$/;
+
+// Key the background layers of a variant are compared under
+const BACKGROUNDS = 'backgrounds';
+
+class ComboClassBuilder {
+  /**
+   * Constructor for the Combo Class Builder
+   * @param {WebflowElementMapper} elementMapper - The element mapper creating Webflow classes
+   * @param {SelectorMatcher} selectorMatcher - The selector matcher, for parsing selectors
+   * @param {ClassNamingSystem} classNamingSystem - The naming system giving each class its
+   *                                                Webflow name
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint inheritance
+   * @param {SiteStyleRegistry|null} siteStyles - The site's existing styles (default: none)
+   */
+  constructor(elementMapper, selectorMatcher, classNamingSystem, breakpointMapper, siteStyles = null) {
+    this.elementMapper = elementMapper;
+    this.selectorMatcher = selectorMatcher;
+    this.classNamingSystem = classNamingSystem;
+    this.breakpointMapper = breakpointMapper;
+    this.siteStyles = siteStyles;
+    this.ranks = new Map(); // Maps original class names to their position in class chains
+    this.chains = new Map(); // Maps chain keys to the original class names of the chain
+    this.classVariants = new Map(); // Maps chain keys to the style variants set on the class
+  }
+
+  /**
+   * Work out the global class order from the parsed elements
+   * @param {Array} parsedElements - The parsed elements, in document order
+   */
+  orderClasses(parsedElements) {
+    const counts = new Map();
+    const firstSeen = new Map();
+
+    parsedElements.forEach(parsedElement => {
+      new Set(parsedElement.classes || []).forEach(className => {
+        counts.set(className, (counts.get(className) || 0) + 1);
+        if (!firstSeen.has(className)) firstSeen.set(className, firstSeen.size);
+      });
+    });
+
+    // Classes on more elements are the base others combine with; ties keep document order
+    const order = Array.from(counts.keys()).sort((a, b) => {
+      return counts.get(b) - counts.get(a) || firstSeen.get(a) - firstSeen.get(b);
+    });
+
+    this.ranks.clear();
+    this.chains.clear();
+    this.classVariants.clear();
+    order.forEach((className, index) => this.ranks.set(className, index));
+
+    // Each element's chain, and every chain it extends, becomes a Webflow class
+    parsedElements.forEach(parsedElement => {
+      const chain = this.getChain(parsedElement);
+      chain.forEach((className, index) => {
+        const prefix = chain.slice(0, index + 1);
+        this.chains.set(this.getChainKey(prefix), prefix);
+      });
+    });
+  }
+
+  /**
+   * Sort original class names into chain order
+   * @param {Array<string>} classNames - The original class names
+   * @returns {Array<string>} - The distinct class names, base class first
+   */
+  sortClasses(classNames) {
+    const rank = className => (this.ranks.has(className) ? this.ranks.get(className) : Infinity);
+    return [...new Set(classNames)].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Get the class chain of an element
+   * @param {Object} parsedElement - The parsed element
+   * @returns {Array<string>} - The element's original class names, base class first
+   */
+  getChain(parsedElement) {
+    return this.sortClasses(parsedElement.classes || []);
+  }
+
+  /**
+   * Get the key a class chain is stored under
+   * @param {Array<string>} chain - The original class names, base class first
+   * @returns {string} - The key
+   */
+  getChainKey(chain) {
+    return chain.join(' ');
+  }
+
+  /**
+   * Get the class chains a selector sets styles on
+   * @param {Object} complex - A parsed complex selector
+   * @returns {Array<Array<string>>} - The chains, none if the selector needs more than
+   *                                   classes and states or no element has its classes
+   */
+  getSelectorChains(complex) {
+    if (complex.pseudoElement || complex.compounds.length !== 1) {
+      return [];
+    }
+
+    const compound = (complex.stateless || complex).compounds[0];
+    const tag = compound.tag || '';
+    if ((tag && tag !== '*') || compound.ids.length > 0 || compound.attributes.length > 0
+      || compound.pseudoClasses.length > 0 || compound.classes.length === 0) {
+      return [];
+    }
+
+    // A combo only applies on top of the classes ahead of it, so the rule goes on the
+    // shortest chains holding all its classes: those ending in one of them
+    return Array.from(this.chains.values()).filter(chain => {
+      return compound.classes.includes(chain[chain.length - 1])
+        && compound.classes.every(className => chain.includes(className));
+    });
+  }
+
+  /**
+   * Collect the matches making up each class and combo class
+   * @param {Array} rules - The rules taking part in the cascade
+   * @returns {Map} - Maps each chain key to matches shaped like SelectorMatcher.findMatchingRules
+   *                  results, one per rule and state
+   */
+  collectClassMatches(rules) {
+    const classMatches = new Map();
+
+    rules.forEach(rule => {
+      const selectors = this.selectorMatcher.parseSelector(rule.originalSelector || rule.selector);
+
+      selectors.forEach(complex => {
+        const declarations = CascadeResolver.getDeclarations(rule).filter(declaration => !this.isElementDeclaration(declaration));
+        if (declarations.length === 0) return;
+
+        const specificity = this.selectorMatcher.getSpecificity(complex);
+        const state = complex.states.length > 0 ? complex.states.join(':') : null;
+
+        this.getSelectorChains(complex).forEach(chain => {
+          const key = this.getChainKey(chain);
+          if (!classMatches.has(key)) classMatches.set(key, []);
+          classMatches.get(key).push({ rule: { ...rule, declarations }, matchedSelectors: [complex], specificity, state });
+        });
+      });
+    });
+
+    return classMatches;
+  }
+
+  /**
+   * Get the Webflow class names of a chain
+   * @param {Array<string>} chain - The original class names, base class first
+   * @returns {Array<string>} - The generated class names
+   */
+  getClassNames(chain) {
+    return chain.map(className => this.classNamingSystem.getGeneratedClassName(className)
+      || this.classNamingSystem.generateClassName(className));
+  }
+
+  /**
+   * Create the Webflow class or combo class of every chain
+   * @param {Map} variantsByChain - Maps chain keys to the style variants of the chain's
+   *                                rules, as resolved by the conversion manager
+   * @returns {Promise<Array>} - The Webflow classes, base classes ahead of their combos
+   */
+  async createClassStyles(variantsByChain) {
+    const classStyles = [];
+    const chains = Array.from(this.chains.values()).sort((a, b) => a.length - b.length);
+
+    for (const chain of chains) {
+      const key = this.getChainKey(chain);
+      const classNames = this.getClassNames(chain);
+      const style = await this.elementMapper.getClassStyle(classNames);
+      let variants = variantsByChain.get(key) || [];
+
+      // An existing site style keeps what it has; elements make up for what it lacks
+      const resolution = chain.length === 1 ? this.classNamingSystem.getExistingResolution(classNames[0]) : null;
+      if (resolution && this.siteStyles) {
+        const existing = this.resolveExisting(classNames[0], variants, resolution);
+        this.classVariants.set(key, existing.classVariants);
+        variants = existing.changes;
+      } else {
+        this.classVariants.set(key, variants);
+      }
+
+      for (const variant of variants) {
+        if (Object.keys(variant.styles).length > 0) {
+          await this.elementMapper.applyStyles(style, variant.styles, variant.breakpoint, variant.state);
+        }
+        if (variant.backgrounds) {
+          await this.elementMapper.applyBackgrounds(style, variant.backgrounds, variant.breakpoint, variant.state);
+        }
+      }
+      classStyles.push(style);
+    }
+
+    return classStyles;
+  }
+
+  /**
+   * Work out what a class that is an existing site style ends up with
+   * @param {string} className - The name of the existing style
+   * @param {Array} variants - The style variants of the class's rules
+   * @param {string} resolution - 'reuse' to leave the style as it is, or 'merge' to set
+   *                              what the rules give it differently
+   * @returns {Object} - The variants the class ends up with, and the changes to make to it
+   */
+  resolveExisting(className, variants, resolution) {
+    const existingStyles = this.siteStyles.getProperties(className) || {};
+    if (resolution !== 'merge') {
+      return {
+        classVariants: [{ breakpoint: 'main', state: null, styles: existingStyles }],
+        changes: []
+      };
+    }
+
+    // Existing styles are read at the base breakpoint, so only that variant is compared
+    const resting = variants.find(variant => variant.breakpoint === 'main' && !variant.state);
+    const others = variants.filter(variant => variant !== resting);
+    const restingStyles = resting ? resting.styles : {};
+    const changedStyles = {};
+    Object.entries(restingStyles).forEach(([property, value]) => {
+      if (existingStyles[property] !== value) {
+        changedStyles[property] = value;
+      }
+    });
+
+    return {
+      classVariants: [
+        { ...resting, breakpoint: 'main', state: null, styles: { ...existingStyles, ...restingStyles } },
+        ...others
+      ],
+      changes: resting ? [{ ...resting, styles: changedStyles }, ...others] : others
+    };
+  }
+
+  /**
+   * Check whether a declaration can only be converted on each element
+   * @param {Object} declaration - The declaration
+   * @returns {boolean} - True for animations, which become Interactions on the element, grid
+   *                      placement and values using currentColor, which are resolved against
+   *                      the element's parent
+   */
+  isElementDeclaration(declaration) {
+    return /^animation(-|$)/.test(declaration.property)
+      || PLACEMENT_PROPERTY.test(declaration.property)
+      || /currentcolor/i.test(declaration.value);
+  }
+
+  /**
+   * Apply an element's classes in chain order
+   * @param {Object} parsedElement - The parsed element
+   * @param {Object} element - The Webflow element
+   * @returns {Promise<void>}
+   */
+  async applyClasses(parsedElement, element) {
+    for (const className of this.getClassNames(this.getChain(parsedElement))) {
+      await this.elementMapper.applyClass(element, className);
+    }
+  }
+
+  /**
+   * Find the Webflow classes styling an element
+   * @param {Object} parsedElement - The parsed element
+   * @returns {Array} - The Webflow class of each step of the element's chain, base class first
+   */
+  findClassStyles(parsedElement) {
+    const chain = this.getChain(parsedElement);
+    return chain
+      .map((className, index) => this.elementMapper.findClassStyle(this.getClassNames(chain.slice(0, index + 1))))
+      .filter(Boolean);
+  }
+
+  /**
+   * Reduce an element's style variants to what its classes do not already give it
+   * @param {Array} variants - The element's style variants, after value normalisation and
+   *                           background mapping; their styles and backgrounds are rewritten
+   * @param {Object} parsedElement - The parsed element
+   * @param {Array<string>} overridden - Properties something more specific than the classes
+   *                                     sets, which the element states itself
+   */
+  subtractClassStyles(variants, parsedElement, overridden = []) {
+    const chain = this.getChain(parsedElement);
+    const chainVariants = chain
+      .map((className, index) => this.classVariants.get(this.getChainKey(chain.slice(0, index + 1))) || [])
+      .filter(classVariants => classVariants.length > 0);
+    if (chainVariants.length === 0) return;
+
+    const breakpoints = this.breakpointMapper.getBreakpoints();
+    const wanted = this.computeStyles(variants);
+
+    // Combos override their base at every breakpoint, as their selector is more specific
+    const inherited = {};
+    const classStyles = chainVariants.map(classVariants => this.computeStyles(classVariants));
+    breakpoints.forEach(breakpoint => {
+      inherited[breakpoint] = { resting: {}, states: {} };
+      classStyles.forEach(computed => {
+        Object.assign(inherited[breakpoint].resting, computed[breakpoint].resting);
+      });
+      Object.keys(wanted[breakpoint].states).forEach(state => {
+        inherited[breakpoint].states[state] = {};
+        classStyles.forEach(computed => {
+          Object.assign(inherited[breakpoint].states[state], computed[breakpoint].states[state] || computed[breakpoint].resting);
+        });
+      });
+      overridden.forEach(property => {
+        delete inherited[breakpoint].resting[property];
+        Object.values(inherited[breakpoint].states).forEach(styles => delete styles[property]);
+      });
+    });
+
+    // The element keeps a value where the class gives another, or a breakpoint it inherits
+    // from overrides the class with another
+    const own = {};
+    const ownStates = {};
+    breakpoints.forEach(breakpoint => {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      const restingVariant = variants.find(variant => variant.breakpoint === breakpoint && !variant.state);
+
+      own[breakpoint] = { ...(parent ? own[parent] : {}) };
+      const resting = this.diffStyles(
+        wanted[breakpoint].resting,
+        property => (property in own[breakpoint] ? own[breakpoint][property] : inherited[breakpoint].resting[property]),
+        own[breakpoint]
+      );
+      if (restingVariant) this.setDelta(restingVariant, resting);
+
+      ownStates[breakpoint] = {};
+      variants.filter(variant => variant.breakpoint === breakpoint && variant.state).forEach(variant => {
+        const state = variant.state;
+        ownStates[breakpoint][state] = { ...(parent && ownStates[parent] ? ownStates[parent][state] || {} : {}) };
+        const current = ownStates[breakpoint][state];
+        const delta = this.diffStyles(wanted[breakpoint].states[state], property => {
+          if (property in current) return current[property];
+          if (property in own[breakpoint]) return own[breakpoint][property];
+          return inherited[breakpoint].states[state][property];
+        }, current);
+        this.setDelta(variant, delta);
+      });
+    });
+  }
+
+  /**
+   * Work out the properties an element must set for a style to come out as wanted
+   * @param {Object} wanted - The full style the element should have
+   * @param {Function} current - Gives the value a property has without setting it
+   * @param {Object} own - The values the element sets; updated with the properties set
+   * @returns {Object} - The properties to set; 'initial' removes a property
+   */
+  diffStyles(wanted, current, own) {
+    const delta = {};
+    const properties = new Set([...Object.keys(wanted), ...Object.keys(own)]);
+    properties.forEach(property => {
+      // A property set to 'initial' shows nothing, like one never set
+      const value = current(property);
+      if ((value === 'initial' ? undefined : value) === wanted[property]) return;
+      delta[property] = property in wanted ? wanted[property] : 'initial';
+      own[property] = delta[property];
+    });
+    return delta;
+  }
+
+  /**
+   * Compute the full style of each breakpoint and state from style variants
+   * @param {Array} variants - The style variants
+   * @returns {Object} - Maps each breakpoint to its full resting style and full state
+   *                     styles, with background layers compared by value
+   */
+  computeStyles(variants) {
+    const computed = {};
+    const stateStyles = {};
+
+    this.breakpointMapper.getBreakpoints().forEach(breakpoint => {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      const breakpointVariants = variants.filter(variant => variant.breakpoint === breakpoint);
+      const restingVariant = breakpointVariants.find(variant => !variant.state);
+
+      const resting = BackgroundMapper.mergeStyles(parent ? computed[parent].resting : {}, this.getDelta(restingVariant));
+      computed[breakpoint] = { resting, states: {} };
+
+      // A state inherits the same state at larger breakpoints before the resting style
+      stateStyles[breakpoint] = { ...(parent ? stateStyles[parent] : {}) };
+      breakpointVariants.filter(variant => variant.state).forEach(variant => {
+        stateStyles[breakpoint][variant.state] = BackgroundMapper.mergeStyles(stateStyles[breakpoint][variant.state] || {}, this.getDelta(variant));
+      });
+      Object.entries(stateStyles[breakpoint]).forEach(([state, styles]) => {
+        computed[breakpoint].states[state] = BackgroundMapper.mergeStyles(resting, styles);
+      });
+    });
+
+    return computed;
+  }
+
+  /**
+   * Get the styles a variant sets, with its background layers as one value
+   * @param {Object|undefined} variant - The style variant
+   * @returns {Object} - The properties set
+   */
+  getDelta(variant) {
+    if (!variant) return {};
+    const delta = { ...variant.styles };
+    if (variant.backgrounds) delta[BACKGROUNDS] = JSON.stringify(variant.backgrounds);
+    return delta;
+  }
+
+  /**
+   * Replace the styles a variant sets
+   * @param {Object} variant - The style variant; its styles and backgrounds are rewritten
+   * @param {Object} delta - The properties to set, as given by getDelta
+   */
+  setDelta(variant, delta) {
+    const styles = { ...delta };
+    delete styles[BACKGROUNDS];
+    variant.styles = styles;
+
+    if (BACKGROUNDS in delta) {
+      variant.backgrounds = delta[BACKGROUNDS] === 'initial' ? [] : JSON.parse(delta[BACKGROUNDS]);
+    } else {
+      delete variant.backgrounds;
+    }
+  }
+}
+
+module.exports = ComboClassBuilder;
@@ -9,18 +9,75 @@ const HTMLParser = require('./htmlParser');
 const CSSParser = require('./cssParser');
 const WebflowElementMapper = require('./webflowElementMapper');
 const ClassNamingSystem = require('./classNamingSystem');
+const NamingConvention = require('./namingConvention');
+const SelectorMatcher = require('./selectorMatcher');
+const CascadeResolver = require('./cascadeResolver');
+const BreakpointMapper = require('./breakpointMapper');
+const PseudoElementSynthesizer = require('./pseudoElementSynthesizer');
+const VariableResolver = require('./variableResolver');
+const InteractionBuilder = require('./interactionBuilder');
+const FontPlanner = require('./fontPlanner');
+const ValueNormalizer = require('./valueNormalizer');
+const GridMapper = require('./gridMapper');
+const BackgroundMapper = require('./backgroundMapper');
+const ColorNormalizer = require('./colorNormalizer');
+const StylePreprocessor = require('./stylePreprocessor');
+const TagStyleMapper = require('./tagStyleMapper');
+const ComboClassBuilder = require('./comboClassBuilder');
+const SiteStyleRegistry = require('./siteStyleRegistry');
+const StyleDeduplicator = require('./styleDeduplicator');
+const ClassDictionary = require('./classDictionary');
+const StyleInspector = require('./styleInspector');
+
+// Ancestors that name the component of an element when no ancestor has a class
+const LANDMARK_TAGS = ['header', 'footer', 'nav', 'main', 'section', 'article', 'aside', 'form'];
 
 class ConversionManager {
   /**
    * Constructor for the Conversion Manager
    * @param {Object} webflow - The Webflow API instance
+   * @param {Object|null} storage - Where the class dictionary is kept between sessions, with
+   *                                getItem and setItem like localStorage (default: none)
    */
-  constructor(webflow) {
+  constructor(webflow, storage = null) {
     this.webflow = webflow;
     this.htmlParser = new HTMLParser();
     this.cssParser = new CSSParser();
+    this.stylePreprocessor = new StylePreprocessor();
     this.elementMapper = new WebflowElementMapper(webflow);
     this.classNamingSystem = new ClassNamingSystem();
+    this.siteStyleRegistry = new SiteStyleRegistry(webflow);
+    this.classDictionary = new ClassDictionary(storage);
+    this.useClassDictionary = true;
+    this.siteId = null;
+    this.selectorMatcher = new SelectorMatcher();
+    this.cascadeResolver = new CascadeResolver();
+    this.breakpointMapper = new BreakpointMapper();
+    this.tagStyleMapper = new TagStyleMapper(this.elementMapper, this.selectorMatcher);
+    this.comboClassBuilder = new ComboClassBuilder(this.elementMapper, this.selectorMatcher, this.classNamingSystem, this.breakpointMapper, this.siteStyleRegistry);
+    this.styleDeduplicator = new StyleDeduplicator(this.elementMapper, this.comboClassBuilder, this.classNamingSystem, this.breakpointMapper);
+    this.deduplicateStyles = true;
+    this.styleInspector = new StyleInspector(this);
+    this.variableResolver = new VariableResolver();
+    this.interactionBuilder = new InteractionBuilder(this.elementMapper, this.breakpointMapper, this.cssParser);
+    this.fontPlanner = new FontPlanner();
+    this.colorNormalizer = new ColorNormalizer();
+    this.valueNormalizer = new ValueNormalizer(this.breakpointMapper, this.colorNormalizer);
+    this.gridMapper = new GridMapper(this.breakpointMapper, this.valueNormalizer);
+    this.backgroundMapper = new BackgroundMapper(this.elementMapper, this.breakpointMapper, this.valueNormalizer);
+    this.pseudoElementSynthesizer = new PseudoElementSynthesizer(this.elementMapper, this.breakpointMapper, this.cssParser, this.backgroundMapper);
+    this.customProperties = new Map(); // Maps parsed element IDs and breakpoints to computed custom properties
+    this.computedColors = new Map(); // Maps parsed element IDs and breakpoints to computed colours
+    this.computedFonts = new Map(); // Maps parsed element IDs and breakpoints to computed fonts
+    this.cascadeRules = [];
+    this.useVariables = false;
+    this.matchedRules = new Map(); // Maps parsed element IDs to the rules that matched them
+    this.pseudoClassIssues = []; // Pseudo-classes that could not be converted
+    this.pseudoElements = []; // How each rendered ::before/::after was converted
+    this.diagnostics = []; // Declarations dropped or approximated after parsing
+    this.inlineCustomCode = []; // Inline declarations only custom code can hold, per element
+    this.scopedElements = new Set(); // Parsed element IDs stating values over their scoped tag styles
+    this.embeddedLineCount = 0; // Lines of embedded styles ahead of the CSS panel input
     this.conversionStatus = 'idle';
     this.progressCallback = null;
   }
@@ -33,6 +90,15 @@ class ConversionManager {
     this.progressCallback = callback;
   }
 
+  /**
+   * Set where the site's existing styles are loaded from
+   * @param {Object|null} adapter - An object whose async getStyles() resolves to a list of
+   *                                { name, properties }, or null for the Webflow API
+   */
+  setSiteStyleAdapter(adapter) {
+    this.siteStyleRegistry.setAdapter(adapter);
+  }
+
   /**
    * Update the conversion progress
    * @param {string} status - The status message
@@ -58,25 +124,78 @@ class ConversionManager {
       this.updateProgress('Initializing conversion', 0);
       await this.elementMapper.initialize();
       
-      // Configure class naming system
-      if (options.prefix) {
-        this.classNamingSystem = new ClassNamingSystem(options.prefix);
-      } else {
-        this.classNamingSystem = new ClassNamingSystem();
-      }
+      // Load the site's existing styles, so generated classes don't take them over
+      await this.siteStyleRegistry.load();
+      
+      // Classes earlier conversions into this site created keep their names and styles
+      this.siteId = await this.siteStyleRegistry.getSiteId();
+      this.useClassDictionary = options.useClassDictionary !== false;
+      const remembered = this.getRememberedClasses(this.siteId, this.useClassDictionary);
+      this.siteStyleRegistry.fillProperties(remembered.styles);
+      
+      // Configure class naming system, resolving collisions with existing styles as chosen
+      this.classNamingSystem = this.createClassNamingSystem(options);
+      this.classNamingSystem.setDictionary(remembered.names);
+      this.classNamingSystem.setExistingStyles(
+        this.siteStyleRegistry,
+        options.collisions || {},
+        options.collisionPolicy || 'suffix'
+      );
+      
+      // Configure tag styles: site-wide, or scoped to a wrapper class
+      const scopeClass = options.tagStyleScope ? this.classNamingSystem.generateClassName(options.tagStyleScope) : null;
+      this.tagStyleMapper = new TagStyleMapper(this.elementMapper, this.selectorMatcher, scopeClass);
+      
+      // Configure breakpoint mapping
+      this.breakpointMapper = new BreakpointMapper(options.breakpointPolicy);
+      this.comboClassBuilder = new ComboClassBuilder(this.elementMapper, this.selectorMatcher, this.classNamingSystem, this.breakpointMapper, this.siteStyleRegistry);
+      this.styleDeduplicator = new StyleDeduplicator(this.elementMapper, this.comboClassBuilder, this.classNamingSystem, this.breakpointMapper);
+      this.deduplicateStyles = options.deduplicateStyles !== false;
+      this.interactionBuilder = new InteractionBuilder(this.elementMapper, this.breakpointMapper, this.cssParser);
+      this.colorNormalizer.reset();
+      this.valueNormalizer = new ValueNormalizer(this.breakpointMapper, this.colorNormalizer);
+      this.gridMapper = new GridMapper(this.breakpointMapper, this.valueNormalizer);
+      this.backgroundMapper = new BackgroundMapper(this.elementMapper, this.breakpointMapper, this.valueNormalizer);
+      this.pseudoElementSynthesizer = new PseudoElementSynthesizer(this.elementMapper, this.breakpointMapper, this.cssParser, this.backgroundMapper);
+      
+      // Configure custom property resolution
+      this.variableResolver.reset();
+      this.useVariables = !!options.createVariables;
+      this.fontPlanner.reset();
       
       // Parse HTML
       this.updateProgress('Parsing HTML', 10);
       const parsedHtml = this.htmlParser.parse(htmlCode);
+      this.selectorMatcher.setTree(parsedHtml);
+      
+      // Flatten nested CSS or compile SCSS from the CSS panel
+      this.updateProgress('Preprocessing CSS', 20);
+      const stylesheet = await this.stylePreprocessor.process(cssCode || '', options.cssSyntax);
       
-      // Parse CSS
+      // Parse CSS, with styles embedded in the document ahead of the CSS panel input
       this.updateProgress('Parsing CSS', 30);
-      const parsedCss = await this.cssParser.parse(cssCode);
+      const embeddedStyles = this.htmlParser.getEmbeddedStyles();
+      this.embeddedLineCount = embeddedStyles ? embeddedStyles.split('\n').length : 0;
+      const combinedCss = [embeddedStyles, stylesheet]
+        .filter(Boolean)
+        .join('\n');
+      const parsedCss = await this.cssParser.parse(combinedCss);
+      this.interactionBuilder.setKeyframes(parsedCss.keyframes);
+      
+      // Collect web fonts from @font-face, @import and linked stylesheets
+      this.fontPlanner.addFontFaces(parsedCss.fontFaces);
+      this.fontPlanner.addStylesheets([
+        ...this.htmlParser.getMetadata().stylesheets,
+        ...parsedCss.imports.map(stylesheet => stylesheet.url)
+      ]);
       
       // Pre-generate class names for all classes found in HTML
       this.updateProgress('Processing HTML classes', 40);
       this.preGenerateClassNames(parsedHtml);
       
+      // Order every element's classes into a base class and combo classes
+      this.comboClassBuilder.orderClasses(this.htmlParser.getAllElements());
+      
       // Process CSS classes
       this.updateProgress('Processing CSS classes', 50);
       const processedCss = this.processCssClasses(parsedCss);
@@ -89,12 +208,41 @@ class ConversionManager {
       this.updateProgress('Applying styles', 90);
       await this.applyStylesToElements(webflowElements, processedCss);
       
+      // Remember the classes for the next conversion into this site
+      if (this.useClassDictionary) {
+        this.recordClassDictionary();
+      }
+      
       // Complete
       this.updateProgress('Conversion complete', 100);
       
       return {
         webflowElements,
-        classMap: this.classNamingSystem.getAllClassMappings()
+        classMap: this.classNamingSystem.getAllClassMappings(),
+        elementClassMap: this.classNamingSystem.getAllElementClassMappings(),
+        metadata: this.htmlParser.getMetadata(),
+        matchedRules: this.getMatchedRulesReport(),
+        interactions: this.interactionBuilder.getInteractions(),
+        tagStyles: this.elementMapper.getAllTagStyles(),
+        classStyles: this.elementMapper.getAllClassStyles(),
+        assets: this.elementMapper.getAllAssets(),
+        customCode: this.buildCustomCode(processedCss),
+        fontPlan: this.fontPlanner.getPlan(),
+        palette: this.colorNormalizer.getPalette(),
+        report: {
+          mediaQueries: this.breakpointMapper.getReport(),
+          layers: parsedCss.layers,
+          conditionalRules: parsedCss.conditionalRules,
+          pseudoClasses: this.pseudoClassIssues,
+          pseudoElements: this.pseudoElements,
+          variables: this.variableResolver.getReport(),
+          animations: this.interactionBuilder.getReport(),
+          values: this.valueNormalizer.getReport(),
+          grids: this.gridMapper.getReport(),
+          classes: this.getClassReport(),
+          deduplication: this.styleDeduplicator.getReport(),
+          diagnostics: this.getDiagnostics(parsedCss)
+        }
       };
     } catch (error) {
       this.updateProgress(`Error: ${error.message}`, 0);
@@ -102,6 +250,189 @@ class ConversionManager {
     }
   }
 
+  /**
+   * Find the classes a conversion would name like styles the site already has
+   * @param {string} htmlCode - The HTML code to convert
+   * @param {string} cssCode - The CSS code to convert
+   * @param {Object} options - Conversion options, as passed to convert
+   * @returns {Promise<Array>} - One entry per collision: the class name, the original class,
+   *                             the existing style's properties and the ways it can be resolved
+   */
+  async detectCollisions(htmlCode, cssCode, options = {}) {
+    await this.siteStyleRegistry.load();
+    const siteId = await this.siteStyleRegistry.getSiteId();
+    
+    // Name the classes like the conversion, before any collision is resolved
+    const namingSystem = this.createClassNamingSystem(options);
+    const remembered = this.getRememberedClasses(siteId, options.useClassDictionary !== false);
+    this.siteStyleRegistry.fillProperties(remembered.styles);
+    namingSystem.setDictionary(remembered.names);
+    const htmlParser = new HTMLParser();
+    htmlParser.parse(htmlCode);
+    const stylesheet = await this.stylePreprocessor.process(cssCode || '', options.cssSyntax);
+    const parsedCss = await new CSSParser().parse([htmlParser.getEmbeddedStyles(), stylesheet]
+      .filter(Boolean)
+      .join('\n'));
+    
+    if (options.tagStyleScope) {
+      namingSystem.generateClassName(options.tagStyleScope);
+    }
+    htmlParser.getAllElements().forEach(element => {
+      (element.classes || []).forEach(className => namingSystem.generateClassName(className));
+    });
+    parsedCss.styleRules
+      .concat(...parsedCss.mediaQueries.map(mediaQuery => mediaQuery.rules))
+      .forEach(rule => namingSystem.transformSelector(rule.selector));
+    
+    return Object.entries(namingSystem.getAllClassMappings())
+      .filter(([, name]) => this.siteStyleRegistry.has(name))
+      .map(([original, name]) => {
+        const properties = this.siteStyleRegistry.getProperties(name);
+        return {
+          name,
+          original,
+          properties,
+          remembered: namingSystem.getRememberedNames().includes(name),
+          resolutions: namingSystem.getResolutions(name, properties)
+        };
+      });
+  }
+
+  /**
+   * Get the classes earlier conversions into a site created
+   * @param {string} siteId - The Webflow site ID
+   * @param {boolean} enabled - Whether the class dictionary is used
+   * @returns {Object} - The Webflow class names by original class name, and the styles of
+   *                     each Webflow class
+   */
+  getRememberedClasses(siteId, enabled) {
+    const remembered = { names: {}, styles: {} };
+    if (!enabled) return remembered;
+    
+    Object.entries(this.classDictionary.getEntries(siteId)).forEach(([original, entry]) => {
+      remembered.names[original] = entry.name;
+      remembered.styles[entry.name] = entry.styles;
+    });
+    return remembered;
+  }
+
+  /**
+   * Record the classes of the last conversion in the class dictionary
+   */
+  recordClassDictionary() {
+    Object.entries(this.classNamingSystem.getAllClassMappings()).forEach(([original, name]) => {
+      // Classes that were never created, such as those only in unused rules, are left out
+      const style = this.elementMapper.findClassStyle([name]);
+      if (!style) return;
+      
+      // Reused and merged styles keep what the site gave them
+      const styles = this.classNamingSystem.getExistingResolution(name)
+        ? { ...(this.siteStyleRegistry.getProperties(name) || {}), ...style.styles }
+        : style.styles;
+      this.classDictionary.record(this.siteId, original, name, styles);
+    });
+    this.classDictionary.save();
+  }
+
+  /**
+   * Export the class dictionary of the current site as JSON
+   * @returns {Promise<string>} - The JSON
+   */
+  async exportClassDictionary() {
+    return this.classDictionary.export(await this.siteStyleRegistry.getSiteId());
+  }
+
+  /**
+   * Import a class dictionary exported as JSON into the current site
+   * @param {string} json - The JSON
+   * @returns {Promise<number>} - The number of classes imported
+   */
+  async importClassDictionary(json) {
+    const count = this.classDictionary.import(json, await this.siteStyleRegistry.getSiteId());
+    this.classDictionary.save();
+    return count;
+  }
+
+  /**
+   * Forget every class the dictionary remembers for the current site
+   * @returns {Promise<void>}
+   */
+  async resetClassDictionary() {
+    this.classDictionary.reset(await this.siteStyleRegistry.getSiteId());
+    this.classDictionary.save();
+  }
+
+  /**
+   * Forget some classes the dictionary remembers for the current site
+   * @param {Object} options - The original class names to forget, and the time classes
+   *                           not converted since are forgotten from
+   * @returns {Promise<Array<string>>} - The original class names forgotten
+   */
+  async pruneClassDictionary(options = {}) {
+    const pruned = this.classDictionary.prune(await this.siteStyleRegistry.getSiteId(), options);
+    this.classDictionary.save();
+    return pruned;
+  }
+
+  /**
+   * Create the class naming system for a conversion
+   * @param {Object} options - Conversion options: the prefix and the naming convention
+   * @returns {ClassNamingSystem} - The class naming system
+   */
+  createClassNamingSystem(options) {
+    // A built-in or custom naming convention
+    const convention = new NamingConvention(options.namingConvention || 'prefix', {
+      classTemplate: options.classTemplate,
+      elementTemplate: options.elementTemplate
+    });
+    if (options.prefix) {
+      return new ClassNamingSystem(options.prefix, convention);
+    }
+    return new ClassNamingSystem(undefined, convention);
+  }
+
+  /**
+   * Get a report of the classes the last conversion created and reused
+   * @returns {Object} - The class selectors created, reused as they were and merged into,
+   *                     how each collision with an existing style was resolved, and the
+   *                     class names the class dictionary remembered
+   */
+  getClassReport() {
+    const report = {
+      created: [],
+      reused: [],
+      merged: [],
+      collisions: this.classNamingSystem.getAllCollisions(),
+      remembered: this.classNamingSystem.getRememberedNames()
+    };
+    
+    this.elementMapper.getAllClassStyles().forEach(style => {
+      const resolution = style.combo ? null : this.classNamingSystem.getExistingResolution(style.name);
+      if (resolution === 'reuse') {
+        report.reused.push(style.selector);
+      } else if (resolution === 'merge') {
+        report.merged.push(style.selector);
+      } else {
+        report.created.push(style.selector);
+      }
+    });
+    
+    return report;
+  }
+
+  /**
+   * Inspect the final style of an element from the last conversion
+   * @param {string} target - A parsed element ID, or a CSS selector into the source HTML
+   * @param {Object} options - Inspection options: the breakpoint (default: 'main') and
+   *                           the Webflow state (default: none)
+   * @returns {Object|null} - The element's style broken down by property, with the winning
+   *                          rule, overridden rules, inherited values and where each value
+   *                          landed in Webflow; null if no element matches
+   */
+  inspectElement(target, options = {}) {
+    return this.styleInspector.inspect(target, options);
+  }
+
   /**
    * Pre-generate class names for all classes found in HTML
    * @param {Object} parsedHtml - The parsed HTML structure
@@ -172,79 +503,711 @@ class ConversionManager {
    * @returns {Promise<void>}
    */
   async applyStylesToElements(webflowElements, processedCss) {
-    // Group style rules by selector for easier lookup
-    const stylesBySelector = {};
-    processedCss.styleRules.forEach(rule => {
-      if (!stylesBySelector[rule.selector]) {
-        stylesBySelector[rule.selector] = [];
-      }
-      stylesBySelector[rule.selector].push(rule);
+    this.matchedRules.clear();
+    this.customProperties.clear();
+    this.computedColors.clear();
+    this.computedFonts.clear();
+    this.pseudoElements = [];
+    this.diagnostics = [];
+    this.inlineCustomCode = [];
+    this.scopedElements.clear();
+    
+    // Style attributes that could not be parsed are left out whole
+    this.htmlParser.getStyleErrors().forEach(error => {
+      this.diagnostics.push({
+        action: 'dropped',
+        property: 'style',
+        value: error.style,
+        selector: null,
+        media: null,
+        line: null,
+        column: null,
+        element: error.element,
+        reason: `Could not parse the style attribute: ${error.reason}`
+      });
     });
     
-    // Apply styles to each element
-    for (const element of this.elementMapper.getAllWebflowElements()) {
-      // Find matching style rules for this element
-      const matchingRules = this.findMatchingRules(element, stylesBySelector);
+    // Media query rules join the cascade, restricted to the breakpoints they map to
+    const cascadeRules = this.getCascadeRules(processedCss);
+    this.cascadeRules = cascadeRules;
+    this.pseudoClassIssues = this.collectPseudoClassIssues(cascadeRules);
+    
+    // Tokens declared on :root become Webflow Variables
+    if (this.useVariables && this.htmlParser.root) {
+      const rootElement = this.selectorMatcher.getParent(this.htmlParser.root) || this.htmlParser.root;
+      await this.variableResolver.createVariables(this.getCustomProperties(rootElement, 'main'));
+    }
+    
+    // Type selectors and rules on html, body and :root become tag styles
+    await this.applyTagStyles(webflowElements, cascadeRules);
+    
+    // Rules on classes alone become Webflow classes and combo classes
+    await this.applyClassStyles(cascadeRules);
+    
+    // Apply styles to each parsed element that produced a Webflow element
+    for (const parsedElement of this.htmlParser.getAllElements()) {
+      const element = this.elementMapper.getWebflowElement(parsedElement.id);
+      if (!element) continue;
+      
+      await this.comboClassBuilder.applyClasses(parsedElement, element);
+      
+      // Inline declarations Webflow styles cannot hold go to custom code or are dropped
+      const inline = this.cascadeResolver.processInlineStyles(parsedElement.styles);
+      await this.addInlineCustomCode(parsedElement, element, inline);
+      
+      // Find matching style rules for this element, leaving out what its tag styles set
+      const inlineProperties = inline.declarations.map(declaration => declaration.property);
+      const matchingRules = this.tagStyleMapper.filterMatches(
+        this.findMatchingRules(parsedElement, cascadeRules),
+        inlineProperties
+      );
+      
+      // Apply styles from matching rules and inline styles
+      if (matchingRules.length > 0 || Object.keys(parsedElement.styles || {}).length > 0) {
+        await this.applyStylesToElement(element, matchingRules, parsedElement);
+      }
+      
+      // Fonts an element only inherits or gets from its tag are used too, such as bold text in a paragraph
+      this.recordComputedFont(parsedElement);
+      
+      // Styled elements without a class get one named by the naming convention
+      await this.applyElementClass(parsedElement, element);
       
-      // Apply styles from matching rules
-      if (matchingRules.length > 0) {
-        await this.applyStylesToElement(element, matchingRules);
+      // Materialise generated content as real elements
+      for (const pseudoElement of ['before', 'after']) {
+        const pseudoMatches = this.findMatchingRules(parsedElement, cascadeRules, pseudoElement);
+        if (pseudoMatches.length === 0) continue;
+        
+        const pseudoVariants = this.resolveStyleVariants(pseudoMatches, {}, parsedElement);
+        this.fontPlanner.applyToVariants(pseudoVariants, parsedElement.id, null, breakpoint => {
+          return this.getComputedFont(parsedElement, breakpoint);
+        });
+        this.valueNormalizer.normalizeVariants(pseudoVariants, parsedElement.id, breakpoint => {
+          return this.getComputedColor(parsedElement, breakpoint);
+        });
+        
+        const entry = await this.pseudoElementSynthesizer.synthesize(
+          parsedElement,
+          element,
+          pseudoElement,
+          pseudoVariants,
+          this.classNamingSystem
+        );
+        if (entry) {
+          this.pseudoElements.push(entry);
+        }
       }
     }
+    
+    // Elements ending up with the same style share one class instead of each having its own;
+    // values stated over a scoped tag style would lose to it again from a class
+    if (this.deduplicateStyles) {
+      await this.styleDeduplicator.deduplicate(
+        this.htmlParser.getAllElements(),
+        candidate => this.getElementClassContext(candidate.parsedElement, candidate.style),
+        this.scopedElements
+      );
+    }
   }
 
   /**
-   * Find style rules that match a given element
+   * Give a styled element that had no class a readable class
+   * @param {Object} parsedElement - The parsed element
    * @param {Object} element - The Webflow element
-   * @param {Object} stylesBySelector - Style rules grouped by selector
-   * @returns {Array} - Array of matching style rules
-   */
-  findMatchingRules(element, stylesBySelector) {
-    // This is a simplified matching algorithm
-    // A real implementation would use a proper CSS selector matching algorithm
-    const matchingRules = [];
-    
-    // Check element classes
-    if (element.classes) {
-      element.classes.forEach(className => {
-        const classSelector = `.${className}`;
-        if (stylesBySelector[classSelector]) {
-          matchingRules.push(...stylesBySelector[classSelector]);
-        }
+   * @returns {Promise<void>}
+   */
+  async applyElementClass(parsedElement, element) {
+    const restingStyled = Object.keys(element.styles || {}).length > 0 || !!element.stateStyles;
+    if ((parsedElement.classes || []).length > 0) return;
+    if (!restingStyled && !element.breakpointStyles && !element.backgrounds) return;
+    
+    const className = this.classNamingSystem.generateElementClassName(
+      parsedElement.id,
+      this.getElementClassContext(parsedElement, element)
+    );
+    await this.elementMapper.applyClass(element, className);
+  }
+
+  /**
+   * Get what the class of an element without one is named after
+   * @param {Object} parsedElement - The parsed element
+   * @param {Object} style - The element's style, shaped like a Webflow element's
+   * @returns {Object} - The tag name, the component the element sits in and the breakpoint
+   *                     it is styled from, null for the base breakpoint
+   */
+  getElementClassContext(parsedElement, style) {
+    const restingStyled = Object.keys(style.styles || {}).length > 0
+      || Object.keys(style.stateStyles || {}).length > 0;
+    
+    // The component is the base class of the nearest classed ancestor, or a landmark
+    let component = null;
+    for (let ancestor = this.selectorMatcher.getParent(parsedElement); ancestor && !component;
+      ancestor = this.selectorMatcher.getParent(ancestor)) {
+      const tag = (ancestor.tagName || '').toLowerCase();
+      component = this.comboClassBuilder.getChain(ancestor)[0] || (LANDMARK_TAGS.includes(tag) ? tag : null);
+    }
+    
+    // Elements only styled from another breakpoint are named after it
+    const breakpoint = restingStyled
+      ? null
+      : this.breakpointMapper.getBreakpoints().find(candidate => (style.breakpointStyles || {})[candidate]) || null;
+    
+    return { tagName: parsedElement.tagName, component, breakpoint };
+  }
+
+  /**
+   * Create Webflow tag styles from type selectors and rules on html, body and :root
+   * @param {Object} webflowElements - The root Webflow element
+   * @param {Array} cascadeRules - The rules taking part in the cascade
+   * @returns {Promise<void>}
+   */
+  async applyTagStyles(webflowElements, cascadeRules) {
+    await this.tagStyleMapper.applyScope(webflowElements);
+    
+    for (const [tag, tagMatches] of this.tagStyleMapper.collectTagMatches(cascadeRules)) {
+      const variants = await this.resolvePageStyleVariants(tagMatches, `tag-${tag}`);
+      await this.tagStyleMapper.createTagStyle(tag, variants);
+    }
+  }
+
+  /**
+   * Create Webflow classes and combo classes from rules on classes alone
+   * @param {Array} cascadeRules - The rules taking part in the cascade
+   * @returns {Promise<void>}
+   */
+  async applyClassStyles(cascadeRules) {
+    const variantsByChain = new Map();
+    for (const [key, classMatches] of this.comboClassBuilder.collectClassMatches(cascadeRules)) {
+      variantsByChain.set(key, await this.resolvePageStyleVariants(classMatches, `class-${key.split(' ').join('.')}`));
+    }
+    
+    await this.comboClassBuilder.createClassStyles(variantsByChain);
+  }
+
+  /**
+   * Resolve the style variants of a tag style or class, which is not tied to one element
+   * @param {Array} matches - The style's matches, with the CSS state each applies in
+   * @param {string} styleId - The ID the style is reported under
+   * @returns {Promise<Array>} - The style variants, with values Webflow accepts
+   */
+  async resolvePageStyleVariants(matches, styleId) {
+    // Tag styles and classes apply anywhere on the page, so they only see custom properties from :root
+    const rootElement = this.htmlParser.root
+      ? this.selectorMatcher.getParent(this.htmlParser.root) || this.htmlParser.root
+      : null;
+    
+    const stateMatches = matches
+      .map(match => ({
+        ...match,
+        webflowState: match.state ? this.cssParser.mapToWebflowState(match.state) : null
+      }))
+      .filter(match => !match.state || match.webflowState);
+    
+    const variants = this.resolveStyleVariants(stateMatches, {}, rootElement);
+    this.fontPlanner.applyToVariants(variants, styleId);
+    this.valueNormalizer.normalizeVariants(variants, styleId);
+    this.gridMapper.applyToVariants(variants, styleId);
+    await this.backgroundMapper.applyToVariants(variants, styleId);
+    return variants;
+  }
+
+  /**
+   * Collect the rules taking part in the cascade, mapping media queries to breakpoints
+   * @param {Object} processedCss - The processed CSS
+   * @returns {Array} - The style rules, with media query rules tagged with their breakpoints
+   */
+  getCascadeRules(processedCss) {
+    const rules = processedCss.styleRules.slice();
+    
+    processedCss.mediaQueries.forEach(mediaQuery => {
+      const mapping = this.breakpointMapper.mapQuery(mediaQuery.query);
+      
+      // Unmappable queries are reported by the breakpoint mapper and left out
+      if (mapping.reason) {
+        mediaQuery.rules.forEach(rule => this.addRuleDiagnostics(rule, mediaQuery.query, 'dropped', mapping.reason));
+        return;
+      }
+      if (mapping.approximated) {
+        const reason = `Snapped to the ${mapping.breakpoints.join(', ')} breakpoints`;
+        mediaQuery.rules.forEach(rule => this.addRuleDiagnostics(rule, mediaQuery.query, 'approximated', reason));
+      }
+      
+      mediaQuery.rules.forEach(rule => {
+        rules.push({
+          ...rule,
+          media: mediaQuery.query,
+          breakpoints: mapping.breakpoints
+        });
       });
+    });
+    
+    return rules;
+  }
+
+  /**
+   * Report the inline declarations Webflow styles cannot hold, scoping those custom code
+   * can hold to the element
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {Object} element - The element's Webflow element
+   * @param {Object} inline - The element's inline styles, as processed by CascadeResolver
+   * @returns {Promise<void>}
+   */
+  async addInlineCustomCode(parsedElement, element, inline) {
+    inline.diagnostics.forEach(diagnostic => {
+      this.diagnostics.push({
+        ...diagnostic,
+        selector: null,
+        media: null,
+        line: null,
+        column: null,
+        element: parsedElement.id
+      });
+    });
+    if (inline.customDeclarations.length === 0) return;
+    
+    await this.elementMapper.setAttribute(element, 'data-html2wf-inline', parsedElement.id);
+    this.inlineCustomCode.push({
+      selector: `[data-html2wf-inline="${parsedElement.id}"]`,
+      customDeclarations: inline.customDeclarations
+    });
+  }
+
+  /**
+   * Record a diagnostic for every declaration of a rule
+   * @param {Object} rule - The processed rule
+   * @param {string|null} media - The media query the rule applies under
+   * @param {string} action - 'dropped' or 'approximated'
+   * @param {string} reason - Why
+   */
+  addRuleDiagnostics(rule, media, action, reason) {
+    rule.declarations.forEach(declaration => {
+      this.diagnostics.push({
+        action,
+        property: declaration.property,
+        value: declaration.value,
+        selector: rule.originalSelector || rule.selector,
+        media,
+        line: declaration.line,
+        column: declaration.column,
+        reason
+      });
+    });
+  }
+
+  /**
+   * Collect every declaration that was folded, dropped, moved to custom code or approximated
+   * @param {Object} parsedCss - The parsed CSS
+   * @returns {Array} - Diagnostics with the action, property, value, selector, media query,
+   *                    reason, and where the declaration is: in the document's embedded
+   *                    styles ('html') or the CSS panel ('css'), and at which line and column,
+   *                    or for inline styles the parsed element's ID
+   */
+  getDiagnostics(parsedCss) {
+    const diagnostics = parsedCss.diagnostics.concat(this.diagnostics);
+    
+    // Values are normalised per element, so they are traced back to the declarations setting them
+    this.valueNormalizer.getReport().forEach(issue => {
+      const action = /dropped/.test(issue.reason) ? 'dropped' : 'approximated';
+      const sources = this.cascadeRules.filter(rule => {
+        return rule.declarations.some(declaration => this.isIssueSource(declaration, issue));
+      });
+      
+      sources.forEach(rule => {
+        const declaration = rule.declarations.find(candidate => this.isIssueSource(candidate, issue));
+        diagnostics.push({
+          action,
+          property: issue.property,
+          value: issue.value,
+          selector: rule.originalSelector || rule.selector,
+          media: rule.media || null,
+          line: declaration.line,
+          column: declaration.column,
+          reason: issue.reason
+        });
+      });
+      
+      // Values built from custom properties have no declaration of their own
+      if (sources.length === 0) {
+        diagnostics.push({
+          action,
+          property: issue.property,
+          value: issue.value,
+          selector: null,
+          media: null,
+          line: null,
+          column: null,
+          reason: issue.reason
+        });
+      }
+    });
+    
+    return diagnostics.map(diagnostic => ({ ...diagnostic, ...this.locateLine(diagnostic.line, diagnostic.column) }));
+  }
+
+  /**
+   * Check whether a declaration set the value a normalisation issue is about
+   * @param {Object} declaration - The declaration, as processed by CSSParser
+   * @param {Object} issue - The issue, as reported by ValueNormalizer
+   * @returns {boolean} - True if the declaration sets the property to the value, before or
+   *                      after its colours were normalised
+   */
+  isIssueSource(declaration, issue) {
+    if (declaration.property !== issue.property) return false;
+    if (declaration.value === issue.value) return true;
+    
+    // Background layers are built after their colours are normalised
+    const normalized = this.colorNormalizer.handles(issue.property)
+      ? this.colorNormalizer.normalize(declaration.value, null)
+      : null;
+    return !!normalized && normalized.value === issue.value;
+  }
+
+  /**
+   * Find which input a line of the combined stylesheet came from
+   * @param {number|null} line - The line in the embedded styles followed by the CSS panel input
+   * @param {number|null} column - The column on that line
+   * @returns {Object} - The source ('html' or 'css', null if unknown) and the line and column
+   *                     within it, traced back through nesting or SCSS in the CSS panel
+   */
+  locateLine(line, column = null) {
+    if (!line) {
+      return { source: null, line: null };
+    }
+    if (line <= this.embeddedLineCount) {
+      return { source: 'html', line, column };
+    }
+    
+    const position = this.stylePreprocessor.getOriginalPosition(line - this.embeddedLineCount, column);
+    return { source: 'css', line: position.line, column: position.column };
+  }
+
+  /**
+   * Build the custom code for declarations Webflow styles cannot hold
+   * @param {Object} processedCss - The processed CSS
+   * @returns {string} - CSS for the site's custom code, using the generated class names
+   */
+  buildCustomCode(processedCss) {
+    const blocks = [];
+    
+    const addRule = (rule, media) => {
+      if (!rule.customDeclarations || rule.customDeclarations.length === 0) return;
+      
+      const body = rule.customDeclarations
+        .map(declaration => `${declaration.property}: ${declaration.value}${declaration.important ? ' !important' : ''};`)
+        .join(' ');
+      const css = `${rule.selector} { ${body} }`;
+      blocks.push({ sourceOrder: rule.sourceOrder, css: media ? `@media ${media} { ${css} }` : css });
+    };
+    
+    processedCss.styleRules.forEach(rule => addRule(rule, null));
+    processedCss.mediaQueries.forEach(mediaQuery => {
+      mediaQuery.rules.forEach(rule => addRule(rule, mediaQuery.query));
+    });
+    
+    // Keep the order of the source, so later rules still win, and inline styles last
+    blocks.sort((a, b) => a.sourceOrder - b.sourceOrder);
+    this.inlineCustomCode.forEach(rule => addRule(rule, null));
+    
+    return blocks.map(block => block.css).join('\n');
+  }
+
+  /**
+   * Get the computed custom properties of an element at a breakpoint
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {Object} - The custom properties the element declares or inherits
+   */
+  getCustomProperties(parsedElement, breakpoint) {
+    const key = `${parsedElement.id}|${breakpoint}`;
+    if (this.customProperties.has(key)) {
+      return this.customProperties.get(key);
     }
     
-    // Check element type
-    const typeSelector = element.type.toLowerCase();
-    if (stylesBySelector[typeSelector]) {
-      matchingRules.push(...stylesBySelector[typeSelector]);
+    const parent = this.selectorMatcher.getParent(parsedElement);
+    const inherited = parent ? this.getCustomProperties(parent, breakpoint) : {};
+    
+    const resolved = this.cascadeResolver.resolve(this.getRestingMatches(parsedElement, breakpoint), parsedElement.styles);
+    const customProperties = this.variableResolver.computeCustomProperties(resolved.properties, inherited);
+    
+    this.customProperties.set(key, customProperties);
+    return customProperties;
+  }
+
+  /**
+   * Get the computed colour of an element at a breakpoint, which currentColor refers to
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {string|null} - The normalised colour the element declares or inherits, or null
+   *                          for the default text colour
+   */
+  getComputedColor(parsedElement, breakpoint) {
+    const key = `${parsedElement.id}|${breakpoint}`;
+    if (this.computedColors.has(key)) {
+      return this.computedColors.get(key);
     }
     
-    // Sort by specificity
-    matchingRules.sort((a, b) => a.specificity - b.specificity);
+    const parent = this.selectorMatcher.getParent(parsedElement);
+    const inherited = parent ? this.getComputedColor(parent, breakpoint) : null;
+    
+    const resolved = this.cascadeResolver.resolve(this.getRestingMatches(parsedElement, breakpoint), parsedElement.styles);
+    const properties = this.variableResolver.resolve(resolved, this.getCustomProperties(parsedElement, breakpoint));
+    const color = this.colorNormalizer.computeColor(properties.color, inherited);
     
-    return matchingRules;
+    this.computedColors.set(key, color);
+    return color;
+  }
+
+  /**
+   * Get the computed font of an element at a breakpoint, inherited through its ancestors
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {Object} - The font, as returned by FontPlanner.computeFont
+   */
+  getComputedFont(parsedElement, breakpoint) {
+    const key = `${parsedElement.id}|${breakpoint}`;
+    if (this.computedFonts.has(key)) {
+      return this.computedFonts.get(key);
+    }
+    
+    const parent = this.selectorMatcher.getParent(parsedElement);
+    const inherited = parent ? this.getComputedFont(parent, breakpoint) : null;
+    
+    const resolved = this.cascadeResolver.resolve(this.getRestingMatches(parsedElement, breakpoint), parsedElement.styles);
+    const properties = this.variableResolver.resolve(resolved, this.getCustomProperties(parsedElement, breakpoint));
+    const font = this.fontPlanner.computeFont(properties, parsedElement.tagName, inherited);
+    
+    this.computedFonts.set(key, font);
+    return font;
+  }
+
+  /**
+   * Record the font an element renders with when it differs from the one its parent renders with
+   * @param {Object} parsedElement - The parsed HTML element
+   */
+  recordComputedFont(parsedElement) {
+    const parent = this.selectorMatcher.getParent(parsedElement);
+    const font = this.getComputedFont(parsedElement, 'main');
+    const inherited = parent ? this.getComputedFont(parent, 'main') : null;
+    
+    if (!inherited || font.family !== inherited.family || font.weight !== inherited.weight || font.style !== inherited.style) {
+      this.fontPlanner.recordFont(font, parsedElement.id);
+    }
+  }
+
+  /**
+   * Find the rules matching an element at a breakpoint, ignoring states
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {Array} - The matches, as returned by SelectorMatcher.findMatchingRules
+   */
+  getRestingMatches(parsedElement, breakpoint) {
+    // Inherited values come from the resting element, whatever state an ancestor is in
+    return this.selectorMatcher.findMatchingRules(parsedElement, this.cascadeRules)
+      .filter(match => !match.rule.breakpoints || match.rule.breakpoints.includes(breakpoint));
+  }
+
+  /**
+   * Find the pseudo-classes that cannot become Webflow states or structural matches
+   * @param {Array} rules - The rules taking part in the cascade
+   * @returns {Array} - Objects with the selector, the pseudo-class and the reason
+   */
+  collectPseudoClassIssues(rules) {
+    const issues = [];
+    const seen = new Set();
+    
+    const addIssue = issue => {
+      const key = `${issue.selector}|${issue.pseudoClass}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        issues.push(issue);
+      }
+    };
+    
+    rules.forEach(rule => {
+      const selectorText = rule.originalSelector || rule.selector;
+      
+      this.selectorMatcher.getPseudoClassIssues(selectorText).forEach(addIssue);
+      
+      this.selectorMatcher.parseSelector(selectorText).forEach(complex => {
+        const state = complex.states.join(':');
+        if (state && !this.cssParser.mapToWebflowState(state)) {
+          addIssue({
+            selector: complex.text,
+            pseudoClass: state,
+            reason: 'Webflow has no matching style state'
+          });
+        }
+      });
+    });
+    
+    return issues;
+  }
+
+  /**
+   * Find style rules that match a given element
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {Array} styleRules - The processed style rules
+   * @param {string|null} pseudoElement - Match rules for this pseudo-element of the element instead
+   * @returns {Array} - Array of matches, each with the rule, matched selectors and specificity
+   */
+  findMatchingRules(parsedElement, styleRules, pseudoElement = null) {
+    // Selectors are evaluated with their original class names against the parsed tree
+    // Rules needing a state Webflow doesn't have are reported and left out
+    const matches = this.selectorMatcher.findMatchingRules(parsedElement, styleRules, { states: true, pseudoElement })
+      .map(match => ({
+        ...match,
+        webflowState: match.state ? this.cssParser.mapToWebflowState(match.state) : null
+      }))
+      .filter(match => !match.state || match.webflowState);
+    
+    const reported = this.matchedRules.get(parsedElement.id) || [];
+    this.matchedRules.set(parsedElement.id, reported.concat(matches.map(match => ({
+      selector: match.rule.originalSelector,
+      matchedSelectors: match.matchedSelectors.map(complex => complex.text),
+      specificity: match.specificity,
+      media: match.rule.media || null,
+      state: match.webflowState,
+      pseudoElement
+    }))));
+    
+    return matches;
+  }
+
+  /**
+   * Get a report of which rules matched each element
+   * @returns {Object} - Object with parsed element IDs as keys and matched rules as values
+   */
+  getMatchedRulesReport() {
+    const report = {};
+    for (const [elementId, rules] of this.matchedRules.entries()) {
+      if (rules.length > 0) {
+        report[elementId] = rules;
+      }
+    }
+    return report;
   }
 
   /**
    * Apply styles to a single Webflow element
    * @param {Object} element - The Webflow element
-   * @param {Array} rules - The style rules to apply
+   * @param {Array} matches - The matching rules, as returned by findMatchingRules
+   * @param {Object} parsedElement - The parsed HTML element
    * @returns {Promise<void>}
    */
-  async applyStylesToElement(element, rules) {
-    // Merge properties from all matching rules
-    const mergedProperties = {};
+  async applyStylesToElement(element, matches, parsedElement) {
+    const parent = this.selectorMatcher.getParent(parsedElement);
+    const variants = this.resolveStyleVariants(matches, parsedElement.styles, parent);
     
-    rules.forEach(rule => {
-      Object.entries(rule.properties).forEach(([prop, value]) => {
-        // Later rules override earlier ones
-        mergedProperties[prop] = value;
-      });
+    // Keyframe animations become interactions rather than styles
+    const parentElement = parent ? this.elementMapper.getWebflowElement(parent.id) : null;
+    await this.interactionBuilder.build(parsedElement, element, variants, parentElement);
+    
+    // Font stacks naming unavailable fonts are rewritten, and the fonts used recorded
+    this.fontPlanner.applyToVariants(variants, parsedElement.id, parsedElement.tagName, breakpoint => {
+      return parent ? this.getComputedFont(parent, breakpoint) : null;
+    });
+    
+    // Values are rewritten into units, functions and colours Webflow accepts
+    this.valueNormalizer.normalizeVariants(variants, parsedElement.id, breakpoint => {
+      return parent ? this.getComputedColor(parent, breakpoint) : null;
     });
     
-    // Apply merged properties to the element
-    await this.elementMapper.applyStyles(element, mergedProperties);
+    // Grid templates get explicit tracks, and grid children the lines they are placed on
+    this.gridMapper.applyToVariants(variants, parsedElement.id, parent ? parent.id : null);
+    
+    // Backgrounds become ordered layers, with images uploaded as assets
+    await this.backgroundMapper.applyToVariants(variants, parsedElement.id);
+    
+    // What the element's classes already set is left to them, unless a scoped tag style overrides it
+    const scopedProperties = this.tagStyleMapper.getScopedProperties(matches);
+    if (scopedProperties.length > 0) {
+      this.scopedElements.add(parsedElement.id);
+    }
+    this.comboClassBuilder.subtractClassStyles(variants, parsedElement, scopedProperties);
+    
+    // Apply each variant in order, so breakpoints and states follow what they inherit from
+    for (const variant of variants) {
+      if (Object.keys(variant.styles).length > 0) {
+        await this.elementMapper.applyStyles(element, variant.styles, variant.breakpoint, variant.state);
+      }
+      if (variant.backgrounds) {
+        await this.elementMapper.applyBackgrounds(element, variant.backgrounds, variant.breakpoint, variant.state);
+      }
+    }
+  }
+
+  /**
+   * Resolve the cascade at every breakpoint and state, keeping only what each changes
+   * @param {Array} matches - The matching rules, as returned by findMatchingRules
+   * @param {Object} inlineStyles - The element's inline styles
+   * @param {Object|null} inheritFrom - The parsed element custom properties are inherited from:
+   *                                    the parent of an element, or the host of a pseudo-element
+   * @returns {Array} - Style variants, each with a breakpoint, a state (null for the
+   *                    resting element) and the styles to set there
+   */
+  resolveStyleVariants(matches, inlineStyles = {}, inheritFrom = null) {
+    const variants = [];
+    const resolved = {};
+    const resolvedStates = {};
+    const states = [...new Set(matches.map(match => match.webflowState).filter(Boolean))];
+    
+    for (const breakpoint of this.breakpointMapper.getBreakpoints()) {
+      const breakpointMatches = matches.filter(match => {
+        return !match.rule.breakpoints || match.rule.breakpoints.includes(breakpoint);
+      });
+      const baseMatches = breakpointMatches.filter(match => !match.webflowState);
+      const inheritedProperties = inheritFrom ? this.getCustomProperties(inheritFrom, breakpoint) : {};
+      resolved[breakpoint] = this.resolveVariables(this.cascadeResolver.resolve(baseMatches, inlineStyles), inheritedProperties);
+      
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      if (!parent) {
+        variants.push({ breakpoint, state: null, styles: resolved[breakpoint] });
+      } else {
+        // Webflow inherits from the parent breakpoint, so only differences are set
+        const delta = {};
+        Object.entries(resolved[breakpoint]).forEach(([property, value]) => {
+          if (resolved[parent][property] !== value) {
+            delta[property] = value;
+          }
+        });
+        Object.keys(resolved[parent]).forEach(property => {
+          if (!(property in resolved[breakpoint])) {
+            delta[property] = 'initial';
+          }
+        });
+        variants.push({ breakpoint, state: null, styles: delta });
+      }
+      
+      // States inherit the resting style, and the same state of the parent breakpoint
+      resolvedStates[breakpoint] = {};
+      states.forEach(state => {
+        const stateMatches = breakpointMatches.filter(match => !match.webflowState || match.webflowState === state);
+        const stateProperties = this.resolveVariables(this.cascadeResolver.resolve(stateMatches, inlineStyles), inheritedProperties);
+        resolvedStates[breakpoint][state] = stateProperties;
+        
+        const inherited = parent ? resolvedStates[parent][state] : {};
+        const delta = {};
+        Object.entries(stateProperties).forEach(([property, value]) => {
+          if (resolved[breakpoint][property] !== value && inherited[property] !== value) {
+            delta[property] = value;
+          }
+        });
+        variants.push({ breakpoint, state, styles: delta });
+      });
+    }
+    
+    return variants;
+  }
+
+  /**
+   * Substitute custom properties into a resolved style
+   * @param {Object} resolved - The cascade result, as returned by CascadeResolver.resolve
+   * @param {Object} inherited - The custom properties inherited by the element
+   * @returns {Object} - The properties with var() substituted, without custom properties
+   */
+  resolveVariables(resolved, inherited) {
+    const customProperties = this.variableResolver.computeCustomProperties(resolved.properties, inherited);
+    return this.variableResolver.resolve(resolved, customProperties, this.useVariables);
   }
 }
 
@@ -6,6 +6,20 @@
  */
 
 const postcss = require('postcss');
+const SelectorMatcher = require('./selectorMatcher');
+const ShorthandExpander = require('./shorthandExpander');
+const SupportsEvaluator = require('./supportsEvaluator');
+const PropertySupport = require('./propertySupport');
+
+// CSS pseudo-classes (and ::placeholder) that Webflow supports as style states
+const WEBFLOW_STATES = {
+  'hover': 'hover',
+  'active': 'pressed',
+  'focus': 'focused',
+  'focus-visible': 'focus-visible',
+  'visited': 'visited',
+  'placeholder': 'placeholder'
+};
 
 class CSSParser {
   /**
@@ -14,6 +28,17 @@ class CSSParser {
   constructor() {
     this.styleRules = [];
     this.mediaQueries = [];
+    this.keyframes = [];
+    this.fontFaces = [];
+    this.imports = [];
+    this.layers = []; // Cascade layer names, in order of first appearance
+    this.conditionalRules = []; // How each @supports and @container block was handled
+    this.diagnostics = []; // Declarations that were folded, dropped or moved to custom code
+    this.ruleOrder = new Map(); // Maps PostCSS rules to their position in the source
+    this.selectorMatcher = new SelectorMatcher();
+    this.shorthandExpander = new ShorthandExpander();
+    this.propertySupport = new PropertySupport();
+    this.supportsEvaluator = new SupportsEvaluator(this);
   }
 
   /**
@@ -30,34 +55,45 @@ class CSSParser {
       // Clear previous parsing results
       this.styleRules = [];
       this.mediaQueries = [];
+      this.keyframes = [];
+      this.fontFaces = [];
+      this.imports = [];
+      this.layers = [];
+      this.conditionalRules = [];
+      this.diagnostics = [];
       
-      // Process all CSS rules
+      // Record document order up front, as rules are reached through the blocks they are in
+      this.ruleOrder.clear();
       root.walkRules(rule => {
-        // Skip rules inside media queries (handled separately)
-        if (rule.parent.type === 'atrule' && rule.parent.name === 'media') {
-          return;
-        }
-        
-        this.processRule(rule);
+        this.ruleOrder.set(rule, this.ruleOrder.size);
       });
       
-      // Process media queries
-      root.walkAtRules('media', atRule => {
-        const mediaQuery = {
-          query: atRule.params,
-          rules: []
-        };
-        
-        atRule.walkRules(rule => {
-          mediaQuery.rules.push(this.processRule(rule, true));
-        });
-        
-        this.mediaQueries.push(mediaQuery);
+      // Process all CSS rules, following @media, @supports, @layer and @container blocks
+      this.processBlock(root, { mediaQuery: null, layer: null });
+      this.assignLayerOrder();
+      
+      // Process keyframe animations, including vendor-prefixed ones
+      root.walkAtRules(/^(-\w+-)?keyframes$/i, atRule => {
+        this.keyframes.push(this.processKeyframes(atRule));
+      });
+      
+      // Process web fonts and imported stylesheets
+      root.walkAtRules('font-face', atRule => {
+        this.fontFaces.push(this.processFontFace(atRule));
+      });
+      root.walkAtRules('import', atRule => {
+        this.imports.push(this.processImport(atRule));
       });
       
       return {
         styleRules: this.styleRules,
-        mediaQueries: this.mediaQueries
+        mediaQueries: this.mediaQueries,
+        keyframes: this.keyframes,
+        fontFaces: this.fontFaces,
+        imports: this.imports,
+        layers: this.getLayerOrder(),
+        conditionalRules: this.conditionalRules,
+        diagnostics: this.diagnostics
       };
     } catch (error) {
       console.error('Error parsing CSS:', error);
@@ -65,25 +101,227 @@ class CSSParser {
     }
   }
 
+  /**
+   * Process the rules of a stylesheet or block, following the at-rules they are nested in
+   * @param {Object} block - The PostCSS root or at-rule
+   * @param {Object} context - The enclosing media query (null at the top level) and cascade
+   *                           layer (null outside layers)
+   */
+  processBlock(block, context) {
+    block.each(node => {
+      if (node.type === 'rule') {
+        const media = context.mediaQuery ? context.mediaQuery.query : null;
+        const processedRule = this.processRule(node, !!context.mediaQuery, media);
+        processedRule.layer = context.layer;
+        if (context.mediaQuery) {
+          context.mediaQuery.rules.push(processedRule);
+        }
+        return;
+      }
+      if (node.type !== 'atrule') return;
+      
+      const name = node.name.toLowerCase();
+      
+      if (name === 'media') {
+        this.processMediaBlock(node, node.params, context);
+      } else if (name === 'supports') {
+        // Blocks guarded by features Webflow lacks are left out, like a browser would
+        const applied = this.supportsEvaluator.evaluate(node.params);
+        this.conditionalRules.push({ atRule: 'supports', condition: node.params, applied, query: null, reason: null });
+        if (applied) {
+          this.processBlock(node, context);
+        }
+      } else if (name === 'layer') {
+        // A statement only declares the order of its layers
+        if (!node.nodes) {
+          node.params.split(',').forEach(layerName => this.registerLayer(layerName.trim(), context.layer));
+          return;
+        }
+        const layer = this.registerLayer(node.params.trim(), context.layer);
+        this.processBlock(node, { ...context, layer });
+      } else if (name === 'container') {
+        const conversion = this.convertContainerQuery(node.params);
+        this.conditionalRules.push({
+          atRule: 'container',
+          condition: node.params,
+          applied: !!conversion.query,
+          query: conversion.query,
+          reason: conversion.reason
+        });
+        if (conversion.query) {
+          this.processMediaBlock(node, conversion.query, context);
+        }
+      } else if (node.nodes && !/^(-\w+-)?keyframes$/i.test(name) && name !== 'font-face') {
+        this.processBlock(node, context);
+      }
+    });
+  }
+
+  /**
+   * Process a block whose rules apply under a media query
+   * @param {Object} atRule - The PostCSS at-rule
+   * @param {string} query - The media query the block applies under
+   * @param {Object} context - The enclosing media query and cascade layer
+   */
+  processMediaBlock(atRule, query, context) {
+    const mediaQuery = {
+      query: context.mediaQuery ? this.combineQueries(context.mediaQuery.query, query) : query,
+      rules: []
+    };
+    if (atRule.name.toLowerCase() === 'container') {
+      mediaQuery.container = atRule.params;
+    }
+    
+    this.mediaQueries.push(mediaQuery);
+    this.processBlock(atRule, { ...context, mediaQuery });
+  }
+
+  /**
+   * Combine nested media queries into one that applies where both do
+   * @param {string} outer - The enclosing media query
+   * @param {string} inner - The nested media query
+   * @returns {string} - The combined media query
+   */
+  combineQueries(outer, inner) {
+    const outerQueries = outer.split(',').map(query => query.trim());
+    const innerQueries = inner.split(',').map(query => query.trim());
+    
+    return outerQueries
+      .flatMap(outerQuery => innerQueries.map(innerQuery => `${outerQuery} and ${innerQuery}`))
+      .join(', ');
+  }
+
+  /**
+   * Approximate a container query with a media query on the viewport width
+   * @param {string} params - The @container prelude, e.g. "card (min-width: 400px)"
+   * @returns {Object} - The media query, or null and the reason it cannot be approximated
+   */
+  convertContainerQuery(params) {
+    // The container name only selects which ancestor is queried
+    const condition = params.trim().replace(/^(?!not\b)[a-z_-][\w-]*\s+(?=[(n])/i, '');
+    
+    const unsupported = condition.match(/\b(height|block-size|aspect-ratio|orientation|style|scroll-state)\b/i);
+    if (unsupported) {
+      return { query: null, reason: `Container feature "${unsupported[1]}" has no viewport equivalent` };
+    }
+    if (!/\bwidth\b|inline-size/i.test(condition)) {
+      return { query: null, reason: 'Container query has no width condition to approximate' };
+    }
+    
+    const query = condition
+      .replace(/inline-size/gi, 'width')
+      .replace(/\s+or\s+/gi, ', ');
+    
+    return { query, reason: 'Approximated with the viewport width, as Webflow has no container queries' };
+  }
+
+  /**
+   * Record a cascade layer and its ancestors in order of first appearance
+   * @param {string} name - The layer name, possibly dotted, or '' for an anonymous layer
+   * @param {string|null} parent - The full name of the enclosing layer
+   * @returns {string} - The layer's full name
+   */
+  registerLayer(name, parent) {
+    // Every anonymous layer is a distinct layer
+    const ownName = name || `<anonymous-${this.layers.filter(layer => layer.includes('<anonymous-')).length + 1}>`;
+    const segments = (parent ? `${parent}.${ownName}` : ownName).split('.');
+    
+    segments.forEach((segment, index) => {
+      const fullName = segments.slice(0, index + 1).join('.');
+      if (!this.layers.includes(fullName)) {
+        this.layers.push(fullName);
+      }
+    });
+    
+    return segments.join('.');
+  }
+
+  /**
+   * Get the cascade layers from lowest to highest priority
+   * @returns {Array<string>} - The full layer names; a layer's sublayers precede the layer itself
+   */
+  getLayerOrder() {
+    const appearance = name => this.layers.indexOf(name);
+    
+    return this.layers.slice().sort((a, b) => {
+      const aSegments = a.split('.');
+      const bSegments = b.split('.');
+      
+      for (let i = 0; i < Math.min(aSegments.length, bSegments.length); i++) {
+        if (aSegments[i] !== bSegments[i]) {
+          return appearance(aSegments.slice(0, i + 1).join('.')) - appearance(bSegments.slice(0, i + 1).join('.'));
+        }
+      }
+      
+      // Styles directly in a layer beat those of its sublayers
+      return bSegments.length - aSegments.length;
+    });
+  }
+
+  /**
+   * Give every processed rule its cascade layer's priority
+   */
+  assignLayerOrder() {
+    const order = this.getLayerOrder();
+    const rules = this.styleRules.concat(...this.mediaQueries.map(mediaQuery => mediaQuery.rules));
+    
+    rules.forEach(rule => {
+      rule.layerOrder = rule.layer === null ? null : order.indexOf(rule.layer);
+    });
+  }
+
   /**
    * Process a CSS rule and extract its properties
    * @param {Object} rule - The PostCSS rule
    * @param {boolean} forMediaQuery - Whether this rule is part of a media query
+   * @param {string|null} media - The media query the rule applies under, for diagnostics
    * @returns {Object} - The processed rule
    */
-  processRule(rule, forMediaQuery = false) {
+  processRule(rule, forMediaQuery = false, media = null) {
     const selector = rule.selector;
     const properties = {};
+    const declarations = [];
+    const customDeclarations = [];
     
-    // Extract all declarations (property-value pairs)
+    // Extract all declarations (property-value pairs), expanding shorthands in place so
+    // they interleave correctly with longhands declared before or after them
+    const decls = [];
     rule.walkDecls(decl => {
-      properties[decl.prop] = decl.value;
+      const position = decl.source && decl.source.start ? decl.source.start : {};
+      decls.push({
+        property: decl.prop,
+        value: decl.value,
+        important: !!decl.important,
+        line: position.line || null,
+        column: position.column || null
+      });
+    });
+    const sorted = this.propertySupport.sortDeclarations(decls);
+    
+    sorted.diagnostics.forEach(({ action, property, value, reason, source }) => {
+      this.diagnostics.push({ action, property, value, selector, media, line: source.line, column: source.column, reason });
+    });
+    sorted.customDeclarations.forEach(({ property, value, important }) => {
+      customDeclarations.push({ property, value, important });
+    });
+    sorted.declarations.forEach(({ property, value, important, shorthand, source }) => {
+      declarations.push({ property, value, important, shorthand, line: source.line, column: source.column });
+      
+      // An !important declaration is not overridden by a later normal one
+      const existing = declarations.find(d => d.property === property && d.important);
+      if (!existing || important) {
+        properties[property] = value;
+      }
     });
     
     const processedRule = {
       selector,
       specificity: this.calculateSpecificity(selector),
       properties,
+      declarations,
+      customDeclarations,
+      line: rule.source && rule.source.start ? rule.source.start.line : null,
+      sourceOrder: this.ruleOrder.has(rule) ? this.ruleOrder.get(rule) : this.ruleOrder.size,
       originalRule: rule.toString()
     };
     
@@ -96,28 +334,98 @@ class CSSParser {
   }
 
   /**
-   * Calculate the specificity of a CSS selector
-   * @param {string} selector - The CSS selector
-   * @returns {number} - The specificity value
+   * Process a @keyframes block into its keyframes
+   * @param {Object} atRule - The PostCSS at-rule
+   * @returns {Object} - The animation name, its keyframes sorted by offset and the original CSS
    */
-  calculateSpecificity(selector) {
-    // Simple specificity calculation
-    // This is a simplified version - a real implementation would be more complex
-    let specificity = 0;
+  processKeyframes(atRule) {
+    const frames = [];
+    
+    atRule.each(rule => {
+      if (rule.type !== 'rule') return;
+      
+      const properties = {};
+      rule.walkDecls(decl => {
+        this.shorthandExpander.toLonghands(decl.prop, decl.value).forEach(({ property, value }) => {
+          properties[property] = value;
+        });
+      });
+      
+      // A keyframe selector may list several offsets, e.g. "0%, 100%"
+      rule.selectors.forEach(offsetText => {
+        const text = offsetText.trim().toLowerCase();
+        const offset = text === 'from' ? 0 : text === 'to' ? 100 : parseFloat(text);
+        if (isNaN(offset)) return;
+        
+        const existing = frames.find(frame => frame.offset === offset);
+        if (existing) {
+          Object.assign(existing.properties, properties);
+        } else {
+          frames.push({ offset, properties: { ...properties } });
+        }
+      });
+    });
+    
+    frames.sort((a, b) => a.offset - b.offset);
     
-    // Count IDs
-    const idCount = (selector.match(/#[a-zA-Z0-9_-]+/g) || []).length;
-    specificity += idCount * 100;
+    return {
+      name: atRule.params.trim().replace(/^(["'])(.*)\1$/, '$2'),
+      frames,
+      originalRule: atRule.toString()
+    };
+  }
+
+  /**
+   * Process a @font-face block
+   * @param {Object} atRule - The PostCSS at-rule
+   * @returns {Object} - The font family, weight, style and sources
+   */
+  processFontFace(atRule) {
+    const descriptors = {};
+    atRule.walkDecls(decl => {
+      descriptors[decl.prop.toLowerCase()] = decl.value.trim();
+    });
     
-    // Count classes, attributes, and pseudo-classes
-    const classCount = (selector.match(/\.[a-zA-Z0-9_-]+|\[.+?\]|:[a-zA-Z0-9_-]+/g) || []).length;
-    specificity += classCount * 10;
+    const sources = [];
+    (descriptors.src || '').split(/,(?![^(]*\))/).forEach(source => {
+      const url = source.match(/url\(\s*(["']?)([^"')]+)\1\s*\)/i);
+      const format = source.match(/format\(\s*["']?([^"')]+)["']?\s*\)/i);
+      if (url) {
+        sources.push({ url: url[2], format: format ? format[1] : null });
+      }
+    });
     
-    // Count elements and pseudo-elements
-    const elementCount = (selector.match(/[a-zA-Z0-9_-]+|::[a-zA-Z0-9_-]+/g) || []).length;
-    specificity += elementCount;
+    return {
+      family: (descriptors['font-family'] || '').replace(/^(["'])(.*)\1$/, '$2'),
+      weight: descriptors['font-weight'] || '400',
+      style: descriptors['font-style'] || 'normal',
+      sources
+    };
+  }
+
+  /**
+   * Process an @import rule
+   * @param {Object} atRule - The PostCSS at-rule
+   * @returns {Object} - The imported URL and the media it applies to
+   */
+  processImport(atRule) {
+    const match = atRule.params.match(/^\s*(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)\s*(.*)$/i);
     
-    return specificity;
+    return {
+      url: match ? match[2] || match[4] : atRule.params,
+      media: match && match[5] ? match[5].trim() : null
+    };
+  }
+
+  /**
+   * Calculate the specificity of a CSS selector
+   * @param {string} selector - The CSS selector (or selector list)
+   * @returns {Array<number>} - The (a, b, c) specificity tuple of the most specific selector
+   */
+  calculateSpecificity(selector) {
+    return this.selectorMatcher.parseSelector(selector)
+      .map(complex => this.selectorMatcher.getSpecificity(complex))
+      .reduce((max, tuple) => SelectorMatcher.compareSpecificity(tuple, max) > 0 ? tuple : max, [0, 0, 0]);
   }
 
   /**
@@ -137,23 +445,13 @@ class CSSParser {
   }
 
   /**
-   * Find style rules that match a given selector
-   * @param {string} elementSelector - The element selector to match against
+   * Find style rules that match a given element
+   * @param {Object} element - The parsed HTML element to match against
+   * @param {SelectorMatcher} selectorMatcher - A matcher indexed with the element's tree
    * @returns {Array} - Array of matching style rules
    */
-  findMatchingRules(elementSelector) {
-    // This is a simplified matching algorithm
-    // A real implementation would use a proper CSS selector matching algorithm
-    return this.styleRules.filter(rule => {
-      // Split compound selectors
-      const selectors = rule.selector.split(',').map(s => s.trim());
-      
-      // Check if any selector matches
-      return selectors.some(selector => {
-        // Simple exact match for now
-        return selector === elementSelector;
-      });
-    });
+  findMatchingRules(element, selectorMatcher) {
+    return selectorMatcher.findMatchingRules(element, this.styleRules).map(match => match.rule);
   }
 
   /**
@@ -178,117 +476,49 @@ class CSSParser {
     
     // Sort rules in each group by specificity
     Object.keys(groups).forEach(selector => {
-      groups[selector].sort((a, b) => a.specificity - b.specificity);
+      groups[selector].sort((a, b) => SelectorMatcher.compareSpecificity(a.specificity, b.specificity));
     });
     
     return groups;
   }
 
+  /**
+   * Convert a CSS pseudo-class (or ::placeholder) to the Webflow style state it targets
+   * @param {string} pseudoClass - The pseudo-class name, e.g. "hover" or "active"
+   * @returns {string|null} - The Webflow state, or null if Webflow has no such state
+   */
+  mapToWebflowState(pseudoClass) {
+    return WEBFLOW_STATES[pseudoClass] || null;
+  }
+
+  /**
+   * Convert a Webflow style state back to the CSS selector suffix that targets it
+   * @param {string} state - The Webflow state, e.g. "pressed"
+   * @returns {string|null} - The selector suffix, e.g. ":active", or null if unknown
+   */
+  mapToCssState(state) {
+    const pseudoClass = Object.keys(WEBFLOW_STATES).find(key => WEBFLOW_STATES[key] === state);
+    if (!pseudoClass) return null;
+    
+    return pseudoClass === 'placeholder' ? '::placeholder' : `:${pseudoClass}`;
+  }
+
   /**
    * Convert CSS property names to Webflow style property names
    * @param {string} cssProperty - The CSS property name
    * @returns {string} - The corresponding Webflow style property name
    */
   mapToWebflowProperty(cssProperty) {
-    // Map of CSS properties to Webflow style properties
-    const propertyMap = {
-      // Typography
-      'font-family': 'fontFamily',
-      'font-size': 'fontSize',
-      'font-weight': 'fontWeight',
-      'line-height': 'lineHeight',
-      'letter-spacing': 'letterSpacing',
-      'text-align': 'textAlign',
-      'text-decoration': 'textDecoration',
-      'text-transform': 'textTransform',
-      
-      // Colors
-      'color': 'color',
-      'background-color': 'backgroundColor',
-      'border-color': 'borderColor',
-      
-      // Layout
-      'display': 'display',
-      'position': 'position',
-      'top': 'top',
-      'right': 'right',
-      'bottom': 'bottom',
-      'left': 'left',
-      'z-index': 'zIndex',
-      'float': 'float',
-      'clear': 'clear',
-      
-      // Dimensions
-      'width': 'width',
-      'height': 'height',
-      'max-width': 'maxWidth',
-      'max-height': 'maxHeight',
-      'min-width': 'minWidth',
-      'min-height': 'minHeight',
-      
-      // Margin & Padding
-      'margin': 'margin',
-      'margin-top': 'marginTop',
-      'margin-right': 'marginRight',
-      'margin-bottom': 'marginBottom',
-      'margin-left': 'marginLeft',
-      'padding': 'padding',
-      'padding-top': 'paddingTop',
-      'padding-right': 'paddingRight',
-      'padding-bottom': 'paddingBottom',
-      'padding-left': 'paddingLeft',
-      
-      // Border
-      'border': 'border',
-      'border-top': 'borderTop',
-      'border-right': 'borderRight',
-      'border-bottom': 'borderBottom',
-      'border-left': 'borderLeft',
-      'border-width': 'borderWidth',
-      'border-style': 'borderStyle',
-      'border-radius': 'borderRadius',
-      
-      // Background
-      'background': 'background',
-      'background-image': 'backgroundImage',
-      'background-size': 'backgroundSize',
-      'background-position': 'backgroundPosition',
-      'background-repeat': 'backgroundRepeat',
-      
-      // Flexbox
-      'flex': 'flex',
-      'flex-direction': 'flexDirection',
-      'flex-wrap': 'flexWrap',
-      'justify-content': 'justifyContent',
-      'align-items': 'alignItems',
-      'align-content': 'alignContent',
-      'align-self': 'alignSelf',
-      'flex-grow': 'flexGrow',
-      'flex-shrink': 'flexShrink',
-      'flex-basis': 'flexBasis',
-      'order': 'order',
-      
-      // Grid
-      'grid-template-columns': 'gridTemplateColumns',
-      'grid-template-rows': 'gridTemplateRows',
-      'grid-column-gap': 'gridColumnGap',
-      'grid-row-gap': 'gridRowGap',
-      'grid-column': 'gridColumn',
-      'grid-row': 'gridRow',
-      
-      // Other
-      'opacity': 'opacity',
-      'box-shadow': 'boxShadow',
-      'transition': 'transition',
-      'transform': 'transform',
-      'cursor': 'cursor',
-      'overflow': 'overflow',
-      'visibility': 'visibility',
-      
-      // Add more mappings as needed
-    };
-    
-    return propertyMap[cssProperty] || cssProperty;
+    return this.propertySupport.getWebflowProperty(cssProperty) || cssProperty;
+  }
+
+  /**
+   * Check whether Webflow styles can hold a CSS property
+   * @param {string} cssProperty - The CSS property name
+   * @returns {boolean} - True if the property has a Webflow style property
+   */
+  isWebflowProperty(cssProperty) {
+    return this.propertySupport.getWebflowProperty(cssProperty) !== null;
   }
 }
 
@@ -0,0 +1,446 @@
+/**
+ * Font Planner for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for web fonts. It collects the fonts a page loads through
+ * @font-face and Google Fonts stylesheets, cross-checks them against the font families
+ * the converted styles use, and produces a plan of the Google Fonts to enable and the
+ * custom font files to upload. Font stacks naming unavailable fonts are rewritten so
+ * they fall back deliberately rather than to the Webflow default.
+ */
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-serif',
+  'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong'];
+
+// System fonts Webflow offers without uploading or enabling anything
+const SYSTEM_FONTS = ['arial', 'helvetica', 'helvetica neue', 'georgia', 'times new roman', 'times', 'verdana',
+  'tahoma', 'trebuchet ms', 'courier new', 'courier', 'palatino linotype', 'lucida grande', 'lucida sans unicode',
+  'impact', 'gill sans', 'segoe ui', '-apple-system', 'blinkmacsystemfont'];
+
+const FONT_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'revert-layer'];
+
+const WEIGHT_KEYWORDS = { normal: 400, bold: 700, lighter: 300, bolder: 700 };
+
+// Fonts browsers give elements by default, before any stylesheet
+const TAG_FONTS = {
+  b: { weight: 'bolder' },
+  strong: { weight: 'bolder' },
+  th: { weight: 'bold' },
+  h1: { weight: 'bold' },
+  h2: { weight: 'bold' },
+  h3: { weight: 'bold' },
+  h4: { weight: 'bold' },
+  h5: { weight: 'bold' },
+  h6: { weight: 'bold' },
+  i: { style: 'italic' },
+  em: { style: 'italic' },
+  cite: { style: 'italic' },
+  dfn: { style: 'italic' },
+  var: { style: 'italic' },
+  address: { style: 'italic' }
+};
+
+// The font of the root element, which inherits nothing
+const INITIAL_FONT = { family: null, weight: 400, style: 'normal' };
+
+const GOOGLE_FONTS_HOST = /^fonts\.googleapis\.com$/i;
+
+class FontPlanner {
+  /**
+   * Constructor for the Font Planner
+   */
+  constructor() {
+    this.families = new Map(); // Maps lowercase family names to the fonts the page loads
+    this.usages = new Map(); // Maps lowercase family names to how the styles use them
+    this.rewrites = [];
+    this.ignoredImports = [];
+  }
+
+  /**
+   * Clear collected fonts and usages
+   */
+  reset() {
+    this.families.clear();
+    this.usages.clear();
+    this.rewrites = [];
+    this.ignoredImports = [];
+  }
+
+  /**
+   * Register the fonts declared by @font-face blocks
+   * @param {Array} fontFaces - The font faces, as parsed by CSSParser
+   */
+  addFontFaces(fontFaces = []) {
+    fontFaces.forEach(fontFace => {
+      if (!fontFace.family) return;
+
+      const family = this.getOrCreateFamily(fontFace.family, 'custom');
+      const weights = fontFace.weight.split(/\s+/).map(weight => this.normalizeWeight(weight));
+      family.faces.push({
+        weight: weights[0],
+        maxWeight: weights[weights.length - 1],
+        style: this.normalizeStyle(fontFace.style),
+        files: fontFace.sources
+      });
+    });
+  }
+
+  /**
+   * Register the fonts loaded by imported or linked stylesheets
+   * @param {Array<string>} urls - The stylesheet URLs
+   */
+  addStylesheets(urls = []) {
+    urls.forEach(url => {
+      const families = this.parseGoogleFontsUrl(url);
+      if (!families) {
+        this.ignoredImports.push(url);
+        return;
+      }
+
+      families.forEach(({ family: name, variants }) => {
+        const family = this.getOrCreateFamily(name, 'google');
+        variants.forEach(variant => {
+          family.faces.push({ weight: variant.weight, maxWeight: variant.maxWeight, style: variant.style, files: [] });
+        });
+      });
+    });
+  }
+
+  /**
+   * Get the record of a loaded font family, creating it if needed
+   * @param {string} name - The family name
+   * @param {string} source - 'google' or 'custom'
+   * @returns {Object} - The family record
+   */
+  getOrCreateFamily(name, source) {
+    const key = name.toLowerCase();
+    if (!this.families.has(key)) {
+      this.families.set(key, { family: name, source, faces: [] });
+    }
+    return this.families.get(key);
+  }
+
+  /**
+   * Read the families and variants requested by a Google Fonts stylesheet URL
+   * @param {string} url - The stylesheet URL
+   * @returns {Array|null} - The families with their variants, or null if not a Google Fonts URL
+   */
+  parseGoogleFontsUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url.startsWith('//') ? `https:${url}` : url);
+    } catch (error) {
+      return null;
+    }
+    if (!GOOGLE_FONTS_HOST.test(parsed.hostname)) return null;
+
+    const css2 = /\/css2$/.test(parsed.pathname);
+
+    // The first CSS API separates families with '|' rather than repeating the parameter
+    const specs = parsed.searchParams.getAll('family')
+      .flatMap(spec => css2 ? [spec] : spec.split('|'))
+      .filter(Boolean);
+
+    return specs.map(spec => {
+      const [family, axes] = spec.split(':');
+      return {
+        family: family.trim(),
+        variants: css2 ? this.parseCss2Axes(axes) : this.parseCssVariants(axes)
+      };
+    });
+  }
+
+  /**
+   * Read the variants of a family in a Google Fonts CSS2 URL, e.g. "ital,wght@0,400;1,700"
+   * @param {string} axes - The axis specification after the family name
+   * @returns {Array} - The variants, each with a weight (or weight range) and a style
+   */
+  parseCss2Axes(axes) {
+    if (!axes || !axes.includes('@')) {
+      return [{ weight: 400, maxWeight: 400, style: 'normal' }];
+    }
+
+    const [names, tuples] = axes.split('@');
+    const axisNames = names.split(',');
+
+    return tuples.split(';').map(tuple => {
+      const values = tuple.split(',');
+      const value = axis => {
+        const index = axisNames.indexOf(axis);
+        return index === -1 ? null : values[index];
+      };
+
+      const weights = (value('wght') || '400').split('..').map(Number);
+      return {
+        weight: weights[0],
+        maxWeight: weights[weights.length - 1],
+        style: value('ital') === '1' ? 'italic' : 'normal'
+      };
+    });
+  }
+
+  /**
+   * Read the variants of a family in a first-version Google Fonts URL, e.g. "400,700italic"
+   * @param {string} variants - The variant list after the family name
+   * @returns {Array} - The variants, each with a weight and a style
+   */
+  parseCssVariants(variants) {
+    if (!variants) {
+      return [{ weight: 400, maxWeight: 400, style: 'normal' }];
+    }
+
+    return variants.split(',').map(variant => {
+      const lower = variant.trim().toLowerCase();
+      const italic = /(italic|^i$|^bi$)/.test(lower);
+      let weight = parseInt(lower, 10);
+      if (isNaN(weight)) {
+        weight = /^(bold|b|bi)/.test(lower) ? 700 : 400;
+      }
+      return { weight, maxWeight: weight, style: italic ? 'italic' : 'normal' };
+    });
+  }
+
+  /**
+   * Record the fonts used by an element's style variants and rewrite unavailable font stacks
+   * @param {Array} variants - The element's style variants; font-family values are rewritten
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @param {string|null} tagName - The element's tag name, for the fonts browsers give it
+   * @param {Function|null} getInheritedFont - Returns the font the element inherits at a breakpoint,
+   *                                           as returned by computeFont; without it nothing is inherited
+   */
+  applyToVariants(variants, elementId, tagName = null, getInheritedFont = null) {
+    const getRestingStyles = breakpoint => {
+      const resting = variants.find(variant => variant.breakpoint === breakpoint && !variant.state);
+      return resting ? resting.styles : {};
+    };
+    const baseStyles = getRestingStyles('main');
+
+    variants.forEach(variant => {
+      const value = variant.styles['font-family'];
+      const setsFont = ['font-family', 'font-weight', 'font-style'].some(property => property in variant.styles);
+      if (setsFont) {
+        // States keep what the resting element sets at their breakpoint
+        const styles = variant.state
+          ? { ...baseStyles, ...getRestingStyles(variant.breakpoint), ...variant.styles }
+          : { ...baseStyles, ...variant.styles };
+        const inherited = getInheritedFont ? getInheritedFont(variant.breakpoint) : null;
+        this.recordFont(this.computeFont(styles, tagName, inherited), elementId);
+      }
+
+      if (!value || FONT_KEYWORDS.includes(value.toLowerCase()) || /var\(/i.test(value)) return;
+
+      const rewritten = this.rewriteFontFamily(value);
+      if (rewritten !== value) {
+        variant.styles['font-family'] = rewritten;
+        if (!this.rewrites.some(rewrite => rewrite.from === value)) {
+          this.rewrites.push({ from: value, to: rewritten });
+        }
+      }
+    });
+  }
+
+  /**
+   * Compute the font an element renders with from its own properties and the font it inherits
+   * @param {Object} properties - The element's resolved properties
+   * @param {string|null} tagName - The element's tag name, for the fonts browsers give it
+   * @param {Object|null} inherited - The parent's computed font, or null for the root element
+   * @returns {Object} - The font-family value (null when nothing sets one), the numeric weight
+   *                     and 'normal' or 'italic'
+   */
+  computeFont(properties, tagName = null, inherited = null) {
+    const parent = inherited || INITIAL_FONT;
+    const tagFont = TAG_FONTS[String(tagName || '').toLowerCase()] || {};
+
+    // Keywords leave the inherited value, as the converter has no other initial font to use
+    const getValue = property => {
+      const value = properties[property];
+      return value && !FONT_KEYWORDS.includes(String(value).trim().toLowerCase()) ? String(value) : null;
+    };
+
+    const family = getValue('font-family') || parent.family;
+    const weight = this.computeWeight(getValue('font-weight') || tagFont.weight || null, parent.weight);
+    const styleValue = getValue('font-style') || tagFont.style || null;
+    const style = styleValue ? this.normalizeStyle(styleValue) : parent.style;
+
+    return { family, weight, style };
+  }
+
+  /**
+   * Compute a font weight, resolving relative weights against the inherited one
+   * @param {string|null} weight - The declared font weight, or null to inherit
+   * @param {number} inheritedWeight - The numeric weight of the parent
+   * @returns {number} - The numeric font weight
+   */
+  computeWeight(weight, inheritedWeight) {
+    if (!weight) return inheritedWeight;
+
+    const value = weight.trim().toLowerCase();
+    if (value === 'bolder') {
+      return inheritedWeight < 350 ? 400 : inheritedWeight < 550 ? 700 : 900;
+    }
+    if (value === 'lighter') {
+      return inheritedWeight < 550 ? 100 : inheritedWeight < 750 ? 400 : 700;
+    }
+    return this.normalizeWeight(value);
+  }
+
+  /**
+   * Record the families of a computed font with its weight and style
+   * @param {Object} font - The font, as returned by computeFont
+   * @param {string} elementId - The parsed element's ID, for the report
+   */
+  recordFont(font, elementId) {
+    if (!font.family || /var\(/i.test(font.family)) return;
+
+    this.parseFamilyList(font.family).forEach(family => {
+      this.recordUsage(family, font.weight, font.style, elementId);
+    });
+  }
+
+  /**
+   * Record that a font family is used with a weight and style
+   * @param {string} family - The family name
+   * @param {number} weight - The numeric font weight
+   * @param {string} style - 'normal' or 'italic'
+   * @param {string} elementId - The parsed element's ID
+   */
+  recordUsage(family, weight, style, elementId) {
+    const key = family.toLowerCase();
+    if (GENERIC_FAMILIES.includes(key)) return;
+
+    if (!this.usages.has(key)) {
+      this.usages.set(key, { family, variants: [], elements: [] });
+    }
+
+    const usage = this.usages.get(key);
+    if (!usage.variants.some(variant => variant.weight === weight && variant.style === style)) {
+      usage.variants.push({ weight, style });
+    }
+    if (!usage.elements.includes(elementId)) {
+      usage.elements.push(elementId);
+    }
+  }
+
+  /**
+   * Remove unavailable fonts from a font stack
+   * @param {string} value - The font-family value
+   * @returns {string} - The font stack, keeping only fonts Webflow can render
+   */
+  rewriteFontFamily(value) {
+    const families = this.parseFamilyList(value);
+    const available = families.filter(family => this.isAvailable(family));
+
+    if (available.length === families.length) return value;
+
+    // With nothing left, fall back to a generic family rather than the Webflow default
+    if (available.length === 0) return 'sans-serif';
+
+    return available.map(family => (/^[\w-]+$/.test(family) ? family : `"${family}"`)).join(', ');
+  }
+
+  /**
+   * Check whether a font family can be rendered in Webflow
+   * @param {string} family - The family name
+   * @returns {boolean} - True for generic families, system fonts and loaded fonts
+   */
+  isAvailable(family) {
+    const key = family.toLowerCase();
+    return GENERIC_FAMILIES.includes(key) || SYSTEM_FONTS.includes(key) || this.families.has(key);
+  }
+
+  /**
+   * Split a font-family value into family names
+   * @param {string} value - The font-family value
+   * @returns {Array<string>} - The family names, unquoted
+   */
+  parseFamilyList(value) {
+    return value.split(',')
+      .map(family => family.trim().replace(/^(["'])(.*)\1$/, '$2').replace(/\s+/g, ' '))
+      .filter(Boolean);
+  }
+
+  /**
+   * Convert a font weight to its numeric value
+   * @param {string|number} weight - The font weight
+   * @returns {number} - The numeric weight
+   */
+  normalizeWeight(weight) {
+    const value = String(weight).trim().toLowerCase();
+    if (WEIGHT_KEYWORDS[value]) return WEIGHT_KEYWORDS[value];
+
+    const number = parseInt(value, 10);
+    return isNaN(number) ? 400 : number;
+  }
+
+  /**
+   * Reduce a font style to 'normal' or 'italic'
+   * @param {string} style - The font style
+   * @returns {string} - 'italic' for italic and oblique styles, otherwise 'normal'
+   */
+  normalizeStyle(style) {
+    return /^(italic|oblique)/i.test(String(style).trim()) ? 'italic' : 'normal';
+  }
+
+  /**
+   * Check whether a loaded family has a face for a weight and style
+   * @param {Object} family - The family record
+   * @param {Object} variant - The weight and style
+   * @returns {boolean} - True if a face covers the variant
+   */
+  hasFace(family, variant) {
+    return family.faces.some(face => {
+      return face.style === variant.style && variant.weight >= face.weight && variant.weight <= face.maxWeight;
+    });
+  }
+
+  /**
+   * Build the font plan from the collected fonts and usages
+   * @returns {Object} - The Google Fonts to enable, the custom fonts to upload, the families
+   *                     that are used but not available, the rewritten stacks and the
+   *                     loaded fonts no style uses
+   */
+  getPlan() {
+    const plan = {
+      googleFonts: [],
+      customFonts: [],
+      missing: [],
+      rewrites: this.rewrites.slice(),
+      unused: [],
+      ignoredImports: this.ignoredImports.slice()
+    };
+
+    const sortVariants = variants => variants.slice().sort((a, b) => a.weight - b.weight || a.style.localeCompare(b.style));
+
+    this.usages.forEach((usage, key) => {
+      const family = this.families.get(key);
+
+      if (!family) {
+        if (!SYSTEM_FONTS.includes(key)) {
+          plan.missing.push({ family: usage.family, elements: usage.elements.slice() });
+        }
+        return;
+      }
+
+      if (family.source === 'google') {
+        // Enabling a Google Font in Webflow makes every weight the styles use available
+        plan.googleFonts.push({ family: family.family, variants: sortVariants(usage.variants) });
+        return;
+      }
+
+      plan.customFonts.push({
+        family: family.family,
+        files: family.faces.flatMap(face => face.files.map(file => ({ ...file, weight: face.weight, style: face.style }))),
+        missingVariants: sortVariants(usage.variants.filter(variant => !this.hasFace(family, variant)))
+      });
+    });
+
+    this.families.forEach((family, key) => {
+      if (!this.usages.has(key)) {
+        plan.unused.push(family.family);
+      }
+    });
+
+    return plan;
+  }
+}
+
+module.exports = FontPlanner;
@@ -0,0 +1,472 @@
+/**
+ * Grid Mapper for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for translating CSS grid layouts into Webflow's grid model.
+ * Webflow grids have an explicit list of column and row tracks, optionally named areas,
+ * and children placed between numbered lines. Track lists are expanded out of repeat(),
+ * with auto-fit and auto-fill evaluated at each breakpoint, and children placed by area
+ * name, line name, negative line or span are given the line numbers they land on in the
+ * grid of their parent at that breakpoint.
+ */
+
+const BackgroundMapper = require('./backgroundMapper');
+
+// Grid properties the mapper rewrites
+const GRID_PROPERTIES = ['grid-template-columns', 'grid-template-rows', 'grid-template-areas',
+  'grid-column-start', 'grid-column-end', 'grid-row-start', 'grid-row-end'];
+
+// Font size rem and em are resolved against when a track size must be evaluated
+const ROOT_FONT_SIZE = 16;
+
+class GridMapper {
+  /**
+   * Constructor for the Grid Mapper
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint inheritance
+   *                                             and the viewport width of each breakpoint
+   * @param {ValueNormalizer} valueNormalizer - The value normalizer, whose report grid issues join
+   */
+  constructor(breakpointMapper, valueNormalizer) {
+    this.breakpointMapper = breakpointMapper;
+    this.valueNormalizer = valueNormalizer;
+    this.grids = new Map();
+  }
+
+  /**
+   * Rewrite the grid properties of an element's style variants
+   * @param {Array} variants - The element's style variants, after value normalisation; their
+   *                           styles are rewritten
+   * @param {string} elementId - The parsed element's ID
+   * @param {string|null} parentId - The parsed ID of the element's parent, whose grid places
+   *                                 the element; parents are mapped before their children
+   */
+  applyToVariants(variants, elementId, parentId = null) {
+    const breakpoints = this.breakpointMapper.getBreakpoints();
+    const resting = {};
+    variants.filter(variant => !variant.state).forEach(variant => {
+      resting[variant.breakpoint] = variant;
+    });
+
+    const computed = {};
+    const mapped = {};
+    const grids = {};
+
+    // The grid and the placement are worked out on the full style at each breakpoint
+    breakpoints.forEach(breakpoint => {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      const styles = BackgroundMapper.mergeStyles(parent ? computed[parent] : {}, resting[breakpoint] ? resting[breakpoint].styles : {});
+      computed[breakpoint] = styles;
+
+      mapped[breakpoint] = {};
+      GRID_PROPERTIES.filter(property => property in styles).forEach(property => {
+        mapped[breakpoint][property] = styles[property];
+      });
+
+      const container = this.resolveContainer(styles, breakpoint, elementId);
+      if (container) {
+        grids[breakpoint] = container.grid;
+        Object.assign(mapped[breakpoint], container.styles);
+      }
+
+      const parentGrid = parentId ? this.getGrid(parentId, breakpoint) : null;
+      if (parentGrid) {
+        Object.assign(mapped[breakpoint], this.resolvePlacement(styles, parentGrid, elementId));
+      }
+    });
+
+    if (Object.keys(grids).length > 0) {
+      this.grids.set(elementId, grids);
+    }
+
+    // Webflow inherits from the parent breakpoint, so only differences are set
+    breakpoints.forEach(breakpoint => {
+      const variant = resting[breakpoint];
+      if (!variant) return;
+
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      GRID_PROPERTIES.forEach(property => {
+        const value = mapped[breakpoint][property];
+        const inherited = parent ? mapped[parent][property] : undefined;
+        if (value === inherited) {
+          delete variant.styles[property];
+        } else {
+          variant.styles[property] = value === undefined ? 'initial' : value;
+        }
+      });
+    });
+  }
+
+  /**
+   * Work out the grid an element lays out its children on
+   * @param {Object} styles - The element's full resting style at the breakpoint
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @returns {Object|null} - The grid (tracks, areas and line names per axis) and the
+   *                          template styles Webflow takes, or null if it is not a grid
+   */
+  resolveContainer(styles, breakpoint, elementId) {
+    if (!/^(inline-)?grid$/i.test(styles.display || '')) return null;
+
+    const grid = { columns: [], rows: [], areas: {}, columnLines: {}, rowLines: {} };
+    const output = {};
+    let template = null;
+
+    const areas = styles['grid-template-areas'];
+    if (areas && areas !== 'none') {
+      template = this.parseAreas(areas);
+      if (template) {
+        grid.areas = template.areas;
+        output['grid-template-areas'] = template.rows
+          .map(row => `"${row.map(cell => cell || '.').join(' ')}"`)
+          .join(' ');
+      } else {
+        this.valueNormalizer.addIssue('grid-template-areas', areas, 'The areas do not form rectangles; they were dropped', elementId);
+        output['grid-template-areas'] = 'none';
+      }
+    }
+
+    [
+      { axis: 'columns', property: 'grid-template-columns', gap: 'column-gap', lines: 'columnLines' },
+      { axis: 'rows', property: 'grid-template-rows', gap: 'row-gap', lines: 'rowLines' }
+    ].forEach(({ axis, property, gap, lines }) => {
+      const value = styles[property];
+      if (value && /\b(subgrid|masonry)\b/i.test(value)) {
+        this.valueNormalizer.addIssue(property, value, 'Webflow grids have no subgrid or masonry tracks; the value was dropped', elementId);
+      } else if (value && value !== 'none') {
+        const gapSize = this.toPixels(styles[gap] || '0px', breakpoint) || 0;
+        const trackList = this.parseTrackList(value, breakpoint, gapSize, property, elementId);
+        if (trackList) {
+          grid[axis] = trackList.tracks;
+          grid[lines] = trackList.lines;
+        } else {
+          this.valueNormalizer.addIssue(property, value, 'The track list could not be read; it was dropped', elementId);
+        }
+      }
+
+      // Named areas need an explicit track for each of their cells
+      const needed = template ? (axis === 'columns' ? template.rows[0].length : template.rows.length) : 0;
+      while (grid[axis].length < needed) {
+        grid[axis].push('auto');
+      }
+      if (grid[axis].length > 0) {
+        output[property] = grid[axis].join(' ');
+      }
+    });
+
+    // Areas name the lines around them, after any explicit line names
+    Object.entries(grid.areas).forEach(([name, area]) => {
+      this.addLineName(grid.columnLines, `${name}-start`, area.columnStart);
+      this.addLineName(grid.columnLines, `${name}-end`, area.columnEnd);
+      this.addLineName(grid.rowLines, `${name}-start`, area.rowStart);
+      this.addLineName(grid.rowLines, `${name}-end`, area.rowEnd);
+    });
+
+    return { grid, styles: output };
+  }
+
+  /**
+   * Parse grid-template-areas
+   * @param {string} value - The area strings, e.g. '"header header" "sidebar main"'
+   * @returns {Object|null} - The cells of each row (null for empty cells) and the lines
+   *                          bounding each area, or null if the areas are invalid
+   */
+  parseAreas(value) {
+    const rows = [];
+    const pattern = /"([^"]*)"|'([^']*)'/g;
+    let match;
+    while ((match = pattern.exec(value))) {
+      const text = (match[1] !== undefined ? match[1] : match[2]).trim();
+      rows.push(text.split(/\s+/).map(cell => (/^\.+$/.test(cell) ? null : cell)));
+    }
+
+    if (rows.length === 0 || rows.some(row => row.length !== rows[0].length)) {
+      return null;
+    }
+
+    const areas = {};
+    const cellCounts = {};
+    rows.forEach((row, rowIndex) => {
+      row.forEach((name, columnIndex) => {
+        if (!name) return;
+
+        const area = areas[name] || { rowStart: rowIndex + 1, rowEnd: rowIndex + 2, columnStart: columnIndex + 1, columnEnd: columnIndex + 2 };
+        area.rowStart = Math.min(area.rowStart, rowIndex + 1);
+        area.rowEnd = Math.max(area.rowEnd, rowIndex + 2);
+        area.columnStart = Math.min(area.columnStart, columnIndex + 1);
+        area.columnEnd = Math.max(area.columnEnd, columnIndex + 2);
+        areas[name] = area;
+        cellCounts[name] = (cellCounts[name] || 0) + 1;
+      });
+    });
+
+    // Each area must fill the rectangle it spans
+    const rectangular = Object.entries(areas).every(([name, area]) => {
+      return cellCounts[name] === (area.rowEnd - area.rowStart) * (area.columnEnd - area.columnStart);
+    });
+
+    return rectangular ? { rows, areas } : null;
+  }
+
+  /**
+   * Parse a track list into explicit tracks, expanding repeat()
+   * @param {string} value - The track list, e.g. "[full-start] repeat(3, 1fr) [full-end]"
+   * @param {string} breakpoint - The breakpoint ID, for auto-fit and auto-fill
+   * @param {number} gap - The gap between tracks in pixels, for auto-fit and auto-fill
+   * @param {string} property - The grid property, for the report
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @returns {Object|null} - The track sizes and the line numbers of each line name, or
+   *                          null if the track list is invalid
+   */
+  parseTrackList(value, breakpoint, gap, property, elementId) {
+    const tracks = [];
+    const lines = {};
+    const addNames = token => {
+      token.slice(1, -1).trim().split(/\s+/).filter(Boolean).forEach(name => {
+        this.addLineName(lines, name, tracks.length + 1);
+      });
+    };
+
+    for (const token of this.splitTracks(value)) {
+      if (token.startsWith('[')) {
+        addNames(token);
+        continue;
+      }
+
+      const repeat = token.match(/^repeat\(([\s\S]*)\)$/i);
+      if (!repeat) {
+        tracks.push(token);
+        continue;
+      }
+
+      const comma = repeat[1].indexOf(',');
+      if (comma < 0) return null;
+
+      const count = repeat[1].slice(0, comma).trim().toLowerCase();
+      const repeated = this.splitTracks(repeat[1].slice(comma + 1));
+      let times = parseInt(count, 10);
+
+      // Webflow has no auto-repeated tracks, so the count is fixed per breakpoint
+      if (count === 'auto-fit' || count === 'auto-fill') {
+        times = this.countRepetitions(repeated.filter(track => !track.startsWith('[')), breakpoint, gap);
+        if (times === null) {
+          this.valueNormalizer.addIssue(property, value, `repeat(${count}) needs a fixed track size; one repetition was kept`, elementId);
+          times = 1;
+        } else {
+          this.valueNormalizer.addIssue(property, value, `repeat(${count}) was evaluated at each breakpoint's viewport width`, elementId);
+        }
+      }
+      if (!(times > 0)) return null;
+
+      for (let i = 0; i < times; i++) {
+        repeated.forEach(track => (track.startsWith('[') ? addNames(track) : tracks.push(track)));
+      }
+    }
+
+    return tracks.length > 0 ? { tracks, lines } : null;
+  }
+
+  /**
+   * Split a track list on its top-level whitespace
+   * @param {string} value - The track list
+   * @returns {Array<string>} - The tracks and line name groups, keeping functions intact
+   */
+  splitTracks(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value.trim()) {
+      if (char === '(' || char === '[') depth++;
+      if (char === ')' || char === ']') depth--;
+      if (/\s/.test(char) && depth === 0) {
+        if (current) parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current) parts.push(current);
+
+    return parts;
+  }
+
+  /**
+   * Count how many times an auto-fit or auto-fill repeat() fits a breakpoint's viewport
+   * @param {Array<string>} tracks - The repeated track sizes
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {number} gap - The gap between tracks in pixels
+   * @returns {number|null} - The number of repetitions, or null if a track has no fixed size
+   */
+  countRepetitions(tracks, breakpoint, gap) {
+    const width = this.breakpointMapper.getReferenceWidth(breakpoint);
+    let size = 0;
+
+    for (const track of tracks) {
+      // A minmax() track repeats at its maximum if that is fixed, otherwise at its minimum
+      const minmax = track.match(/^minmax\(([^,]+),([\s\S]+)\)$/i);
+      let fixed = this.toPixels(minmax ? minmax[2] : track, breakpoint);
+      if (fixed === null && minmax) {
+        fixed = this.toPixels(minmax[1], breakpoint);
+      }
+      if (fixed === null || fixed <= 0) return null;
+      size += fixed;
+    }
+
+    return Math.max(1, Math.floor((width + gap) / (size + gap * tracks.length)));
+  }
+
+  /**
+   * Evaluate a length in pixels at a breakpoint's viewport width
+   * @param {string} length - The length, e.g. "15rem"
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {number|null} - The length in pixels, or null if it has no fixed size
+   */
+  toPixels(length, breakpoint) {
+    const match = length.trim().match(/^(-?(?:\d+\.?\d*|\.\d+))(px|rem|em|%|vw)?$/i);
+    if (!match) return null;
+
+    const value = parseFloat(match[1]);
+    const width = this.breakpointMapper.getReferenceWidth(breakpoint);
+    switch ((match[2] || '').toLowerCase()) {
+      case 'rem':
+      case 'em':
+        return value * ROOT_FONT_SIZE;
+      case '%':
+      case 'vw':
+        return value * width / 100;
+      case 'px':
+        return value;
+      default:
+        return value === 0 ? 0 : null;
+    }
+  }
+
+  /**
+   * Record the line number of a line name
+   * @param {Object} lines - Line numbers keyed by line name
+   * @param {string} name - The line name
+   * @param {number} line - The line number
+   */
+  addLineName(lines, name, line) {
+    if (!lines[name]) lines[name] = [];
+    if (!lines[name].includes(line)) lines[name].push(line);
+  }
+
+  /**
+   * Place an element on its parent's grid
+   * @param {Object} styles - The element's full resting style at the breakpoint
+   * @param {Object} grid - The parent's grid, as worked out by resolveContainer
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @returns {Object} - The start and end lines of each axis the element declares a
+   *                     placement on; auto-placed elements keep their span
+   */
+  resolvePlacement(styles, grid, elementId) {
+    const output = {};
+
+    [
+      { axis: 'column', count: grid.columns.length, lines: grid.columnLines },
+      { axis: 'row', count: grid.rows.length, lines: grid.rowLines }
+    ].forEach(({ axis, count, lines }) => {
+      const startProperty = `grid-${axis}-start`;
+      const endProperty = `grid-${axis}-end`;
+      if (!(startProperty in styles) && !(endProperty in styles)) return;
+
+      const [start, end] = [[startProperty, 'start'], [endProperty, 'end']].map(([property, edge]) => {
+        const value = styles[property] || 'auto';
+        const line = this.parseLine(value, edge, count, lines);
+        if (line.missing) {
+          this.valueNormalizer.addIssue(property, value, `The parent grid has no line or area named "${line.missing}"; the element is placed automatically`, elementId);
+        }
+        return line;
+      });
+
+      let startLine = start.line;
+      let endLine = end.line;
+      if (startLine && !endLine) {
+        endLine = startLine + (end.span || 1);
+      } else if (endLine && !startLine) {
+        startLine = Math.max(1, endLine - (start.span || 1));
+      }
+
+      if (startLine && endLine) {
+        output[startProperty] = String(Math.min(startLine, endLine));
+        output[endProperty] = String(startLine === endLine ? startLine + 1 : Math.max(startLine, endLine));
+      } else {
+        // Automatically placed elements keep their span
+        const span = end.span || start.span;
+        output[startProperty] = 'auto';
+        output[endProperty] = span ? `span ${span}` : 'auto';
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Parse one edge of a grid placement
+   * @param {string} value - The grid-*-start or grid-*-end value, e.g. "2", "-1", "span 2"
+   *                         or "header"
+   * @param {string} edge - 'start' or 'end', for area names
+   * @param {number} count - The number of explicit tracks on the axis
+   * @param {Object} lines - The line numbers of each line name on the axis
+   * @returns {Object} - The line number, the span, auto, or the name of a missing line
+   */
+  parseLine(value, edge, count, lines) {
+    const text = value.trim();
+
+    if (/^-?\d+$/.test(text)) {
+      const line = parseInt(text, 10);
+      // Negative lines count back from the last explicit line
+      return { line: line > 0 ? line : Math.max(1, count + 2 + line) };
+    }
+
+    const span = text.match(/^span\s+(\d+)$/i);
+    if (span) {
+      return { span: parseInt(span[1], 10) };
+    }
+    if (/^span\s/i.test(text)) {
+      return { span: 1 };
+    }
+
+    const named = text.match(/^(-?[a-z_][\w-]*)(?:\s+(\d+))?$/i);
+    if (named && named[1].toLowerCase() !== 'auto') {
+      // An area name refers to the line at the matching edge of the area
+      const candidates = lines[`${named[1]}-${edge}`] || lines[named[1]];
+      const line = candidates ? candidates[(parseInt(named[2], 10) || 1) - 1] : undefined;
+      return line ? { line } : { missing: named[1] };
+    }
+
+    return { auto: true };
+  }
+
+  /**
+   * Get the grid an element lays out its children on at a breakpoint
+   * @param {string} elementId - The parsed element's ID
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {Object|null} - The grid, or null if the element is not a grid there
+   */
+  getGrid(elementId, breakpoint) {
+    const grids = this.grids.get(elementId);
+    return grids ? grids[breakpoint] || null : null;
+  }
+
+  /**
+   * Get the report of the grids created
+   * @returns {Array} - One entry per grid element, with its tracks and area names at each
+   *                    breakpoint it is a grid at
+   */
+  getReport() {
+    return Array.from(this.grids.entries()).map(([element, grids]) => {
+      const breakpoints = {};
+      Object.entries(grids).forEach(([breakpoint, grid]) => {
+        breakpoints[breakpoint] = {
+          columns: grid.columns.slice(),
+          rows: grid.rows.slice(),
+          areas: Object.keys(grid.areas)
+        };
+      });
+      return { element, breakpoints };
+    });
+  }
+}
+
+module.exports = GridMapper;
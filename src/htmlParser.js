@@ -6,6 +6,14 @@
  */
 
 const cheerio = require('cheerio');
+const postcss = require('postcss');
+const SelectorMatcher = require('./selectorMatcher');
+
+// Tags whose content is rebuilt as ordered text runs
+const TEXT_TAGS = ['p', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'button', 'a', 'li', 'blockquote', 'figcaption', 'label', 'td', 'th'];
+
+// Inline tags that may appear inside a run of text
+const INLINE_TAGS = ['strong', 'em', 'b', 'i', 'u', 'code', 'a', 'span', 'br', 'sup', 'sub'];
 
 class HTMLParser {
   /**
@@ -13,8 +21,12 @@ class HTMLParser {
    */
   constructor() {
     this.dom = null;
+    this.root = null; // Root of the last parsed structure
     this.elementMap = new Map(); // Maps element IDs to their parsed representation
     this.idCounter = 0;
+    this.embeddedStyles = []; // CSS text of <style> blocks, in document order
+    this.metadata = null; // Page-level metadata of a full document
+    this.styleErrors = []; // Style attributes that could not be parsed
   }
 
   /**
@@ -27,6 +39,11 @@ class HTMLParser {
     this.dom = cheerio.load(htmlString);
     this.elementMap.clear();
     this.idCounter = 0;
+    this.styleErrors = [];
+    
+    // Pull styles and metadata out before they can become elements
+    this.metadata = this.extractMetadata(htmlString);
+    this.embeddedStyles = this.extractStyles();
     
     // Start parsing from the body element
     const bodyElement = this.dom('body').length > 0 
@@ -35,10 +52,86 @@ class HTMLParser {
     
     // Parse the body and its children
     const parsedStructure = this.parseElement(bodyElement[0]);
+    this.root = parsedStructure;
     
     return parsedStructure;
   }
 
+  /**
+   * Extract page-level metadata from the loaded document
+   * @param {string} htmlString - The original HTML string
+   * @returns {Object} - The title, description, language and stylesheet links
+   */
+  extractMetadata(htmlString) {
+    const $ = this.dom;
+    
+    const stylesheets = [];
+    $('link[rel~="stylesheet"]').each((i, link) => {
+      const href = $(link).attr('href');
+      if (href) {
+        stylesheets.push(href);
+      }
+    });
+    
+    // Links are references only; they never become elements
+    $('link[rel~="stylesheet"]').remove();
+    
+    const title = $('title').first().text().trim();
+    
+    return {
+      isFullDocument: /<!doctype\s|<html[\s>]|<head[\s>]/i.test(htmlString),
+      title: title || null,
+      description: $('meta[name="description"]').attr('content') || null,
+      lang: $('html').attr('lang') || null,
+      stylesheets
+    };
+  }
+
+  /**
+   * Extract and remove all <style> blocks from the loaded document
+   * @returns {Array<string>} - The CSS text of each block, in document order
+   */
+  extractStyles() {
+    const $ = this.dom;
+    const styles = [];
+    
+    $('style').each((i, style) => {
+      const css = $(style).text();
+      if (css.trim()) {
+        styles.push(css);
+      }
+    });
+    
+    $('style').remove();
+    
+    return styles;
+  }
+
+  /**
+   * Get the CSS embedded in <style> blocks of the last parsed document
+   * @returns {string} - The embedded CSS, joined in document order
+   */
+  getEmbeddedStyles() {
+    return this.embeddedStyles.join('\n');
+  }
+
+  /**
+   * Get the page-level metadata of the last parsed document
+   * @returns {Object|null} - The metadata, or null if nothing has been parsed
+   */
+  getMetadata() {
+    return this.metadata;
+  }
+
+  /**
+   * Get the style attributes of the last parsed document that could not be parsed
+   * @returns {Array} - One entry per attribute: the parsed element's ID, the attribute
+   *                    value and what is wrong with it
+   */
+  getStyleErrors() {
+    return this.styleErrors.slice();
+  }
+
   /**
    * Parse a single element and its children
    * @param {Object} element - The cheerio element to parse
@@ -60,21 +153,31 @@ class HTMLParser {
       type: this.mapElementType(element.tagName || element.name),
       attributes: this.parseAttributes($element),
       classes: $element.attr('class') ? $element.attr('class').split(/\s+/).filter(Boolean) : [],
-      styles: this.parseInlineStyles($element),
+      styles: this.parseInlineStyles($element, elementId),
       content: this.getElementContent($element),
       children: []
     };
     
-    // Parse children
+    // Store in element map for later reference, ahead of the children so the map is in
+    // document order
+    this.elementMap.set(elementId, parsedElement);
+    
+    // Parse children, remembering which DOM node produced which parsed child
+    const parsedChildren = new Map();
     $element.children().each((i, child) => {
       const parsedChild = this.parseElement(child);
       if (parsedChild) {
         parsedElement.children.push(parsedChild);
+        parsedChildren.set(child, parsedChild);
       }
     });
     
-    // Store in element map for later reference
-    this.elementMap.set(elementId, parsedElement);
+    // Capture mixed inline content as ordered runs
+    const runs = this.getElementRuns($element, parsedChildren);
+    if (runs) {
+      parsedElement.runs = runs;
+      parsedElement.content = this.getRunsText(runs);
+    }
     
     return parsedElement;
   }
@@ -123,6 +226,14 @@ class HTMLParser {
       'blockquote': 'blockquote',
       'hr': 'divider',
       'br': 'lineBreak',
+      'strong': 'bold',
+      'b': 'bold',
+      'em': 'italic',
+      'i': 'italic',
+      'u': 'inline',
+      'code': 'inline',
+      'sup': 'inline',
+      'sub': 'inline',
       'table': 'table',
       'tr': 'tableRow',
       'td': 'tableCell',
@@ -158,22 +269,30 @@ class HTMLParser {
   /**
    * Parse inline styles from style attribute
    * @param {Object} $element - The cheerio element
+   * @param {string|null} elementId - The parsed element's ID, for reporting a style
+   *                                  attribute that cannot be parsed
    * @returns {Object} - Object containing parsed styles
    */
-  parseInlineStyles($element) {
+  parseInlineStyles($element, elementId = null) {
     const styles = {};
     const styleAttr = $element.attr('style');
     
     if (!styleAttr) return styles;
     
-    // Parse inline style attribute
-    styleAttr.split(';').forEach(style => {
-      const [property, value] = style.split(':').map(s => s.trim());
-      if (property && value) {
-        // Convert kebab-case to camelCase for consistency
-        const camelProperty = property.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
-        styles[camelProperty] = value;
-      }
+    // Parse inline style attribute (values may contain colons and semicolons, e.g. URLs)
+    let declarations = [];
+    try {
+      declarations = postcss.parse(styleAttr).nodes.filter(node => node.type === 'decl');
+    } catch (error) {
+      this.styleErrors.push({ element: elementId, style: styleAttr, reason: error.reason || error.message });
+    }
+    
+    declarations.forEach(decl => {
+      // Convert kebab-case to camelCase for consistency; custom properties keep their name
+      const property = decl.prop.startsWith('--')
+        ? decl.prop
+        : decl.prop.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      styles[property] = decl.important ? `${decl.value} !important` : decl.value;
     });
     
     return styles;
@@ -186,10 +305,9 @@ class HTMLParser {
    */
   getElementContent($element) {
     // For elements that typically have text content directly
-    const textElements = ['p', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'button', 'a'];
     const tagName = $element[0].tagName || $element[0].name;
     
-    if (textElements.includes(tagName.toLowerCase())) {
+    if (TEXT_TAGS.includes(tagName.toLowerCase())) {
       // Get only the direct text content, not including children
       return $element.contents().filter(function() {
         return this.type === 'text';
@@ -214,6 +332,75 @@ class HTMLParser {
     return '';
   }
 
+  /**
+   * Build the ordered text and inline-element runs of an element
+   * 
+   * Runs are only produced for text elements and inline tags whose children are
+   * all inline; anything containing block children keeps its plain content.
+   * @param {Object} $element - The cheerio element
+   * @param {Map} parsedChildren - Maps child DOM nodes to their parsed elements
+   * @returns {Array|null} - Array of runs, or null if the element has none
+   */
+  getElementRuns($element, parsedChildren) {
+    const tagName = ($element[0].tagName || $element[0].name || '').toLowerCase();
+    if (!TEXT_TAGS.includes(tagName) && !INLINE_TAGS.includes(tagName)) {
+      return null;
+    }
+    
+    const nodes = $element.contents().toArray();
+    const hasBlockChild = nodes.some(node => {
+      return node.type === 'tag' && !INLINE_TAGS.includes(node.name.toLowerCase());
+    });
+    if (hasBlockChild) {
+      return null;
+    }
+    
+    const runs = [];
+    nodes.forEach(node => {
+      if (node.type === 'text') {
+        // Collapse whitespace the way the browser renders it
+        const text = node.data.replace(/\s+/g, ' ');
+        const previous = runs[runs.length - 1];
+        if (previous && previous.type === 'text') {
+          previous.text = (previous.text + text).replace(/\s+/g, ' ');
+        } else {
+          runs.push({ type: 'text', text });
+        }
+      } else if (node.type === 'tag' && parsedChildren.has(node)) {
+        runs.push({ type: 'element', id: parsedChildren.get(node).id });
+      }
+    });
+    
+    // Trim the outer edges only; inner spacing separates words from inline elements
+    if (runs.length > 0 && runs[0].type === 'text') {
+      runs[0].text = runs[0].text.replace(/^\s+/, '');
+    }
+    if (runs.length > 0 && runs[runs.length - 1].type === 'text') {
+      runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+    }
+    
+    const nonEmptyRuns = runs.filter(run => run.type !== 'text' || run.text !== '');
+    return nonEmptyRuns.length > 0 ? nonEmptyRuns : null;
+  }
+
+  /**
+   * Get the plain text represented by a list of runs
+   * @param {Array} runs - The runs of an element
+   * @returns {string} - The concatenated text, with line breaks as newlines
+   */
+  getRunsText(runs) {
+    return runs.map(run => {
+      if (run.type === 'text') {
+        return run.text;
+      }
+      
+      const child = this.elementMap.get(run.id);
+      if (!child) return '';
+      if (child.type === 'lineBreak') return '\n';
+      return child.content || '';
+    }).join('');
+  }
+
   /**
    * Get the parsed element by ID
    * @param {string} id - The element ID
@@ -225,7 +412,7 @@ class HTMLParser {
 
   /**
    * Get all parsed elements
-   * @returns {Array} - Array of all parsed elements
+   * @returns {Array} - Array of all parsed elements, parents ahead of their children
    */
   getAllElements() {
     return Array.from(this.elementMap.values());
@@ -237,28 +424,12 @@ class HTMLParser {
    * @returns {Array} - Array of matching elements
    */
   findElements(selector) {
-    const $ = this.dom;
-    const elements = $(selector);
-    const result = [];
-    
-    elements.each((i, el) => {
-      // Find the corresponding parsed element
-      for (const [id, parsedEl] of this.elementMap.entries()) {
-        if (parsedEl.tagName === el.tagName || parsedEl.tagName === el.name) {
-          // Check if attributes match
-          const attribsMatch = Object.keys(parsedEl.attributes).every(key => {
-            return parsedEl.attributes[key] === $(el).attr(key);
-          });
-          
-          if (attribsMatch) {
-            result.push(parsedEl);
-            break;
-          }
-        }
-      }
-    });
+    if (!this.root) return [];
+    
+    const matcher = new SelectorMatcher();
+    matcher.setTree(this.root);
     
-    return result;
+    return matcher.querySelectorAll(selector);
   }
 }
 
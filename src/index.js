@@ -18,11 +18,14 @@ const UserInterface = require('./userInterface');
  */
 async function initializeApp(webflow) {
   try {
+    // Options and the class dictionary are persisted where the browser can
+    const storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    
     // Create the conversion manager
-    const conversionManager = new ConversionManager(webflow);
+    const conversionManager = new ConversionManager(webflow, storage);
     
     // Create the user interface
-    const ui = new UserInterface(conversionManager);
+    const ui = new UserInterface(conversionManager, storage);
     
     // Set up progress callback
     conversionManager.setProgressCallback((status, progress) => {
@@ -0,0 +1,626 @@
+/**
+ * Interaction Builder for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for converting CSS keyframe animations into Webflow
+ * Interactions. Each animation becomes a page-load, scroll-into-view or hover trigger
+ * with timed actions for transform, opacity and colour. Animations Webflow cannot
+ * express fall back to a custom-code Embed scoped to the animated element.
+ */
+
+// Elements that cannot hold an Embed child
+const VOID_TAGS = ['img', 'input', 'br', 'hr', 'iframe', 'video', 'audio', 'select', 'textarea', 'wbr'];
+
+const ANIMATION_PROPERTIES = ['animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+  'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state',
+  'animation-timeline'];
+
+const ANIMATION_DEFAULTS = {
+  'animation-name': 'none',
+  'animation-duration': '0s',
+  'animation-timing-function': 'ease',
+  'animation-delay': '0s',
+  'animation-iteration-count': '1',
+  'animation-direction': 'normal',
+  'animation-fill-mode': 'none',
+  'animation-play-state': 'running',
+  'animation-timeline': 'auto'
+};
+
+// Animated properties and the Webflow actions that express them
+const ACTION_PROPERTIES = {
+  'opacity': 'opacity',
+  'color': 'textColor',
+  'background-color': 'backgroundColor',
+  'transform': 'transform'
+};
+
+// Webflow easing curves for CSS timing keywords
+const EASINGS = {
+  'ease': 'ease',
+  'linear': 'linear',
+  'ease-in': 'easeIn',
+  'ease-out': 'easeOut',
+  'ease-in-out': 'easeInOut'
+};
+
+// Webflow transform actions, the components they set and their resting values
+const TRANSFORM_ACTIONS = {
+  move: { x: '0px', y: '0px', z: '0px' },
+  scale: { x: 1, y: 1, z: 1 },
+  rotate: { x: '0deg', y: '0deg', z: '0deg' },
+  skew: { x: '0deg', y: '0deg' }
+};
+
+class InteractionBuilder {
+  /**
+   * Constructor for the Interaction Builder
+   * @param {WebflowElementMapper} elementMapper - The element mapper, for fallback Embeds
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint inheritance
+   * @param {CSSParser} cssParser - The CSS parser, for converting states back to CSS
+   */
+  constructor(elementMapper, breakpointMapper, cssParser) {
+    this.elementMapper = elementMapper;
+    this.breakpointMapper = breakpointMapper;
+    this.cssParser = cssParser;
+    this.keyframes = new Map();
+    this.interactions = [];
+    this.report = [];
+  }
+
+  /**
+   * Clear created interactions and the report
+   */
+  reset() {
+    this.keyframes.clear();
+    this.interactions = [];
+    this.report = [];
+  }
+
+  /**
+   * Register the keyframe animations of the stylesheet
+   * @param {Array} keyframes - The keyframes, as parsed by CSSParser
+   */
+  setKeyframes(keyframes = []) {
+    // A later @keyframes block of the same name replaces an earlier one
+    keyframes.forEach(animation => {
+      this.keyframes.set(animation.name, animation);
+    });
+  }
+
+  /**
+   * Take the animation properties out of an element's style variants
+   * @param {Array} variants - Style variants, as resolved by the conversion manager
+   * @returns {Array} - The variants that set animation properties, with those properties
+   */
+  extractAnimations(variants) {
+    const animations = [];
+
+    variants.forEach(variant => {
+      const properties = {};
+      ANIMATION_PROPERTIES.forEach(property => {
+        if (property in variant.styles) {
+          properties[property] = variant.styles[property];
+          delete variant.styles[property];
+        }
+      });
+
+      if (Object.keys(properties).length > 0) {
+        animations.push({ breakpoint: variant.breakpoint, state: variant.state, properties });
+      }
+    });
+
+    return animations;
+  }
+
+  /**
+   * Convert the animations of an element into Webflow Interactions
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {Object} element - The element's Webflow element
+   * @param {Array} variants - The element's style variants; animation properties are removed
+   * @param {Object|null} parentElement - The Webflow element of the element's parent
+   * @returns {Promise<Array>} - Report entries for the element's animations
+   */
+  async build(parsedElement, element, variants, parentElement = null) {
+    const animations = this.extractAnimations(variants);
+    if (animations.length === 0) return [];
+
+    const baseVariant = variants.find(variant => variant.breakpoint === 'main' && !variant.state);
+    const baseStyles = baseVariant ? baseVariant.styles : {};
+    const effective = this.getEffectiveAnimations(animations);
+    const entries = [];
+    const fallbacks = [];
+    const interactions = [];
+
+    // Resting animations at the base breakpoint play on page load, or when scrolled into view
+    this.getLayers(effective.main).forEach(layer => {
+      const trigger = /^view\(/i.test(layer.timeline) ? 'scroll-into-view' : 'page-load';
+      const result = this.createInteraction(parsedElement, element, layer, trigger, baseStyles);
+      if (result.interaction) {
+        interactions.push({ layer, interaction: result.interaction });
+      } else {
+        fallbacks.push({ breakpoint: 'main', state: null, layer, reason: result.reason });
+      }
+    });
+
+    // Other breakpoints keep an interaction whose animation they inherit unchanged
+    this.breakpointMapper.getBreakpoints().forEach(breakpoint => {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      this.getLayers(effective[breakpoint]).forEach(layer => {
+        const match = interactions.find(entry => entry.layer.text === layer.text);
+        if (match) {
+          match.interaction.trigger.breakpoints.push(breakpoint);
+        } else if (parent && !this.getLayers(effective[parent]).some(inherited => inherited.text === layer.text)) {
+          fallbacks.push({ breakpoint, state: null, layer, reason: 'Animation only applies at some breakpoints' });
+        }
+      });
+    });
+
+    // Animations started by :hover become hover interactions; other states need custom code
+    animations.filter(animation => animation.state).forEach(animation => {
+      const resting = this.getLayers(effective[animation.breakpoint]);
+      const layers = this.getLayers({ ...effective[animation.breakpoint], ...animation.properties })
+        .filter(layer => !resting.some(restingLayer => restingLayer.text === layer.text));
+
+      layers.forEach(layer => {
+        if (animation.state === 'hover' && animation.breakpoint === 'main') {
+          const result = this.createInteraction(parsedElement, element, layer, 'hover', baseStyles);
+          if (result.interaction) {
+            interactions.push({ layer, interaction: result.interaction });
+            return;
+          }
+          fallbacks.push({ breakpoint: 'main', state: 'hover', layer, reason: result.reason });
+        } else {
+          fallbacks.push({ breakpoint: animation.breakpoint, state: animation.state, layer, reason: `Animation in the ${animation.state} state` });
+        }
+      });
+    });
+
+    // A :hover rule applies at every breakpoint
+    interactions
+      .filter(({ interaction }) => interaction.trigger.type === 'hover')
+      .forEach(({ interaction }) => {
+        interaction.trigger.breakpoints = this.breakpointMapper.getBreakpoints();
+      });
+
+    interactions.forEach(({ layer, interaction }) => {
+      // In a real implementation, this would use the Webflow API
+      // For now, we'll record the interaction definition
+      this.interactions.push(interaction);
+      entries.push({ element: parsedElement.id, animation: layer.name, mode: 'interaction', trigger: interaction.trigger.type, interaction: interaction.id });
+    });
+
+    if (fallbacks.length > 0) {
+      await this.createEmbed(parsedElement, element, fallbacks, parentElement);
+      fallbacks.forEach(fallback => {
+        entries.push({ element: parsedElement.id, animation: fallback.layer.name, mode: 'embed', reason: fallback.reason });
+      });
+    }
+
+    this.report.push(...entries);
+    return entries;
+  }
+
+  /**
+   * Work out the animation properties in effect at each breakpoint from the resting variants
+   * @param {Array} animations - The extracted animation variants
+   * @returns {Object} - Animation properties keyed by breakpoint ID
+   */
+  getEffectiveAnimations(animations) {
+    const effective = {};
+
+    this.breakpointMapper.getBreakpoints().forEach(breakpoint => {
+      const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+      const delta = animations.find(animation => animation.breakpoint === breakpoint && !animation.state);
+      effective[breakpoint] = { ...(parent ? effective[parent] : {}), ...(delta ? delta.properties : {}) };
+    });
+
+    return effective;
+  }
+
+  /**
+   * Split animation properties into one object per animation
+   * @param {Object} properties - The animation longhands, with comma-separated layers
+   * @returns {Array} - The animation layers, excluding 'none'
+   */
+  getLayers(properties = {}) {
+    const value = property => {
+      const raw = properties[property];
+      return !raw || raw === 'initial' ? ANIMATION_DEFAULTS[property] : raw;
+    };
+    const split = property => value(property).split(/,(?![^(]*\))/).map(part => part.trim());
+
+    const names = split('animation-name');
+    const lists = {};
+    ANIMATION_PROPERTIES.forEach(property => {
+      lists[property] = split(property);
+    });
+
+    // Shorter lists repeat to match the number of animation names
+    return names.map((name, index) => {
+      const pick = property => lists[property][index % lists[property].length];
+      const layer = {
+        name: name.replace(/^(["'])(.*)\1$/, '$2'),
+        duration: pick('animation-duration'),
+        timing: pick('animation-timing-function'),
+        delay: pick('animation-delay'),
+        count: pick('animation-iteration-count'),
+        direction: pick('animation-direction'),
+        fill: pick('animation-fill-mode'),
+        playState: pick('animation-play-state'),
+        timeline: pick('animation-timeline')
+      };
+      layer.text = [name, layer.duration, layer.timing, layer.delay, layer.count, layer.direction, layer.fill, layer.playState].join(' ');
+      return layer;
+    }).filter(layer => layer.name !== 'none');
+  }
+
+  /**
+   * Create the Interaction definition for one animation
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {Object} element - The element's Webflow element
+   * @param {Object} layer - The animation layer
+   * @param {string} trigger - 'page-load', 'scroll-into-view' or 'hover'
+   * @param {Object} baseStyles - The element's resting styles, for keyframes that omit a property
+   * @returns {Object} - The interaction, or the reason the animation cannot be one
+   */
+  createInteraction(parsedElement, element, layer, trigger, baseStyles) {
+    const keyframes = this.keyframes.get(layer.name);
+    if (!keyframes) {
+      return { reason: `No @keyframes named "${layer.name}"` };
+    }
+    if (!['1', 'infinite'].includes(layer.count)) {
+      return { reason: `Webflow can only play an animation once or loop it, not ${layer.count} times` };
+    }
+    if (layer.direction !== 'normal') {
+      return { reason: `Animation direction "${layer.direction}" has no Webflow equivalent` };
+    }
+    if (layer.playState !== 'running') {
+      return { reason: 'Paused animations are started by script' };
+    }
+
+    const duration = this.parseTime(layer.duration);
+    const delay = this.parseTime(layer.delay);
+    const easing = this.getEasing(layer.timing);
+    if (easing === null) {
+      return { reason: `Timing function "${layer.timing}" has no Webflow easing` };
+    }
+
+    // Each property is interpolated between the keyframes that set it
+    const animated = new Set();
+    for (const frame of keyframes.frames) {
+      for (const [property, value] of Object.entries(frame.properties)) {
+        if (property === 'animation-timing-function') continue;
+        if (!ACTION_PROPERTIES[property]) {
+          return { reason: `Webflow Interactions cannot animate "${property}"` };
+        }
+        if (/var\(/i.test(value)) {
+          return { reason: `Keyframe value "${value}" uses custom properties` };
+        }
+        animated.add(property);
+      }
+    }
+
+    const actions = [];
+    const resets = [];
+    const holdsStart = delay === 0 || ['backwards', 'both'].includes(layer.fill);
+    const holdsEnd = ['forwards', 'both'].includes(layer.fill);
+
+    for (const property of animated) {
+      const frames = this.getPropertyFrames(keyframes.frames, property, baseStyles);
+      const values = frames.map(frame => this.toActionValues(property, frame.value));
+      if (values.includes(null)) {
+        return { reason: `Value of "${property}" cannot be expressed as Webflow actions` };
+      }
+
+      const baseValues = this.toActionValues(property, this.getBaseValue(property, baseStyles));
+      const types = property === 'transform'
+        ? Object.keys(TRANSFORM_ACTIONS).filter(type => values.some(value => value[type]))
+        : [ACTION_PROPERTIES[property]];
+
+      for (const type of types) {
+        const pick = actionValues => actionValues[type] || (property === 'transform' ? TRANSFORM_ACTIONS[type] : null);
+
+        // The first keyframe is the initial state, or is jumped to once the delay has passed
+        actions.push({ type, ...pick(values[0]), delay: holdsStart ? 0 : delay, duration: 0, easing: 'linear', initial: holdsStart });
+
+        for (let i = 1; i < frames.length; i++) {
+          const frameEasing = frames[i - 1].easing ? this.getEasing(frames[i - 1].easing) : easing;
+          if (frameEasing === null) {
+            return { reason: `Timing function "${frames[i - 1].easing}" has no Webflow easing` };
+          }
+          actions.push({
+            type,
+            ...pick(values[i]),
+            delay: delay + Math.round(duration * frames[i - 1].offset / 100),
+            duration: Math.round(duration * (frames[i].offset - frames[i - 1].offset) / 100),
+            easing: frameEasing
+          });
+        }
+
+        // Without a forwards fill the element returns to its own style when the animation ends
+        if (!holdsEnd || trigger === 'hover') {
+          if (!baseValues) {
+            return { reason: `The element's own "${property}" cannot be restored by Webflow actions` };
+          }
+          resets.push({ type, ...pick(baseValues), duration: 0, easing: 'linear' });
+        }
+      }
+    }
+
+    const interaction = {
+      id: `interaction-${parsedElement.id}-${layer.name}`,
+      name: `${layer.name} on ${(parsedElement.classes || [])[0] || parsedElement.tagName}`,
+      trigger: { type: trigger, element: element.id, breakpoints: [] },
+      loop: layer.count === 'infinite',
+      actions
+    };
+
+    if (trigger === 'hover') {
+      // Leaving the element stops a CSS animation, restoring the element's own style
+      interaction.outActions = resets.map(action => ({ ...action, delay: 0 }));
+    } else if (!holdsEnd && layer.count !== 'infinite') {
+      actions.push(...resets.map(action => ({ ...action, delay: delay + duration })));
+    }
+
+    return { interaction };
+  }
+
+  /**
+   * Get the keyframes that set a property, adding implicit start and end keyframes
+   * @param {Array} frames - The keyframes of the animation
+   * @param {string} property - The animated property
+   * @param {Object} baseStyles - The element's resting styles
+   * @returns {Array} - Objects with the offset, value and easing of each keyframe
+   */
+  getPropertyFrames(frames, property, baseStyles) {
+    const propertyFrames = frames
+      .filter(frame => property in frame.properties)
+      .map(frame => ({
+        offset: frame.offset,
+        value: frame.properties[property],
+        easing: frame.properties['animation-timing-function'] || null
+      }));
+
+    // Keyframes without 0% or 100% animate from or to the element's own style
+    const baseValue = this.getBaseValue(property, baseStyles);
+    if (propertyFrames[0].offset !== 0) {
+      propertyFrames.unshift({ offset: 0, value: baseValue, easing: null });
+    }
+    if (propertyFrames[propertyFrames.length - 1].offset !== 100) {
+      propertyFrames.push({ offset: 100, value: baseValue, easing: null });
+    }
+
+    return propertyFrames;
+  }
+
+  /**
+   * Get an element's own value of an animated property
+   * @param {string} property - The animated property
+   * @param {Object} baseStyles - The element's resting styles
+   * @returns {string} - The value, or the property's initial value
+   */
+  getBaseValue(property, baseStyles) {
+    if (property in baseStyles && baseStyles[property] !== 'initial') {
+      return baseStyles[property];
+    }
+    return { 'opacity': '1', 'transform': 'none', 'background-color': 'transparent', 'color': 'inherit' }[property];
+  }
+
+  /**
+   * Convert a keyframe value into the values of Webflow actions
+   * @param {string} property - The animated property
+   * @param {string} value - The CSS value
+   * @returns {Object|null} - Action values keyed by action type, or null if unsupported
+   */
+  toActionValues(property, value) {
+    if (property === 'transform') {
+      return this.parseTransform(value);
+    }
+    if (property === 'opacity') {
+      const number = parseFloat(value);
+      if (isNaN(number)) return null;
+      return { opacity: { value: /%$/.test(value.trim()) ? number / 100 : number } };
+    }
+    if (value === 'inherit') {
+      return null;
+    }
+    return { [ACTION_PROPERTIES[property]]: { value } };
+  }
+
+  /**
+   * Parse a transform into Webflow's move, scale, rotate and skew actions
+   * @param {string} value - The transform value
+   * @returns {Object|null} - The components of each action type used, or null if the
+   *                          transform uses functions Webflow cannot express
+   */
+  parseTransform(value) {
+    const result = {};
+    const trimmed = value.trim();
+    if (trimmed === 'none') return result;
+
+    const functions = trimmed.match(/[\w-]+\([^)]*\)/g) || [];
+    if (functions.join(' ') !== trimmed.replace(/\s+/g, ' ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')')) {
+      return null;
+    }
+
+    for (const fn of functions) {
+      const [, name, rawArgs] = fn.match(/^([\w-]+)\((.*)\)$/);
+      const args = rawArgs.split(/\s*,\s*|\s+/).filter(Boolean);
+      const set = (type, components) => {
+        if (result[type]) return false;
+        result[type] = { ...TRANSFORM_ACTIONS[type] };
+
+        // Unitless zeros take the unit of the action's resting value
+        Object.entries(components).forEach(([axis, component]) => {
+          const unit = String(TRANSFORM_ACTIONS[type][axis]).replace(/^[\d.-]+/, '');
+          result[type][axis] = component === '0' ? `0${unit}` : component;
+        });
+        return true;
+      };
+
+      let ok;
+      switch (name.toLowerCase()) {
+        case 'translate':
+          ok = set('move', { x: args[0], y: args[1] || '0px' });
+          break;
+        case 'translatex':
+          ok = set('move', { x: args[0] });
+          break;
+        case 'translatey':
+          ok = set('move', { y: args[0] });
+          break;
+        case 'translatez':
+          ok = set('move', { z: args[0] });
+          break;
+        case 'translate3d':
+          ok = set('move', { x: args[0], y: args[1], z: args[2] });
+          break;
+        case 'scale':
+          ok = set('scale', { x: parseFloat(args[0]), y: parseFloat(args[1] || args[0]) });
+          break;
+        case 'scalex':
+          ok = set('scale', { x: parseFloat(args[0]) });
+          break;
+        case 'scaley':
+          ok = set('scale', { y: parseFloat(args[0]) });
+          break;
+        case 'scale3d':
+          ok = set('scale', { x: parseFloat(args[0]), y: parseFloat(args[1]), z: parseFloat(args[2]) });
+          break;
+        case 'rotate':
+        case 'rotatez':
+          ok = set('rotate', { z: args[0] });
+          break;
+        case 'rotatex':
+          ok = set('rotate', { x: args[0] });
+          break;
+        case 'rotatey':
+          ok = set('rotate', { y: args[0] });
+          break;
+        case 'skew':
+          ok = set('skew', { x: args[0], y: args[1] || '0deg' });
+          break;
+        case 'skewx':
+          ok = set('skew', { x: args[0] });
+          break;
+        case 'skewy':
+          ok = set('skew', { y: args[0] });
+          break;
+        default:
+          ok = false;
+      }
+
+      // Repeated or unsupported functions cannot be split into Webflow's fixed transform order
+      if (!ok) return null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a CSS time into milliseconds
+   * @param {string} value - The time, e.g. '0.8s' or '200ms'
+   * @returns {number} - The time in milliseconds
+   */
+  parseTime(value) {
+    const number = parseFloat(value) || 0;
+    return /ms$/i.test(value.trim()) ? number : Math.round(number * 1000);
+  }
+
+  /**
+   * Map a CSS timing function to a Webflow easing
+   * @param {string} timing - The timing function
+   * @returns {string|null} - The Webflow easing, or null if Webflow has none
+   */
+  getEasing(timing) {
+    const lower = timing.trim().toLowerCase();
+    if (EASINGS[lower]) return EASINGS[lower];
+    if (/^cubic-bezier\(/.test(lower)) return lower.replace(/\s+/g, '');
+    return null;
+  }
+
+  /**
+   * Fall back to a custom-code Embed holding the element's animations, scoped to the element
+   * @param {Object} parsedElement - The parsed HTML element
+   * @param {Object} element - The element's Webflow element
+   * @param {Array} fallbacks - The animations to embed, with their breakpoint and state
+   * @param {Object|null} parentElement - The Webflow element of the element's parent
+   * @returns {Promise<Object|null>} - The created Embed element, or null if it has nowhere to go
+   */
+  async createEmbed(parsedElement, element, fallbacks, parentElement) {
+    // Void elements cannot contain the Embed, so it goes next to them
+    const container = VOID_TAGS.includes((parsedElement.tagName || '').toLowerCase()) ? parentElement : element;
+    if (!container) return null;
+
+    await this.elementMapper.setAttribute(element, 'data-html2wf-animation', parsedElement.id);
+
+    const scope = `[data-html2wf-animation="${parsedElement.id}"]`;
+    const code = `<style>\n${this.buildEmbedCss(scope, fallbacks)}</style>`;
+
+    const parsedEmbed = {
+      id: `${parsedElement.id}-animation-embed`,
+      tagName: 'div',
+      type: 'embed',
+      attributes: {},
+      classes: [],
+      styles: {},
+      content: '',
+      children: []
+    };
+
+    return this.elementMapper.createEmbedElement(parsedEmbed, code, container);
+  }
+
+  /**
+   * Write the CSS of the animations that fall back to custom code
+   * @param {string} scope - The selector of the animated element
+   * @param {Array} fallbacks - The animations to embed, with their breakpoint and state
+   * @returns {string} - The CSS
+   */
+  buildEmbedCss(scope, fallbacks) {
+    let css = '';
+
+    const names = [...new Set(fallbacks.map(fallback => fallback.layer.name))];
+    names.forEach(name => {
+      if (this.keyframes.has(name)) {
+        css += `${this.keyframes.get(name).originalRule}\n`;
+      }
+    });
+
+    // Animations of the same breakpoint and state share one animation list
+    const groups = new Map();
+    fallbacks.forEach(fallback => {
+      const key = `${fallback.breakpoint}|${fallback.state || ''}`;
+      if (!groups.has(key)) groups.set(key, { ...fallback, layers: [] });
+      groups.get(key).layers.push(fallback.layer);
+    });
+
+    groups.forEach(group => {
+      const state = group.state ? this.cssParser.mapToCssState(group.state) || '' : '';
+      const rule = `${scope}${state} { animation: ${group.layers.map(layer => layer.text).join(', ')}; }`;
+
+      const mediaQuery = this.breakpointMapper.getMediaQuery(group.breakpoint);
+      css += mediaQuery ? `@media ${mediaQuery} { ${rule} }\n` : `${rule}\n`;
+    });
+
+    return css;
+  }
+
+  /**
+   * Get the created interactions
+   * @returns {Array} - The Interaction definitions
+   */
+  getInteractions() {
+    return this.interactions.slice();
+  }
+
+  /**
+   * Get the report of converted animations
+   * @returns {Array} - One entry per animation, with how it was converted
+   */
+  getReport() {
+    return this.report.slice();
+  }
+}
+
+module.exports = InteractionBuilder;
@@ -0,0 +1,176 @@
+/**
+ * Naming Convention for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for how generated Webflow classes are named. A convention is
+ * a pair of templates: one for classes the input already had, and one for elements that
+ * had no class at all. Templates are built from tokens such as `{name}` and `{role}`;
+ * tokens with no value are left out together with the separator in front of them, so
+ * `{component}_{role}` gives `hero_heading` inside a hero and `heading` elsewhere.
+ */
+
+// Built-in conventions; 'custom' takes its templates from the options
+const CONVENTIONS = {
+  prefix: {
+    classTemplate: '{prefix}{name}',
+    elementTemplate: '{prefix}{component}-{role}',
+    casing: 'preserve'
+  },
+  'client-first': {
+    classTemplate: '{name}',
+    elementTemplate: '{component}_{role}',
+    casing: 'kebab'
+  },
+  bem: {
+    classTemplate: '{name}',
+    elementTemplate: '{component}__{role}--{breakpoint}',
+    casing: 'kebab'
+  },
+  custom: {
+    classTemplate: '{prefix}{name}',
+    elementTemplate: '{prefix}{component}-{role}',
+    casing: 'preserve'
+  }
+};
+
+// Tokens templates can use
+const TOKENS = ['prefix', 'name', 'role', 'component', 'breakpoint'];
+
+// Roles of elements, keyed by tag; other tags are their own role
+const ROLES = {
+  h1: 'heading',
+  h2: 'heading',
+  h3: 'heading',
+  h4: 'heading',
+  h5: 'heading',
+  h6: 'heading',
+  p: 'text',
+  span: 'text',
+  strong: 'text',
+  em: 'text',
+  a: 'link',
+  img: 'image',
+  picture: 'image',
+  svg: 'icon',
+  ul: 'list',
+  ol: 'list',
+  li: 'item',
+  div: 'wrapper',
+  blockquote: 'quote',
+  figcaption: 'caption',
+  textarea: 'input',
+  select: 'input'
+};
+
+// Characters a separator between tokens is made of
+const SEPARATOR = /^[-_]+$/;
+
+class NamingConvention {
+  /**
+   * Constructor for the Naming Convention
+   * @param {string} convention - 'prefix', 'client-first', 'bem' or 'custom' (default: 'prefix')
+   * @param {Object} templates - The class and element templates of a custom convention
+   */
+  constructor(convention = 'prefix', templates = {}) {
+    if (!CONVENTIONS[convention]) {
+      throw new Error(`Unknown naming convention "${convention}"; expected one of ${Object.keys(CONVENTIONS).join(', ')}`);
+    }
+
+    const defaults = CONVENTIONS[convention];
+    this.convention = convention;
+    this.casing = defaults.casing;
+    this.classTemplate = convention === 'custom' && templates.classTemplate ? templates.classTemplate : defaults.classTemplate;
+    this.elementTemplate = convention === 'custom' && templates.elementTemplate ? templates.elementTemplate : defaults.elementTemplate;
+
+    [this.classTemplate, this.elementTemplate].forEach(template => {
+      const unknown = (template.match(/\{(\w+)\}/g) || []).find(token => !TOKENS.includes(token.slice(1, -1)));
+      if (unknown) {
+        throw new Error(`Unknown naming token ${unknown} in "${template}"; expected ${TOKENS.map(token => `{${token}}`).join(', ')}`);
+      }
+    });
+  }
+
+  /**
+   * Name the Webflow class for a class of the input
+   * @param {string} name - The original class name
+   * @param {Object} context - The other token values: prefix, role, component and breakpoint
+   * @returns {string} - The class name, before it is made unique
+   */
+  formatClassName(name, context = {}) {
+    return this.render(this.classTemplate, { ...context, name });
+  }
+
+  /**
+   * Name the Webflow class for an element that had no class
+   * @param {Object} context - The token values: prefix, role, component and breakpoint
+   * @returns {string} - The class name, before it is made unique
+   */
+  formatElementName(context = {}) {
+    return this.render(this.elementTemplate, { ...context, name: null });
+  }
+
+  /**
+   * Get the role of an element, as used by the {role} token
+   * @param {string} tagName - The element's tag name
+   * @returns {string} - The role, e.g. 'heading' for h1 to h6
+   */
+  getRole(tagName) {
+    const tag = (tagName || '').toLowerCase();
+    return ROLES[tag] || tag || 'element';
+  }
+
+  /**
+   * Fill in a template
+   * @param {string} template - The template, e.g. '{component}_{role}'
+   * @param {Object} values - The token values; missing ones are left out with their separator
+   * @returns {string} - The name
+   */
+  render(template, values) {
+    const parts = template.split(/(\{\w+\})/).filter(part => part !== '');
+    const rendered = parts.map(part => {
+      const token = part.match(/^\{(\w+)\}$/);
+      if (!token) return { text: part, literal: true };
+
+      const value = values[token[1]];
+      // The prefix is used as given; it carries its own separator
+      const text = !value ? '' : token[1] === 'prefix' ? String(value) : this.formatValue(String(value));
+      return { text, literal: false };
+    });
+
+    // An empty token takes the separator before it, or after it at the start of the name
+    rendered.forEach((part, index) => {
+      if (part.literal || part.text) return;
+      const before = rendered[index - 1];
+      const after = rendered[index + 1];
+      const hasTextBefore = rendered.slice(0, index).some(candidate => !candidate.literal && candidate.text);
+      if (before && before.literal && SEPARATOR.test(before.text) && hasTextBefore) {
+        before.text = '';
+      } else if (after && after.literal && SEPARATOR.test(after.text)) {
+        after.text = '';
+      }
+    });
+
+    return rendered.map(part => part.text).join('');
+  }
+
+  /**
+   * Apply the convention's casing to a token value
+   * @param {string} value - The value
+   * @returns {string} - The value, with characters class names cannot hold replaced
+   */
+  formatValue(value) {
+    const cased = this.casing === 'kebab'
+      ? value.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()
+      : value;
+    return cased.replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Get the conventions a naming convention can be created with
+   * @returns {Array<string>} - 'prefix', 'client-first', 'bem' and 'custom'
+   */
+  getConventions() {
+    return Object.keys(CONVENTIONS);
+  }
+}
+
+module.exports = NamingConvention;
@@ -0,0 +1,412 @@
+/**
+ * Property Support for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for the property support matrix: for each CSS property,
+ * whether Webflow styles hold it natively, whether it only works from custom code, or
+ * whether it is not supported at all. It also folds vendor-prefixed properties and
+ * values, and legacy property names, into their standard equivalents.
+ */
+
+const ShorthandExpander = require('./shorthandExpander');
+
+// CSS properties Webflow styles hold, and the Webflow style property names they map to
+const NATIVE_PROPERTIES = {
+  // Typography
+  'font-family': 'fontFamily',
+  'font-size': 'fontSize',
+  'font-weight': 'fontWeight',
+  'font-style': 'fontStyle',
+  'font-variant': 'fontVariant',
+  'font-stretch': 'fontStretch',
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing',
+  'text-align': 'textAlign',
+  'text-decoration': 'textDecoration',
+  'text-decoration-line': 'textDecorationLine',
+  'text-decoration-style': 'textDecorationStyle',
+  'text-transform': 'textTransform',
+  'text-indent': 'textIndent',
+  'text-overflow': 'textOverflow',
+  'white-space': 'whiteSpace',
+  'word-break': 'wordBreak',
+  'overflow-wrap': 'overflowWrap',
+  'direction': 'direction',
+  'column-count': 'columnCount',
+  '-webkit-text-stroke': 'webkitTextStroke',
+  '-webkit-text-stroke-width': 'webkitTextStrokeWidth',
+
+  // Colors
+  'color': 'color',
+  'background-color': 'backgroundColor',
+  'border-color': 'borderColor',
+  'outline-color': 'outlineColor',
+  'text-decoration-color': 'textDecorationColor',
+  'column-rule-color': 'columnRuleColor',
+  'caret-color': 'caretColor',
+  'accent-color': 'accentColor',
+  'text-shadow': 'textShadow',
+  'fill': 'fill',
+  'stroke': 'stroke',
+  '-webkit-text-stroke-color': 'webkitTextStrokeColor',
+
+  // Layout
+  'display': 'display',
+  'position': 'position',
+  'top': 'top',
+  'right': 'right',
+  'bottom': 'bottom',
+  'left': 'left',
+  'z-index': 'zIndex',
+  'float': 'float',
+  'clear': 'clear',
+
+  // Dimensions
+  'width': 'width',
+  'height': 'height',
+  'max-width': 'maxWidth',
+  'max-height': 'maxHeight',
+  'min-width': 'minWidth',
+  'min-height': 'minHeight',
+
+  // Margin & Padding
+  'margin': 'margin',
+  'margin-top': 'marginTop',
+  'margin-right': 'marginRight',
+  'margin-bottom': 'marginBottom',
+  'margin-left': 'marginLeft',
+  'padding': 'padding',
+  'padding-top': 'paddingTop',
+  'padding-right': 'paddingRight',
+  'padding-bottom': 'paddingBottom',
+  'padding-left': 'paddingLeft',
+
+  // Border
+  'border': 'border',
+  'border-top': 'borderTop',
+  'border-right': 'borderRight',
+  'border-bottom': 'borderBottom',
+  'border-left': 'borderLeft',
+  'border-width': 'borderWidth',
+  'border-style': 'borderStyle',
+  'border-radius': 'borderRadius',
+  'border-top-width': 'borderTopWidth',
+  'border-right-width': 'borderRightWidth',
+  'border-bottom-width': 'borderBottomWidth',
+  'border-left-width': 'borderLeftWidth',
+  'border-top-style': 'borderTopStyle',
+  'border-right-style': 'borderRightStyle',
+  'border-bottom-style': 'borderBottomStyle',
+  'border-left-style': 'borderLeftStyle',
+  'border-top-color': 'borderTopColor',
+  'border-right-color': 'borderRightColor',
+  'border-bottom-color': 'borderBottomColor',
+  'border-left-color': 'borderLeftColor',
+  'border-top-left-radius': 'borderTopLeftRadius',
+  'border-top-right-radius': 'borderTopRightRadius',
+  'border-bottom-right-radius': 'borderBottomRightRadius',
+  'border-bottom-left-radius': 'borderBottomLeftRadius',
+  'outline': 'outline',
+  'outline-width': 'outlineWidth',
+  'outline-style': 'outlineStyle',
+  'outline-offset': 'outlineOffset',
+
+  // Background
+  'background': 'background',
+  'background-image': 'backgroundImage',
+  'background-size': 'backgroundSize',
+  'background-position': 'backgroundPosition',
+  'background-repeat': 'backgroundRepeat',
+  'background-attachment': 'backgroundAttachment',
+  'background-origin': 'backgroundOrigin',
+  'background-clip': 'backgroundClip',
+
+  // Flexbox
+  'flex': 'flex',
+  'flex-direction': 'flexDirection',
+  'flex-wrap': 'flexWrap',
+  'justify-content': 'justifyContent',
+  'align-items': 'alignItems',
+  'align-content': 'alignContent',
+  'align-self': 'alignSelf',
+  'justify-items': 'justifyItems',
+  'justify-self': 'justifySelf',
+  'flex-grow': 'flexGrow',
+  'flex-shrink': 'flexShrink',
+  'flex-basis': 'flexBasis',
+  'order': 'order',
+
+  // Grid
+  'grid-template-columns': 'gridTemplateColumns',
+  'grid-template-rows': 'gridTemplateRows',
+  'grid-template-areas': 'gridTemplateAreas',
+  'grid-auto-flow': 'gridAutoFlow',
+  'grid-auto-columns': 'gridAutoColumns',
+  'grid-auto-rows': 'gridAutoRows',
+  'grid-row-start': 'gridRowStart',
+  'grid-row-end': 'gridRowEnd',
+  'grid-column-start': 'gridColumnStart',
+  'grid-column-end': 'gridColumnEnd',
+  'row-gap': 'rowGap',
+  'column-gap': 'columnGap',
+
+  // Effects
+  'opacity': 'opacity',
+  'box-shadow': 'boxShadow',
+  'transition': 'transition',
+  'transition-property': 'transitionProperty',
+  'transition-duration': 'transitionDuration',
+  'transition-timing-function': 'transitionTimingFunction',
+  'transition-delay': 'transitionDelay',
+  'transform': 'transform',
+  'transform-origin': 'transformOrigin',
+  'transform-style': 'transformStyle',
+  'perspective': 'perspective',
+  'perspective-origin': 'perspectiveOrigin',
+  'backface-visibility': 'backfaceVisibility',
+  'filter': 'filter',
+  'backdrop-filter': 'backdropFilter',
+  'mix-blend-mode': 'mixBlendMode',
+  'cursor': 'cursor',
+  'pointer-events': 'pointerEvents',
+
+  // Other
+  'overflow': 'overflow',
+  'overflow-x': 'overflowX',
+  'overflow-y': 'overflowY',
+  'visibility': 'visibility',
+  'aspect-ratio': 'aspectRatio',
+  'object-fit': 'objectFit',
+  'object-position': 'objectPosition',
+  'box-sizing': 'boxSizing'
+};
+
+// Properties the converter turns into something other than a style, and what they become
+const CONVERTED_PROPERTIES = {
+  'content': 'The text of the element standing in for ::before or ::after',
+  'animation-name': 'A Webflow Interaction',
+  'animation-duration': 'A Webflow Interaction',
+  'animation-timing-function': 'A Webflow Interaction',
+  'animation-delay': 'A Webflow Interaction',
+  'animation-iteration-count': 'A Webflow Interaction',
+  'animation-direction': 'A Webflow Interaction',
+  'animation-fill-mode': 'A Webflow Interaction',
+  'animation-play-state': 'A Webflow Interaction',
+  'animation-timeline': 'A Webflow Interaction'
+};
+
+// Properties Webflow styles cannot hold, but that work from site custom code
+const CUSTOM_CODE_PROPERTIES = [
+  'clip-path', 'mask', 'mask-image', 'mask-size', 'mask-position', 'mask-repeat', 'shape-outside',
+  'vertical-align', 'word-spacing', 'hyphens', 'text-wrap', 'text-rendering', 'text-underline-offset',
+  'text-decoration-thickness', 'tab-size', 'list-style', 'list-style-type', 'list-style-position',
+  'list-style-image', 'quotes', 'counter-reset', 'counter-increment', 'font-feature-settings',
+  'font-variation-settings', 'font-kerning', 'font-optical-sizing', 'user-select', 'appearance',
+  'resize', 'isolation', 'will-change', 'contain', 'content-visibility', 'touch-action',
+  'scroll-behavior', 'scroll-snap-type', 'scroll-snap-align', 'scroll-margin-top', 'scroll-padding-top',
+  'overscroll-behavior', 'background-blend-mode', 'table-layout', 'border-collapse', 'border-spacing',
+  'caption-side', 'empty-cells', 'column-width', 'column-rule', 'column-rule-width', 'column-rule-style',
+  'columns', 'translate', 'rotate', 'scale', 'line-clamp',
+  '-webkit-line-clamp', '-webkit-box-orient', '-webkit-font-smoothing', '-moz-osx-font-smoothing',
+  '-webkit-tap-highlight-color', '-webkit-text-fill-color', '-webkit-appearance'
+];
+
+// Properties with no effect Webflow or a custom-code stylesheet could reproduce
+const UNSUPPORTED_PROPERTIES = {
+  'zoom': 'Non-standard property',
+  'container': 'Webflow has no container queries',
+  'container-type': 'Webflow has no container queries',
+  'container-name': 'Webflow has no container queries',
+  'behavior': 'Obsolete Internet Explorer property',
+  '-webkit-overflow-scrolling': 'Obsolete iOS property'
+};
+
+// Legacy property names and the standard properties that replaced them
+const LEGACY_PROPERTIES = {
+  'grid-gap': 'gap',
+  'grid-column-gap': 'column-gap',
+  'grid-row-gap': 'row-gap'
+};
+
+// Vendor-prefixed values and their standard equivalents
+const PREFIXED_VALUES = {
+  '-webkit-flex': 'flex',
+  '-ms-flexbox': 'flex',
+  '-webkit-inline-flex': 'inline-flex',
+  '-ms-inline-flexbox': 'inline-flex',
+  '-ms-grid': 'grid',
+  '-ms-inline-grid': 'inline-grid',
+  '-webkit-sticky': 'sticky',
+  '-webkit-min-content': 'min-content',
+  '-webkit-max-content': 'max-content',
+  '-webkit-fit-content': 'fit-content',
+  '-moz-fit-content': 'fit-content'
+};
+
+const VENDOR_PREFIX = /^-(webkit|moz|ms|o)-/i;
+
+class PropertySupport {
+  /**
+   * Constructor for the Property Support
+   */
+  constructor() {
+    this.shorthandExpander = new ShorthandExpander();
+  }
+
+  /**
+   * Look up a property in the support matrix
+   * @param {string} property - The CSS property
+   * @returns {Object} - The support level ('native', 'custom-code' or 'unsupported'), the
+   *                     Webflow style property for native style properties, and a note
+   */
+  getSupport(property) {
+    const name = property.toLowerCase();
+
+    if (name.startsWith('--')) {
+      return { property: name, support: 'native', webflowProperty: null, note: 'A Webflow Variable or its substituted value' };
+    }
+    if (NATIVE_PROPERTIES[name]) {
+      return { property: name, support: 'native', webflowProperty: NATIVE_PROPERTIES[name], note: null };
+    }
+    if (CONVERTED_PROPERTIES[name]) {
+      return { property: name, support: 'native', webflowProperty: null, note: CONVERTED_PROPERTIES[name] };
+    }
+    if (CUSTOM_CODE_PROPERTIES.includes(name)) {
+      return { property: name, support: 'custom-code', webflowProperty: null, note: 'Webflow styles have no such property' };
+    }
+
+    const note = UNSUPPORTED_PROPERTIES[name] ||
+      (VENDOR_PREFIX.test(name) ? 'Vendor-specific property with no standard equivalent' : 'Unknown or unsupported property');
+    return { property: name, support: 'unsupported', webflowProperty: null, note };
+  }
+
+  /**
+   * Check whether the support matrix lists a property
+   * @param {string} property - The CSS property
+   * @returns {boolean} - True for listed properties and custom properties
+   */
+  isKnown(property) {
+    const name = property.toLowerCase();
+    return name.startsWith('--') || name in NATIVE_PROPERTIES || name in CONVERTED_PROPERTIES ||
+      CUSTOM_CODE_PROPERTIES.includes(name) || name in UNSUPPORTED_PROPERTIES;
+  }
+
+  /**
+   * Get the Webflow style property a CSS property maps to
+   * @param {string} property - The CSS property
+   * @returns {string|null} - The Webflow style property, or null if Webflow styles lack it
+   */
+  getWebflowProperty(property) {
+    return NATIVE_PROPERTIES[property.toLowerCase()] || null;
+  }
+
+  /**
+   * Fold a vendor-prefixed or legacy declaration into its standard equivalent
+   * @param {string} property - The CSS property
+   * @param {string} value - The value
+   * @returns {Object} - The standard property and value, and whether anything was folded
+   */
+  unprefix(property, value) {
+    let name = property.toLowerCase();
+    let folded = false;
+
+    if (LEGACY_PROPERTIES[name]) {
+      name = LEGACY_PROPERTIES[name];
+      folded = true;
+    }
+
+    // Prefixed properties the matrix lists themselves, such as -webkit-line-clamp, are kept
+    const standard = name.replace(VENDOR_PREFIX, '');
+    if (standard !== name && !this.isKnown(name) && this.isKnown(standard)) {
+      name = standard;
+      folded = true;
+    }
+
+    const standardValue = value.replace(/(^|[\s,(])(-(?:webkit|moz|ms|o)-[\w-]+)(?![\w(-])/gi, (match, before, keyword) => {
+      const replacement = PREFIXED_VALUES[keyword.toLowerCase()];
+      return replacement ? before + replacement : match;
+    });
+    if (standardValue !== value) {
+      folded = true;
+    }
+
+    return { property: name, value: standardValue, folded };
+  }
+
+  /**
+   * Check whether a value still needs a vendor prefix after folding
+   * @param {string} value - The value
+   * @returns {boolean} - True if a prefixed keyword or function remains, e.g. -webkit-box
+   */
+  hasPrefixedValue(value) {
+    return /(^|[\s,(])-(webkit|moz|ms|o)-[\w-]+/i.test(value);
+  }
+
+  /**
+   * Sort the declarations of a rule or style attribute by where Webflow can hold them
+   * @param {Array} declarations - The declarations, each with property, value and importance
+   * @returns {Object} - The standard longhands Webflow styles hold and those only custom
+   *                     code can hold, each with the shorthand it was expanded from, and a
+   *                     diagnostic for each declaration folded, dropped or moved to custom
+   *                     code; every entry keeps the declaration it came from as `source`
+   */
+  sortDeclarations(declarations) {
+    const sorted = { declarations: [], customDeclarations: [], diagnostics: [] };
+    const diagnose = (source, action, property, value, reason) => {
+      sorted.diagnostics.push({ action, property, value, reason, source });
+    };
+
+    declarations.forEach(declaration => {
+      const standard = this.unprefix(declaration.property, declaration.value);
+      const prefixed = VENDOR_PREFIX.test(declaration.property) || this.hasPrefixedValue(declaration.value);
+
+      // Prefixed copies written alongside the standard declaration add nothing
+      if (prefixed && declarations.some(other => other !== declaration &&
+          other.property.toLowerCase() === standard.property && !this.hasPrefixedValue(other.value))) {
+        diagnose(declaration, 'dropped', declaration.property, declaration.value, `Vendor-prefixed copy of ${standard.property}`);
+        return;
+      }
+
+      // Values only some browsers understand still work from custom code
+      if (this.hasPrefixedValue(standard.value)) {
+        sorted.customDeclarations.push({ property: standard.property, value: standard.value, important: declaration.important, source: declaration });
+        diagnose(declaration, 'custom-code', declaration.property, declaration.value, 'Vendor-prefixed value with no standard equivalent');
+        return;
+      }
+
+      if (standard.folded) {
+        diagnose(declaration, 'folded', declaration.property, declaration.value, `Folded into "${standard.property}: ${standard.value}"`);
+      }
+
+      this.shorthandExpander.toLonghands(standard.property, standard.value).forEach(({ property, value, shorthand }) => {
+        const support = this.getSupport(property);
+        if (support.support === 'custom-code') {
+          sorted.customDeclarations.push({ property, value, important: declaration.important, source: declaration });
+          diagnose(declaration, 'custom-code', property, value, support.note);
+          return;
+        }
+        if (support.support === 'unsupported') {
+          diagnose(declaration, 'dropped', property, value, support.note);
+          return;
+        }
+
+        sorted.declarations.push({ property, value, important: declaration.important, shorthand, source: declaration });
+      });
+    });
+
+    return sorted;
+  }
+
+  /**
+   * Get the whole support matrix
+   * @returns {Object} - The properties of each support level
+   */
+  getMatrix() {
+    return {
+      native: Object.keys(NATIVE_PROPERTIES).concat(Object.keys(CONVERTED_PROPERTIES)),
+      customCode: CUSTOM_CODE_PROPERTIES.slice(),
+      unsupported: Object.keys(UNSUPPORTED_PROPERTIES)
+    };
+  }
+}
+
+module.exports = PropertySupport;
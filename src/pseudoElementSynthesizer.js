@@ -0,0 +1,201 @@
+/**
+ * Pseudo-Element Synthesizer for HTML/CSS to Webflow Converter
+ *
+ * Webflow has no ::before or ::after. This module materialises them as real child
+ * elements of their host, carrying the generated content and their own class, and
+ * falls back to a scoped custom-code Embed where a real element would not be faithful.
+ */
+
+// Replaced and void elements never render generated content
+const NO_CONTENT_TAGS = ['img', 'input', 'br', 'hr', 'iframe', 'video', 'audio', 'select', 'textarea', 'wbr'];
+
+class PseudoElementSynthesizer {
+  /**
+   * Constructor for the Pseudo-Element Synthesizer
+   * @param {WebflowElementMapper} elementMapper - The element mapper creating Webflow elements
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for custom-code media queries
+   * @param {CSSParser} cssParser - The CSS parser, for converting states back to CSS
+   * @param {BackgroundMapper|null} backgroundMapper - The background mapper, for the background
+   *                                                  layers of materialised pseudo-elements
+   */
+  constructor(elementMapper, breakpointMapper, cssParser, backgroundMapper = null) {
+    this.elementMapper = elementMapper;
+    this.breakpointMapper = breakpointMapper;
+    this.cssParser = cssParser;
+    this.backgroundMapper = backgroundMapper;
+  }
+
+  /**
+   * Materialise a pseudo-element of a host element
+   * @param {Object} parsedHost - The parsed host element
+   * @param {Object} hostElement - The host's Webflow element
+   * @param {string} pseudoElement - 'before' or 'after'
+   * @param {Array} variants - The pseudo-element's style variants, as resolved by the conversion manager
+   * @param {ClassNamingSystem} classNamingSystem - Generates the class of a synthesized element
+   * @returns {Promise<Object|null>} - A report entry, or null if the pseudo-element never renders
+   */
+  async synthesize(parsedHost, hostElement, pseudoElement, variants, classNamingSystem) {
+    if (NO_CONTENT_TAGS.includes((parsedHost.tagName || '').toLowerCase())) {
+      return null;
+    }
+
+    const baseVariant = variants.find(variant => variant.breakpoint === 'main' && !variant.state);
+    const baseStyles = baseVariant ? baseVariant.styles : {};
+    const contentVariants = variants.filter(variant => variant !== baseVariant && 'content' in variant.styles);
+    const hasContent = 'content' in baseStyles && !['none', 'normal'].includes(baseStyles.content);
+
+    // Without content a pseudo-element is not rendered at all
+    if (!hasContent && contentVariants.length === 0) {
+      return null;
+    }
+
+    let reason = null;
+    let content = { text: '' };
+    if (contentVariants.length > 0) {
+      reason = 'Content changes across breakpoints or states';
+    } else {
+      content = this.parseContent(baseStyles.content, parsedHost.attributes);
+      reason = content.reason;
+    }
+
+    if (reason) {
+      await this.createEmbed(parsedHost, hostElement, pseudoElement, variants);
+      return { element: parsedHost.id, pseudoElement, mode: 'embed', reason };
+    }
+
+    const parsedPseudo = {
+      id: `${parsedHost.id}-${pseudoElement}`,
+      tagName: 'div',
+      type: content.text ? 'text' : 'div',
+      attributes: {},
+      classes: [],
+      styles: {},
+      content: content.text,
+      children: []
+    };
+
+    const element = await this.elementMapper.createPseudoElement(
+      parsedPseudo,
+      hostElement,
+      pseudoElement === 'before' ? 'first' : 'last'
+    );
+
+    const baseName = parsedHost.classes[0] || parsedHost.tagName;
+    const className = classNamingSystem.generateClassName(`${baseName}-${pseudoElement}`);
+    await this.elementMapper.applyClass(element, className);
+
+    // Backgrounds become layers, such as the overlay a ::before often draws
+    if (this.backgroundMapper) {
+      await this.backgroundMapper.applyToVariants(variants, parsedPseudo.id);
+    }
+
+    // The content has become the element's text
+    for (const variant of variants) {
+      const styles = { ...variant.styles };
+      delete styles.content;
+      if (Object.keys(styles).length > 0) {
+        await this.elementMapper.applyStyles(element, styles, variant.breakpoint, variant.state);
+      }
+      if (variant.backgrounds) {
+        await this.elementMapper.applyBackgrounds(element, variant.backgrounds, variant.breakpoint, variant.state);
+      }
+    }
+
+    return { element: parsedHost.id, pseudoElement, mode: 'element', className };
+  }
+
+  /**
+   * Parse a `content` value into static text
+   * @param {string} value - The content value, e.g. '"\2192" attr(data-label)'
+   * @param {Object} attributes - The host element's attributes, for attr()
+   * @returns {Object} - The text, and the reason it cannot be static text if it cannot
+   */
+  parseContent(value, attributes = {}) {
+    const tokens = value.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[\w-]+\([^)]*\)|\S+/g) || [];
+    let text = '';
+
+    for (const token of tokens) {
+      if (/^["']/.test(token)) {
+        text += this.unescapeString(token.slice(1, -1));
+        continue;
+      }
+
+      const attr = token.match(/^attr\(\s*([\w-]+)/);
+      if (attr) {
+        text += attributes[attr[1].toLowerCase()] || '';
+        continue;
+      }
+
+      return { text: '', reason: `Content "${token}" cannot be rendered as static text` };
+    }
+
+    return { text, reason: null };
+  }
+
+  /**
+   * Resolve the escapes of a CSS string
+   * @param {string} value - The string contents, without quotes
+   * @returns {string} - The unescaped string
+   */
+  unescapeString(value) {
+    return value
+      .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/\\\n/g, '')
+      .replace(/\\(.)/g, '$1');
+  }
+
+  /**
+   * Fall back to a custom-code Embed holding the pseudo-element's CSS, scoped to its host
+   * @param {Object} parsedHost - The parsed host element
+   * @param {Object} hostElement - The host's Webflow element
+   * @param {string} pseudoElement - 'before' or 'after'
+   * @param {Array} variants - The pseudo-element's style variants
+   * @returns {Promise<Object>} - The created Embed element
+   */
+  async createEmbed(parsedHost, hostElement, pseudoElement, variants) {
+    await this.elementMapper.setAttribute(hostElement, 'data-html2wf-pseudo', parsedHost.id);
+
+    const scope = `[data-html2wf-pseudo="${parsedHost.id}"]`;
+    const code = `<style>\n${this.buildEmbedCss(scope, pseudoElement, variants)}</style>`;
+
+    const parsedEmbed = {
+      id: `${parsedHost.id}-${pseudoElement}-embed`,
+      tagName: 'div',
+      type: 'embed',
+      attributes: {},
+      classes: [],
+      styles: {},
+      content: '',
+      children: []
+    };
+
+    return this.elementMapper.createEmbedElement(parsedEmbed, code, hostElement);
+  }
+
+  /**
+   * Write the CSS of a pseudo-element's style variants
+   * @param {string} scope - The selector of the host element
+   * @param {string} pseudoElement - 'before' or 'after'
+   * @param {Array} variants - The pseudo-element's style variants
+   * @returns {string} - The CSS
+   */
+  buildEmbedCss(scope, pseudoElement, variants) {
+    let css = '';
+
+    variants.forEach(variant => {
+      const declarations = Object.entries(variant.styles);
+      if (declarations.length === 0) return;
+
+      const state = variant.state ? this.cssParser.mapToCssState(variant.state) || '' : '';
+      const body = declarations.map(([property, value]) => `${property}: ${value};`).join(' ');
+      const rule = `${scope}${state}::${pseudoElement} { ${body} }`;
+
+      const mediaQuery = this.breakpointMapper.getMediaQuery(variant.breakpoint);
+      css += mediaQuery ? `@media ${mediaQuery} { ${rule} }\n` : `${rule}\n`;
+    });
+
+    return css;
+  }
+}
+
+module.exports = PseudoElementSynthesizer;
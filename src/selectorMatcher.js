@@ -0,0 +1,966 @@
+/**
+ * Selector Matcher for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for parsing CSS selectors and evaluating them against
+ * the parsed HTML structure, including combinators, attribute selectors and
+ * structural pseudo-classes.
+ */
+
+// Pseudo-classes that take a selector list as their argument
+const SELECTOR_LIST_PSEUDO_CLASSES = ['not', 'is', 'where', 'matches', 'any', 'has'];
+
+// Pseudo-classes that describe an interaction state rather than structure
+const STATE_PSEUDO_CLASSES = ['hover', 'active', 'focus', 'focus-visible', 'focus-within', 'visited', 'target'];
+
+// Pseudo-elements that style a state of the element itself rather than generated content
+const STATE_PSEUDO_ELEMENTS = ['placeholder'];
+
+// Pseudo-classes that can be evaluated against the parsed structure
+const STRUCTURAL_PSEUDO_CLASSES = [
+  'not', 'is', 'where', 'matches', 'any', 'has', 'root', 'empty',
+  'first-child', 'last-child', 'only-child', 'first-of-type', 'last-of-type', 'only-of-type',
+  'nth-child', 'nth-last-child', 'nth-of-type', 'nth-last-of-type',
+  'link', 'any-link', 'checked', 'disabled', 'enabled', 'required', 'optional'
+];
+
+// Legacy pseudo-elements that may be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+// Form elements that can be disabled
+const FORM_TAGS = ['button', 'input', 'select', 'textarea', 'option', 'optgroup', 'fieldset'];
+
+class SelectorMatcher {
+  /**
+   * Constructor for the Selector Matcher
+   */
+  constructor() {
+    this.root = null;
+    this.parents = new Map(); // Maps parsed elements to their parent element
+    this.selectorCache = new Map(); // Maps selector text to its parsed form
+  }
+
+  /**
+   * Index a parsed HTML structure so selectors can be evaluated against it
+   * @param {Object} root - The root element of the parsed structure
+   */
+  setTree(root) {
+    this.parents.clear();
+    this.root = root;
+
+    if (!root) return;
+
+    // A parsed body still lives inside an <html> element in the source document
+    if (root.tagName === 'body') {
+      const htmlElement = {
+        id: 'html',
+        tagName: 'html',
+        type: 'div',
+        attributes: {},
+        classes: [],
+        styles: {},
+        content: '',
+        children: [root],
+        virtual: true
+      };
+      this.parents.set(root, htmlElement);
+    }
+
+    this.indexElement(root);
+  }
+
+  /**
+   * Record parent relationships for an element and its descendants
+   * @param {Object} element - The parsed element
+   */
+  indexElement(element) {
+    (element.children || []).forEach(child => {
+      this.parents.set(child, element);
+      this.indexElement(child);
+    });
+  }
+
+  /**
+   * Get the parent of a parsed element
+   * @param {Object} element - The parsed element
+   * @returns {Object|null} - The parent element, or null for the top of the tree
+   */
+  getParent(element) {
+    return this.parents.get(element) || null;
+  }
+
+  /**
+   * Get the element siblings of a parsed element, including itself
+   * @param {Object} element - The parsed element
+   * @returns {Array} - The children of the element's parent, in document order
+   */
+  getSiblings(element) {
+    const parent = this.getParent(element);
+    return parent ? parent.children : [element];
+  }
+
+  /**
+   * Parse a selector list into its complex selectors
+   * @param {string} selectorText - The selector list
+   * @returns {Array} - Array of parsed complex selectors
+   */
+  parseSelector(selectorText) {
+    if (this.selectorCache.has(selectorText)) {
+      return this.selectorCache.get(selectorText);
+    }
+
+    const complexSelectors = this.splitSelectorList(selectorText)
+      .map(text => this.parseComplexSelector(text))
+      .filter(Boolean);
+
+    this.selectorCache.set(selectorText, complexSelectors);
+    return complexSelectors;
+  }
+
+  /**
+   * Split a selector list on its top-level commas
+   * @param {string} selectorText - The selector list
+   * @returns {Array<string>} - The individual selectors
+   */
+  splitSelectorList(selectorText) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < selectorText.length; i++) {
+      const char = selectorText[i];
+
+      if (char === '\\') {
+        current += char + (selectorText[i + 1] || '');
+        i++;
+        continue;
+      }
+
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    if (current.trim()) {
+      parts.push(current.trim());
+    }
+
+    return parts;
+  }
+
+  /**
+   * Parse a single complex selector into compounds and combinators
+   * @param {string} text - The complex selector
+   * @returns {Object|null} - The parsed selector, or null if it is invalid
+   */
+  parseComplexSelector(text) {
+    const compounds = [];
+    const combinators = [];
+    let leadingCombinator = null;
+    let index = 0;
+
+    const skipWhitespace = () => {
+      const start = index;
+      while (index < text.length && /\s/.test(text[index])) index++;
+      return index > start;
+    };
+
+    skipWhitespace();
+
+    // Relative selectors (used by :has) may start with a combinator
+    if ('>+~'.includes(text[index])) {
+      leadingCombinator = text[index];
+      index++;
+      skipWhitespace();
+    }
+
+    while (index < text.length) {
+      const result = this.parseCompound(text, index);
+      if (!result) return null;
+
+      compounds.push(result.compound);
+      index = result.index;
+
+      const hadWhitespace = skipWhitespace();
+      if (index >= text.length) break;
+
+      if ('>+~'.includes(text[index])) {
+        combinators.push(text[index]);
+        index++;
+        skipWhitespace();
+      } else if (hadWhitespace) {
+        combinators.push(' ');
+      } else {
+        return null;
+      }
+    }
+
+    if (compounds.length === 0 || combinators.length !== compounds.length - 1) {
+      return null;
+    }
+
+    return this.createComplexSelector(text.trim(), compounds, combinators, leadingCombinator);
+  }
+
+  /**
+   * Assemble a parsed complex selector, separating what its subject needs beyond structure
+   * @param {string} text - The selector text
+   * @param {Array} compounds - The parsed compounds
+   * @param {Array<string>} combinators - The combinators between the compounds
+   * @param {string|null} leadingCombinator - The leading combinator of a relative selector
+   * @returns {Object} - The parsed complex selector
+   */
+  createComplexSelector(text, compounds, combinators, leadingCombinator) {
+    const subject = compounds[compounds.length - 1];
+    const complex = {
+      text,
+      compounds,
+      combinators,
+      leadingCombinator,
+      states: [],
+      stateless: null,
+      pseudoElement: null,
+      host: null
+    };
+
+    // Generated content (::before, ::after) is matched through its host element
+    if (subject.pseudoElement && !STATE_PSEUDO_ELEMENTS.includes(subject.pseudoElement)) {
+      complex.pseudoElement = subject.pseudoElement;
+      complex.host = this.createComplexSelector(
+        text,
+        compounds.slice(0, -1).concat({ ...subject, pseudoElement: null }),
+        combinators,
+        leadingCombinator
+      );
+      complex.states = complex.host.states;
+      return complex;
+    }
+
+    // Interaction states on the subject are matched separately from its structure
+    complex.states = subject.pseudoClasses
+      .filter(pseudoClass => STATE_PSEUDO_CLASSES.includes(pseudoClass.name))
+      .map(pseudoClass => pseudoClass.name);
+    if (STATE_PSEUDO_ELEMENTS.includes(subject.pseudoElement)) {
+      complex.states.push(subject.pseudoElement);
+    }
+
+    if (complex.states.length > 0) {
+      complex.stateless = {
+        ...complex,
+        compounds: compounds.slice(0, -1).concat({
+          ...subject,
+          pseudoClasses: subject.pseudoClasses.filter(pseudoClass => !STATE_PSEUDO_CLASSES.includes(pseudoClass.name)),
+          pseudoElement: null
+        }),
+        states: []
+      };
+    }
+
+    return complex;
+  }
+
+  /**
+   * Parse a compound selector starting at a given position
+   * @param {string} text - The selector text
+   * @param {number} start - The position to start parsing at
+   * @returns {Object|null} - The compound and the position after it, or null if invalid
+   */
+  parseCompound(text, start) {
+    const compound = {
+      tag: null,
+      ids: [],
+      classes: [],
+      attributes: [],
+      pseudoClasses: [],
+      pseudoElement: null
+    };
+    let index = start;
+
+    const readName = () => {
+      let name = '';
+      while (index < text.length) {
+        const char = text[index];
+        if (char === '\\') {
+          name += text[index + 1] || '';
+          index += 2;
+        } else if (/[\w-]/.test(char) || char.charCodeAt(0) > 127) {
+          name += char;
+          index++;
+        } else {
+          break;
+        }
+      }
+      return name;
+    };
+
+    const readParenthesized = () => {
+      let depth = 1;
+      let quote = null;
+      const argStart = index + 1;
+      index++;
+      while (index < text.length && depth > 0) {
+        const char = text[index];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+          quote = char;
+        } else if (char === '(') {
+          depth++;
+        } else if (char === ')') {
+          depth--;
+        }
+        index++;
+      }
+      return depth === 0 ? text.slice(argStart, index - 1).trim() : null;
+    };
+
+    if (text[index] === '*') {
+      compound.tag = '*';
+      index++;
+    } else if (/[a-zA-Z_-]/.test(text[index] || '')) {
+      compound.tag = readName().toLowerCase();
+    }
+
+    while (index < text.length) {
+      const char = text[index];
+
+      if (char === '#') {
+        index++;
+        const id = readName();
+        if (!id) return null;
+        compound.ids.push(id);
+      } else if (char === '.') {
+        index++;
+        const className = readName();
+        if (!className) return null;
+        compound.classes.push(className);
+      } else if (char === '[') {
+        const end = this.findAttributeEnd(text, index);
+        if (end === -1) return null;
+        const attribute = this.parseAttributeSelector(text.slice(index + 1, end));
+        if (!attribute) return null;
+        compound.attributes.push(attribute);
+        index = end + 1;
+      } else if (char === ':') {
+        const isElement = text[index + 1] === ':';
+        index += isElement ? 2 : 1;
+        const name = readName().toLowerCase();
+        if (!name) return null;
+
+        let args = null;
+        if (text[index] === '(') {
+          args = readParenthesized();
+          if (args === null) return null;
+        }
+
+        if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) {
+          compound.pseudoElement = name;
+        } else {
+          compound.pseudoClasses.push(this.parsePseudoClass(name, args));
+        }
+      } else {
+        break;
+      }
+    }
+
+    if (index === start) return null;
+
+    return { compound, index };
+  }
+
+  /**
+   * Find the closing bracket of an attribute selector
+   * @param {string} text - The selector text
+   * @param {number} start - The position of the opening bracket
+   * @returns {number} - The position of the closing bracket, or -1 if missing
+   */
+  findAttributeEnd(text, start) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === ']') {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Parse the inside of an attribute selector
+   * @param {string} text - The text between the brackets
+   * @returns {Object|null} - The parsed attribute selector, or null if invalid
+   */
+  parseAttributeSelector(text) {
+    const match = text.trim().match(/^([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s"']+))\s*([iIsS])?)?$/);
+    if (!match) return null;
+
+    const value = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5];
+
+    return {
+      name: match[1].toLowerCase(),
+      operator: match[2] || null,
+      value: value !== undefined ? value : null,
+      caseInsensitive: match[6] ? match[6].toLowerCase() === 'i' : false
+    };
+  }
+
+  /**
+   * Parse a pseudo-class and its arguments
+   * @param {string} name - The pseudo-class name
+   * @param {string|null} args - The raw argument text
+   * @returns {Object} - The parsed pseudo-class
+   */
+  parsePseudoClass(name, args) {
+    const pseudoClass = { name, args, selectors: null, nth: null };
+
+    if (SELECTOR_LIST_PSEUDO_CLASSES.includes(name) && args !== null) {
+      pseudoClass.selectors = this.parseSelector(args);
+    } else if (/^nth-/.test(name) && args !== null) {
+      const ofMatch = args.match(/^(.*?)\s+of\s+(.+)$/i);
+      pseudoClass.nth = this.parseNth(ofMatch ? ofMatch[1] : args);
+      if (ofMatch) {
+        pseudoClass.selectors = this.parseSelector(ofMatch[2]);
+      }
+    }
+
+    return pseudoClass;
+  }
+
+  /**
+   * Parse an An+B expression
+   * @param {string} expression - The expression, e.g. "2n+1", "odd" or "3"
+   * @returns {Object|null} - The step and offset, or null if invalid
+   */
+  parseNth(expression) {
+    const value = expression.replace(/\s+/g, '').toLowerCase();
+
+    if (value === 'odd') return { step: 2, offset: 1 };
+    if (value === 'even') return { step: 2, offset: 0 };
+
+    const match = value.match(/^([+-]?\d*)?n([+-]\d+)?$/);
+    if (match) {
+      let step = 1;
+      if (match[1] === '-') step = -1;
+      else if (match[1] && match[1] !== '+') step = parseInt(match[1], 10);
+      return { step, offset: match[2] ? parseInt(match[2], 10) : 0 };
+    }
+
+    if (/^[+-]?\d+$/.test(value)) {
+      return { step: 0, offset: parseInt(value, 10) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Calculate the specificity of a parsed complex selector
+   * @param {Object} complex - The parsed complex selector
+   * @returns {Array<number>} - The (a, b, c) specificity tuple
+   */
+  getSpecificity(complex) {
+    const specificity = [0, 0, 0];
+
+    const add = tuple => {
+      specificity[0] += tuple[0];
+      specificity[1] += tuple[1];
+      specificity[2] += tuple[2];
+    };
+
+    const maxOf = selectors => (selectors || [])
+      .map(selector => this.getSpecificity(selector))
+      .reduce((max, tuple) => SelectorMatcher.compareSpecificity(tuple, max) > 0 ? tuple : max, [0, 0, 0]);
+
+    complex.compounds.forEach(compound => {
+      specificity[0] += compound.ids.length;
+      specificity[1] += compound.classes.length + compound.attributes.length;
+      if (compound.tag && compound.tag !== '*') specificity[2]++;
+      if (compound.pseudoElement) specificity[2]++;
+
+      compound.pseudoClasses.forEach(pseudoClass => {
+        if (pseudoClass.name === 'where') {
+          return;
+        }
+        if (['not', 'is', 'matches', 'any', 'has'].includes(pseudoClass.name)) {
+          // These take the specificity of their most specific argument
+          add(maxOf(pseudoClass.selectors));
+          return;
+        }
+        specificity[1]++;
+        if (pseudoClass.nth && pseudoClass.selectors) {
+          add(maxOf(pseudoClass.selectors));
+        }
+      });
+    });
+
+    return specificity;
+  }
+
+  /**
+   * Compare two specificity tuples
+   * @param {Array<number>} a - The first specificity tuple
+   * @param {Array<number>} b - The second specificity tuple
+   * @returns {number} - Negative if a is less specific, positive if more, 0 if equal
+   */
+  static compareSpecificity(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+  }
+
+  /**
+   * Check whether an element matches a selector list
+   * @param {Object} element - The parsed element
+   * @param {string} selectorText - The selector list
+   * @returns {boolean} - True if any selector in the list matches
+   */
+  matches(element, selectorText) {
+    return this.getMatchingSelectors(element, selectorText).length > 0;
+  }
+
+  /**
+   * Get the selectors of a selector list that match an element
+   * @param {Object} element - The parsed element
+   * @param {string} selectorText - The selector list
+   * @param {Object} options - Matching options
+   * @param {boolean} options.states - Also match selectors that need an interaction state
+   *                                   (e.g. :hover) on the element, ignoring that state
+   * @param {string} options.pseudoElement - Match selectors for this pseudo-element of the
+   *                                         element (e.g. 'before') instead of the element
+   * @returns {Array} - The matching parsed complex selectors
+   */
+  getMatchingSelectors(element, selectorText, options = {}) {
+    const pseudoElement = options.pseudoElement || null;
+
+    return this.parseSelector(selectorText).filter(complex => {
+      // Generated content is matched through its host, and only when asked for
+      if (complex.pseudoElement !== pseudoElement) return false;
+
+      let candidate = complex.host || complex;
+      if (candidate.stateless) {
+        if (!options.states) return false;
+        candidate = candidate.stateless;
+      }
+
+      return this.matchComplex(element, candidate, candidate.compounds.length - 1);
+    });
+  }
+
+  /**
+   * Find the rules whose selectors match an element
+   * @param {Object} element - The parsed element
+   * @param {Array} rules - The style rules to test
+   * @param {Object} options - Matching options, as for getMatchingSelectors
+   * @returns {Array} - Objects with the matching rule, the selectors that matched, the
+   *                    specificity of the most specific of them and the interaction state
+   *                    they need (null for the resting element). A rule matching in
+   *                    several states yields one object per state.
+   */
+  findMatchingRules(element, rules, options = {}) {
+    const matches = [];
+
+    rules.forEach(rule => {
+      const selectorText = rule.originalSelector || rule.selector;
+      const matchedSelectors = this.getMatchingSelectors(element, selectorText, options);
+
+      // Group the matched selectors by the state they require
+      const byState = new Map();
+      matchedSelectors.forEach(complex => {
+        const state = complex.states.length > 0 ? complex.states.join(':') : null;
+        if (!byState.has(state)) byState.set(state, []);
+        byState.get(state).push(complex);
+      });
+
+      byState.forEach((selectors, state) => {
+        const specificity = selectors
+          .map(complex => this.getSpecificity(complex))
+          .reduce((max, tuple) => SelectorMatcher.compareSpecificity(tuple, max) > 0 ? tuple : max);
+        matches.push({ rule, matchedSelectors: selectors, specificity, state });
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Find the pseudo-classes in a selector list that cannot be resolved structurally
+   * @param {string} selectorText - The selector list
+   * @returns {Array} - Objects with the selector, the pseudo-class and the reason
+   */
+  getPseudoClassIssues(selectorText) {
+    const issues = [];
+
+    const inspect = complexSelectors => {
+      complexSelectors.forEach(complex => {
+        complex.compounds.forEach((compound, index) => {
+          const isSubject = index === complex.compounds.length - 1;
+
+          compound.pseudoClasses.forEach(pseudoClass => {
+            if (STATE_PSEUDO_CLASSES.includes(pseudoClass.name)) {
+              if (!isSubject) {
+                issues.push({
+                  selector: complex.text,
+                  pseudoClass: pseudoClass.name,
+                  reason: 'A state on another element cannot be expressed as a state of this element'
+                });
+              }
+            } else if (!STRUCTURAL_PSEUDO_CLASSES.includes(pseudoClass.name)) {
+              issues.push({
+                selector: complex.text,
+                pseudoClass: pseudoClass.name,
+                reason: 'Pseudo-class cannot be resolved against the HTML structure'
+              });
+            }
+
+            if (pseudoClass.selectors) {
+              inspect(pseudoClass.selectors);
+            }
+          });
+        });
+      });
+    };
+
+    inspect(this.parseSelector(selectorText));
+
+    return issues;
+  }
+
+  /**
+   * Find all elements in the indexed tree that match a selector list
+   * @param {string} selectorText - The selector list
+   * @returns {Array} - The matching parsed elements, in document order
+   */
+  querySelectorAll(selectorText) {
+    const result = [];
+
+    const visit = element => {
+      if (this.matches(element, selectorText)) {
+        result.push(element);
+      }
+      (element.children || []).forEach(visit);
+    };
+
+    if (this.root) {
+      visit(this.root);
+    }
+
+    return result;
+  }
+
+  /**
+   * Match a complex selector right to left, starting at a given compound
+   * @param {Object} element - The parsed element
+   * @param {Object} complex - The parsed complex selector
+   * @param {number} index - The index of the compound the element must match
+   * @param {Object} scope - The anchor element of a relative selector (optional)
+   * @returns {boolean} - True if the element matches
+   */
+  matchComplex(element, complex, index, scope = null) {
+    if (!this.matchCompound(element, complex.compounds[index])) {
+      return false;
+    }
+
+    if (index === 0) {
+      return scope ? this.isRelated(scope, element, complex.leadingCombinator || ' ') : true;
+    }
+
+    const combinator = complex.combinators[index - 1];
+
+    switch (combinator) {
+      case '>': {
+        const parent = this.getParent(element);
+        return !!parent && this.matchComplex(parent, complex, index - 1, scope);
+      }
+      case '+': {
+        const previous = this.getPreviousSiblings(element)[0];
+        return !!previous && this.matchComplex(previous, complex, index - 1, scope);
+      }
+      case '~':
+        return this.getPreviousSiblings(element).some(sibling => {
+          return this.matchComplex(sibling, complex, index - 1, scope);
+        });
+      default:
+        for (let ancestor = this.getParent(element); ancestor; ancestor = this.getParent(ancestor)) {
+          if (this.matchComplex(ancestor, complex, index - 1, scope)) {
+            return true;
+          }
+        }
+        return false;
+    }
+  }
+
+  /**
+   * Check the relationship between an anchor element and a candidate
+   * @param {Object} scope - The anchor element
+   * @param {Object} element - The candidate element
+   * @param {string} combinator - The combinator relating the two
+   * @returns {boolean} - True if the candidate stands in that relationship to the anchor
+   */
+  isRelated(scope, element, combinator) {
+    switch (combinator) {
+      case '>':
+        return this.getParent(element) === scope;
+      case '+':
+        return this.getPreviousSiblings(element)[0] === scope;
+      case '~':
+        return this.getPreviousSiblings(element).includes(scope);
+      default:
+        for (let ancestor = this.getParent(element); ancestor; ancestor = this.getParent(ancestor)) {
+          if (ancestor === scope) return true;
+        }
+        return false;
+    }
+  }
+
+  /**
+   * Get the previous element siblings of an element, nearest first
+   * @param {Object} element - The parsed element
+   * @returns {Array} - The previous siblings
+   */
+  getPreviousSiblings(element) {
+    const siblings = this.getSiblings(element);
+    const position = siblings.indexOf(element);
+    return siblings.slice(0, Math.max(position, 0)).reverse();
+  }
+
+  /**
+   * Match a compound selector against a single element
+   * @param {Object} element - The parsed element
+   * @param {Object} compound - The parsed compound selector
+   * @returns {boolean} - True if every part of the compound matches
+   */
+  matchCompound(element, compound) {
+    const tagName = (element.tagName || '').toLowerCase();
+
+    if (compound.tag && compound.tag !== '*' && compound.tag !== tagName) {
+      return false;
+    }
+
+    if (compound.ids.some(id => (element.attributes || {}).id !== id)) {
+      return false;
+    }
+
+    const classes = element.classes || [];
+    if (compound.classes.some(className => !classes.includes(className))) {
+      return false;
+    }
+
+    if (compound.attributes.some(attribute => !this.matchAttribute(element, attribute))) {
+      return false;
+    }
+
+    return compound.pseudoClasses.every(pseudoClass => this.matchPseudoClass(element, pseudoClass));
+  }
+
+  /**
+   * Match an attribute selector against an element
+   * @param {Object} element - The parsed element
+   * @param {Object} attribute - The parsed attribute selector
+   * @returns {boolean} - True if the attribute matches
+   */
+  matchAttribute(element, attribute) {
+    let actual;
+    if (attribute.name === 'class') {
+      actual = (element.classes || []).length > 0 ? element.classes.join(' ') : undefined;
+    } else {
+      actual = (element.attributes || {})[attribute.name];
+    }
+
+    if (actual === undefined || actual === null) return false;
+    if (!attribute.operator) return true;
+
+    let expected = attribute.value;
+    if (attribute.caseInsensitive) {
+      actual = actual.toLowerCase();
+      expected = expected.toLowerCase();
+    }
+
+    switch (attribute.operator) {
+      case '=':
+        return actual === expected;
+      case '~=':
+        return actual.split(/\s+/).includes(expected);
+      case '|=':
+        return actual === expected || actual.startsWith(`${expected}-`);
+      case '^=':
+        return expected !== '' && actual.startsWith(expected);
+      case '$=':
+        return expected !== '' && actual.endsWith(expected);
+      case '*=':
+        return expected !== '' && actual.includes(expected);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Match a pseudo-class against an element
+   * @param {Object} element - The parsed element
+   * @param {Object} pseudoClass - The parsed pseudo-class
+   * @returns {boolean} - True if the pseudo-class matches
+   */
+  matchPseudoClass(element, pseudoClass) {
+    const tagName = (element.tagName || '').toLowerCase();
+    const attributes = element.attributes || {};
+
+    switch (pseudoClass.name) {
+      case 'not':
+        return !(pseudoClass.selectors || []).some(complex => this.matchComplex(element, complex, complex.compounds.length - 1));
+      case 'is':
+      case 'where':
+      case 'matches':
+      case 'any':
+        return (pseudoClass.selectors || []).some(complex => this.matchComplex(element, complex, complex.compounds.length - 1));
+      case 'has':
+        return (pseudoClass.selectors || []).some(complex => this.matchRelative(element, complex));
+      case 'root':
+        return !this.getParent(element);
+      case 'empty':
+        return (element.children || []).length === 0 && !element.content;
+      case 'first-child':
+        return this.getSiblings(element)[0] === element;
+      case 'last-child': {
+        const siblings = this.getSiblings(element);
+        return siblings[siblings.length - 1] === element;
+      }
+      case 'only-child':
+        return this.getSiblings(element).length === 1;
+      case 'first-of-type':
+        return this.getSiblingsOfType(element)[0] === element;
+      case 'last-of-type': {
+        const siblings = this.getSiblingsOfType(element);
+        return siblings[siblings.length - 1] === element;
+      }
+      case 'only-of-type':
+        return this.getSiblingsOfType(element).length === 1;
+      case 'nth-child':
+      case 'nth-last-child':
+      case 'nth-of-type':
+      case 'nth-last-of-type':
+        return this.matchNth(element, pseudoClass);
+      case 'link':
+      case 'any-link':
+        return ['a', 'area'].includes(tagName) && attributes.href !== undefined;
+      case 'checked':
+        return attributes.checked !== undefined || (tagName === 'option' && attributes.selected !== undefined);
+      case 'disabled':
+        return FORM_TAGS.includes(tagName) && attributes.disabled !== undefined;
+      case 'enabled':
+        return FORM_TAGS.includes(tagName) && attributes.disabled === undefined;
+      case 'required':
+        return attributes.required !== undefined;
+      case 'optional':
+        return ['input', 'select', 'textarea'].includes(tagName) && attributes.required === undefined;
+      default:
+        // Interaction states never match the resting element, nor do unknown pseudo-classes
+        return false;
+    }
+  }
+
+  /**
+   * Match a relative selector (the argument of :has) against an anchor element
+   * @param {Object} scope - The anchor element
+   * @param {Object} complex - The parsed relative selector
+   * @returns {boolean} - True if some element related to the anchor matches
+   */
+  matchRelative(scope, complex) {
+    let candidates;
+    switch (complex.leadingCombinator) {
+      case '>':
+        candidates = scope.children || [];
+        break;
+      case '+':
+      case '~': {
+        const siblings = this.getSiblings(scope);
+        candidates = siblings.slice(siblings.indexOf(scope) + 1);
+        break;
+      }
+      default:
+        candidates = this.getDescendants(scope);
+    }
+
+    // Deeper compounds may sit below the directly related element
+    if (complex.compounds.length > 1 && complex.leadingCombinator) {
+      candidates = candidates.concat(...candidates.map(candidate => this.getDescendants(candidate)));
+    }
+
+    return candidates.some(candidate => this.matchComplex(candidate, complex, complex.compounds.length - 1, scope));
+  }
+
+  /**
+   * Get all descendants of an element, in document order
+   * @param {Object} element - The parsed element
+   * @returns {Array} - The descendant elements
+   */
+  getDescendants(element) {
+    const descendants = [];
+    (element.children || []).forEach(child => {
+      descendants.push(child, ...this.getDescendants(child));
+    });
+    return descendants;
+  }
+
+  /**
+   * Get the siblings of an element that share its tag name
+   * @param {Object} element - The parsed element
+   * @returns {Array} - The siblings of the same type, including the element
+   */
+  getSiblingsOfType(element) {
+    return this.getSiblings(element).filter(sibling => sibling.tagName === element.tagName);
+  }
+
+  /**
+   * Match one of the :nth-* pseudo-classes against an element
+   * @param {Object} element - The parsed element
+   * @param {Object} pseudoClass - The parsed pseudo-class
+   * @returns {boolean} - True if the element's position satisfies An+B
+   */
+  matchNth(element, pseudoClass) {
+    if (!pseudoClass.nth) return false;
+
+    let siblings = /of-type$/.test(pseudoClass.name)
+      ? this.getSiblingsOfType(element)
+      : this.getSiblings(element);
+
+    if (pseudoClass.selectors) {
+      if (!pseudoClass.selectors.some(complex => this.matchComplex(element, complex, complex.compounds.length - 1))) {
+        return false;
+      }
+      siblings = siblings.filter(sibling => {
+        return pseudoClass.selectors.some(complex => this.matchComplex(sibling, complex, complex.compounds.length - 1));
+      });
+    }
+
+    if (/^nth-last-/.test(pseudoClass.name)) {
+      siblings = siblings.slice().reverse();
+    }
+
+    const position = siblings.indexOf(element) + 1;
+    const { step, offset } = pseudoClass.nth;
+
+    if (step === 0) {
+      return position === offset;
+    }
+
+    const n = (position - offset) / step;
+    return Number.isInteger(n) && n >= 0;
+  }
+}
+
+module.exports = SelectorMatcher;
@@ -0,0 +1,801 @@
+/**
+ * Shorthand Expander for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for expanding CSS shorthand properties into the longhand
+ * properties Webflow's style panel works with. Omitted parts of a shorthand are reset
+ * to their initial values, exactly as the browser does.
+ */
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+const GLOBAL_KEYWORDS = ['inherit', 'initial', 'unset', 'revert', 'revert-layer'];
+
+const BORDER_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+const BORDER_WIDTHS = ['thin', 'medium', 'thick'];
+
+const BACKGROUND_REPEATS = ['repeat', 'repeat-x', 'repeat-y', 'no-repeat', 'space', 'round'];
+const BACKGROUND_ATTACHMENTS = ['scroll', 'fixed', 'local'];
+const BACKGROUND_BOXES = ['border-box', 'padding-box', 'content-box'];
+const BACKGROUND_POSITIONS = ['left', 'right', 'top', 'bottom', 'center'];
+
+const FONT_STYLES = ['italic', 'oblique'];
+const FONT_VARIANTS = ['small-caps'];
+const FONT_WEIGHTS = ['bold', 'bolder', 'lighter'];
+const FONT_STRETCHES = ['ultra-condensed', 'extra-condensed', 'condensed', 'semi-condensed', 'semi-expanded', 'expanded', 'extra-expanded', 'ultra-expanded'];
+const FONT_SIZES = ['xx-small', 'x-small', 'small', 'medium', 'large', 'x-large', 'xx-large', 'xxx-large', 'larger', 'smaller'];
+const SYSTEM_FONTS = ['caption', 'icon', 'menu', 'message-box', 'small-caption', 'status-bar'];
+
+const TIMING_FUNCTIONS = ['ease', 'linear', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'];
+const ANIMATION_DIRECTIONS = ['normal', 'reverse', 'alternate', 'alternate-reverse'];
+const ANIMATION_FILL_MODES = ['none', 'forwards', 'backwards', 'both'];
+const ANIMATION_PLAY_STATES = ['running', 'paused'];
+
+const LENGTH = /^-?(\d+\.?\d*|\.\d+)(px|em|rem|%|vw|vh|vmin|vmax|ch|ex|pt|pc|cm|mm|in|q|svh|lvh|dvh|svw|lvw|dvw)?$/i;
+const MATH_FUNCTION = /^(calc|min|max|clamp)\(/i;
+const COLOR_FUNCTION = /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch|color|color-mix)\(/i;
+const IMAGE_FUNCTION = /^(url|(repeating-)?(linear|radial|conic)-gradient|image-set|-webkit-image-set|image|cross-fade|element)\(/i;
+
+class ShorthandExpander {
+  /**
+   * Check whether a property is a shorthand this expander handles
+   * @param {string} property - The CSS property name
+   * @returns {boolean} - True if the property can be expanded
+   */
+  isShorthand(property) {
+    return !!this.getExpander(property);
+  }
+
+  /**
+   * Expand a declaration into its longhands
+   * @param {string} property - The CSS property name
+   * @param {string} value - The declared value
+   * @returns {Array|null} - Array of [longhand, value] pairs in order, or null if the
+   *                         declaration is not a shorthand or cannot be expanded safely
+   */
+  expand(property, value) {
+    const expander = this.getExpander(property);
+    if (!expander) return null;
+
+    const trimmed = value.trim();
+
+    // Custom properties are only known after substitution
+    if (/var\(/i.test(trimmed)) return null;
+
+    const longhands = expander.longhands;
+    if (GLOBAL_KEYWORDS.includes(trimmed.toLowerCase())) {
+      return longhands.map(longhand => [longhand, trimmed.toLowerCase()]);
+    }
+
+    const expanded = expander.expand(trimmed);
+    return expanded ? Object.entries(expanded) : null;
+  }
+
+  /**
+   * Expand a declaration into the longhand declarations that take part in the cascade
+   * @param {string} property - The CSS property name
+   * @param {string} value - The declared value
+   * @returns {Array} - Declarations with the longhand property, its value and the shorthand
+   *                    it came from (null if not expanded). A shorthand using var() sets every
+   *                    longhand to its whole value, pending substitution.
+   */
+  toLonghands(property, value) {
+    const expanded = this.expand(property, value);
+    if (expanded) {
+      return expanded.map(([longhand, longhandValue]) => ({ property: longhand, value: longhandValue, shorthand: property }));
+    }
+
+    if (this.isShorthand(property) && /var\(/i.test(value)) {
+      return this.getExpander(property).longhands.map(longhand => ({ property: longhand, value, shorthand: property }));
+    }
+
+    return [{ property, value, shorthand: null }];
+  }
+
+  /**
+   * Get the expander for a shorthand property
+   * @param {string} property - The CSS property name
+   * @returns {Object|null} - The longhands and expansion function, or null if not a shorthand
+   */
+  getExpander(property) {
+    const sides = (prefix, suffix = '') => SIDES.map(side => `${prefix}${side}${suffix}`);
+    const corners = CORNERS.map(corner => `border-${corner}-radius`);
+
+    switch (property) {
+      case 'margin':
+      case 'padding':
+        return this.boxExpander(sides(`${property}-`));
+      case 'inset':
+        return this.boxExpander(SIDES.slice());
+      case 'border-width':
+      case 'border-style':
+      case 'border-color':
+        return this.boxExpander(sides('border-', `-${property.split('-')[1]}`));
+      case 'border':
+        return {
+          longhands: [...sides('border-', '-width'), ...sides('border-', '-style'), ...sides('border-', '-color')],
+          expand: value => {
+            const parts = this.parseBorder(value);
+            if (!parts) return null;
+            const result = {};
+            ['width', 'style', 'color'].forEach(part => {
+              SIDES.forEach(side => {
+                result[`border-${side}-${part}`] = parts[part];
+              });
+            });
+            return result;
+          }
+        };
+      case 'border-top':
+      case 'border-right':
+      case 'border-bottom':
+      case 'border-left':
+        return {
+          longhands: ['width', 'style', 'color'].map(part => `${property}-${part}`),
+          expand: value => {
+            const parts = this.parseBorder(value);
+            if (!parts) return null;
+            return {
+              [`${property}-width`]: parts.width,
+              [`${property}-style`]: parts.style,
+              [`${property}-color`]: parts.color
+            };
+          }
+        };
+      case 'border-radius':
+        return {
+          longhands: corners,
+          expand: value => this.expandBorderRadius(value, corners)
+        };
+      case 'background':
+        return {
+          longhands: ['background-image', 'background-position', 'background-size', 'background-repeat',
+            'background-attachment', 'background-origin', 'background-clip', 'background-color'],
+          expand: value => this.expandBackground(value)
+        };
+      case 'flex':
+        return {
+          longhands: ['flex-grow', 'flex-shrink', 'flex-basis'],
+          expand: value => this.expandFlex(value)
+        };
+      case 'font':
+        return {
+          longhands: ['font-style', 'font-variant', 'font-weight', 'font-stretch', 'font-size', 'line-height', 'font-family'],
+          expand: value => this.expandFont(value)
+        };
+      case 'grid-area':
+        return {
+          longhands: ['grid-row-start', 'grid-column-start', 'grid-row-end', 'grid-column-end'],
+          expand: value => this.expandGridArea(value)
+        };
+      case 'grid-column':
+      case 'grid-row':
+        return {
+          longhands: [`${property}-start`, `${property}-end`],
+          expand: value => this.expandGridLine(value, property)
+        };
+      case 'grid-template':
+        return {
+          longhands: ['grid-template-rows', 'grid-template-columns', 'grid-template-areas'],
+          expand: value => this.expandGridTemplate(value)
+        };
+      case 'place-items':
+      case 'place-content':
+      case 'place-self': {
+        const suffix = property.split('-')[1];
+        return this.pairExpander([`align-${suffix}`, `justify-${suffix}`]);
+      }
+      case 'gap':
+        return this.pairExpander(['row-gap', 'column-gap']);
+      case 'transition':
+        return {
+          longhands: ['transition-property', 'transition-duration', 'transition-timing-function', 'transition-delay'],
+          expand: value => this.expandTransition(value)
+        };
+      case 'animation':
+        return {
+          longhands: ['animation-name', 'animation-duration', 'animation-timing-function', 'animation-delay',
+            'animation-iteration-count', 'animation-direction', 'animation-fill-mode', 'animation-play-state',
+            'animation-timeline'],
+          expand: value => this.expandAnimation(value)
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Create an expander for the 1-to-4 value box model (top, right, bottom, left)
+   * @param {Array<string>} longhands - The longhands in top, right, bottom, left order
+   * @returns {Object} - The expander
+   */
+  boxExpander(longhands) {
+    return {
+      longhands,
+      expand: value => {
+        const values = this.splitValue(value);
+        if (values.length < 1 || values.length > 4) return null;
+
+        const [top, right = top, bottom = top, left = right] = values;
+        return {
+          [longhands[0]]: top,
+          [longhands[1]]: right,
+          [longhands[2]]: bottom,
+          [longhands[3]]: left
+        };
+      }
+    };
+  }
+
+  /**
+   * Create an expander for a one-or-two value shorthand whose second value defaults to the first
+   * @param {Array<string>} longhands - The two longhands
+   * @returns {Object} - The expander
+   */
+  pairExpander(longhands) {
+    return {
+      longhands,
+      expand: value => {
+        const values = this.splitValue(value);
+        if (values.length < 1 || values.length > 2) return null;
+        return {
+          [longhands[0]]: values[0],
+          [longhands[1]]: values[1] || values[0]
+        };
+      }
+    };
+  }
+
+  /**
+   * Parse the width, style and color of a border shorthand, in any order
+   * @param {string} value - The border value
+   * @returns {Object|null} - The width, style and color, or null if invalid
+   */
+  parseBorder(value) {
+    const parts = { width: 'medium', style: 'none', color: 'currentcolor' };
+    const seen = new Set();
+
+    for (const token of this.splitValue(value)) {
+      const lower = token.toLowerCase();
+      let part;
+      if (BORDER_STYLES.includes(lower)) {
+        part = 'style';
+      } else if (BORDER_WIDTHS.includes(lower) || LENGTH.test(token) || MATH_FUNCTION.test(token)) {
+        part = 'width';
+      } else if (this.isColor(token)) {
+        part = 'color';
+      } else {
+        return null;
+      }
+
+      if (seen.has(part)) return null;
+      seen.add(part);
+      parts[part] = token;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Expand border-radius, including the horizontal / vertical form
+   * @param {string} value - The border-radius value
+   * @param {Array<string>} corners - The corner longhands in top-left, top-right, bottom-right, bottom-left order
+   * @returns {Object|null} - The corner longhands, or null if invalid
+   */
+  expandBorderRadius(value, corners) {
+    const [horizontalText, verticalText, extra] = value.split('/').map(part => part.trim());
+    if (extra !== undefined || !horizontalText) return null;
+
+    const toCorners = text => {
+      const values = this.splitValue(text);
+      if (values.length < 1 || values.length > 4) return null;
+      const [topLeft, topRight = topLeft, bottomRight = topLeft, bottomLeft = topRight] = values;
+      return [topLeft, topRight, bottomRight, bottomLeft];
+    };
+
+    const horizontal = toCorners(horizontalText);
+    const vertical = verticalText !== undefined ? toCorners(verticalText) : horizontal;
+    if (!horizontal || !vertical) return null;
+
+    const result = {};
+    corners.forEach((corner, index) => {
+      result[corner] = horizontal[index] === vertical[index]
+        ? horizontal[index]
+        : `${horizontal[index]} ${vertical[index]}`;
+    });
+    return result;
+  }
+
+  /**
+   * Expand a (possibly multi-layer) background shorthand
+   * @param {string} value - The background value
+   * @returns {Object|null} - The background longhands, with one comma-separated entry per layer
+   */
+  expandBackground(value) {
+    const layers = this.splitList(value);
+    const longhands = {
+      'background-image': [],
+      'background-position': [],
+      'background-size': [],
+      'background-repeat': [],
+      'background-attachment': [],
+      'background-origin': [],
+      'background-clip': []
+    };
+    let color = 'transparent';
+
+    for (let index = 0; index < layers.length; index++) {
+      const isFinalLayer = index === layers.length - 1;
+      const layer = {
+        image: 'none',
+        position: [],
+        size: null,
+        repeat: [],
+        attachment: 'scroll',
+        boxes: []
+      };
+
+      const tokens = this.splitSlashes(this.splitValue(layers[index]));
+      let expectSize = false;
+
+      for (const token of tokens) {
+        const lower = token.toLowerCase();
+
+        if (token === '/') {
+          if (layer.position.length === 0) return null;
+          expectSize = true;
+          layer.size = [];
+        } else if (expectSize && (LENGTH.test(token) || MATH_FUNCTION.test(token) || ['auto', 'cover', 'contain'].includes(lower))) {
+          layer.size.push(token);
+        } else if (IMAGE_FUNCTION.test(token) || lower === 'none') {
+          expectSize = false;
+          layer.image = token;
+        } else if (BACKGROUND_POSITIONS.includes(lower) || LENGTH.test(token) || MATH_FUNCTION.test(token)) {
+          if (expectSize) return null;
+          layer.position.push(token);
+        } else if (BACKGROUND_REPEATS.includes(lower)) {
+          expectSize = false;
+          layer.repeat.push(token);
+        } else if (BACKGROUND_ATTACHMENTS.includes(lower)) {
+          expectSize = false;
+          layer.attachment = token;
+        } else if (BACKGROUND_BOXES.includes(lower) || lower === 'text') {
+          expectSize = false;
+          layer.boxes.push(token);
+        } else if (isFinalLayer && this.isColor(token)) {
+          expectSize = false;
+          color = token;
+        } else {
+          return null;
+        }
+      }
+
+      if (layer.size && layer.size.length === 0) return null;
+
+      // A single box value sets both origin and clip
+      const [origin = 'padding-box', clip = layer.boxes[0] || 'border-box'] = layer.boxes;
+
+      longhands['background-image'].push(layer.image);
+      longhands['background-position'].push(layer.position.length > 0 ? layer.position.join(' ') : '0% 0%');
+      longhands['background-size'].push(layer.size ? layer.size.join(' ') : 'auto');
+      longhands['background-repeat'].push(layer.repeat.length > 0 ? layer.repeat.join(' ') : 'repeat');
+      longhands['background-attachment'].push(layer.attachment);
+      longhands['background-origin'].push(origin);
+      longhands['background-clip'].push(clip);
+    }
+
+    const result = {};
+    Object.entries(longhands).forEach(([longhand, values]) => {
+      result[longhand] = values.join(', ');
+    });
+    result['background-color'] = color;
+    return result;
+  }
+
+  /**
+   * Expand the flex shorthand
+   * @param {string} value - The flex value
+   * @returns {Object|null} - The flex longhands, or null if invalid
+   */
+  expandFlex(value) {
+    const lower = value.toLowerCase();
+    if (lower === 'none') return { 'flex-grow': '0', 'flex-shrink': '0', 'flex-basis': 'auto' };
+    if (lower === 'auto') return { 'flex-grow': '1', 'flex-shrink': '1', 'flex-basis': 'auto' };
+
+    const values = this.splitValue(value);
+    const isNumber = token => /^\d+\.?\d*$|^\.\d+$/.test(token);
+    const isBasis = token => LENGTH.test(token) || MATH_FUNCTION.test(token) || ['auto', 'content', 'max-content', 'min-content', 'fit-content'].includes(token.toLowerCase());
+
+    const result = { 'flex-grow': '1', 'flex-shrink': '1', 'flex-basis': '0%' };
+
+    if (values.length === 1) {
+      if (isNumber(values[0])) {
+        result['flex-grow'] = values[0];
+      } else if (isBasis(values[0])) {
+        result['flex-basis'] = values[0];
+      } else {
+        return null;
+      }
+    } else if (values.length === 2) {
+      if (!isNumber(values[0])) return null;
+      result['flex-grow'] = values[0];
+      if (isNumber(values[1])) {
+        result['flex-shrink'] = values[1];
+      } else if (isBasis(values[1])) {
+        result['flex-basis'] = values[1];
+      } else {
+        return null;
+      }
+    } else if (values.length === 3) {
+      if (!isNumber(values[0]) || !isNumber(values[1]) || !isBasis(values[2])) return null;
+      result['flex-grow'] = values[0];
+      result['flex-shrink'] = values[1];
+      result['flex-basis'] = values[2];
+    } else {
+      return null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Expand the font shorthand: [style || variant || weight || stretch] size[/line-height] family
+   * @param {string} value - The font value
+   * @returns {Object|null} - The font longhands, or null for system fonts and invalid values
+   */
+  expandFont(value) {
+    if (SYSTEM_FONTS.includes(value.toLowerCase())) return null;
+
+    const tokens = this.splitSlashes(this.splitValue(value));
+    const result = {
+      'font-style': 'normal',
+      'font-variant': 'normal',
+      'font-weight': 'normal',
+      'font-stretch': 'normal',
+      'font-size': null,
+      'line-height': 'normal',
+      'font-family': null
+    };
+
+    let index = 0;
+    let prefixCount = 0;
+
+    // Optional style, variant, weight and stretch, in any order, before the size
+    while (index < tokens.length && prefixCount < 4) {
+      const lower = tokens[index].toLowerCase();
+      if (lower === 'normal') {
+        // Applies to whichever optional part is still unset, which is already normal
+      } else if (FONT_STYLES.includes(lower)) {
+        result['font-style'] = tokens[index];
+      } else if (FONT_VARIANTS.includes(lower)) {
+        result['font-variant'] = tokens[index];
+      } else if (FONT_WEIGHTS.includes(lower) || /^[1-9]00$/.test(lower)) {
+        result['font-weight'] = tokens[index];
+      } else if (FONT_STRETCHES.includes(lower)) {
+        result['font-stretch'] = tokens[index];
+      } else {
+        break;
+      }
+      index++;
+      prefixCount++;
+    }
+
+    // Required size
+    const size = tokens[index];
+    if (!size || !(LENGTH.test(size) || MATH_FUNCTION.test(size) || FONT_SIZES.includes(size.toLowerCase()))) {
+      return null;
+    }
+    result['font-size'] = size;
+    index++;
+
+    // Optional line height
+    if (tokens[index] === '/') {
+      if (!tokens[index + 1]) return null;
+      result['line-height'] = tokens[index + 1];
+      index += 2;
+    }
+
+    // Required family list, which may contain spaces and commas
+    const family = tokens.slice(index).join(' ').replace(/\s*,\s*/g, ', ');
+    if (!family) return null;
+    result['font-family'] = family;
+
+    return result;
+  }
+
+  /**
+   * Expand grid-area: row-start / column-start / row-end / column-end
+   * @param {string} value - The grid-area value
+   * @returns {Object|null} - The grid placement longhands, or null if invalid
+   */
+  expandGridArea(value) {
+    const parts = value.split('/').map(part => part.trim());
+    if (parts.length > 4 || parts.some(part => !part)) return null;
+
+    // A named area fills in the omitted lines with the same name
+    const isIdent = part => this.isGridIdent(part);
+    const [rowStart] = parts;
+    const columnStart = parts[1] || (isIdent(rowStart) ? rowStart : 'auto');
+    const rowEnd = parts[2] || (isIdent(rowStart) ? rowStart : 'auto');
+    const columnEnd = parts[3] || (isIdent(columnStart) ? columnStart : 'auto');
+
+    return {
+      'grid-row-start': rowStart,
+      'grid-column-start': columnStart,
+      'grid-row-end': rowEnd,
+      'grid-column-end': columnEnd
+    };
+  }
+
+  /**
+   * Expand grid-column or grid-row: start / end
+   * @param {string} value - The grid-column or grid-row value, e.g. "1 / span 2"
+   * @param {string} property - 'grid-column' or 'grid-row'
+   * @returns {Object|null} - The start and end longhands, or null if invalid
+   */
+  expandGridLine(value, property) {
+    const parts = value.split('/').map(part => part.trim());
+    if (parts.length > 2 || parts.some(part => !part)) return null;
+
+    // A single line name is used for both edges
+    const [start] = parts;
+    const end = parts[1] || (this.isGridIdent(start) ? start : 'auto');
+
+    return {
+      [`${property}-start`]: start,
+      [`${property}-end`]: end
+    };
+  }
+
+  /**
+   * Expand grid-template: rows / columns, or area strings with their row sizes / columns
+   * @param {string} value - The grid-template value
+   * @returns {Object|null} - The rows, columns and areas longhands, or null if invalid
+   */
+  expandGridTemplate(value) {
+    if (value.toLowerCase() === 'none') {
+      return {
+        'grid-template-rows': 'none',
+        'grid-template-columns': 'none',
+        'grid-template-areas': 'none'
+      };
+    }
+
+    const parts = value.split('/').map(part => part.trim());
+    if (parts.length !== 2 && !(parts.length === 1 && /["']/.test(value))) return null;
+    if (parts.some(part => !part)) return null;
+
+    const [rowsPart, columns = 'none'] = parts;
+    if (!/["']/.test(rowsPart)) {
+      return {
+        'grid-template-rows': rowsPart,
+        'grid-template-columns': columns,
+        'grid-template-areas': 'none'
+      };
+    }
+
+    // Each area string may be followed by the size of its row, and line names
+    const areas = [];
+    const rows = [];
+    rowsPart.split(/("[^"]*"|'[^']*')/).forEach((piece, index) => {
+      const text = piece.trim();
+      if (index % 2 === 1) {
+        areas.push(text);
+      } else if (index === 0) {
+        if (text) rows.push(text);
+      } else {
+        const size = text.replace(/\[[^\]]*\]/g, '').trim();
+        rows.push(size ? text : `auto ${text}`.trim());
+      }
+    });
+
+    return {
+      'grid-template-rows': rows.join(' '),
+      'grid-template-columns': columns,
+      'grid-template-areas': areas.join(' ')
+    };
+  }
+
+  /**
+   * Check whether part of a grid placement is a line or area name
+   * @param {string} part - The part, e.g. "header", "2" or "span 2"
+   * @returns {boolean} - True for custom identifiers
+   */
+  isGridIdent(part) {
+    return /^-?[a-z_][\w-]*$/i.test(part) && !['auto', 'span'].includes(part.toLowerCase());
+  }
+
+  /**
+   * Expand a (possibly multi-layer) transition shorthand
+   * @param {string} value - The transition value
+   * @returns {Object|null} - The transition longhands, with one comma-separated entry per layer
+   */
+  expandTransition(value) {
+    const longhands = {
+      'transition-property': [],
+      'transition-duration': [],
+      'transition-timing-function': [],
+      'transition-delay': []
+    };
+
+    for (const layer of this.splitList(value)) {
+      let property = 'all';
+      let timing = 'ease';
+      const times = [];
+
+      for (const token of this.splitValue(layer)) {
+        const lower = token.toLowerCase();
+        if (/^-?(\d+\.?\d*|\.\d+)m?s$/.test(lower)) {
+          times.push(token);
+        } else if (TIMING_FUNCTIONS.includes(lower) || /^(cubic-bezier|steps|linear)\(/.test(lower)) {
+          timing = token;
+        } else if (/^-?[a-z_][\w-]*$/.test(lower)) {
+          property = token;
+        } else {
+          return null;
+        }
+      }
+
+      if (times.length > 2) return null;
+
+      longhands['transition-property'].push(property);
+      longhands['transition-duration'].push(times[0] || '0s');
+      longhands['transition-timing-function'].push(timing);
+      longhands['transition-delay'].push(times[1] || '0s');
+    }
+
+    const result = {};
+    Object.entries(longhands).forEach(([longhand, values]) => {
+      result[longhand] = values.join(', ');
+    });
+    return result;
+  }
+
+  /**
+   * Expand a (possibly multi-layer) animation shorthand
+   * @param {string} value - The animation value
+   * @returns {Object|null} - The animation longhands, with one comma-separated entry per layer
+   */
+  expandAnimation(value) {
+    const longhands = {
+      'animation-name': [],
+      'animation-duration': [],
+      'animation-timing-function': [],
+      'animation-delay': [],
+      'animation-iteration-count': [],
+      'animation-direction': [],
+      'animation-fill-mode': [],
+      'animation-play-state': [],
+      'animation-timeline': []
+    };
+
+    for (const layer of this.splitList(value)) {
+      const parts = {};
+      const times = [];
+
+      // Keywords go to the first longhand that accepts them and is still unset, then to the name
+      for (const token of this.splitValue(layer)) {
+        const lower = token.toLowerCase();
+        if (/^-?(\d+\.?\d*|\.\d+)m?s$/.test(lower)) {
+          times.push(token);
+        } else if (!parts.timing && (TIMING_FUNCTIONS.includes(lower) || /^(cubic-bezier|steps|linear)\(/.test(lower))) {
+          parts.timing = token;
+        } else if (!parts.count && (lower === 'infinite' || /^(\d+\.?\d*|\.\d+)$/.test(lower))) {
+          parts.count = token;
+        } else if (!parts.direction && ANIMATION_DIRECTIONS.includes(lower)) {
+          parts.direction = token;
+        } else if (!parts.fill && ANIMATION_FILL_MODES.includes(lower)) {
+          parts.fill = token;
+        } else if (!parts.playState && ANIMATION_PLAY_STATES.includes(lower)) {
+          parts.playState = token;
+        } else if (!parts.name && (/^-?[a-z_][\w-]*$/i.test(token) || /^(["']).*\1$/.test(token))) {
+          parts.name = token;
+        } else {
+          return null;
+        }
+      }
+
+      if (times.length > 2) return null;
+
+      longhands['animation-name'].push(parts.name || 'none');
+      longhands['animation-duration'].push(times[0] || '0s');
+      longhands['animation-timing-function'].push(parts.timing || 'ease');
+      longhands['animation-delay'].push(times[1] || '0s');
+      longhands['animation-iteration-count'].push(parts.count || '1');
+      longhands['animation-direction'].push(parts.direction || 'normal');
+      longhands['animation-fill-mode'].push(parts.fill || 'none');
+      longhands['animation-play-state'].push(parts.playState || 'running');
+      longhands['animation-timeline'].push('auto');
+    }
+
+    const result = {};
+    Object.entries(longhands).forEach(([longhand, values]) => {
+      result[longhand] = values.join(', ');
+    });
+    return result;
+  }
+
+  /**
+   * Check whether a token is a colour
+   * @param {string} token - The value token
+   * @returns {boolean} - True for hex colours, colour functions and colour keywords
+   */
+  isColor(token) {
+    return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(token) ||
+      COLOR_FUNCTION.test(token) ||
+      (/^[a-z]+$/i.test(token) && !BORDER_STYLES.includes(token.toLowerCase()));
+  }
+
+  /**
+   * Split a value on its top-level whitespace
+   * @param {string} value - The value
+   * @returns {Array<string>} - The tokens, keeping functions and strings intact
+   */
+  splitValue(value) {
+    return this.splitTopLevel(value, /\s/);
+  }
+
+  /**
+   * Separate slashes that are not inside functions into their own tokens
+   * @param {Array<string>} tokens - The whitespace-separated tokens
+   * @returns {Array<string>} - The tokens, with each top-level '/' as a token of its own
+   */
+  splitSlashes(tokens) {
+    const result = [];
+    tokens.forEach(token => {
+      if (/^[\w-]+\(/.test(token) || !token.includes('/')) {
+        result.push(token);
+        return;
+      }
+      token.split('/').forEach((part, index) => {
+        if (index > 0) result.push('/');
+        if (part) result.push(part);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Split a value on its top-level commas
+   * @param {string} value - The value
+   * @returns {Array<string>} - The comma-separated items
+   */
+  splitList(value) {
+    return this.splitTopLevel(value, /,/);
+  }
+
+  /**
+   * Split a value on a separator that is not inside parentheses or quotes
+   * @param {string} value - The value
+   * @param {RegExp} separator - Matches a single separator character
+   * @returns {Array<string>} - The non-empty parts, trimmed
+   */
+  splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of value) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (depth === 0 && separator.test(char)) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+}
+
+module.exports = ShorthandExpander;
@@ -0,0 +1,115 @@
+/**
+ * Site Style Registry for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for knowing which styles already exist in the Webflow site
+ * before anything is created, so a generated class never silently takes over an existing
+ * style. Styles are loaded through the Webflow API, or through an injected adapter for
+ * other sources such as an exported site or a test fixture.
+ */
+
+class SiteStyleRegistry {
+  /**
+   * Constructor for the Site Style Registry
+   * @param {Object} webflow - The Webflow API instance
+   * @param {Object|null} adapter - Loads the styles instead of the Webflow API: an object
+   *                                whose async getStyles() resolves to a list of
+   *                                { name, properties } (default: none)
+   */
+  constructor(webflow, adapter = null) {
+    this.webflow = webflow;
+    this.adapter = adapter;
+    this.styles = new Map(); // Maps style names to their properties at the base breakpoint
+  }
+
+  /**
+   * Set where the styles are loaded from
+   * @param {Object|null} adapter - The adapter, or null for the Webflow API
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Load the styles of the site, replacing those loaded before
+   * @returns {Promise<Array>} - The styles, each with its name and properties
+   */
+  async load() {
+    this.styles.clear();
+
+    let styles = [];
+    if (this.adapter) {
+      styles = await this.adapter.getStyles();
+    } else if (this.webflow && typeof this.webflow.getAllStyles === 'function') {
+      for (const style of await this.webflow.getAllStyles()) {
+        styles.push({
+          name: await style.getName(),
+          properties: typeof style.getProperties === 'function' ? await style.getProperties() : {}
+        });
+      }
+    }
+
+    (styles || []).forEach(style => {
+      if (style && style.name) {
+        this.styles.set(style.name, { ...(style.properties || {}) });
+      }
+    });
+
+    return this.getAllStyles();
+  }
+
+  /**
+   * Get the ID of the site the styles belong to
+   * @returns {Promise<string>} - The site ID, or 'default' when it cannot be told
+   */
+  async getSiteId() {
+    if (this.adapter && typeof this.adapter.getSiteId === 'function') {
+      return await this.adapter.getSiteId();
+    }
+    if (this.webflow && typeof this.webflow.getSiteInfo === 'function') {
+      const info = await this.webflow.getSiteInfo();
+      if (info && info.siteId) return info.siteId;
+    }
+    return 'default';
+  }
+
+  /**
+   * Fill in the properties of styles the site listed without them
+   * @param {Object} properties - Maps style names to properties known from elsewhere, such
+   *                              as the class dictionary
+   */
+  fillProperties(properties) {
+    Object.entries(properties).forEach(([name, styles]) => {
+      if (this.styles.has(name) && Object.keys(this.styles.get(name)).length === 0) {
+        this.styles.set(name, { ...styles });
+      }
+    });
+  }
+
+  /**
+   * Check whether the site has a style
+   * @param {string} name - The style name
+   * @returns {boolean} - True if a style of that name exists
+   */
+  has(name) {
+    return this.styles.has(name);
+  }
+
+  /**
+   * Get the properties of an existing style
+   * @param {string} name - The style name
+   * @returns {Object|null} - The properties, or null if there is no such style
+   */
+  getProperties(name) {
+    return this.styles.has(name) ? { ...this.styles.get(name) } : null;
+  }
+
+  /**
+   * Get all styles loaded
+   * @returns {Array} - The styles, each with its name and properties
+   */
+  getAllStyles() {
+    return Array.from(this.styles.entries()).map(([name, properties]) => ({ name, properties: { ...properties } }));
+  }
+}
+
+module.exports = SiteStyleRegistry;
@@ -0,0 +1,438 @@
+/**
+ * Style Deduplicator for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for keeping repeated declarations out of the style panel.
+ * Once the cascade has run, each element's final declaration set, per breakpoint and
+ * state, is fingerprinted. Elements with the same set share one class instead of each
+ * getting a one-off style, and sets that differ in only a few declarations are reported
+ * as candidates for a base class plus combo classes.
+ */
+
+// Style fields of a Webflow element or class, as the element mapper stores them
+const STYLE_FIELDS = ['styles', 'breakpointStyles', 'stateStyles', 'backgrounds'];
+
+// Sets differing in more declarations than this are not near-duplicates
+const NEAR_DUPLICATE_DIFFERENCES = 2;
+
+// Near-duplicates must share at least this many declarations to be worth a base class
+const NEAR_DUPLICATE_SHARED = 3;
+
+class StyleDeduplicator {
+  /**
+   * Constructor for the Style Deduplicator
+   * @param {WebflowElementMapper} elementMapper - The element mapper creating Webflow classes
+   * @param {ComboClassBuilder} comboClassBuilder - The combo class builder, for each
+   *                                                element's class chain
+   * @param {ClassNamingSystem} classNamingSystem - The naming system naming shared classes
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint IDs
+   */
+  constructor(elementMapper, comboClassBuilder, classNamingSystem, breakpointMapper) {
+    this.elementMapper = elementMapper;
+    this.comboClassBuilder = comboClassBuilder;
+    this.classNamingSystem = classNamingSystem;
+    this.breakpointMapper = breakpointMapper;
+    this.sharedClasses = new Map(); // Maps parsed element IDs to the shared class styling them
+    this.shared = []; // The shared classes created, with the elements and classes they replaced
+    this.nearDuplicates = []; // Sets that could share a base class, as suggested to the user
+  }
+
+  /**
+   * Move identical final styles onto shared classes, and find near-duplicates
+   * @param {Array} parsedElements - The parsed elements, in document order
+   * @param {Function} getContext - Gets how to name a class for a candidate: its tag name,
+   *                                component and breakpoint
+   * @param {Set<string>} kept - IDs of parsed elements whose styles have to stay on them
+   *                             (default: none)
+   * @returns {Promise<Object>} - The report, as returned by getReport
+   */
+  async deduplicate(parsedElements, getContext, kept = new Set()) {
+    this.reset();
+    const groups = this.groupCandidates(this.collectCandidates(parsedElements, kept));
+
+    for (const group of groups.filter(candidates => candidates.length > 1)) {
+      await this.shareStyle(group, this.getSharedContext(group.map(getContext)));
+    }
+    this.nearDuplicates = this.findNearDuplicates(groups);
+
+    return this.getReport();
+  }
+
+  /**
+   * Get how to name the class a group of elements shares
+   * @param {Array<Object>} contexts - The naming context of each element
+   * @returns {Object} - The context, keeping only what the elements have in common
+   */
+  getSharedContext(contexts) {
+    const [first] = contexts;
+    const convention = this.classNamingSystem.convention;
+
+    // Elements of mixed roles are named after the most common one
+    const roleCounts = new Map();
+    contexts.forEach(context => {
+      const role = convention.getRole(context.tagName);
+      roleCounts.set(role, (roleCounts.get(role) || 0) + 1);
+    });
+    const named = contexts.reduce((best, context) => {
+      return roleCounts.get(convention.getRole(context.tagName)) > roleCounts.get(convention.getRole(best.tagName))
+        ? context
+        : best;
+    });
+
+    return {
+      tagName: named.tagName,
+      component: contexts.every(context => context.component === first.component) ? first.component : null,
+      breakpoint: contexts.every(context => context.breakpoint === first.breakpoint) ? first.breakpoint : null
+    };
+  }
+
+  /**
+   * Find the elements whose final style can move onto a shared class
+   * @param {Array} parsedElements - The parsed elements, in document order
+   * @param {Set<string>} kept - IDs of parsed elements whose styles have to stay on them
+   * @returns {Array} - One candidate per styled element without a class, or whose classes
+   *                    only it uses: the parsed element, the Webflow element, the Webflow
+   *                    class names of its chain, its final style and that style's fingerprint
+   */
+  collectCandidates(parsedElements, kept = new Set()) {
+    const counts = new Map();
+    parsedElements.forEach(parsedElement => {
+      new Set(parsedElement.classes || []).forEach(className => {
+        counts.set(className, (counts.get(className) || 0) + 1);
+      });
+    });
+
+    const candidates = [];
+    parsedElements.forEach(parsedElement => {
+      const element = this.elementMapper.getWebflowElement(parsedElement.id);
+      if (!element || kept.has(parsedElement.id)) return;
+
+      // Classes other elements use, or that are existing site styles, have to stay
+      const chain = this.comboClassBuilder.getChain(parsedElement);
+      const classNames = this.comboClassBuilder.getClassNames(chain);
+      if (chain.some(className => counts.get(className) > 1)
+        || classNames.some(className => this.classNamingSystem.getExistingResolution(className))) {
+        return;
+      }
+
+      const style = this.getFinalStyle([...this.comboClassBuilder.findClassStyles(parsedElement), element]);
+      const fingerprint = this.getFingerprint(style);
+      if (fingerprint) {
+        candidates.push({ parsedElement, element, classNames, style, fingerprint });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Group candidates by their final style
+   * @param {Array} candidates - The candidates, as returned by collectCandidates
+   * @returns {Array<Array>} - The groups of candidates, in document order; groups of one
+   *                           have no duplicate
+   */
+  groupCandidates(candidates) {
+    const groups = new Map();
+    candidates.forEach(candidate => {
+      if (!groups.has(candidate.fingerprint)) groups.set(candidate.fingerprint, []);
+      groups.get(candidate.fingerprint).push(candidate);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Move the identical final style of a group of elements onto one shared class
+   * @param {Array} group - The candidates sharing the style
+   * @param {Object} context - How to name the class: the tag name, the component and the
+   *                           breakpoint, as for elements without a class
+   * @returns {Promise<Object>} - The shared Webflow class
+   */
+  async shareStyle(group, context) {
+    const elementIds = group.map(candidate => candidate.parsedElement.id);
+    const replaced = group.map(candidate => candidate.classNames
+      .concat(this.classNamingSystem.getElementClassName(candidate.parsedElement.id) || []));
+
+    const className = this.classNamingSystem.generateSharedClassName(elementIds, context);
+    const sharedClass = await this.elementMapper.getClassStyle([className]);
+    await this.applyStyle(sharedClass, group[0].style);
+
+    for (const [index, candidate] of group.entries()) {
+      // The element's classes, and its own style, give way to the shared class
+      for (let length = 1; length <= candidate.classNames.length; length++) {
+        this.elementMapper.removeClassStyle(candidate.classNames.slice(0, length));
+      }
+      candidate.element.classes = (candidate.element.classes || [])
+        .filter(name => !replaced[index].includes(name));
+      candidate.element.styles = {};
+      delete candidate.element.breakpointStyles;
+      delete candidate.element.stateStyles;
+      delete candidate.element.backgrounds;
+      await this.elementMapper.applyClass(candidate.element, className);
+      this.sharedClasses.set(candidate.parsedElement.id, sharedClass);
+    }
+
+    this.shared.push({
+      className,
+      elements: elementIds,
+      replacedClasses: Array.from(new Set([].concat(...replaced)))
+    });
+    return sharedClass;
+  }
+
+  /**
+   * Find sets that differ in a few declarations and could share a base class
+   * @param {Array<Array>} groups - The groups of candidates, as returned by groupCandidates
+   * @returns {Array} - One suggestion per cluster: the elements, the style of the base class
+   *                    and, per distinct set, the elements and the style of its combo class
+   */
+  findNearDuplicates(groups) {
+    const sets = groups.map(group => ({
+      elements: group.map(candidate => candidate.parsedElement.id),
+      declarations: this.flattenStyle(group[0].style)
+    }));
+    const clustered = new Set();
+    const suggestions = [];
+
+    sets.forEach((set, index) => {
+      if (clustered.has(index)) return;
+      const cluster = [set];
+      sets.forEach((other, otherIndex) => {
+        if (otherIndex === index || clustered.has(otherIndex)) return;
+        if (this.isNearDuplicate(set.declarations, other.declarations)) {
+          cluster.push(other);
+          clustered.add(otherIndex);
+        }
+      });
+      if (cluster.length === 1) return;
+      clustered.add(index);
+
+      // The base holds what every set declares alike; each combo keeps the rest
+      const base = {};
+      Object.entries(set.declarations).forEach(([key, value]) => {
+        if (cluster.every(member => member.declarations[key] === value)) base[key] = value;
+      });
+      suggestions.push({
+        elements: [].concat(...cluster.map(member => member.elements)),
+        base: this.unflattenStyle(base),
+        combos: cluster.map(member => {
+          const own = {};
+          Object.entries(member.declarations).forEach(([key, value]) => {
+            if (!(key in base)) own[key] = value;
+          });
+          return { elements: member.elements, style: this.unflattenStyle(own) };
+        })
+      });
+    });
+
+    return suggestions;
+  }
+
+  /**
+   * Check whether two declaration sets are close enough for a base + combo split
+   * @param {Object} a - A flattened declaration set
+   * @param {Object} b - Another flattened declaration set
+   * @returns {boolean} - True if they share enough declarations and differ in few
+   */
+  isNearDuplicate(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    let shared = 0;
+    let differences = 0;
+    keys.forEach(key => {
+      if (a[key] === b[key]) {
+        shared++;
+      } else {
+        differences++;
+      }
+    });
+    return differences <= NEAR_DUPLICATE_DIFFERENCES && shared >= NEAR_DUPLICATE_SHARED;
+  }
+
+  /**
+   * Work out an element's final style from the styles layered on it
+   * @param {Array} layers - Its classes, base class first, followed by the element itself
+   * @returns {Object} - The style, shaped like the element mapper's, without values reset
+   *                     to 'initial' where nothing above them sets a value, and without
+   *                     empty breakpoints or states
+   */
+  getFinalStyle(layers) {
+    const merged = {};
+    STYLE_FIELDS.forEach(field => {
+      merged[field] = {};
+      layers.forEach(layer => {
+        const values = layer[field] || {};
+        if (field === 'styles') {
+          Object.assign(merged[field], values);
+          return;
+        }
+        Object.entries(values).forEach(([key, value]) => {
+          merged[field][key] = field === 'backgrounds' ? value : { ...(merged[field][key] || {}), ...value };
+        });
+      });
+    });
+
+    const style = { styles: this.withoutResets(merged, 'main', null), breakpointStyles: {}, stateStyles: {}, backgrounds: merged.backgrounds };
+    Object.keys(merged.breakpointStyles).forEach(breakpoint => {
+      const set = this.withoutResets(merged, breakpoint, null);
+      if (Object.keys(set).length > 0) style.breakpointStyles[breakpoint] = set;
+    });
+    Object.keys(merged.stateStyles).forEach(key => {
+      const { breakpoint, state } = this.parseKey(key);
+      const set = this.withoutResets(merged, breakpoint, state);
+      if (Object.keys(set).length > 0) style.stateStyles[key] = set;
+    });
+    return style;
+  }
+
+  /**
+   * Drop the values reset to 'initial' that have no value to reset
+   * @param {Object} style - The merged style, shaped like the element mapper's
+   * @param {string} breakpoint - The breakpoint ID of the styles
+   * @param {string|null} state - The state of the styles, null for resting styles
+   * @returns {Object} - The styles, keeping resets of a value that a larger breakpoint or,
+   *                     for states, the resting style sets
+   */
+  withoutResets(style, breakpoint, state) {
+    const getStyles = (candidate, candidateState) => {
+      if (candidateState) {
+        const key = candidate === 'main' ? candidateState : `${candidate}:${candidateState}`;
+        return style.stateStyles[key] || {};
+      }
+      return (candidate === 'main' ? style.styles : style.breakpointStyles[candidate]) || {};
+    };
+    const isSetAbove = property => {
+      for (let candidate = breakpoint; candidate; candidate = this.breakpointMapper.getParentBreakpoint(candidate)) {
+        const layers = state ? [getStyles(candidate, state), getStyles(candidate, null)] : [getStyles(candidate, null)];
+        const own = candidate === breakpoint ? layers.slice(1) : layers;
+        if (own.some(styles => property in styles && styles[property] !== 'initial')) return true;
+      }
+      return false;
+    };
+
+    const result = {};
+    Object.entries(getStyles(breakpoint, state)).forEach(([property, value]) => {
+      if (value !== 'initial' || isSetAbove(property)) result[property] = value;
+    });
+    return result;
+  }
+
+  /**
+   * Get the fingerprint of a final style
+   * @param {Object} style - The style, as returned by getFinalStyle
+   * @returns {string|null} - The fingerprint, equal for equal styles whatever their
+   *                          declaration order, or null for a style that sets nothing
+   */
+  getFingerprint(style) {
+    const declarations = this.flattenStyle(style);
+    const keys = Object.keys(declarations).sort();
+    if (keys.length === 0) return null;
+    return JSON.stringify(keys.map(key => [key, declarations[key]]));
+  }
+
+  /**
+   * Flatten a style into one value per breakpoint or state and property
+   * @param {Object} style - The style, as returned by getFinalStyle
+   * @returns {Object} - Maps 'field|key|property' to the value; background layers are
+   *                     compared as a whole
+   */
+  flattenStyle(style) {
+    const declarations = {};
+    Object.entries(style.styles || {}).forEach(([property, value]) => {
+      declarations[`styles||${property}`] = value;
+    });
+    ['breakpointStyles', 'stateStyles'].forEach(field => {
+      Object.entries(style[field] || {}).forEach(([key, values]) => {
+        Object.entries(values).forEach(([property, value]) => {
+          declarations[`${field}|${key}|${property}`] = value;
+        });
+      });
+    });
+    Object.entries(style.backgrounds || {}).forEach(([key, layers]) => {
+      declarations[`backgrounds|${key}|`] = JSON.stringify(layers);
+    });
+    return declarations;
+  }
+
+  /**
+   * Turn flattened declarations back into a style
+   * @param {Object} declarations - The declarations, as returned by flattenStyle
+   * @returns {Object} - The style, shaped like the element mapper's
+   */
+  unflattenStyle(declarations) {
+    const style = { styles: {}, breakpointStyles: {}, stateStyles: {}, backgrounds: {} };
+    Object.entries(declarations).forEach(([declaration, value]) => {
+      const [field, key, property] = declaration.split('|');
+      if (field === 'styles') {
+        style.styles[property] = value;
+      } else if (field === 'backgrounds') {
+        style.backgrounds[key] = JSON.parse(value);
+      } else {
+        style[field][key] = { ...(style[field][key] || {}), [property]: value };
+      }
+    });
+    return style;
+  }
+
+  /**
+   * Set a final style on a Webflow class
+   * @param {Object} style - The Webflow class
+   * @param {Object} finalStyle - The style, as returned by getFinalStyle
+   * @returns {Promise<void>}
+   */
+  async applyStyle(style, finalStyle) {
+    if (Object.keys(finalStyle.styles).length > 0) {
+      await this.elementMapper.applyStyles(style, finalStyle.styles);
+    }
+    for (const [breakpoint, styles] of Object.entries(finalStyle.breakpointStyles)) {
+      await this.elementMapper.applyStyles(style, styles, breakpoint);
+    }
+    for (const [key, styles] of Object.entries(finalStyle.stateStyles)) {
+      const { breakpoint, state } = this.parseKey(key);
+      await this.elementMapper.applyStyles(style, styles, breakpoint, state);
+    }
+    for (const [key, layers] of Object.entries(finalStyle.backgrounds)) {
+      const { breakpoint, state } = this.parseKey(key);
+      await this.elementMapper.applyBackgrounds(style, layers, breakpoint, state);
+    }
+  }
+
+  /**
+   * Split the key of a breakpoint or state style
+   * @param {string} key - The key, e.g. 'small', 'hover' or 'small:hover'
+   * @returns {Object} - The breakpoint ID and the state, null for resting styles
+   */
+  parseKey(key) {
+    const [first, second] = key.split(':');
+    if (second) return { breakpoint: first, state: second };
+    return this.breakpointMapper.getBreakpoints().includes(first)
+      ? { breakpoint: first, state: null }
+      : { breakpoint: 'main', state: first };
+  }
+
+  /**
+   * Find the shared class styling an element
+   * @param {string} elementId - The parsed element ID
+   * @returns {Object|null} - The shared Webflow class, or null if the element kept its style
+   */
+  findSharedClass(elementId) {
+    return this.sharedClasses.get(elementId) || null;
+  }
+
+  /**
+   * Get the report of the last deduplication
+   * @returns {Object} - The shared classes, with the elements they style and the classes
+   *                     they replaced, and the near-duplicates suggested as base + combo
+   */
+  getReport() {
+    return { shared: this.shared.slice(), nearDuplicates: this.nearDuplicates.slice() };
+  }
+
+  /**
+   * Forget the shared classes of the last conversion
+   */
+  reset() {
+    this.sharedClasses.clear();
+    this.shared = [];
+    this.nearDuplicates = [];
+  }
+}
+
+module.exports = StyleDeduplicator;
@@ -0,0 +1,264 @@
+/**
+ * Style Inspector for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for explaining the final style of a converted element. For
+ * each property it reports the winning declaration, the declarations it overrode, where an
+ * inherited value came from, and the Webflow property, breakpoint and state the value
+ * landed in, on the element's own style, one of its classes or a tag style.
+ */
+
+// Properties an element takes from its parent when it does not set them
+const INHERITED_PROPERTIES = ['color', 'font-family', 'font-size', 'font-style', 'font-weight',
+  'font-variant', 'font-stretch', 'line-height', 'letter-spacing', 'word-spacing', 'text-align',
+  'text-indent', 'text-transform', 'text-shadow', 'white-space', 'word-break', 'overflow-wrap',
+  'direction', 'visibility', 'cursor', 'list-style-type', 'list-style-position', 'list-style-image'];
+
+// Properties that land in an element's background layers rather than its styles
+const BACKGROUND_LAYER_PROPERTIES = ['background-image', 'background-position', 'background-size',
+  'background-repeat', 'background-attachment', 'background-origin', 'background-clip'];
+
+class StyleInspector {
+  /**
+   * Constructor for the Style Inspector
+   * @param {ConversionManager} conversionManager - The conversion manager whose last
+   *                                                conversion is inspected
+   */
+  constructor(conversionManager) {
+    this.conversionManager = conversionManager;
+  }
+
+  /**
+   * Inspect the final style of an element
+   * @param {string} target - A parsed element ID, or a CSS selector into the source HTML
+   *                          (the first matching element is inspected)
+   * @param {Object} options - Inspection options
+   * @param {string} options.breakpoint - The Webflow breakpoint ID (default: 'main')
+   * @param {string} options.state - The Webflow style state, e.g. 'hover' (default: none)
+   * @returns {Object|null} - The element's style broken down by property, or null if no
+   *                          element matches
+   */
+  inspect(target, options = {}) {
+    const parsedElement = this.findElement(target);
+    if (!parsedElement) return null;
+
+    const manager = this.conversionManager;
+    const breakpoint = options.breakpoint || 'main';
+    const state = options.state || null;
+    const resolved = this.resolve(parsedElement, breakpoint, state);
+
+    const properties = {};
+    Object.keys(resolved.values).forEach(property => {
+      properties[property] = this.describeProperty(parsedElement, property, resolved, breakpoint, state);
+    });
+
+    // Inheritable properties the element does not set come from the nearest ancestor that does
+    INHERITED_PROPERTIES.forEach(property => {
+      if (!(property in properties)) {
+        const inherited = this.findInherited(parsedElement, property, breakpoint);
+        if (inherited) {
+          properties[property] = inherited;
+        }
+      }
+    });
+
+    const element = manager.elementMapper.getWebflowElement(parsedElement.id);
+
+    return {
+      element: parsedElement.id,
+      tagName: parsedElement.tagName,
+      classes: (parsedElement.classes || []).slice(),
+      webflowElement: element ? element.id : null,
+      breakpoint,
+      state,
+      customProperties: manager.getCustomProperties(parsedElement, breakpoint),
+      properties
+    };
+  }
+
+  /**
+   * Find the element an inspection targets
+   * @param {string} target - A parsed element ID or a CSS selector
+   * @returns {Object|null} - The parsed element, or null if there is none
+   */
+  findElement(target) {
+    const { htmlParser, selectorMatcher } = this.conversionManager;
+    if (!htmlParser.root || !target) return null;
+
+    return htmlParser.getElementById(target) || selectorMatcher.querySelectorAll(target)[0] || null;
+  }
+
+  /**
+   * Resolve the cascade of an element at a breakpoint and state
+   * @param {Object} parsedElement - The parsed element
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {string|null} state - The Webflow state, or null for the resting element
+   * @returns {Object} - The cascade result, as returned by CascadeResolver.resolve, with the
+   *                     values after custom property substitution
+   */
+  resolve(parsedElement, breakpoint, state) {
+    const manager = this.conversionManager;
+
+    const matches = manager.selectorMatcher.findMatchingRules(parsedElement, manager.cascadeRules, { states: true })
+      .filter(match => !match.rule.breakpoints || match.rule.breakpoints.includes(breakpoint))
+      .filter(match => !match.state || (state && manager.cssParser.mapToWebflowState(match.state) === state));
+    const resolved = manager.cascadeResolver.resolve(matches, parsedElement.styles);
+
+    const parent = manager.selectorMatcher.getParent(parsedElement);
+    const inherited = parent ? manager.getCustomProperties(parent, breakpoint) : {};
+    const customProperties = manager.variableResolver.computeCustomProperties(resolved.properties, inherited);
+
+    return { ...resolved, values: manager.variableResolver.resolve(resolved, customProperties) };
+  }
+
+  /**
+   * Describe how an element got a property
+   * @param {Object} parsedElement - The parsed element declaring the property
+   * @param {string} property - The CSS property
+   * @param {Object} resolved - The element's cascade, as returned by resolve
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {string|null} state - The Webflow state, or null for the resting element
+   * @returns {Object} - The value, its source, the winning and overridden declarations and
+   *                     where the value landed in Webflow
+   */
+  describeProperty(parsedElement, property, resolved, breakpoint, state) {
+    const winner = resolved.declarations[property];
+
+    return {
+      value: resolved.values[property],
+      source: winner.inline ? 'inline' : 'rule',
+      winner: this.describeDeclaration(winner),
+      overridden: (resolved.overridden[property] || []).map(declaration => this.describeDeclaration(declaration)),
+      inheritedFrom: null,
+      webflow: this.findLanding(parsedElement, property, breakpoint, state)
+    };
+  }
+
+  /**
+   * Describe a declaration taking part in the cascade
+   * @param {Object} declaration - The cascade candidate, as built by CascadeResolver.resolve
+   * @returns {Object} - The selector (null for inline styles), value, importance,
+   *                     specificity, media query, cascade layer and shorthand
+   */
+  describeDeclaration(declaration) {
+    const rule = declaration.rule || {};
+
+    return {
+      selector: declaration.selector,
+      value: declaration.value,
+      important: !!declaration.important,
+      inline: declaration.inline,
+      specificity: declaration.specificity,
+      media: rule.media || null,
+      layer: rule.layer || null,
+      shorthand: declaration.shorthand
+    };
+  }
+
+  /**
+   * Find the value an element inherits for a property
+   * @param {Object} parsedElement - The parsed element
+   * @param {string} property - An inheritable CSS property
+   * @param {string} breakpoint - The breakpoint ID
+   * @returns {Object|null} - The property description, naming the ancestor it came from, or
+   *                          null if no ancestor sets the property
+   */
+  findInherited(parsedElement, property, breakpoint) {
+    const { selectorMatcher } = this.conversionManager;
+
+    // Inherited values come from the resting ancestor, whatever state the element is in
+    for (let ancestor = selectorMatcher.getParent(parsedElement); ancestor; ancestor = selectorMatcher.getParent(ancestor)) {
+      const resolved = this.resolve(ancestor, breakpoint, null);
+      if (property in resolved.values && resolved.values[property] !== 'inherit') {
+        return {
+          ...this.describeProperty(ancestor, property, resolved, breakpoint, null),
+          source: 'inherited',
+          inheritedFrom: ancestor.id
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find where a property of an element landed in Webflow
+   * @param {Object} parsedElement - The parsed element
+   * @param {string} property - The CSS property
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {string|null} state - The Webflow state, or null for the resting element
+   * @returns {Object|null} - The Webflow property and value, whether it is set on the
+   *                          element, a class or a tag style, and the breakpoint and state it
+   *                          is set at; null if the value was not converted
+   */
+  findLanding(parsedElement, property, breakpoint, state) {
+    const manager = this.conversionManager;
+    const element = manager.elementMapper.getWebflowElement(parsedElement.id);
+    const tagStyle = manager.tagStyleMapper.findTagStyle(parsedElement.tagName);
+
+    // Combo classes override the classes they build on; a shared class took their place
+    const sharedClass = manager.styleDeduplicator.findSharedClass(parsedElement.id);
+    const classStyles = sharedClass ? [sharedClass] : manager.comboClassBuilder.findClassStyles(parsedElement).reverse();
+
+    const targets = [
+      { style: element, target: 'element', name: element ? element.id : null },
+      ...classStyles.map(style => ({ style, target: 'class', name: style.name })),
+      { style: tagStyle, target: 'tag-style', name: tagStyle ? tagStyle.name : null }
+    ];
+
+    for (const { style, target, name } of targets) {
+      const found = style ? this.findStyleValue(style, property, breakpoint, state) : null;
+      if (found) {
+        return {
+          property: manager.cssParser.mapToWebflowProperty(property),
+          value: found.value,
+          target,
+          name,
+          breakpoint: found.breakpoint,
+          state: found.state
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the value a Webflow style gives a property, following breakpoint and state inheritance
+   * @param {Object} style - The Webflow element or tag style
+   * @param {string} property - The CSS property
+   * @param {string} breakpoint - The breakpoint ID
+   * @param {string|null} state - The Webflow state, or null for the resting element
+   * @returns {Object|null} - The value and the breakpoint and state it is set at, or null;
+   *                          background layer properties give the layers they landed in
+   */
+  findStyleValue(style, property, breakpoint, state) {
+    const { breakpointMapper } = this.conversionManager;
+    const chain = [];
+    for (let current = breakpoint; current; current = breakpointMapper.getParentBreakpoint(current)) {
+      chain.push(current);
+    }
+
+    // A state inherits the same state at larger breakpoints before the resting style
+    const backgrounds = style.backgrounds || {};
+    const layers = [];
+    if (state) {
+      chain.forEach(current => {
+        const key = current === 'main' ? state : `${current}:${state}`;
+        layers.push({ breakpoint: current, state, styles: (style.stateStyles || {})[key], backgrounds: backgrounds[key] });
+      });
+    }
+    chain.forEach(current => {
+      const styles = current === 'main' ? style.styles : (style.breakpointStyles || {})[current];
+      layers.push({ breakpoint: current, state: null, styles, backgrounds: backgrounds[current] });
+    });
+
+    const inBackgrounds = candidate => BACKGROUND_LAYER_PROPERTIES.includes(property) && candidate.backgrounds;
+    const layer = layers.find(candidate => (candidate.styles && property in candidate.styles) || inBackgrounds(candidate));
+    if (!layer) return null;
+
+    const value = layer.styles && property in layer.styles ? layer.styles[property] : layer.backgrounds;
+    return { value, breakpoint: layer.breakpoint, state: layer.state };
+  }
+}
+
+module.exports = StyleInspector;
@@ -0,0 +1,134 @@
+/**
+ * Style Preprocessor for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for turning stylesheets written with native CSS nesting or
+ * in SCSS into the flat CSS the CSS parser reads. Nested rules are flattened with
+ * postcss-nested and SCSS is compiled with the pure JavaScript build of Sass. Syntax
+ * errors report the line and column of the original source, and a source map of the flat
+ * CSS traces later diagnostics back to it.
+ */
+
+const postcss = require('postcss');
+const postcssNested = require('postcss-nested');
+const sass = require('sass');
+const { SourceMapConsumer } = require('source-map-js');
+
+// Input syntaxes the CSS panel accepts
+const SYNTAXES = ['css', 'nested', 'scss'];
+
+class StylePreprocessor {
+  /**
+   * Constructor for the Style Preprocessor
+   */
+  constructor() {
+    this.sourceMap = null; // Maps the last flat CSS back to its source, when it was rewritten
+  }
+
+  /**
+   * Get the input syntaxes the preprocessor accepts
+   * @returns {Array<string>} - 'css', 'nested' and 'scss'
+   */
+  getSyntaxes() {
+    return SYNTAXES.slice();
+  }
+
+  /**
+   * Turn a stylesheet into flat CSS
+   * @param {string} source - The stylesheet
+   * @param {string} syntax - 'css' for plain CSS, 'nested' for CSS nesting or 'scss'
+   * @returns {Promise<string>} - The flat CSS
+   */
+  async process(source, syntax = 'css') {
+    if (!SYNTAXES.includes(syntax)) {
+      throw new Error(`Unknown CSS syntax "${syntax}"; expected one of ${SYNTAXES.join(', ')}`);
+    }
+    this.sourceMap = null;
+    if (!source || syntax === 'css') {
+      return source || '';
+    }
+
+    return syntax === 'scss' ? this.compileScss(source) : this.flattenNesting(source);
+  }
+
+  /**
+   * Flatten nested rules, resolving & against the parent selectors
+   * @param {string} source - The stylesheet
+   * @returns {Promise<string>} - The flat CSS
+   */
+  async flattenNesting(source) {
+    try {
+      const result = await postcss([postcssNested()]).process(source, {
+        from: undefined,
+        map: { inline: false, annotation: false }
+      });
+      this.sourceMap = new SourceMapConsumer(result.map.toJSON());
+      return result.css;
+    } catch (error) {
+      if (error.name !== 'CssSyntaxError') throw error;
+      throw this.createSyntaxError(error.reason, source, error.line, error.column);
+    }
+  }
+
+  /**
+   * Compile SCSS, with its variables, mixins, functions and @extend, to CSS
+   * @param {string} source - The SCSS
+   * @returns {string} - The compiled CSS
+   */
+  compileScss(source) {
+    try {
+      const result = sass.compileString(source, { syntax: 'scss', style: 'expanded', sourceMap: true });
+      this.sourceMap = new SourceMapConsumer(result.sourceMap);
+      return result.css;
+    } catch (error) {
+      if (!error.span) throw error;
+
+      // Sass counts lines and columns from zero
+      const { line, column } = error.span.start;
+      throw this.createSyntaxError(error.sassMessage, source, line + 1, column + 1);
+    }
+  }
+
+  /**
+   * Trace a position in the last flat CSS back to the stylesheet it was processed from
+   * @param {number} line - The line in the flat CSS, counting from one
+   * @param {number|null} column - The column in the flat CSS, counting from one, or null
+   * @returns {Object} - The line and column in the original source, both null if the
+   *                     position maps to none
+   */
+  getOriginalPosition(line, column = null) {
+    if (!this.sourceMap) {
+      return { line, column };
+    }
+
+    // Source maps count columns from zero; a declaration maps from its start or just after
+    const generated = { line, column: column ? column - 1 : 0 };
+    let original = this.sourceMap.originalPositionFor({ ...generated, bias: SourceMapConsumer.GREATEST_LOWER_BOUND });
+    if (original.line === null) {
+      original = this.sourceMap.originalPositionFor({ ...generated, bias: SourceMapConsumer.LEAST_UPPER_BOUND });
+    }
+    if (original.line === null) {
+      return { line: null, column: null };
+    }
+    return { line: original.line, column: original.column + 1 };
+  }
+
+  /**
+   * Create an error pointing at a position in the original source
+   * @param {string} reason - What is wrong
+   * @param {string} source - The original source
+   * @param {number} line - The line, counting from one
+   * @param {number} column - The column, counting from one
+   * @returns {Error} - The error, with the line, column and the source line it points at
+   */
+  createSyntaxError(reason, source, line, column) {
+    const excerpt = (source.split(/\r?\n/)[line - 1] || '').trim();
+    const error = new Error(`CSS syntax error at line ${line}, column ${column}: ${reason}${excerpt ? ` (${excerpt})` : ''}`);
+    error.reason = reason;
+    error.line = line;
+    error.column = column;
+    error.excerpt = excerpt;
+    return error;
+  }
+}
+
+module.exports = StylePreprocessor;
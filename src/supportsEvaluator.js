@@ -0,0 +1,138 @@
+/**
+ * Supports Evaluator for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for evaluating @supports conditions against what Webflow
+ * can hold. A declaration test passes when the converter can turn it into a Webflow
+ * style, so feature-guarded blocks and their fallbacks are kept or dropped the way a
+ * browser with Webflow's capabilities would.
+ */
+
+const BreakpointMapper = require('./breakpointMapper');
+const ValueNormalizer = require('./valueNormalizer');
+
+// Font formats Webflow accepts for uploaded fonts
+const FONT_FORMATS = ['woff2', 'woff', 'truetype', 'opentype', 'embedded-opentype', 'svg'];
+
+// Units with no Webflow equivalent, such as container query units
+const UNSUPPORTED_UNITS = /(\d|\.)(cqw|cqh|cqi|cqb|cqmin|cqmax|lh|rlh)\b/i;
+
+class SupportsEvaluator {
+  /**
+   * Constructor for the Supports Evaluator
+   * @param {CSSParser} cssParser - The CSS parser, for the properties Webflow supports,
+   *                                shorthand expansion and selector parsing
+   */
+  constructor(cssParser) {
+    this.cssParser = cssParser;
+    this.valueNormalizer = new ValueNormalizer(new BreakpointMapper());
+  }
+
+  /**
+   * Evaluate a @supports condition
+   * @param {string} condition - The condition, e.g. "(display: grid) and (not (gap: 1rem))"
+   * @returns {boolean} - True if Webflow supports what the condition tests
+   */
+  evaluate(condition) {
+    const text = condition.trim();
+
+    const negation = text.match(/^not\s+([\s\S]*)$/i);
+    if (negation) {
+      return !this.evaluateInParens(negation[1]);
+    }
+
+    const { operator, parts } = this.splitConditions(text);
+    if (operator === 'and') {
+      return parts.every(part => this.evaluateInParens(part));
+    }
+    if (operator === 'or') {
+      return parts.some(part => this.evaluateInParens(part));
+    }
+    return this.evaluateInParens(text);
+  }
+
+  /**
+   * Evaluate a parenthesised condition or a supports function
+   * @param {string} text - The condition, e.g. "(gap: 1rem)" or "selector(:has(img))"
+   * @returns {boolean} - True if the condition holds; unknown syntax never holds
+   */
+  evaluateInParens(text) {
+    const trimmed = text.trim();
+
+    const func = trimmed.match(/^(selector|font-format|font-tech)\(([\s\S]*)\)$/i);
+    if (func) {
+      const name = func[1].toLowerCase();
+      if (name === 'selector') {
+        return this.cssParser.selectorMatcher.parseSelector(func[2].trim()).length > 0;
+      }
+      if (name === 'font-format') {
+        return FONT_FORMATS.includes(func[2].trim().toLowerCase());
+      }
+
+      // Webflow does not expose font technologies such as colour fonts or variations
+      return false;
+    }
+
+    const group = trimmed.match(/^\(([\s\S]*)\)$/);
+    if (!group) return false;
+
+    const inner = group[1].trim();
+    const declaration = inner.match(/^(--[\w-]+|-?[a-z][\w-]*)\s*:\s*([\s\S]+)$/i);
+    if (declaration && !/^not\s/i.test(inner)) {
+      return this.evaluateDeclaration(declaration[1], declaration[2].trim());
+    }
+
+    return this.evaluate(inner);
+  }
+
+  /**
+   * Check whether a declaration can become a Webflow style
+   * @param {string} property - The CSS property
+   * @param {string} value - The value
+   * @returns {boolean} - True if every longhand is a Webflow property with a value it can hold
+   */
+  evaluateDeclaration(property, value) {
+    const name = property.toLowerCase();
+    if (name.startsWith('--')) return true;
+
+    // Webflow styles have no vendor-prefixed properties
+    if (/^-\w+-/.test(name) || UNSUPPORTED_UNITS.test(value)) return false;
+
+    const longhands = this.cssParser.shorthandExpander.toLonghands(name, value);
+    return longhands.every(longhand => {
+      return this.cssParser.isWebflowProperty(longhand.property) &&
+        this.valueNormalizer.normalizeValue(longhand.property, longhand.value) !== null;
+    });
+  }
+
+  /**
+   * Split a condition on its top-level 'and' or 'or' keywords
+   * @param {string} text - The condition
+   * @returns {Object} - The operator ('and', 'or', or null if there is none) and the parts
+   */
+  splitConditions(text) {
+    const parts = [];
+    let operator = null;
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth !== 0 || !/\s/.test(char)) continue;
+
+      const keyword = text.slice(i).match(/^\s+(and|or)\s+/i);
+      if (keyword) {
+        parts.push(text.slice(start, i));
+        operator = keyword[1].toLowerCase();
+        i += keyword[0].length - 1;
+        start = i + 1;
+      }
+    }
+    parts.push(text.slice(start));
+
+    return { operator, parts };
+  }
+}
+
+module.exports = SupportsEvaluator;
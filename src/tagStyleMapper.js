@@ -0,0 +1,260 @@
+/**
+ * Tag Style Mapper for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for routing type selectors such as `h1`, `p` and `a`, and
+ * rules on `html`, `body` and `:root`, onto Webflow's tag styles ("All H1 Headings",
+ * "Body (All Pages)") instead of copying them onto every matching element. Tag styles
+ * are site-wide by default, or can be scoped to a wrapper class around the converted
+ * content.
+ */
+
+const CascadeResolver = require('./cascadeResolver');
+
+// Webflow tag styles, keyed by the tag they style
+const TAG_STYLES = {
+  body: 'Body (All Pages)',
+  h1: 'All H1 Headings',
+  h2: 'All H2 Headings',
+  h3: 'All H3 Headings',
+  h4: 'All H4 Headings',
+  h5: 'All H5 Headings',
+  h6: 'All H6 Headings',
+  p: 'All Paragraphs',
+  a: 'All Links',
+  blockquote: 'All Block Quotes',
+  ul: 'All Unordered Lists',
+  ol: 'All Ordered Lists',
+  li: 'All List Items',
+  img: 'All Images',
+  strong: 'All Bold Text',
+  em: 'All Italic Text',
+  figure: 'All Figures',
+  figcaption: 'All Figure Captions'
+};
+
+// Styles on the root element reach the page through the body
+const ROOT_TAGS = ['html', 'body'];
+
+class TagStyleMapper {
+  /**
+   * Constructor for the Tag Style Mapper
+   * @param {WebflowElementMapper} elementMapper - The element mapper creating Webflow styles
+   * @param {SelectorMatcher} selectorMatcher - The selector matcher, for parsing selectors
+   * @param {string|null} scopeClass - The wrapper class tag styles are scoped to, or null
+   *                                   for site-wide tag styles
+   */
+  constructor(elementMapper, selectorMatcher, scopeClass = null) {
+    this.elementMapper = elementMapper;
+    this.selectorMatcher = selectorMatcher;
+    this.scopeClass = scopeClass;
+  }
+
+  /**
+   * Get the Webflow tag style a selector describes
+   * @param {Object} complex - A parsed complex selector
+   * @returns {string|null} - The tag of the tag style ('body' for html, body and :root),
+   *                          or null if the selector needs a class
+   */
+  getTag(complex) {
+    if (complex.pseudoElement || complex.compounds.length !== 1) {
+      return null;
+    }
+
+    // States such as :hover are set on the tag style like on a class
+    const compound = (complex.stateless || complex).compounds[0];
+    if (compound.ids.length > 0 || compound.classes.length > 0 || compound.attributes.length > 0) {
+      return null;
+    }
+
+    const tag = (compound.tag || '').toLowerCase();
+    const pseudoClasses = compound.pseudoClasses.map(pseudoClass => pseudoClass.name);
+
+    if (!tag && pseudoClasses.length === 1 && pseudoClasses[0] === 'root') {
+      return 'body';
+    }
+    if (pseudoClasses.length > 0) {
+      return null;
+    }
+    if (ROOT_TAGS.includes(tag)) {
+      return 'body';
+    }
+
+    return TAG_STYLES[tag] ? tag : null;
+  }
+
+  /**
+   * Check whether a rule matched an element only through selectors a tag style covers
+   * @param {Object} match - A match, as returned by SelectorMatcher.findMatchingRules
+   * @returns {boolean} - True if the element gets the rule's styles from a tag style
+   */
+  isTagMatch(match) {
+    return match.matchedSelectors.every(complex => this.getTag(complex) !== null);
+  }
+
+  /**
+   * Collect the matches making up each tag style
+   * @param {Array} rules - The rules taking part in the cascade
+   * @returns {Map} - Maps each tag to matches shaped like SelectorMatcher.findMatchingRules
+   *                  results, one per rule and state
+   */
+  collectTagMatches(rules) {
+    const tagMatches = new Map();
+
+    rules.forEach(rule => {
+      const selectors = this.selectorMatcher.parseSelector(rule.originalSelector || rule.selector);
+
+      selectors.forEach(complex => {
+        const tag = this.getTag(complex);
+        if (!tag) return;
+
+        // Rules on the root element only reach the body by inheritance, so body rules win
+        const subject = (complex.stateless || complex).compounds[0];
+        const fromRoot = tag === 'body' && (subject.tag || '').toLowerCase() !== 'body';
+        const specificity = fromRoot ? [-1, 0, 0] : this.selectorMatcher.getSpecificity(complex);
+        const state = complex.states.length > 0 ? complex.states.join(':') : null;
+
+        if (!tagMatches.has(tag)) tagMatches.set(tag, []);
+        tagMatches.get(tag).push({ rule, matchedSelectors: [complex], specificity, state });
+      });
+    });
+
+    return tagMatches;
+  }
+
+  /**
+   * Narrow an element's matches to what its tag styles do not already give it
+   * @param {Array} matches - The element's matches
+   * @param {Array<string>} inlineProperties - The properties of the element's inline styles
+   * @returns {Array} - The matches, with tag matches reduced to the properties they contest
+   *                    with the element's own rules and inline styles
+   */
+  filterMatches(matches, inlineProperties = []) {
+    const contested = new Set(inlineProperties);
+    matches.filter(match => !this.isTagMatch(match)).forEach(match => {
+      CascadeResolver.getDeclarations(match.rule).forEach(declaration => contested.add(declaration.property));
+    });
+
+    return matches
+      .map(match => {
+        if (!this.isTagMatch(match)) return match;
+
+        // Declarations only a tag style sets need nothing on the element, but where the
+        // element declares the property too the cascade still decides between them
+        const declarations = CascadeResolver.getDeclarations(match.rule)
+          .filter(declaration => contested.has(declaration.property) || this.isElementProperty(declaration.property));
+        return declarations.length > 0 ? { ...match, rule: { ...match.rule, declarations } } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the properties scoped tag styles set on an element that its classes cannot override
+   * @param {Array} matches - The element's matches, as returned by filterMatches
+   * @returns {Array<string>} - The properties; none for site-wide tag styles, which any
+   *                            class overrides
+   */
+  getScopedProperties(matches) {
+    if (!this.scopeClass) return [];
+
+    // `.scope p` is more specific than a class, so the element states its own value
+    const properties = new Set();
+    matches.filter(match => this.isTagMatch(match)).forEach(match => {
+      const tags = match.matchedSelectors.map(complex => this.getTag(complex));
+      if (tags.every(tag => tag === 'body')) return;
+      CascadeResolver.getDeclarations(match.rule).forEach(declaration => properties.add(declaration.property));
+    });
+    return Array.from(properties);
+  }
+
+  /**
+   * Check whether a property can only be set on elements
+   * @param {string} property - The CSS property
+   * @returns {boolean} - True for animations, which become Interactions on the element
+   */
+  isElementProperty(property) {
+    return /^animation(-|$)/.test(property);
+  }
+
+  /**
+   * Get the selector and name of a tag's Webflow style
+   * @param {string} tag - The tag
+   * @returns {Object} - The selector and the name Webflow shows for the style
+   */
+  describeTagStyle(tag) {
+    if (!this.scopeClass) {
+      return { selector: tag, name: TAG_STYLES[tag] };
+    }
+
+    // Body styles go on the wrapper class itself
+    if (tag === 'body') {
+      return { selector: `.${this.scopeClass}`, name: this.scopeClass };
+    }
+    return { selector: `.${this.scopeClass} ${tag}`, name: `${TAG_STYLES[tag]} in ${this.scopeClass}` };
+  }
+
+  /**
+   * Find the tag style created for elements with a tag
+   * @param {string} tagName - The element's tag name
+   * @returns {Object|null} - The Webflow tag style, or null if none was created
+   */
+  findTagStyle(tagName) {
+    const name = (tagName || '').toLowerCase();
+    const tag = ROOT_TAGS.includes(name) ? 'body' : name;
+    if (!TAG_STYLES[tag]) return null;
+
+    const { selector } = this.describeTagStyle(tag);
+    return this.elementMapper.getAllTagStyles().find(style => style.selector === selector) || null;
+  }
+
+  /**
+   * Create a tag style from its resolved style variants
+   * @param {string} tag - The tag
+   * @param {Array} variants - The style variants, as resolved by the conversion manager
+   * @returns {Promise<Object|null>} - The Webflow tag style, or null if it sets nothing
+   */
+  async createTagStyle(tag, variants) {
+    const styledVariants = variants
+      .map(variant => {
+        const styles = {};
+        Object.entries(variant.styles).forEach(([property, value]) => {
+          if (!this.isElementProperty(property)) {
+            styles[property] = value;
+          }
+        });
+        return { ...variant, styles };
+      })
+      .filter(variant => Object.keys(variant.styles).length > 0 || variant.backgrounds);
+
+    // Rules that only declare custom properties leave nothing to style
+    if (styledVariants.length === 0) {
+      return null;
+    }
+
+    const { selector, name } = this.describeTagStyle(tag);
+    const style = await this.elementMapper.getTagStyle(selector, name);
+
+    for (const variant of styledVariants) {
+      if (Object.keys(variant.styles).length > 0) {
+        await this.elementMapper.applyStyles(style, variant.styles, variant.breakpoint, variant.state);
+      }
+      if (variant.backgrounds) {
+        await this.elementMapper.applyBackgrounds(style, variant.backgrounds, variant.breakpoint, variant.state);
+      }
+    }
+
+    return style;
+  }
+
+  /**
+   * Apply the wrapper class tag styles are scoped to
+   * @param {Object} rootElement - The root Webflow element of the converted content
+   * @returns {Promise<void>}
+   */
+  async applyScope(rootElement) {
+    if (this.scopeClass && rootElement) {
+      await this.elementMapper.applyClass(rootElement, this.scopeClass);
+    }
+  }
+}
+
+module.exports = TagStyleMapper;
@@ -6,9 +6,29 @@
 
 const HTMLParser = require('./htmlParser');
 const CSSParser = require('./cssParser');
+const StylePreprocessor = require('./stylePreprocessor');
 const WebflowElementMapper = require('./webflowElementMapper');
 const ClassNamingSystem = require('./classNamingSystem');
+const NamingConvention = require('./namingConvention');
 const ConversionManager = require('./conversionManager');
+const SelectorMatcher = require('./selectorMatcher');
+const CascadeResolver = require('./cascadeResolver');
+const ShorthandExpander = require('./shorthandExpander');
+const VariableResolver = require('./variableResolver');
+const InteractionBuilder = require('./interactionBuilder');
+const FontPlanner = require('./fontPlanner');
+const ValueNormalizer = require('./valueNormalizer');
+const ColorNormalizer = require('./colorNormalizer');
+const SupportsEvaluator = require('./supportsEvaluator');
+const TagStyleMapper = require('./tagStyleMapper');
+const ComboClassBuilder = require('./comboClassBuilder');
+const SiteStyleRegistry = require('./siteStyleRegistry');
+const ClassDictionary = require('./classDictionary');
+const StyleDeduplicator = require('./styleDeduplicator');
+const GridMapper = require('./gridMapper');
+const BackgroundMapper = require('./backgroundMapper');
+const PropertySupport = require('./propertySupport');
+const BreakpointMapper = require('./breakpointMapper');
 
 // Mock Webflow API for testing
 const mockWebflow = {
@@ -23,7 +43,27 @@ async function runTests() {
   
   try {
     await testHTMLParser();
+    await testStylePreprocessor();
     await testCSSParser();
+    await testSupportsEvaluator();
+    await testPropertySupport();
+    await testSelectorMatcher();
+    await testShorthandExpander();
+    await testCascadeResolver();
+    await testVariableResolver();
+    await testInteractionBuilder();
+    await testFontPlanner();
+    await testValueNormalizer();
+    await testColorNormalizer();
+    await testBreakpointMapper();
+    await testTagStyleMapper();
+    await testComboClassBuilder();
+    await testStyleDeduplicator();
+    await testGridMapper();
+    await testBackgroundMapper();
+    await testNamingConvention();
+    await testSiteStyleRegistry();
+    await testClassDictionary();
     await testClassNamingSystem();
     await testWebflowElementMapper();
     await testConversionManager();
@@ -75,9 +115,107 @@ async function testHTMLParser() {
   console.assert(link.attributes.target === '_blank', 'Link should have correct target');
   console.assert(link.attributes.rel === 'noopener', 'Link should have correct rel');
   
+  // Test mixed inline content
+  const inlineHTML = '<p>Hello <strong>big</strong> world <a href="#">link</a></p>';
+  const parsedInline = htmlParser.parse(inlineHTML);
+  
+  const paragraph = findElementByTagName(parsedInline, 'p');
+  console.assert(paragraph.runs.length === 4, 'Paragraph should have four runs');
+  console.assert(paragraph.runs[0].text === 'Hello ', 'First run should keep its trailing space');
+  console.assert(paragraph.runs[1].id === findElementByTagName(paragraph, 'strong').id, 'Second run should reference the strong element');
+  console.assert(paragraph.runs[2].text === ' world ', 'Third run should keep surrounding spaces');
+  console.assert(paragraph.runs[3].id === findElementByTagName(paragraph, 'a').id, 'Fourth run should reference the link');
+  console.assert(paragraph.content === 'Hello big world link', 'Paragraph content should include inline text');
+  
+  // Test that unparsable style attributes are recorded
+  const parsedBrokenStyle = htmlParser.parse('<div style="color: red; {">A</div><p style="margin: 0">B</p>');
+  const styleErrors = htmlParser.getStyleErrors();
+  console.assert(styleErrors.length === 1 && styleErrors[0].element === findElementByTagName(parsedBrokenStyle, 'div').id && styleErrors[0].reason === 'Unclosed block', 'Should record style attributes it cannot parse');
+  console.assert(findElementByTagName(parsedBrokenStyle, 'p').styles.margin === '0', 'Should parse the other style attributes');
+  
+  // Test full document mode
+  const documentHTML = `<!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Landing</title>
+      <meta name="description" content="A landing page">
+      <link rel="stylesheet" href="/styles/main.css">
+      <style>.hero { color: red; }</style>
+    </head>
+    <body><style>.hero { padding: 10px; }</style><section class="hero"></section></body>
+    </html>`;
+  const parsedDocument = htmlParser.parse(documentHTML);
+  const metadata = htmlParser.getMetadata();
+  
+  console.assert(metadata.isFullDocument === true, 'Should detect a full document');
+  console.assert(metadata.title === 'Landing', 'Should extract the title');
+  console.assert(metadata.description === 'A landing page', 'Should extract the meta description');
+  console.assert(metadata.lang === 'en', 'Should extract the document language');
+  console.assert(metadata.stylesheets[0] === '/styles/main.css', 'Should extract stylesheet links');
+  console.assert(htmlParser.getEmbeddedStyles().includes('padding: 10px'), 'Should extract body style blocks');
+  console.assert(findElementByTagName(parsedDocument, 'style') === null, 'Style blocks should not become elements');
+  
   console.log('HTML Parser tests passed!');
 }
 
+/**
+ * Test the Style Preprocessor
+ */
+async function testStylePreprocessor() {
+  console.log('Testing Style Preprocessor...');
+  
+  const stylePreprocessor = new StylePreprocessor();
+  const squash = css => css.replace(/\s+/g, ' ').trim();
+  
+  // Test plain CSS
+  console.assert(await stylePreprocessor.process('.a { color: red; }') === '.a { color: red; }', 'Should leave plain CSS untouched');
+  
+  // Test CSS nesting
+  const nested = await stylePreprocessor.process('.card { padding: 8px; &:hover { color: red; } .title { margin: 0; } @media (max-width: 767px) { padding: 4px; } }', 'nested');
+  console.assert(nested.includes('.card:hover { color: red; }'), 'Should resolve & against the parent selector');
+  console.assert(nested.includes('.card .title { margin: 0; }'), 'Should flatten nested rules into descendant selectors');
+  console.assert(squash(nested).includes('@media (max-width: 767px) {.card { padding: 4px } }'), 'Should bubble nested media queries');
+  
+  // Test SCSS
+  const scss = await stylePreprocessor.process(`
+    $brand: #3366ff;
+    @mixin pad($size) { padding: $size; }
+    .btn { color: $brand; @include pad(4px * 2); &--large { font-size: 20px; } }
+    .link { @extend .btn; }
+    // A line comment
+  `, 'scss');
+  console.assert(squash(scss).includes('.btn, .link { color: #3366ff; padding: 8px; }'), 'Should compile variables, mixins and @extend');
+  console.assert(scss.includes('.btn--large'), 'Should join suffixes to the parent selector');
+  
+  // Test that syntax errors point at the original source
+  let scssError = null;
+  try {
+    await stylePreprocessor.process('.a {\n  color: $missing;\n}', 'scss');
+  } catch (error) {
+    scssError = error;
+  }
+  console.assert(scssError && scssError.line === 2 && scssError.column === 10, 'Should report the SCSS error position');
+  console.assert(scssError.message.includes('color: $missing;'), 'Should quote the offending line');
+  
+  let nestingError = null;
+  try {
+    await stylePreprocessor.process('.a { color: red; }\n.b {\n  .c { color: blue; }', 'nested');
+  } catch (error) {
+    nestingError = error;
+  }
+  console.assert(nestingError && nestingError.line === 2, 'Should report the nesting error position');
+  
+  // Test that positions in the flat CSS trace back to the original source
+  const mapped = await stylePreprocessor.process('.card {\n  color: red;\n\n  & .title {\n    margin: 0;\n  }\n}', 'nested');
+  const marginLine = mapped.split('\n').findIndex(line => line.includes('margin: 0')) + 1;
+  const marginPosition = stylePreprocessor.getOriginalPosition(marginLine, 5);
+  console.assert(marginPosition.line === 5 && marginPosition.column === 5, 'Should map flattened declarations back to the nested source');
+  await stylePreprocessor.process('.a { color: red; }');
+  console.assert(stylePreprocessor.getOriginalPosition(3, 2).line === 3, 'Should leave positions in plain CSS as they are');
+  
+  console.log('Style Preprocessor tests passed!');
+}
+
 /**
  * Test the CSS Parser
  */
@@ -110,9 +248,792 @@ async function testCSSParser() {
   console.assert(parsedMedia.mediaQueries[0].query === '(max-width: 768px)', 'Media query should have correct condition');
   console.assert(parsedMedia.mediaQueries[0].rules.length === 1, 'Media query should have one rule');
   
+  // Test specificity tuples
+  console.assert(cssParser.calculateSpecificity('div.card > h2').join() === '0,1,2', 'Class and ID names should not count as elements');
+  console.assert(cssParser.calculateSpecificity('#main .item:hover').join() === '1,2,0', 'Should count IDs, classes and pseudo-classes');
+  console.assert(cssParser.calculateSpecificity(':is(#a, .b) p').join() === '1,0,1', ':is should take its most specific argument');
+  console.assert(cssParser.calculateSpecificity(':where(#a) p').join() === '0,0,1', ':where should add no specificity');
+  console.assert(cssParser.calculateSpecificity('a:not(.x, [href])').join() === '0,1,1', ':not should take its most specific argument');
+  
+  // Test keyframes
+  const keyframesCss = await cssParser.parse('@keyframes fade { from { opacity: 0; } 50%, to { opacity: 1; } } .a { color: red; }');
+  console.assert(keyframesCss.styleRules.length === 1, 'Keyframes should not become style rules');
+  console.assert(keyframesCss.keyframes[0].name === 'fade', 'Should parse @keyframes');
+  console.assert(keyframesCss.keyframes[0].frames.map(frame => frame.offset).join() === '0,50,100', 'Should sort keyframe offsets');
+  
+  // Test shorthand expansion order within a rule
+  const shorthandCss = await cssParser.parse(`
+    .a { padding: 10px 20px; padding-left: 5px; }
+    .b { margin-top: 5px; margin: 0 auto; }
+  `);
+  const [ruleA, ruleB] = shorthandCss.styleRules;
+  console.assert(ruleA.properties['padding-left'] === '5px', 'A longhand after its shorthand should win');
+  console.assert(ruleA.properties['padding-right'] === '20px', 'Other sides should keep the shorthand value');
+  console.assert(ruleB.properties['margin-top'] === '0', 'A shorthand after a longhand should win');
+  console.assert(!('margin' in ruleB.properties), 'Shorthands should not be kept alongside their longhands');
+  
+  // Test @supports, @layer and @container
+  const conditionalCss = await cssParser.parse(`
+    @layer reset, base;
+    @supports (display: grid) { .grid { display: grid; } }
+    @supports (-webkit-box-reflect: below) { .grid { display: block; } }
+    @layer base { .a { color: red; } }
+    @layer reset { .a { color: blue; } @media (max-width: 767px) { .a { color: green; } } }
+    @container card (min-width: 400px) { .a { padding: 1rem; } }
+    @container (min-height: 300px) { .a { padding: 2rem; } }
+  `);
+  const gridRules = conditionalCss.styleRules.filter(rule => rule.selector === '.grid');
+  console.assert(gridRules.length === 1 && gridRules[0].properties.display === 'grid', 'Should keep only @supports blocks Webflow supports');
+  console.assert(conditionalCss.conditionalRules[1].applied === false, 'Should report @supports blocks that are left out');
+  console.assert(conditionalCss.layers.join() === 'reset,base', 'Layer statements should set the layer order');
+  const [baseRule, resetRule] = conditionalCss.styleRules.filter(rule => rule.selector === '.a');
+  console.assert(baseRule.layer === 'base' && baseRule.layerOrder === 1, 'Should record the layer of a rule');
+  console.assert(resetRule.layerOrder === 0, 'Earlier layers should have lower priority');
+  const layeredMedia = conditionalCss.mediaQueries.find(mediaQuery => mediaQuery.query === '(max-width: 767px)');
+  console.assert(layeredMedia.rules[0].layer === 'reset', 'Media queries inside layers should keep the layer');
+  const containerMedia = conditionalCss.mediaQueries.find(mediaQuery => mediaQuery.container);
+  console.assert(containerMedia.query === '(min-width: 400px)', 'Width container queries should become media queries');
+  console.assert(containerMedia.rules[0].properties['padding-top'] === '1rem', 'Container query rules should be kept');
+  const heightContainer = conditionalCss.conditionalRules.find(entry => entry.condition === '(min-height: 300px)');
+  console.assert(heightContainer.applied === false && /height/.test(heightContainer.reason), 'Should report container queries with no viewport equivalent');
+  console.assert(conditionalCss.styleRules.every(rule => !rule.properties['padding-top']), 'Container query rules should not become top-level rules');
+  
+  const nestedLayers = await cssParser.parse('@layer a { @layer x { .b { color: red; } } .b { color: blue; } } @layer { .b { color: green; } }');
+  console.assert(nestedLayers.layers.join() === 'a.x,a,<anonymous-1>', 'Sublayers should precede their parent layer');
+  console.assert(cssParser.combineQueries('screen, print', '(max-width: 767px)') === 'screen and (max-width: 767px), print and (max-width: 767px)', 'Should combine nested media queries');
+  
+  // Test vendor prefixes and unsupported properties
+  const prefixedCss = await cssParser.parse(`.a {
+    -webkit-box-shadow: 0 0 2px red;
+    box-shadow: 0 0 4px red;
+    -webkit-backdrop-filter: blur(4px);
+    display: -webkit-flex;
+    clip-path: circle(50%);
+    zoom: 2;
+    display: -webkit-box;
+  }`);
+  const [prefixedRule] = prefixedCss.styleRules;
+  const diagnosticFor = property => prefixedCss.diagnostics.find(diagnostic => diagnostic.property === property);
+  console.assert(prefixedRule.properties['box-shadow'] === '0 0 4px red', 'Should keep the standard declaration');
+  console.assert(diagnosticFor('-webkit-box-shadow').action === 'dropped' && diagnosticFor('-webkit-box-shadow').line === 2, 'Should drop prefixed copies with their source line');
+  console.assert(prefixedRule.properties['backdrop-filter'] === 'blur(4px)' && diagnosticFor('-webkit-backdrop-filter').action === 'folded', 'Should fold prefixed properties into the standard property');
+  console.assert(diagnosticFor('display').action === 'folded', 'Should fold prefixed values into the standard value');
+  console.assert(!('clip-path' in prefixedRule.properties) && prefixedRule.customDeclarations[0].property === 'clip-path', 'Should move custom-code properties out of the styles');
+  console.assert(!('zoom' in prefixedRule.properties) && diagnosticFor('zoom').action === 'dropped' && diagnosticFor('zoom').selector === '.a', 'Should drop unsupported properties');
+  console.assert(prefixedRule.customDeclarations[1].value === '-webkit-box' && prefixedRule.properties.display === 'flex', 'Should keep prefixed values with no standard equivalent for custom code');
+  
   console.log('CSS Parser tests passed!');
 }
 
+/**
+ * Test the Supports Evaluator
+ */
+async function testSupportsEvaluator() {
+  console.log('Testing Supports Evaluator...');
+  
+  const supportsEvaluator = new SupportsEvaluator(new CSSParser());
+  
+  console.assert(supportsEvaluator.evaluate('(display: flex)') === true, 'Should support Webflow properties');
+  console.assert(supportsEvaluator.evaluate('(gap: 1rem 2rem)') === true, 'Should expand shorthands before testing them');
+  console.assert(supportsEvaluator.evaluate('(-webkit-backdrop-filter: blur(4px))') === false, 'Should not support vendor prefixes');
+  console.assert(supportsEvaluator.evaluate('(width: 50cqi)') === false, 'Should not support container query units');
+  console.assert(supportsEvaluator.evaluate('(container-type: inline-size)') === false, 'Should not support properties Webflow lacks');
+  console.assert(supportsEvaluator.evaluate('not (container-type: inline-size)') === true, 'Should negate conditions');
+  console.assert(supportsEvaluator.evaluate('(display: grid) and (not (zoom: 2))') === true, 'Should combine conditions with and');
+  console.assert(supportsEvaluator.evaluate('(zoom: 2) or (display: grid)') === true, 'Should combine conditions with or');
+  console.assert(supportsEvaluator.evaluate('selector(:has(img))') === true, 'Should test selectors');
+  console.assert(supportsEvaluator.evaluate('font-format(woff2)') === true, 'Should test font formats');
+  console.assert(supportsEvaluator.evaluate('font-tech(color-COLRv1)') === false, 'Should not support font technologies');
+  
+  console.log('Supports Evaluator tests passed!');
+}
+
+/**
+ * Test the Property Support matrix
+ */
+async function testPropertySupport() {
+  console.log('Testing Property Support...');
+  
+  const propertySupport = new PropertySupport();
+  
+  console.assert(propertySupport.getSupport('margin-top').support === 'native', 'Should support style panel properties natively');
+  console.assert(propertySupport.getSupport('margin-top').webflowProperty === 'marginTop', 'Should give the Webflow property name');
+  console.assert(propertySupport.getSupport('animation-name').support === 'native' && propertySupport.getSupport('animation-name').webflowProperty === null, 'Should support converted properties natively');
+  console.assert(propertySupport.getSupport('clip-path').support === 'custom-code', 'Should mark properties needing custom code');
+  console.assert(propertySupport.getSupport('zoom').support === 'unsupported' && propertySupport.getSupport('made-up').support === 'unsupported', 'Should mark unsupported properties');
+  console.assert(propertySupport.getSupport('--brand').support === 'native', 'Should support custom properties');
+  
+  const folded = propertySupport.unprefix('-webkit-transition', 'opacity 0.2s');
+  console.assert(folded.property === 'transition' && folded.folded, 'Should fold prefixed properties');
+  console.assert(propertySupport.unprefix('-webkit-line-clamp', '2').property === '-webkit-line-clamp', 'Should keep prefixed properties the matrix lists');
+  console.assert(propertySupport.unprefix('position', '-webkit-sticky').value === 'sticky', 'Should fold prefixed values');
+  console.assert(propertySupport.unprefix('-ms-flex-align', 'center').property === '-ms-flex-align', 'Should not fold prefixes with no standard equivalent');
+  console.assert(propertySupport.unprefix('grid-column-gap', '8px').property === 'column-gap', 'Should fold legacy property names');
+  console.assert(propertySupport.getMatrix().customCode.includes('clip-path'), 'Should expose the matrix');
+  
+  const sorted = propertySupport.sortDeclarations([
+    { property: '-webkit-transform', value: 'none', important: false },
+    { property: 'transform', value: 'none', important: false },
+    { property: 'display', value: '-webkit-box', important: false },
+    { property: 'padding', value: '4px', important: true },
+    { property: 'zoom', value: '2', important: false }
+  ]);
+  console.assert(sorted.declarations.map(declaration => declaration.property).join() === 'transform,padding-top,padding-right,padding-bottom,padding-left' && sorted.declarations[1].shorthand === 'padding' && sorted.declarations[1].important, 'Should expand the declarations Webflow styles hold');
+  console.assert(sorted.customDeclarations[0].value === '-webkit-box' && sorted.customDeclarations[0].source.property === 'display', 'Should move prefixed values to custom code');
+  console.assert(sorted.diagnostics.map(diagnostic => `${diagnostic.action} ${diagnostic.property}`).join() === 'dropped -webkit-transform,custom-code display,dropped zoom', 'Should report what Webflow styles cannot hold');
+  
+  console.log('Property Support tests passed!');
+}
+
+/**
+ * Test the Selector Matcher
+ */
+async function testSelectorMatcher() {
+  console.log('Testing Selector Matcher...');
+  
+  const htmlParser = new HTMLParser();
+  const parsed = htmlParser.parse(`
+    <section class="features">
+      <div class="card" data-variant="x"><h2 id="first">One</h2><p>Text</p></div>
+      <div class="card"><span><h2>Nested</h2></span></div>
+    </section>
+    <ul><li class="item">A</li><li class="item">B</li><li class="item">C</li></ul>
+  `);
+  
+  const selectorMatcher = new SelectorMatcher();
+  selectorMatcher.setTree(parsed);
+  
+  const firstHeading = htmlParser.findElements('#first')[0];
+  const items = selectorMatcher.querySelectorAll('li');
+  
+  // Test combinators
+  console.assert(selectorMatcher.matches(firstHeading, 'section .card > h2'), 'Should match descendant and child combinators');
+  console.assert(selectorMatcher.querySelectorAll('section .card > h2').length === 1, 'Child combinator should skip nested headings');
+  console.assert(selectorMatcher.querySelectorAll('h2 + p').length === 1, 'Should match adjacent siblings');
+  console.assert(selectorMatcher.querySelectorAll('li:first-child ~ li').length === 2, 'Should match general siblings');
+  console.assert(selectorMatcher.matches(firstHeading, 'html body h2'), 'Should match through the document root');
+  
+  // Test attributes and structural pseudo-classes
+  console.assert(selectorMatcher.querySelectorAll('[data-variant="x"]').length === 1, 'Should match attribute values');
+  console.assert(selectorMatcher.matches(items[0], 'ul li:first-child'), 'Should match :first-child');
+  console.assert(!selectorMatcher.matches(items[1], 'ul li:first-child'), 'Should not match :first-child on later items');
+  console.assert(selectorMatcher.querySelectorAll('li:nth-child(2n+1)').length === 2, 'Should match :nth-child');
+  console.assert(selectorMatcher.querySelectorAll('.card:not([data-variant])').length === 1, 'Should match :not');
+  console.assert(selectorMatcher.querySelectorAll('.card:has(> h2)').length === 1, 'Should match :has with a child combinator');
+  console.assert(selectorMatcher.querySelectorAll('li:hover').length === 0, 'State pseudo-classes should not match');
+  
+  // Test state matching
+  const stateMatches = selectorMatcher.findMatchingRules(items[0], [{ selector: 'li, li:hover' }], { states: true });
+  console.assert(stateMatches.length === 2, 'Should match a rule once per state');
+  console.assert(stateMatches[1].state === 'hover', 'Should report the state a selector needs');
+  console.assert(selectorMatcher.getPseudoClassIssues('.card:hover li').length === 1, 'Should report states on ancestors');
+  console.assert(selectorMatcher.getPseudoClassIssues('p:lang(en)')[0].pseudoClass === 'lang', 'Should report unsupported pseudo-classes');
+  
+  // Test selector lists
+  const matched = selectorMatcher.getMatchingSelectors(items[2], '.missing, ul > .item:last-child');
+  console.assert(matched.length === 1 && matched[0].text === 'ul > .item:last-child', 'Should report which selector in a list matched');
+  
+  console.log('Selector Matcher tests passed!');
+}
+
+/**
+ * Test the Shorthand Expander
+ */
+async function testShorthandExpander() {
+  console.log('Testing Shorthand Expander...');
+  
+  const shorthandExpander = new ShorthandExpander();
+  const expand = (property, value) => Object.fromEntries(shorthandExpander.expand(property, value) || []);
+  
+  // Test box shorthands
+  const padding = expand('padding', '10px 20px');
+  console.assert(padding['padding-top'] === '10px' && padding['padding-bottom'] === '10px', 'Should repeat the vertical padding');
+  console.assert(padding['padding-left'] === '20px' && padding['padding-right'] === '20px', 'Should repeat the horizontal padding');
+  
+  // Test border
+  const border = expand('border', '1px solid #ccc');
+  console.assert(border['border-left-style'] === 'solid', 'Should expand border to every side');
+  console.assert(border['border-top-color'] === '#ccc', 'Should expand the border color');
+  
+  // Test multi-layer background
+  const background = expand('background', 'url(a.png) no-repeat, linear-gradient(red, blue) #fff');
+  console.assert(background['background-image'] === 'url(a.png), linear-gradient(red, blue)', 'Should keep one image per layer');
+  console.assert(background['background-repeat'] === 'no-repeat, repeat', 'Should default omitted layer values');
+  console.assert(background['background-color'] === '#fff', 'Should take the color from the final layer');
+  
+  // Test font with optional parts
+  const font = expand('font', 'italic bold 16px/1.5 "Helvetica Neue", sans-serif');
+  console.assert(font['font-style'] === 'italic' && font['font-weight'] === 'bold', 'Should read the optional font parts');
+  console.assert(font['line-height'] === '1.5', 'Should read the line height');
+  console.assert(font['font-family'] === '"Helvetica Neue", sans-serif', 'Should keep the font family list');
+  
+  // Test flex and gap
+  console.assert(expand('flex', '1')['flex-basis'] === '0%', 'flex: 1 should have a zero basis');
+  console.assert(expand('gap', '8px')['column-gap'] === '8px', 'gap should set both gaps');
+  
+  // Test grid placement and templates
+  const gridColumn = expand('grid-column', '1 / span 2');
+  console.assert(gridColumn['grid-column-start'] === '1' && gridColumn['grid-column-end'] === 'span 2', 'Should split grid-column into its lines');
+  console.assert(expand('grid-row', 'main')['grid-row-end'] === 'main', 'A single line name should set both edges');
+  const gridTemplate = expand('grid-template', '"head head" 80px "side main" / 200px 1fr');
+  console.assert(gridTemplate['grid-template-areas'] === '"head head" "side main"', 'Should read the areas of grid-template');
+  console.assert(gridTemplate['grid-template-rows'] === '80px auto' && gridTemplate['grid-template-columns'] === '200px 1fr', 'Should read the row sizes and columns of grid-template');
+  
+  // Test animation
+  const animation = expand('animation', 'fadeInUp 0.8s ease-out 0.2s both');
+  console.assert(animation['animation-name'] === 'fadeInUp' && animation['animation-fill-mode'] === 'both', 'Should read animation keywords');
+  console.assert(animation['animation-duration'] === '0.8s' && animation['animation-delay'] === '0.2s', 'The first time should be the duration');
+  console.assert(expand('animation', 'spin 1s infinite, pulse 2s')['animation-iteration-count'] === 'infinite, 1', 'Should expand each animation');
+  
+  // Test values that cannot be expanded
+  console.assert(shorthandExpander.expand('color', 'red') === null, 'Longhands should not expand');
+  console.assert(shorthandExpander.expand('margin', 'var(--space)') === null, 'var() shorthands should be left intact');
+  
+  console.log('Shorthand Expander tests passed!');
+}
+
+/**
+ * Test the Cascade Resolver
+ */
+async function testCascadeResolver() {
+  console.log('Testing Cascade Resolver...');
+  
+  const htmlParser = new HTMLParser();
+  const cssParser = new CSSParser();
+  const selectorMatcher = new SelectorMatcher();
+  const cascadeResolver = new CascadeResolver();
+  
+  const parsed = htmlParser.parse('<div id="box" class="card" style="padding: 4px; margin: 1px"></div>');
+  selectorMatcher.setTree(parsed);
+  const box = findElementByClass(parsed, 'card');
+  
+  const parsedCss = await cssParser.parse(`
+    #box { color: red; }
+    .card { color: blue; background: url(a.png) !important; }
+    div.card { margin: 2px !important; }
+    .card { padding: 8px; width: 10px; }
+    div { width: 20px; }
+    .card { width: 30px; }
+  `);
+  
+  const matches = selectorMatcher.findMatchingRules(box, parsedCss.styleRules);
+  const resolved = cascadeResolver.resolve(matches, box.styles);
+  
+  console.assert(resolved.properties.color === 'red', 'Higher specificity should win');
+  console.assert(resolved.properties.width === '30px', 'Later rules should win ties in specificity');
+  console.assert(resolved.properties['padding-top'] === '4px', 'Inline styles should beat stylesheet rules');
+  console.assert(resolved.properties['margin-left'] === '2px', '!important should beat inline styles');
+  console.assert(resolved.properties['background-image'] === 'url(a.png)', 'Should keep !important values intact');
+  console.assert(resolved.declarations['padding-top'].shorthand === 'padding', 'Should record the shorthand a longhand came from');
+  console.assert(resolved.declarations.color.selector === '#box', 'Should record the winning selector');
+  console.assert(resolved.overridden.color[0].selector === '.card', 'Should record overridden declarations');
+  
+  // Test cascade layers
+  const layeredCss = await cssParser.parse(`
+    @layer base, theme;
+    #box { padding: 1px; }
+    @layer theme { div { color: green; } }
+    @layer base { #box { color: red; margin: 3px !important; } }
+    @layer theme { .card { margin: 4px !important; } }
+  `);
+  const layered = cascadeResolver.resolve(selectorMatcher.findMatchingRules(box, layeredCss.styleRules));
+  console.assert(layered.properties.color === 'green', 'Later layers should beat specificity in earlier layers');
+  console.assert(layered.properties['padding-top'] === '1px', 'Unlayered styles should beat layered styles');
+  console.assert(layered.properties['margin-top'] === '3px', '!important should reverse the layer order');
+  
+  console.log('Cascade Resolver tests passed!');
+}
+
+/**
+ * Test the Variable Resolver
+ */
+async function testVariableResolver() {
+  console.log('Testing Variable Resolver...');
+  
+  const variableResolver = new VariableResolver();
+  
+  // Test custom property computation
+  const computed = variableResolver.computeCustomProperties(
+    { '--gap': 'calc(var(--unit) * 2)', '--a': 'var(--b)', '--b': 'var(--a)', color: 'red' },
+    { '--unit': '8px', '--a': '1px' }
+  );
+  console.assert(computed['--gap'] === 'calc(8px * 2)', 'Should resolve references to inherited properties');
+  console.assert(!('--a' in computed) && !('--b' in computed), 'Cycles should make custom properties invalid');
+  console.assert(!('color' in computed), 'Should only compute custom properties');
+  
+  // Test substitution
+  const lookup = name => ({ '--brand': '#333' })[name] || null;
+  console.assert(variableResolver.substitute('1px solid var(--brand)', lookup) === '1px solid #333', 'Should substitute references');
+  console.assert(variableResolver.substitute('var(--missing, var(--brand))', lookup) === '#333', 'Should use nested fallbacks');
+  console.assert(variableResolver.substitute('var(--missing,)', lookup) === '', 'Should allow empty fallbacks');
+  console.assert(variableResolver.substitute('var(--missing)', lookup) === null, 'Should fail without a fallback');
+  
+  // Test token types
+  console.assert(variableResolver.getTokenType('hsl(0 0% 20%)') === 'color', 'Should detect colour tokens');
+  console.assert(variableResolver.getTokenType('1.5rem') === 'size', 'Should detect size tokens');
+  console.assert(variableResolver.getTokenType('"Inter", sans-serif') === 'font', 'Should detect font tokens');
+  console.assert(variableResolver.getTokenType('0 1px 2px black') === null, 'Should skip tokens Webflow has no type for');
+  
+  console.log('Variable Resolver tests passed!');
+}
+
+/**
+ * Test the Interaction Builder
+ */
+async function testInteractionBuilder() {
+  console.log('Testing Interaction Builder...');
+  
+  const interactionBuilder = new InteractionBuilder(null, new BreakpointMapper(), new CSSParser());
+  
+  // Test transforms
+  const transform = interactionBuilder.parseTransform('translate3d(0, 40px, 0) scale(0.9)');
+  console.assert(transform.move.y === '40px' && transform.move.x === '0px', 'Should convert translations into a move action');
+  console.assert(transform.scale.x === 0.9 && transform.scale.y === 0.9, 'Should convert scale into a scale action');
+  console.assert(interactionBuilder.parseTransform('matrix(1, 0, 0, 1, 0, 0)') === null, 'Should reject transforms Webflow cannot express');
+  console.assert(interactionBuilder.parseTransform('translateX(1px) translateX(2px)') === null, 'Should reject repeated transform functions');
+  
+  // Test timing
+  console.assert(interactionBuilder.parseTime('0.8s') === 800 && interactionBuilder.parseTime('150ms') === 150, 'Should convert times to milliseconds');
+  console.assert(interactionBuilder.getEasing('ease-in-out') === 'easeInOut', 'Should map timing keywords to easings');
+  console.assert(interactionBuilder.getEasing('steps(4)') === null, 'Should reject step timing');
+  
+  console.log('Interaction Builder tests passed!');
+}
+
+/**
+ * Test the Font Planner
+ */
+async function testFontPlanner() {
+  console.log('Testing Font Planner...');
+  
+  const fontPlanner = new FontPlanner();
+  
+  // Test Google Fonts URLs
+  const css2 = fontPlanner.parseGoogleFontsUrl('https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,400;1,700&family=Inter:wght@100..900');
+  console.assert(css2[0].family === 'Playfair Display', 'Should read CSS2 family names');
+  console.assert(css2[0].variants[1].weight === 700 && css2[0].variants[1].style === 'italic', 'Should read CSS2 axis tuples');
+  console.assert(css2[1].variants[0].maxWeight === 900, 'Should read variable weight ranges');
+  
+  const css1 = fontPlanner.parseGoogleFontsUrl('//fonts.googleapis.com/css?family=Roboto:400,700italic|Open+Sans');
+  console.assert(css1.length === 2 && css1[1].family === 'Open Sans', 'Should read first-version family lists');
+  console.assert(css1[0].variants[1].style === 'italic', 'Should read first-version variants');
+  console.assert(fontPlanner.parseGoogleFontsUrl('https://example.com/theme.css') === null, 'Should ignore other stylesheets');
+  
+  // Test font stack rewriting
+  fontPlanner.addFontFaces([{ family: 'Brand', weight: '400', style: 'normal', sources: [] }]);
+  console.assert(fontPlanner.rewriteFontFamily('Brand, Missing, serif') === 'Brand, serif', 'Should drop unavailable fonts');
+  console.assert(fontPlanner.rewriteFontFamily('"Helvetica Neue", Arial') === '"Helvetica Neue", Arial', 'Should keep system fonts');
+  console.assert(fontPlanner.rewriteFontFamily('Missing') === 'sans-serif', 'Should fall back to a generic family');
+  
+  console.log('Font Planner tests passed!');
+}
+
+/**
+ * Test the Value Normalizer
+ */
+async function testValueNormalizer() {
+  console.log('Testing Value Normalizer...');
+  
+  const valueNormalizer = new ValueNormalizer(new BreakpointMapper());
+  const normalize = (property, value, breakpoint) => valueNormalizer.normalizeValue(property, value, breakpoint);
+  
+  // Test calc() simplification
+  console.assert(normalize('width', 'calc(10px + 2px * 3)') === '16px', 'Should evaluate calc() in a single unit');
+  console.assert(normalize('width', 'calc((100% - 40px) / 3)') === 'calc(33.333% - 13.333px)', 'Should simplify mixed-unit calc()');
+  console.assert(normalize('margin-left', 'calc(-1 * 1rem)') === '-1rem', 'Should handle negative factors');
+  
+  // Test units
+  console.assert(normalize('padding-top', '12pt') === '16px', 'Should convert absolute units to px');
+  console.assert(normalize('padding-left', '10Q') === '9.449px' && valueNormalizer.getReport().some(issue => issue.value === '10Q' && issue.reason.includes('rounded')), 'Should report rounded absolute units');
+  console.assert(!valueNormalizer.getReport().some(issue => issue.value === '12pt'), 'Should not report exact conversions');
+  console.assert(normalize('height', '100dvh') === '100vh', 'Should approximate dynamic viewport units');
+  console.assert(normalize('margin-top', '0') === '0px', 'Should give zero a unit');
+  console.assert(normalize('line-height', '1.5') === '1.5', 'Should keep unitless line heights');
+  console.assert(normalize('width', '5') === null, 'Should drop unitless lengths');
+  console.assert(normalize('width', 'auto') === 'auto', 'Should keep keywords');
+  console.assert(normalize('color', 'clamp(1px, 2px, 3px)') === 'clamp(1px, 2px, 3px)', 'Should leave other properties alone');
+  
+  // Test min(), max() and clamp()
+  console.assert(normalize('font-size', 'clamp(1rem, 2.5vw + 0.5rem, 2rem)', 'tiny') === '17.375px', 'Should evaluate clamp() at the breakpoint width');
+  console.assert(normalize('font-size', 'clamp(1rem, 2.5vw + 0.5rem, 2rem)', 'xxl') === '32px', 'Should clamp to the maximum');
+  console.assert(normalize('width', 'min(100%, 600px)') === '100%', 'Should keep the first value when min() cannot be evaluated');
+  console.assert(valueNormalizer.getReport().some(issue => issue.value === 'min(100%, 600px)'), 'Should report approximations');
+  
+  // Test grid track lists
+  console.assert(normalize('grid-template-columns', '[full] repeat(2, minmax(1in, 1fr)) 10dvw') === '[full] repeat(2, minmax(96px, 1fr)) 10vw', 'Should normalise the lengths of track lists');
+  console.assert(normalize('grid-template-rows', '1foo 1fr') === null, 'Should drop track lists with invalid lengths');
+  
+  console.log('Value Normalizer tests passed!');
+}
+
+/**
+ * Test the Color Normalizer
+ */
+async function testColorNormalizer() {
+  console.log('Testing Color Normalizer...');
+  
+  const colorNormalizer = new ColorNormalizer();
+  const normalize = (value, currentColor) => {
+    const result = colorNormalizer.normalize(value, currentColor);
+    return result ? result.value : null;
+  };
+  
+  // Test colour syntaxes
+  console.assert(normalize('rebeccapurple') === '#663399', 'Should convert named colours to hex');
+  console.assert(normalize('#ABC') === '#aabbcc', 'Should expand short hex colours');
+  console.assert(normalize('#11223380') === 'rgba(17, 34, 51, 0.502)', 'Should convert hex alpha to rgba()');
+  console.assert(normalize('rgb(255 0 0 / 50%)') === 'rgba(255, 0, 0, 0.5)', 'Should read modern rgb() syntax');
+  console.assert(normalize('hsl(120, 100%, 25%)') === '#008000', 'Should convert hsl()');
+  console.assert(normalize('hwb(210 0% 50%)') === '#004080', 'Should convert hwb()');
+  console.assert(normalize('oklch(62.8% 0.2577 29.23)') === '#ff0000', 'Should convert oklch()');
+  console.assert(normalize('lab(54.29 80.8 69.89)') === '#ff0000', 'Should convert lab()');
+  console.assert(normalize('color-mix(in srgb, red 40%, blue)') === '#660099', 'Should evaluate color-mix()');
+  console.assert(normalize('color-mix(in srgb, red 30%, transparent 30%)') === 'rgba(255, 0, 0, 0.3)', 'Should make mixes under 100% translucent');
+  
+  // Test colours inside other values
+  console.assert(normalize('0 2px 4px hsl(0 0% 0% / 0.2), inset 0 0 1px navy') === '0 2px 4px rgba(0, 0, 0, 0.2), inset 0 0 1px #000080', 'Should normalise colours in shadows');
+  console.assert(normalize('linear-gradient(red, currentColor), url(#red.png)', '#123456') === 'linear-gradient(#ff0000, #123456), url(#red.png)', 'Should normalise colours in gradients but not URLs');
+  console.assert(normalize('transparent') === 'transparent', 'Should keep transparent');
+  console.assert(normalize('rgb(1 2)') === null, 'Should reject invalid colours');
+  
+  // Test gamut clipping
+  const wide = colorNormalizer.normalize('color(display-p3 1 0 0)');
+  console.assert(wide.value === '#ff0000' && wide.approximations.length === 1, 'Should clip and report colours outside sRGB');
+  
+  // Test computed colours
+  console.assert(colorNormalizer.computeColor('inherit', '#ffffff') === '#ffffff', 'Should inherit colours');
+  console.assert(colorNormalizer.computeColor('initial', '#ffffff') === null, 'Should reset to the default text colour');
+  
+  console.log('Color Normalizer tests passed!');
+}
+
+/**
+ * Test the Breakpoint Mapper
+ */
+async function testBreakpointMapper() {
+  console.log('Testing Breakpoint Mapper...');
+  
+  const breakpointMapper = new BreakpointMapper();
+  
+  // Test exact tiers
+  const tablet = breakpointMapper.mapQuery('screen and (max-width: 991px)');
+  console.assert(tablet.breakpoints.join() === 'medium,small,tiny', 'max-width 991px should map to tablet and below');
+  console.assert(tablet.approximated === false, 'Exact tiers should not be approximated');
+  
+  const wide = breakpointMapper.mapQuery('(min-width: 1440px)');
+  console.assert(wide.breakpoints.join() === 'xl,xxl', 'min-width 1440px should map to the larger tiers');
+  
+  // Test snapping
+  const snapped = breakpointMapper.mapQuery('(max-width: 768px)');
+  console.assert(snapped.breakpoints.join() === 'small,tiny', '768px should snap to the 767px tier');
+  console.assert(snapped.approximated === true, 'Snapped queries should be flagged');
+  
+  const larger = new BreakpointMapper('larger').mapQuery('(max-width: 800px)');
+  console.assert(larger.breakpoints.join() === 'medium,small,tiny', 'The larger policy should snap up');
+  
+  const range = breakpointMapper.mapQuery('(768px <= width < 992px)');
+  console.assert(range.breakpoints.join() === 'medium', 'Should map range syntax');
+  
+  // Test unmappable queries
+  console.assert(breakpointMapper.mapQuery('print').reason !== null, 'Print should not be mappable');
+  console.assert(breakpointMapper.mapQuery('(orientation: landscape)').reason !== null, 'Orientation should not be mappable');
+  console.assert(breakpointMapper.mapQuery('(prefers-reduced-motion: reduce)').reason !== null, 'prefers-* should not be mappable');
+  console.assert(breakpointMapper.getReport().unmapped.length === 3, 'Should report unmapped queries');
+  
+  // Test query lists
+  const screenOrPrint = breakpointMapper.mapQuery('screen, print');
+  console.assert(screenOrPrint.reason === null && screenOrPrint.breakpoints.length === 7, 'Query lists should map when one of their queries does');
+  console.assert(screenOrPrint.dropped.map(dropped => dropped.query).join() === 'print' && breakpointMapper.getReport().mapped.pop().dropped.length === 1, 'Should report the queries dropped from a list');
+  console.assert(breakpointMapper.mapQuery('print, (orientation: landscape)').reason !== null, 'Lists with no mappable query should stay unmapped');
+  
+  console.log('Breakpoint Mapper tests passed!');
+}
+
+/**
+ * Test the Tag Style Mapper
+ */
+async function testTagStyleMapper() {
+  console.log('Testing Tag Style Mapper...');
+  
+  const selectorMatcher = new SelectorMatcher();
+  const tagStyleMapper = new TagStyleMapper(new WebflowElementMapper(mockWebflow), selectorMatcher);
+  const getTag = selector => tagStyleMapper.getTag(selectorMatcher.parseSelector(selector)[0]);
+  
+  console.assert(getTag('h1') === 'h1' && getTag('a:hover') === 'a', 'Type selectors should map to tag styles');
+  console.assert(getTag('html') === 'body' && getTag(':root') === 'body', 'Root element rules should map to the body tag style');
+  console.assert(getTag('p.lead') === null && getTag('nav a') === null && getTag('p::before') === null, 'Selectors needing more than a tag should not map to tag styles');
+  console.assert(getTag('section') === null, 'Tags Webflow has no tag style for should not map');
+  console.assert(tagStyleMapper.describeTagStyle('h2').name === 'All H2 Headings', 'Should name tag styles like Webflow');
+  
+  const scopedMapper = new TagStyleMapper(new WebflowElementMapper(mockWebflow), selectorMatcher, 'html2wf-content');
+  console.assert(scopedMapper.describeTagStyle('h2').selector === '.html2wf-content h2', 'Scoped tag styles should be nested in the wrapper class');
+  console.assert(scopedMapper.describeTagStyle('body').selector === '.html2wf-content', 'Scoped body styles should go on the wrapper class');
+  
+  const tagRule = { selector: 'p', properties: { color: 'red', 'margin-top': '0' } };
+  const classRule = { selector: '.lead', properties: { color: 'blue' } };
+  const filtered = tagStyleMapper.filterMatches([
+    { rule: tagRule, matchedSelectors: selectorMatcher.parseSelector('p'), specificity: [0, 0, 1], state: null },
+    { rule: classRule, matchedSelectors: selectorMatcher.parseSelector('.lead'), specificity: [0, 1, 0], state: null }
+  ]);
+  console.assert(filtered.length === 2 && filtered[0].rule.declarations.map(declaration => declaration.property).join() === 'color', 'Tag matches should keep only properties the element also declares');
+  console.assert(tagStyleMapper.filterMatches(filtered.slice(0, 1)).length === 0, 'Tag matches should be left out when nothing contests them');
+  
+  console.log('Tag Style Mapper tests passed!');
+}
+
+/**
+ * Test the Combo Class Builder
+ */
+async function testComboClassBuilder() {
+  console.log('Testing Combo Class Builder...');
+  
+  const selectorMatcher = new SelectorMatcher();
+  const elementMapper = new WebflowElementMapper(mockWebflow);
+  const classNamingSystem = new ClassNamingSystem('');
+  const comboClassBuilder = new ComboClassBuilder(elementMapper, selectorMatcher, classNamingSystem, new BreakpointMapper());
+  const getChains = selector => comboClassBuilder.getSelectorChains(selectorMatcher.parseSelector(selector)[0])
+    .map(chain => chain.join(' ')).join();
+  
+  comboClassBuilder.orderClasses([
+    { classes: ['btn-primary', 'btn'] },
+    { classes: ['btn', 'btn-primary'] },
+    { classes: ['btn'] },
+    { classes: ['card', 'btn'] }
+  ]);
+  
+  console.assert(comboClassBuilder.getChain({ classes: ['btn-primary', 'btn'] }).join() === 'btn,btn-primary', 'Classes on more elements should become the base class');
+  console.assert(comboClassBuilder.getChain({ classes: ['card', 'btn'] }).join() === 'btn,card', 'Chains should follow one order across elements');
+  console.assert(getChains('.btn-primary.btn') === 'btn btn-primary' && getChains('.btn:hover') === 'btn', 'Class selectors should map to the chain they start');
+  console.assert(getChains('.card') === 'btn card' && getChains('.btn-primary') === 'btn btn-primary', 'Classes that never start a chain should map to the combos holding them');
+  console.assert(getChains('.card.btn-primary') === '' && getChains('.missing') === '', 'Classes no element has together should map to no chain');
+  console.assert(getChains('button.btn') === '' && getChains('.btn .card') === '' && getChains('.btn::before') === '', 'Selectors needing more than classes should stay on elements');
+  
+  const classMatches = comboClassBuilder.collectClassMatches([
+    { selector: '.btn', declarations: [{ property: 'color', value: 'red' }, { property: 'animation', value: 'pulse 1s' }] },
+    { selector: '.btn.btn-primary', declarations: [{ property: 'color', value: 'blue' }] },
+    { selector: '.btn', declarations: [{ property: 'border-color', value: 'currentColor' }] }
+  ]);
+  console.assert(classMatches.get('btn').length === 1 && classMatches.get('btn').map(match => match.rule.declarations.length).join() === '1', 'Class matches should leave per-element declarations out');
+  console.assert(classMatches.get('btn btn-primary')[0].rule.declarations[0].value === 'blue', 'Compound rules should go on the combo class');
+  
+  const classStyles = await comboClassBuilder.createClassStyles(new Map([
+    ['btn', [{ breakpoint: 'main', state: null, styles: { color: '#ff0000', padding: '8px' } }]],
+    ['btn btn-primary', [{ breakpoint: 'main', state: null, styles: { color: '#0000ff' } }]]
+  ]));
+  console.assert(classStyles.map(style => style.selector).join() === '.btn,.btn.btn-primary,.btn.card', 'Should create every class and combo class, bases first');
+  console.assert(classStyles[1].combo && classStyles[1].name === 'btn-primary' && classStyles[1].styles.color === '#0000ff', 'Combo classes should hold the compound rule');
+  
+  const variants = [
+    { breakpoint: 'main', state: null, styles: { color: '#0000ff', padding: '8px', margin: '4px' } },
+    { breakpoint: 'small', state: null, styles: { color: '#00ff00' } }
+  ];
+  comboClassBuilder.subtractClassStyles(variants, { classes: ['btn-primary', 'btn'] });
+  console.assert(Object.keys(variants[0].styles).join() === 'margin', 'Elements should keep only what their classes do not set');
+  console.assert(variants[1].styles.color === '#00ff00', 'Elements should keep values that differ from their classes');
+  
+  console.log('Combo Class Builder tests passed!');
+}
+
+/**
+ * Test the Style Deduplicator
+ */
+async function testStyleDeduplicator() {
+  console.log('Testing Style Deduplicator...');
+  
+  const styleDeduplicator = new StyleDeduplicator(new WebflowElementMapper({}), null, new ClassNamingSystem(), new BreakpointMapper());
+  
+  // Test final styles and fingerprints
+  const finalStyle = styleDeduplicator.getFinalStyle([
+    { styles: { color: 'red', margin: '0' }, stateStyles: { hover: { color: 'blue' } } },
+    { styles: { margin: 'initial', padding: '4px' }, breakpointStyles: { small: { padding: '2px' } } }
+  ]);
+  console.assert(JSON.stringify(finalStyle.styles) === '{"color":"red","padding":"4px"}', 'Elements should override their classes, and resets should drop values');
+  console.assert(finalStyle.stateStyles.hover.color === 'blue' && finalStyle.breakpointStyles.small.padding === '2px', 'Should keep every breakpoint and state');
+  const resetStyle = styleDeduplicator.getFinalStyle([
+    { styles: { color: 'red' }, breakpointStyles: { medium: { color: 'initial', margin: 'initial' } }, stateStyles: { hover: { color: 'initial', padding: 'initial' } } }
+  ]);
+  console.assert(JSON.stringify(resetStyle.breakpointStyles.medium) === '{"color":"initial"}' && JSON.stringify(resetStyle.stateStyles.hover) === '{"color":"initial"}', 'Should keep resets of values set above them only');
+  console.assert(styleDeduplicator.getFingerprint({ styles: { a: '1', b: '2' } }) === styleDeduplicator.getFingerprint({ styles: { b: '2', a: '1' } }), 'Fingerprints should not depend on declaration order');
+  console.assert(styleDeduplicator.getFingerprint({ styles: { a: '1' } }) !== styleDeduplicator.getFingerprint({ stateStyles: { hover: { a: '1' } } }), 'Fingerprints should tell states apart');
+  console.assert(styleDeduplicator.getFingerprint({ styles: {} }) === null, 'Unstyled elements should have no fingerprint');
+  console.assert(styleDeduplicator.parseKey('small:hover').state === 'hover' && styleDeduplicator.parseKey('small').breakpoint === 'small' && styleDeduplicator.parseKey('hover').breakpoint === 'main', 'Should read breakpoint and state keys');
+  
+  // Test near-duplicates
+  const candidate = (id, styles) => ({ parsedElement: { id }, style: { styles } });
+  const suggestions = styleDeduplicator.findNearDuplicates([
+    [candidate('el-1', { color: 'red', margin: '0', padding: '4px', display: 'flex' }), candidate('el-2', { color: 'red', margin: '0', padding: '4px', display: 'flex' })],
+    [candidate('el-3', { color: 'blue', margin: '0', padding: '4px', display: 'flex' })],
+    [candidate('el-4', { color: 'blue', width: '10px' })]
+  ]);
+  console.assert(suggestions.length === 1 && suggestions[0].elements.join() === 'el-1,el-2,el-3', 'Should group sets differing in a few declarations');
+  console.assert(Object.keys(suggestions[0].base.styles).join() === 'margin,padding,display' && suggestions[0].combos[1].style.styles.color === 'blue', 'Should split near-duplicates into a base and combos');
+  
+  console.log('Style Deduplicator tests passed!');
+}
+
+/**
+ * Test the Grid Mapper
+ */
+async function testGridMapper() {
+  console.log('Testing Grid Mapper...');
+  
+  const breakpointMapper = new BreakpointMapper();
+  const gridMapper = new GridMapper(breakpointMapper, new ValueNormalizer(breakpointMapper));
+  
+  // Test track lists
+  const trackList = gridMapper.parseTrackList('[full-start] repeat(2, [col] 1fr) [full-end]', 'main', 0, 'grid-template-columns', null);
+  console.assert(trackList.tracks.join(' ') === '1fr 1fr', 'Should expand repeat()');
+  console.assert(trackList.lines.col.join() === '1,2' && trackList.lines['full-end'][0] === 3, 'Should number line names');
+  console.assert(gridMapper.parseTrackList('repeat(auto-fill, 200px)', 'main', 20, 'grid-template-columns', null).tracks.length === 5, 'Should fit auto-fill repetitions to the viewport');
+  console.assert(gridMapper.parseTrackList('repeat(auto-fit, minmax(200px, 1fr))', 'tiny', 20, 'grid-template-columns', null).tracks.length === 1, 'Should keep at least one repetition');
+  
+  // Test areas
+  const areas = gridMapper.parseAreas('"head head" "side main"');
+  console.assert(areas.areas.head.columnEnd === 3 && areas.areas.main.rowStart === 2, 'Should find the lines around each area');
+  console.assert(gridMapper.parseAreas('"a b a"') === null && gridMapper.parseAreas('"a b" "c"') === null, 'Should reject invalid areas');
+  
+  // Test placement
+  const { grid } = gridMapper.resolveContainer({ display: 'grid', 'grid-template-areas': '"head head" "side main"', 'grid-template-columns': '200px 1fr' }, 'main', null);
+  console.assert(grid.rows.join(' ') === 'auto auto', 'Areas should get explicit tracks');
+  const place = styles => gridMapper.resolvePlacement(styles, grid, null);
+  const head = place({ 'grid-row-start': 'head', 'grid-row-end': 'head', 'grid-column-start': 'head', 'grid-column-end': 'head' });
+  console.assert(head['grid-column-start'] === '1' && head['grid-column-end'] === '3' && head['grid-row-end'] === '2', 'Should place elements in named areas');
+  console.assert(place({ 'grid-column-start': '1', 'grid-column-end': 'span 2' })['grid-column-end'] === '3', 'Should turn spans into lines');
+  console.assert(place({ 'grid-column-start': '-2', 'grid-column-end': '-1' })['grid-column-start'] === '2', 'Should count negative lines from the end');
+  console.assert(place({ 'grid-column-start': 'auto', 'grid-column-end': 'span 2' })['grid-column-end'] === 'span 2', 'Should keep the span of automatically placed elements');
+  console.assert(place({ 'grid-row-start': 'footer', 'grid-row-end': 'footer' })['grid-row-start'] === 'auto', 'Should place elements automatically when the line name is missing');
+  
+  console.log('Grid Mapper tests passed!');
+}
+
+/**
+ * Test the Background Mapper
+ */
+async function testBackgroundMapper() {
+  console.log('Testing Background Mapper...');
+  
+  const breakpointMapper = new BreakpointMapper();
+  const backgroundMapper = new BackgroundMapper(new WebflowElementMapper(mockWebflow), breakpointMapper, new ValueNormalizer(breakpointMapper));
+  
+  // Test directions
+  console.assert(backgroundMapper.parseDirection('to right') === 90 && backgroundMapper.parseDirection('0.5turn') === 180, 'Should turn directions into angles');
+  console.assert(backgroundMapper.parseDirection('to left top') === 315, 'Should take corners at 45 degrees');
+  console.assert(backgroundMapper.parseDirection('to left right') === null, 'Should reject opposite sides');
+  
+  // Test stops
+  const stops = backgroundMapper.parseStops(['red', 'blue', 'green 80%', 'white']);
+  console.assert(stops.map(stop => stop.position).join() === '0%,40%,80%,100%', 'Should spread positionless stops');
+  const doubleStops = backgroundMapper.parseStops(['red 0% 50%', '60%', 'blue 40%']);
+  console.assert(doubleStops.length === 4 && doubleStops[2].hint === '60%', 'Should split two-position stops and keep hints');
+  console.assert(doubleStops[3].position === '50%', 'Should move stops up to the one before');
+  
+  // Test layers
+  const layers = await backgroundMapper.parseLayers({
+    'background-image': 'linear-gradient(rgba(0, 0, 0, 0.5), rgba(0, 0, 0, 0.5)), url("hero.jpg"), radial-gradient(circle at top, #fff, transparent)',
+    'background-size': 'auto, cover',
+    'background-repeat': 'no-repeat'
+  });
+  console.assert(layers[0].type === 'color-overlay' && layers[0].color === 'rgba(0, 0, 0, 0.5)', 'Single-colour gradients should become colour overlays');
+  console.assert(layers[1].type === 'image' && layers[1].asset === 'asset-0' && layers[1].size === 'cover', 'Images should become assets with their own size');
+  console.assert(layers[2].shape === 'circle' && layers[2].center === 'top' && layers[2].size === 'auto', 'Should read radial gradients and repeat shorter lists');
+  console.assert(layers.every(layer => layer.type === 'color-overlay' || layer.repeat === 'no-repeat'), 'A single value should apply to every layer');
+  console.assert((await backgroundMapper.parseLayers({ 'background-image': 'element(#x), url(a.png)' })).length === 1, 'Should drop layers Webflow has no type for');
+  
+  console.log('Background Mapper tests passed!');
+}
+
+/**
+ * Test the Naming Convention
+ */
+async function testNamingConvention() {
+  console.log('Testing Naming Convention...');
+  
+  const prefix = new NamingConvention();
+  const clientFirst = new NamingConvention('client-first');
+  const bem = new NamingConvention('bem');
+  const custom = new NamingConvention('custom', { elementTemplate: '{role}-{breakpoint}-{component}' });
+  
+  console.assert(prefix.formatClassName('heroBlock', { prefix: 'html2wf-' }) === 'html2wf-heroBlock', 'The prefix convention should keep original names');
+  console.assert(clientFirst.formatClassName('heroBlock') === 'hero-block', 'Client-First should use lowercase hyphenated names');
+  console.assert(clientFirst.formatElementName({ role: 'heading', component: 'hero' }) === 'hero_heading', 'Client-First should put elements in their component folder');
+  console.assert(clientFirst.formatElementName({ role: 'heading' }) === 'heading', 'Missing tokens should be left out with their separator');
+  console.assert(bem.formatElementName({ role: 'link', component: 'card', breakpoint: 'small' }) === 'card__link--small', 'BEM should name elements and modifiers');
+  console.assert(bem.formatElementName({ role: 'link', component: 'card' }) === 'card__link', 'BEM should leave out empty modifiers');
+  console.assert(custom.formatElementName({ role: 'text', component: 'card' }) === 'text-card', 'Custom templates should be used as given');
+  console.assert(prefix.getRole('H2') === 'heading' && prefix.getRole('section') === 'section', 'Should name elements by their role');
+  
+  let error = null;
+  try {
+    new NamingConvention('custom', { classTemplate: '{prefix}{colour}' });
+  } catch (caught) {
+    error = caught;
+  }
+  console.assert(error && error.message.includes('{colour}'), 'Should reject unknown tokens');
+  
+  console.log('Naming Convention tests passed!');
+}
+
+/**
+ * Test the Site Style Registry
+ */
+async function testSiteStyleRegistry() {
+  console.log('Testing Site Style Registry...');
+  
+  const registry = new SiteStyleRegistry({}, {
+    getStyles: async () => [{ name: 'card', properties: { 'padding-top': '8px' } }, { name: '' }]
+  });
+  const styles = await registry.load();
+  
+  console.assert(styles.length === 1 && registry.has('card') && !registry.has('hero'), 'Should load the styles from the adapter');
+  console.assert(registry.getProperties('card')['padding-top'] === '8px' && registry.getProperties('hero') === null, 'Should keep the properties of each style');
+  
+  const webflowRegistry = new SiteStyleRegistry({
+    getAllStyles: async () => [{ getName: async () => 'button', getProperties: async () => ({ color: 'red' }) }]
+  });
+  await webflowRegistry.load();
+  console.assert(webflowRegistry.getProperties('button').color === 'red', 'Should load the styles through the Webflow API');
+  
+  console.log('Site Style Registry tests passed!');
+}
+
+/**
+ * Test the Class Dictionary
+ */
+async function testClassDictionary() {
+  console.log('Testing Class Dictionary...');
+  
+  const stored = {};
+  const storage = { getItem: key => stored[key] || null, setItem: (key, value) => { stored[key] = value; } };
+  const classDictionary = new ClassDictionary(storage);
+  classDictionary.record('site-a', 'card', 'html2wf-card', { color: 'red' });
+  classDictionary.record('site-b', 'card', 'html2wf-card-1');
+  classDictionary.save();
+  
+  const reloaded = new ClassDictionary(storage);
+  console.assert(reloaded.getEntries('site-a').card.styles.color === 'red' && reloaded.getEntries('site-b').card.name === 'html2wf-card-1', 'Should keep entries per site across sessions');
+  
+  const exported = reloaded.export('site-a');
+  console.assert(Object.keys(JSON.parse(exported).sites).join() === 'site-a', 'Should export one site');
+  const shared = new ClassDictionary();
+  console.assert(shared.import(exported, 'site-c') === 1 && shared.getEntries('site-c').card.name === 'html2wf-card', 'Should import into another site');
+  
+  let importError = null;
+  try {
+    shared.import('{"sites": {}}');
+  } catch (caught) {
+    importError = caught;
+  }
+  console.assert(importError && importError.message.includes('version'), 'Should reject dictionaries it cannot read');
+  
+  reloaded.record('site-a', 'hero', 'html2wf-hero');
+  console.assert(reloaded.prune('site-a', { classes: ['hero'] }).join() === 'hero' && !reloaded.getEntries('site-a').hero, 'Should prune chosen classes');
+  console.assert(reloaded.prune('site-a', { unusedSince: Date.now() + 1 }).join() === 'card', 'Should prune classes not used since a time');
+  reloaded.reset();
+  console.assert(Object.keys(reloaded.getEntries('site-b')).length === 0, 'Should reset the dictionary');
+  
+  console.log('Class Dictionary tests passed!');
+}
+
 /**
  * Test the Class Naming System
  */
@@ -137,6 +1058,38 @@ async function testClassNamingSystem() {
   const transformedSelector = classNamingSystem.transformSelector('.container .inner');
   console.assert(transformedSelector === '.test-container .test-inner', 'Should transform selector correctly');
   
+  // Test names for elements without a class
+  const elementName = classNamingSystem.generateElementClassName('el-1', { tagName: 'h2', component: 'container' });
+  console.assert(elementName === 'test-container-heading', 'Should name classless elements by component and role');
+  console.assert(classNamingSystem.generateElementClassName('el-2', { tagName: 'h2', component: 'container' }) === 'test-container-heading-1', 'Should keep element class names unique');
+  console.assert(classNamingSystem.getAllElementClassMappings()['el-1'] === elementName, 'Should map elements to their class names');
+  
+  const clientFirstNaming = new ClassNamingSystem('test-', new NamingConvention('client-first'));
+  console.assert(clientFirstNaming.generateClassName('Card') === 'card' && clientFirstNaming.generateClassName('card') === 'card-1', 'Should name classes by the convention and keep them unique');
+  
+  // Test collisions with the site's existing styles
+  const collidingNaming = new ClassNamingSystem('test-');
+  collidingNaming.setExistingStyles(new Set(['test-card', 'test-hero', 'test-card-1', 'test-hero-heading']), { 'test-hero': 'reuse' });
+  console.assert(collidingNaming.generateClassName('card') === 'test-card-2', 'Should suffix classes named like existing styles by default');
+  console.assert(collidingNaming.generateClassName('hero') === 'test-hero' && collidingNaming.getExistingResolution('test-hero') === 'reuse', 'Should reuse existing styles when chosen');
+  console.assert(collidingNaming.generateElementClassName('el-1', { tagName: 'h1', component: 'hero' }) === 'test-hero-heading-1', 'Element classes should not take existing styles');
+  console.assert(collidingNaming.getAllCollisions().map(collision => `${collision.name}:${collision.createdAs}`).join() === 'test-card:test-card-2,test-hero:null', 'Should record each collision');
+  
+  let collisionError = null;
+  try {
+    collidingNaming.setExistingStyles(new Set(), {}, 'overwrite');
+  } catch (caught) {
+    collisionError = caught;
+  }
+  console.assert(collisionError && collisionError.message.includes('overwrite'), 'Should reject unknown resolutions');
+  
+  // Test names remembered from earlier conversions
+  const rememberingNaming = new ClassNamingSystem('test-');
+  rememberingNaming.setDictionary({ card: 'test-card-1', hero: 'other-hero' });
+  rememberingNaming.setExistingStyles(new Set(['test-card', 'test-card-1']));
+  console.assert(rememberingNaming.generateClassName('card') === 'test-card-1' && rememberingNaming.getExistingResolution('test-card-1') === 'reuse', 'Should reuse the class an earlier conversion created');
+  console.assert(rememberingNaming.generateClassName('hero') === 'test-hero', 'Names from another prefix or convention should not be reused');
+  
   console.log('Class Naming System tests passed!');
 }
 
@@ -185,6 +1138,24 @@ async function testWebflowElementMapper() {
   console.assert(paragraphElement.type === 'paragraph', 'Paragraph should have correct type');
   console.assert(paragraphElement.content === 'Hello World', 'Paragraph should have correct content');
   
+  // Test rebuilding mixed inline content in order
+  const htmlParser = new HTMLParser();
+  const parsedInline = htmlParser.parse('<p>Hello <em>there</em> friend</p>');
+  await elementMapper.mapToWebflow(parsedInline);
+  
+  const inlineParagraph = elementMapper.getWebflowElement(findElementByTagName(parsedInline, 'p').id);
+  const emphasis = elementMapper.getWebflowElement(findElementByTagName(parsedInline, 'em').id);
+  console.assert(inlineParagraph.children.length === 3, 'Paragraph should have three inline children');
+  console.assert(elementMapper.getTextElement(inlineParagraph.children[0]).text === 'Hello ', 'First child should be leading text');
+  console.assert(inlineParagraph.children[1] === emphasis.id, 'Second child should be the emphasis element');
+  console.assert(emphasis.content === 'there', 'Emphasis should keep its text');
+  console.assert(elementMapper.getTextElement(inlineParagraph.children[2]).text === ' friend', 'Third child should be trailing text');
+  
+  // Test assets
+  const asset = await elementMapper.getAsset('https://example.com/img/hero%20photo.jpg?w=1200');
+  console.assert(asset.fileName === 'hero photo.jpg', 'Assets should be named after the file');
+  console.assert(await elementMapper.getAsset('https://example.com/img/hero%20photo.jpg?w=1200') === asset, 'Each URL should be uploaded once');
+  
   console.log('Webflow Element Mapper tests passed!');
 }
 
@@ -215,6 +1186,531 @@ async function testConversionManager() {
   console.assert(lastStatus === 'Conversion complete', 'Should complete conversion');
   console.assert(lastProgress === 100, 'Should reach 100% progress');
   
+  // Test that document styles are converted with the CSS panel input
+  const documentResult = await conversionManager.convert(
+    '<html><head><title>Doc</title><style>.hero { color: red; }</style></head><body><div class="hero"></div></body></html>',
+    '.panel { color: blue; }'
+  );
+  
+  console.assert(documentResult.metadata.title === 'Doc', 'Should return page metadata');
+  console.assert(documentResult.classMap.hero !== undefined, 'Should convert classes from document styles');
+  console.assert(documentResult.classMap.panel !== undefined, 'Should convert classes from the CSS panel');
+  
+  // Test that descendant selectors style elements and are reported
+  const matchResult = await conversionManager.convert(
+    '<section><div class="card"><h2>Title</h2></div></section>',
+    'section .card > h2 { color: green; }'
+  );
+  const heading = findElementByTagName(conversionManager.htmlParser.root, 'h2');
+  
+  console.assert(conversionManager.elementMapper.getWebflowElement(heading.id).styles.color === '#008000', 'Should apply descendant selector styles');
+  console.assert(matchResult.matchedRules[heading.id][0].selector === 'section .card > h2', 'Should report the matched rule');
+  
+  // Test that media queries become breakpoint styles
+  const responsiveResult = await conversionManager.convert(
+    '<div class="grid"></div>',
+    '.grid { display: flex; gap: 8px; } @media (max-width: 767px) { .grid { display: block; } } @media print { .grid { display: none; } } @media (min-width: 768px) { .grid { color: red; } }'
+  );
+  const grid = findClassStyle(conversionManager, 'grid');
+  
+  console.assert(grid.styles.display === 'flex', 'Base styles should stay on the desktop breakpoint');
+  console.assert(grid.styles.color === '#ff0000', 'min-width rules covering desktop should apply to the base');
+  console.assert(grid.breakpointStyles.small.display === 'block', 'max-width rules should apply to their breakpoint');
+  console.assert(!('gap' in grid.breakpointStyles.small), 'Inherited values should not be repeated');
+  console.assert(grid.breakpointStyles.small.color === 'initial', 'Values that stop applying should be reset');
+  console.assert(!grid.breakpointStyles.tiny, 'Breakpoints without changes should have no styles');
+  console.assert(responsiveResult.report.mediaQueries.unmapped[0].query === 'print', 'Should report unmapped media queries');
+  
+  // Test that pseudo-classes become style states
+  const stateResult = await conversionManager.convert(
+    '<a class="btn" href="#">Go</a><input class="field">',
+    '.btn { color: black; } .btn:hover { color: red; } .btn:active { color: blue; } .btn:target { color: green; } .field::placeholder { color: gray; }'
+  );
+  const button = findClassStyle(conversionManager, 'btn');
+  const field = findClassStyle(conversionManager, 'field');
+  
+  console.assert(button.styles.color === '#000000', 'State rules should not change the resting style');
+  console.assert(button.stateStyles.hover.color === '#ff0000', 'Should convert :hover to the hover state');
+  console.assert(button.stateStyles.pressed.color === '#0000ff', 'Should convert :active to the pressed state');
+  console.assert(field.stateStyles.placeholder.color === '#808080', 'Should convert ::placeholder to the placeholder state');
+  console.assert(stateResult.report.pseudoClasses[0].pseudoClass === 'target', 'Should report states Webflow lacks');
+  
+  // Test that ::before and ::after become real elements or scoped embeds
+  const pseudoResult = await conversionManager.convert(
+    '<blockquote class="quote" data-author="Ada">Text</blockquote><ol><li class="step">One</li></ol><img class="photo" src="a.png">',
+    '.quote::before { content: "\\201C"; color: gray; } .quote::after { content: " by " attr(data-author); } .quote:hover::after { color: red; } .step::before { content: counter(item); } .photo::after { content: ""; }'
+  );
+  const quoteParsed = findElementByClass(conversionManager.htmlParser.root, 'quote');
+  const quote = conversionManager.elementMapper.getWebflowElement(quoteParsed.id);
+  const before = conversionManager.elementMapper.getWebflowElement(`${quoteParsed.id}-before`);
+  const after = conversionManager.elementMapper.getWebflowElement(`${quoteParsed.id}-after`);
+  const step = findElementByClass(conversionManager.htmlParser.root, 'step');
+  
+  console.assert(quote.children[0] === before.id, '::before should be placed first inside its host');
+  console.assert(quote.children[quote.children.length - 1] === after.id, '::after should be placed last inside its host');
+  console.assert(before.content === '\u201C', 'Should unescape generated content');
+  console.assert(after.content === ' by Ada', 'Should resolve attr() in generated content');
+  console.assert(before.styles.color === '#808080' && !('content' in before.styles), 'Should style the synthesized element without content');
+  console.assert(after.stateStyles.hover.color === '#ff0000', 'Should carry pseudo-element states');
+  console.assert(before.classes[0] === pseudoResult.classMap['quote-before'], 'Should give the synthesized element its own class');
+  console.assert(conversionManager.elementMapper.getWebflowElement(`${step.id}-before-embed`).code.includes('counter(item)'), 'Should fall back to an embed for counters');
+  console.assert(pseudoResult.report.pseudoElements.length === 3, 'Should report converted pseudo-elements, skipping replaced elements');
+  
+  // Test custom property resolution
+  const variablesHtml = '<div class="card"><p class="title">Hi</p></div><div class="dark"><p class="title">Yo</p></div>';
+  const variablesCss = `
+    :root { --brand: #3366ff; --space: 16px; --font-body: "Inter", sans-serif; --shadow: 0 1px 2px black; }
+    @media (max-width: 767px) { :root { --space: 8px; } }
+    .dark { --brand: black; }
+    .card { padding: var(--space) calc(var(--space) * 2); font-family: var(--font-body); }
+    .title { color: var(--brand); margin: var(--missing); background-color: var(--accent, var(--brand)); }
+    .title:hover { --brand: red; }
+  `;
+  const variablesResult = await conversionManager.convert(variablesHtml, variablesCss);
+  const [lightTitle, darkTitle] = conversionManager.htmlParser.getAllElements()
+    .filter(element => element.classes.includes('title'))
+    .map(element => conversionManager.elementMapper.getWebflowElement(element.id));
+  const titleClass = findClassStyle(conversionManager, 'title');
+  const card = findClassStyle(conversionManager, 'card');
+  
+  console.assert(titleClass.styles.color === '#3366ff', 'Should resolve variables declared on :root');
+  console.assert(titleClass.styles['background-color'] === '#3366ff', 'Should resolve nested fallbacks');
+  console.assert(!('color' in lightTitle.styles), 'Should leave values the class gives to the class');
+  console.assert(darkTitle.styles.color === '#000000', 'Should resolve scoped overrides through inheritance');
+  console.assert(titleClass.stateStyles.hover.color === '#ff0000', 'Should resolve overrides in states');
+  console.assert(card.styles['padding-right'] === '32px', 'Should expand shorthands after substitution');
+  console.assert(card.breakpointStyles.small['padding-top'] === '8px', 'Should resolve overrides in media queries');
+  console.assert(!('--brand' in titleClass.styles), 'Should not copy custom properties to Webflow');
+  console.assert(!('margin-top' in titleClass.styles), 'Should leave unresolvable declarations unset');
+  console.assert(variablesResult.report.variables.unresolved[0].property === 'margin', 'Should report unresolvable declarations');
+  console.assert(variablesResult.report.variables.created.length === 0, 'Should not create variables unless asked');
+  
+  // Test that :root tokens can become Webflow Variables
+  const tokensResult = await conversionManager.convert(variablesHtml, variablesCss, { createVariables: true });
+  const tokens = tokensResult.report.variables.created;
+  const tokenDarkTitle = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'dark').children[0].id);
+  const tokenTitle = findClassStyle(conversionManager, 'title');
+  const tokenCard = findClassStyle(conversionManager, 'card');
+  
+  console.assert(tokens.map(token => token.type).join() === 'color,size,font', 'Should create colour, size and font variables only');
+  console.assert(tokens[0].collection === 'Colors' && tokens[0].name === 'brand', 'Should group variables into collections');
+  console.assert(tokenTitle.styles.color === 'var(--brand)', 'Should reference variables instead of their values');
+  console.assert(tokenDarkTitle.styles.color === '#000000', 'Should not reference variables that are overridden in scope');
+  console.assert(tokenCard.styles['font-family'] === 'var(--font-body)', 'Should reference font variables');
+  console.assert(tokenCard.breakpointStyles.small['padding-top'] === '8px', 'Should use values where media queries override a variable');
+  console.assert(tokenCard.styles['padding-top'] === 'var(--space)' && tokenCard.styles['padding-right'] === '32px', 'Should reference size variables and keep values built from them');
+  console.assert(!tokensResult.report.values.some(issue => issue.value.includes('var(')), 'Should not drop variable references');
+  
+  // Test that keyframe animations become interactions
+  const animationResult = await conversionManager.convert(
+    '<h1 class="hero-title">Hi</h1><img class="logo" src="a.png"><a class="cta">Go</a><div class="bar"></div>',
+    `@keyframes fadeInUp { from { opacity: 0; transform: translateY(40px); } to { opacity: 1; transform: none; } }
+     @keyframes pulse { 50% { transform: scale(1.05); } }
+     @keyframes grow { to { width: 100%; } }
+     .hero-title { color: navy; animation: fadeInUp 0.8s ease-out 0.2s both; }
+     .logo { animation: pulse 2s infinite; animation-timeline: view(); }
+     .cta:hover { animation: pulse 1s; }
+     .bar { animation: grow 1s forwards; }
+     @media (max-width: 767px) { .hero-title { animation: none; } }`
+  );
+  const [fadeIn, scrollPulse, hoverPulse] = animationResult.interactions;
+  const heroTitle = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'hero-title').id);
+  const heroTitleClass = findClassStyle(conversionManager, 'hero-title');
+  const barParsed = findElementByClass(conversionManager.htmlParser.root, 'bar');
+  
+  console.assert(fadeIn.trigger.type === 'page-load', 'Resting animations should play on page load');
+  console.assert(fadeIn.actions[0].type === 'opacity' && fadeIn.actions[0].value === 0 && fadeIn.actions[0].initial, 'The first keyframe should become the initial state');
+  console.assert(fadeIn.actions[1].delay === 200 && fadeIn.actions[1].duration === 800 && fadeIn.actions[1].easing === 'easeOut', 'Should time actions from the animation');
+  console.assert(fadeIn.actions.some(action => action.type === 'move' && action.y === '40px'), 'Should convert transforms into move actions');
+  console.assert(!fadeIn.trigger.breakpoints.includes('small'), 'Should not trigger where media queries remove the animation');
+  console.assert(heroTitleClass.styles.color === '#000080' && !('animation-name' in heroTitleClass.styles), 'Should not copy animation properties to styles');
+  console.assert(!('animation-name' in heroTitle.styles), 'Should not copy animation properties to the element');
+  console.assert(scrollPulse.trigger.type === 'scroll-into-view' && scrollPulse.loop, 'View timelines should trigger on scroll into view');
+  console.assert(scrollPulse.actions.length === 3, 'Missing keyframes should animate from and to the element\'s own style');
+  console.assert(hoverPulse.trigger.type === 'hover' && hoverPulse.outActions.length === 1, 'Hover animations should become hover interactions');
+  console.assert(conversionManager.elementMapper.getWebflowElement(`${barParsed.id}-animation-embed`).code.includes('@keyframes grow'), 'Should fall back to an embed for other properties');
+  console.assert(animationResult.report.animations.find(entry => entry.mode === 'embed').reason.includes('width'), 'Should report animations that need custom code');
+  
+  // Test the font plan
+  const fontResult = await conversionManager.convert(
+    '<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@400;700"><h1 class="heading">Hi</h1><p class="body-copy">Text</p>',
+    `@import url("https://fonts.googleapis.com/css?family=Roboto");
+     @font-face { font-family: "Brand Sans"; src: url(/fonts/brand.woff2) format("woff2"), url(/fonts/brand.woff) format("woff"); }
+     .heading { font: 700 40px/1.1 Inter, Georgia, serif; }
+     .body-copy { font-family: "Brand Sans", "Not Loaded", sans-serif; font-weight: 600; }`
+  );
+  const fontPlan = fontResult.fontPlan;
+  const bodyCopy = findClassStyle(conversionManager, 'body-copy');
+  
+  console.assert(fontPlan.googleFonts[0].family === 'Inter' && fontPlan.googleFonts[0].variants[0].weight === 700, 'Should plan the Google Fonts to enable');
+  console.assert(fontPlan.customFonts[0].files.length === 2, 'Should plan the custom font files to upload');
+  console.assert(fontPlan.customFonts[0].missingVariants[0].weight === 600, 'Should report weights with no font file');
+  console.assert(fontPlan.missing[0].family === 'Not Loaded', 'Should report fonts that are not available');
+  console.assert(bodyCopy.styles['font-family'] === '"Brand Sans", sans-serif', 'Should rewrite stacks naming unavailable fonts');
+  console.assert(fontPlan.unused.includes('Roboto'), 'Should report loaded fonts no style uses');
+  
+  // Test that fonts are planned with the weight and style elements inherit
+  const inheritedFontResult = await conversionManager.convert(
+    '<div class="lead"><p class="lead-text">Hi <em>there</em></p></div><p class="note">Read <strong>this</strong></p>',
+    `@font-face { font-family: "Brand Sans"; src: url(/fonts/brand.woff2) format("woff2"); }
+     .lead { font-weight: 700; }
+     .lead-text { font-family: "Brand Sans", sans-serif; }
+     .note { font-family: "Brand Sans", sans-serif; }`
+  );
+  const missingVariants = inheritedFontResult.fontPlan.customFonts[0].missingVariants;
+  
+  console.assert(missingVariants.some(variant => variant.weight === 700 && variant.style === 'normal'), 'Should plan the weight an element inherits');
+  console.assert(missingVariants.some(variant => variant.weight === 700 && variant.style === 'italic'), 'Should plan the style a tag gives inherited text');
+  console.assert(!missingVariants.some(variant => variant.weight === 400 && variant.style === 'italic'), 'Should not plan the default weight for bold text');
+  console.assert(missingVariants.filter(variant => variant.weight === 700).length === 2, 'Should plan bold text inside a paragraph');
+  
+  // Test that clamp() becomes per-breakpoint values
+  const clampResult = await conversionManager.convert(
+    '<h2 class="fluid">Hi</h2>',
+    '.fluid { font-size: clamp(1rem, 2.5vw + 0.5rem, 2rem); width: calc(100% - 2 * 1rem); margin-top: 1in; }'
+  );
+  const fluid = findClassStyle(conversionManager, 'fluid');
+  
+  console.assert(fluid.styles['font-size'] === '32px', 'Should evaluate clamp() at the base breakpoint');
+  console.assert(fluid.breakpointStyles.medium['font-size'] === '27.2px', 'Should set clamp() values per breakpoint');
+  console.assert(fluid.breakpointStyles.tiny['font-size'] === '17.375px', 'Should set clamp() values at every smaller breakpoint');
+  console.assert(!fluid.breakpointStyles.xxl, 'Should not set values that match the parent breakpoint');
+  console.assert(fluid.styles.width === 'calc(100% - 2rem)' && !fluid.breakpointStyles.tiny.width, 'Should not repeat values that do not change');
+  console.assert(fluid.styles['margin-top'] === '96px', 'Should convert units Webflow lacks');
+  console.assert(clampResult.report.values[0].property === 'font-size', 'Should report values evaluated per breakpoint');
+  
+  // Test SCSS input
+  await conversionManager.convert(
+    '<nav class="menu"><a class="menu-link">Home</a></nav>',
+    '$gap: 12px; .menu { display: flex; .menu-link { padding: $gap; &:hover { color: red; } } }',
+    { cssSyntax: 'scss' }
+  );
+  const menuLink = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'menu-link').id);
+  
+  console.assert(menuLink.styles['padding-top'] === '12px', 'Should convert compiled SCSS');
+  console.assert(menuLink.stateStyles.hover.color === '#ff0000', 'Should convert nested states');
+  
+  // Test colour normalisation, currentColor and the palette
+  const colorResult = await conversionManager.convert(
+    '<section class="panel"><a class="link">Go</a></section>',
+    `.panel { color: hsl(220 80% 40%); }
+     @media (max-width: 767px) { .panel { color: oklch(0.5 0.2 30); } }
+     .link { border: 1px solid currentColor; box-shadow: 0 0 0 2px color-mix(in srgb, currentColor 50%, transparent); }
+     .link:hover { color: white; background-color: #1A1A1A; }`
+  );
+  const link = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'link').id);
+  
+  console.assert(link.styles['border-top-color'] === '#144bb8', 'Should resolve currentColor through inheritance');
+  console.assert(link.styles['box-shadow'] === '0 0 0 2px rgba(20, 75, 184, 0.5)', 'Should resolve currentColor inside color-mix()');
+  console.assert(link.breakpointStyles.medium === undefined && link.breakpointStyles.small['border-top-color'] === '#ba0d01', 'Should resolve currentColor per breakpoint');
+  console.assert(link.stateStyles.hover['border-top-color'] === '#ffffff', 'Should resolve currentColor in states');
+  console.assert(findClassStyle(conversionManager, 'link').stateStyles.hover['background-color'] === '#1a1a1a', 'Should normalise hex colours');
+  console.assert(!('border-top-color' in findClassStyle(conversionManager, 'link').styles), 'Should leave currentColor to each element');
+  console.assert(colorResult.palette[0].color === '#144bb8' && colorResult.palette[0].elements.includes('class-panel') && colorResult.palette[0].elements.includes(findElementByClass(conversionManager.htmlParser.root, 'link').id), 'Should report the palette with the classes and elements using each colour');
+  
+  // Test @layer, @supports and @container
+  const atRuleResult = await conversionManager.convert(
+    '<div class="tile"><p class="tile-text">Hi</p></div>',
+    `@layer reset { * { margin: 0; } p { margin-bottom: 8px; color: black; } }
+     .tile-text { margin-bottom: 16px; }
+     .tile { display: block; }
+     @supports (display: grid) { .tile { display: grid; } }
+     @supports not (display: grid) { .tile { display: flex; } }
+     @container (max-width: 767px) { .tile-text { font-size: 14px; } }`
+  );
+  const tile = findClassStyle(conversionManager, 'tile');
+  const tileText = findClassStyle(conversionManager, 'tile-text');
+  
+  console.assert(tileText.styles['margin-bottom'] === '16px', 'Layered resets should not override unlayered styles');
+  console.assert(atRuleResult.tagStyles.find(style => style.selector === 'p').styles.color === '#000000', 'Layered styles should apply where nothing overrides them');
+  console.assert(tile.styles.display === 'grid', 'Should drop @supports fallbacks for features Webflow has');
+  console.assert(tileText.breakpointStyles.small['font-size'] === '14px', 'Should approximate container queries with breakpoints');
+  console.assert(atRuleResult.report.layers.join() === 'reset', 'Should report the cascade layers');
+  console.assert(atRuleResult.report.conditionalRules.length === 3, 'Should report how conditional rules were handled');
+  
+  // Test tag styles
+  const tagCss = `
+    :root { --ink: #222; }
+    html { font-size: 16px; color: navy; }
+    body { font-family: Georgia, serif; line-height: 1.5; color: var(--ink); }
+    h1 { font-size: 40px; margin: 0; }
+    @media (max-width: 767px) { h1 { font-size: 28px; } }
+    a:hover { text-decoration: underline; }
+    .intro h1 { color: red; }
+    .title { margin-top: 8px; }`;
+  const tagResult = await conversionManager.convert(
+    '<div class="intro"><h1 class="title">Hi</h1><p>Text <a href="#">link</a></p></div>',
+    tagCss
+  );
+  const tagStyles = new Map(tagResult.tagStyles.map(style => [style.selector, style]));
+  const title = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'title').id);
+  const bodyElement = conversionManager.elementMapper.getWebflowElement(conversionManager.htmlParser.root.id);
+  
+  console.assert(tagStyles.get('body').name === 'Body (All Pages)', 'Body rules should become the body tag style');
+  console.assert(tagStyles.get('body').styles['font-family'] === 'Georgia, serif' && tagStyles.get('body').styles.color === '#222222', 'Body rules should win over html rules and resolve :root variables');
+  console.assert(tagStyles.get('body').styles['font-size'] === '16px', 'html rules should reach the body tag style');
+  console.assert(tagStyles.get('h1').name === 'All H1 Headings' && tagStyles.get('h1').styles['font-size'] === '40px', 'Type selectors should become tag styles');
+  console.assert(tagStyles.get('h1').breakpointStyles.small['font-size'] === '28px', 'Tag styles should follow media queries');
+  console.assert(tagStyles.get('a').stateStyles.hover['text-decoration'] === 'underline', 'Tag styles should keep states');
+  console.assert(!('font-family' in bodyElement.styles) && !('line-height' in bodyElement.styles), 'Inheritable properties should not be copied onto elements');
+  console.assert(!('font-size' in title.styles) && title.styles.color === '#ff0000', 'Elements should only get what their tag styles do not set');
+  console.assert(findClassStyle(conversionManager, 'title').styles['margin-top'] === '8px' && !('margin-top' in title.styles), 'Class rules should override the tag style from the class');
+  console.assert(!('margin-bottom' in title.styles) && !('margin-bottom' in findClassStyle(conversionManager, 'title').styles), 'Class rules should override the tag style property by property');
+  
+  await conversionManager.convert(
+    '<div class="intro"><h1 class="title">Hi</h1></div>',
+    tagCss,
+    { tagStyleScope: 'content' }
+  );
+  const scopedStyles = conversionManager.elementMapper.getAllTagStyles();
+  const scopedTitle = conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, 'title').id);
+  const scopedRoot = conversionManager.elementMapper.getWebflowElement(conversionManager.htmlParser.root.id);
+  
+  console.assert(scopedStyles.some(style => style.selector === '.html2wf-content h1' && style.name === 'All H1 Headings in html2wf-content'), 'Tag styles should be scoped to the wrapper class');
+  console.assert(scopedStyles.some(style => style.selector === '.html2wf-content' && style.styles['font-family'] === 'Georgia, serif'), 'Body styles should go on the wrapper class');
+  console.assert(scopedRoot.classes.includes('html2wf-content'), 'Should apply the wrapper class to the converted content');
+  console.assert(scopedTitle.styles['margin-top'] === '8px' && !('margin-bottom' in scopedTitle.styles), 'Elements should state class values a scoped tag style would override');
+  
+  await conversionManager.convert('<p class="x">A</p><p class="y">B</p>', 'p { color: red; } .x { color: blue; } .y { color: blue; }', { tagStyleScope: 'content' });
+  const scopedParagraphs = conversionManager.htmlParser.getAllElements()
+    .filter(element => element.tagName === 'p')
+    .map(element => conversionManager.elementMapper.getWebflowElement(element.id));
+  console.assert(scopedParagraphs.every(element => element.styles.color === '#0000ff'), 'Class values should win over scoped tag styles');
+  console.assert(scopedParagraphs[0].classes.join() === 'html2wf-x', 'Elements stating values over scoped tag styles should keep their classes');
+  
+  // Test style inspection
+  await conversionManager.convert(
+    '<section class="card" style="padding: 4px"><h2 class="card-title">Hi</h2></section>',
+    `h2 { font-size: 32px; margin: 0; }
+     .card { color: #333; --gap: 12px; }
+     .card-title { margin-bottom: var(--gap); color: blue; }
+     h2.card-title { color: red; }
+     .card-title:hover { color: green; }
+     @media (max-width: 767px) { section .card-title { color: purple; } }`
+  );
+  const inspection = conversionManager.inspectElement('.card-title');
+  const titleId = findElementByClass(conversionManager.htmlParser.root, 'card-title').id;
+  
+  console.assert(inspection.element === titleId && conversionManager.inspectElement(titleId).element === titleId, 'Should find elements by selector or parsed element ID');
+  console.assert(inspection.properties.color.value === 'red' && inspection.properties.color.winner.selector === 'h2.card-title', 'Should report the winning rule');
+  console.assert(inspection.properties.color.overridden[0].selector === '.card-title', 'Should report overridden rules');
+  console.assert(inspection.properties.color.webflow.property === 'color' && inspection.properties.color.webflow.value === '#ff0000', 'Should report the Webflow property and value');
+  console.assert(inspection.properties['margin-bottom'].value === '12px' && inspection.properties['margin-bottom'].winner.value === 'var(--gap)', 'Should substitute custom properties');
+  console.assert(inspection.properties['font-size'].webflow.target === 'tag-style' && inspection.properties['font-size'].webflow.name === 'All H2 Headings', 'Should report values set by tag styles');
+  console.assert(inspection.properties['margin-bottom'].webflow.property === 'marginBottom', 'Should map to Webflow property names');
+  console.assert(inspection.properties['padding-top'] === undefined, 'Should not inherit properties that do not inherit');
+  
+  const cardInspection = conversionManager.inspectElement('section');
+  console.assert(cardInspection.properties['padding-top'].source === 'inline', 'Should report inline styles');
+  
+  const smallInspection = conversionManager.inspectElement('.card-title', { breakpoint: 'small' });
+  console.assert(smallInspection.properties.color.winner.media === '(max-width: 767px)', 'Should inspect breakpoints');
+  console.assert(smallInspection.properties.color.webflow.breakpoint === 'small', 'Should report the breakpoint a value landed in');
+  
+  const hoverInspection = conversionManager.inspectElement('.card-title', { state: 'hover' });
+  console.assert(hoverInspection.properties.color.value === 'green' && hoverInspection.properties.color.webflow.state === 'hover', 'Should inspect states');
+  
+  await conversionManager.convert('<div class="outer"><span class="inner">x</span></div>', '.outer { font-weight: 700; }');
+  const innerInspection = conversionManager.inspectElement('.inner');
+  console.assert(innerInspection.properties['font-weight'].source === 'inherited' && innerInspection.properties['font-weight'].inheritedFrom === findElementByClass(conversionManager.htmlParser.root, 'outer').id, 'Should report inherited values and where they come from');
+  console.assert(conversionManager.inspectElement('.missing') === null, 'Should return null when no element matches');
+  
+  // Test diagnostics and custom code
+  const diagnosticResult = await conversionManager.convert(
+    '<html><head><style>.hero { zoom: 1.5; }</style></head><body><div class="hero">Hi</div></body></html>',
+    `.hero {
+      -webkit-transition: opacity 0.2s;
+      clip-path: inset(0 round 8px);
+      min-height: 100dvh;
+    }
+    @media print { .hero { color: black; } }`
+  );
+  const hero = findClassStyle(conversionManager, 'hero');
+  const diagnostics = diagnosticResult.report.diagnostics;
+  const zoomDiagnostic = diagnostics.find(diagnostic => diagnostic.property === 'zoom');
+  const marginDiagnostic = diagnostics.find(diagnostic => diagnostic.property === 'min-height');
+  
+  console.assert(hero.styles['transition-property'] === 'opacity' && !('clip-path' in hero.styles), 'Should style folded properties and leave out custom-code ones');
+  console.assert(diagnosticResult.customCode === '.html2wf-hero { clip-path: inset(0 round 8px); }', 'Should produce custom code with the generated class names');
+  console.assert(zoomDiagnostic.source === 'html' && zoomDiagnostic.line === 1, 'Should locate declarations in embedded styles');
+  console.assert(diagnostics.find(diagnostic => diagnostic.property === '-webkit-transition').line === 2, 'Should locate declarations in the CSS panel');
+  console.assert(marginDiagnostic.action === 'approximated' && marginDiagnostic.source === 'css' && marginDiagnostic.line === 4 && marginDiagnostic.selector === '.hero', 'Should trace approximated values to their declaration');
+  console.assert(diagnostics.some(diagnostic => diagnostic.property === 'color' && diagnostic.media === 'print' && diagnostic.action === 'dropped'), 'Should record declarations of media queries with no breakpoint');
+  
+  const inlineResult = await conversionManager.convert('<div style="-webkit-transform: rotate(2deg); zoom: 2; user-select: none">Hi</div>', '');
+  const inlineParsed = conversionManager.htmlParser.getAllElements().find(element => element.tagName === 'div');
+  const inlineElement = conversionManager.elementMapper.getWebflowElement(inlineParsed.id);
+  const inlineDiagnostics = inlineResult.report.diagnostics.filter(diagnostic => diagnostic.element === inlineParsed.id);
+  
+  console.assert(inlineElement.styles.transform === 'rotate(2deg)' && !('-webkit-transform' in inlineElement.styles) && !('zoom' in inlineElement.styles), 'Should unprefix inline styles and leave out unsupported ones');
+  console.assert(inlineDiagnostics.map(diagnostic => `${diagnostic.action} ${diagnostic.property}`).join() === 'folded -webkit-transform,dropped zoom,custom-code user-select', 'Should report inline declarations Webflow styles cannot hold');
+  const brokenStyleResult = await conversionManager.convert('<div style="color red">Hi</div>', '');
+  console.assert(brokenStyleResult.report.diagnostics.some(diagnostic => diagnostic.action === 'dropped' && diagnostic.value === 'color red' && diagnostic.element), 'Should report style attributes that cannot be parsed');
+  const scssDiagnostics = (await conversionManager.convert(
+    '<div class="hero"><p class="title">Hi</p></div>',
+    '$size: 2;\n\n.hero {\n  .title {\n    zoom: $size;\n  }\n}',
+    { cssSyntax: 'scss' }
+  )).report.diagnostics;
+  console.assert(scssDiagnostics.some(diagnostic => diagnostic.property === 'zoom' && diagnostic.source === 'css' && diagnostic.line === 5 && diagnostic.column === 5), 'Should locate declarations in the SCSS source');
+  console.assert(inlineResult.customCode === `[data-html2wf-inline="${inlineParsed.id}"] { user-select: none; }` && inlineElement.attributes['data-html2wf-inline'] === inlineParsed.id, 'Should scope inline custom code to the element');
+  
+  
+  // Test naming conventions for classes and classless elements
+  const namingResult = await conversionManager.convert(
+    '<section class="heroBlock"><h1>Hi</h1><p>Text</p></section><footer><a href="#">x</a></footer><div><span>y</span></div>',
+    '.heroBlock h1 { color: red; } footer a { color: blue; } @media (max-width: 767px) { span { display: none; } }',
+    { namingConvention: 'bem' }
+  );
+  const namedHeading = conversionManager.elementMapper.getWebflowElement(findElementByTagName(conversionManager.htmlParser.root, 'h1').id);
+  
+  console.assert(namingResult.classMap.heroBlock === 'hero-block', 'Should name classes by the chosen convention');
+  console.assert(namedHeading.classes.join() === 'hero-block__heading', 'Should name classless elements after their component');
+  console.assert(Object.values(namingResult.elementClassMap).join() === 'hero-block__heading,footer__link,text--small', 'Should name elements after landmarks and breakpoints, and leave unstyled elements alone');
+  
+  // Test base and combo classes
+  const comboResult = await conversionManager.convert(
+    '<button class="btn btn-primary">A</button><button class="btn-primary btn" style="margin: 2px">B</button><button class="btn">C</button>',
+    `.btn { padding: 8px 16px; color: black; }
+    .btn:hover { color: gray; }
+    .btn-primary { font-weight: 700; }
+    .btn.btn-primary { color: white; background-color: blue; }
+    .btn-primary.btn:hover { background-color: navy; }
+    @media (max-width: 767px) { .btn { padding: 4px; } }`
+  );
+  const [primary, reversedPrimary, plain] = conversionManager.htmlParser.getAllElements()
+    .filter(element => element.tagName === 'button')
+    .map(element => conversionManager.elementMapper.getWebflowElement(element.id));
+  const btn = findClassStyle(conversionManager, 'btn');
+  const btnPrimary = findClassStyle(conversionManager, 'btn', 'btn-primary');
+  
+  console.assert(primary.classes.join() === 'html2wf-btn,html2wf-btn-primary' && reversedPrimary.classes.join() === primary.classes.join(), 'Elements should get one class chain whatever their class order');
+  console.assert(plain.classes.join() === 'html2wf-btn', 'Elements should get their base class');
+  console.assert(comboResult.classStyles.length === 2 && btnPrimary.combo && btnPrimary.name === 'html2wf-btn-primary', 'Should create the base class and the combo class once');
+  console.assert(btn.styles['padding-left'] === '16px' && btn.breakpointStyles.small['padding-left'] === '4px' && btn.stateStyles.hover.color === '#808080', 'Class rules should go on the base class');
+  console.assert(btnPrimary.styles.color === '#ffffff' && btnPrimary.stateStyles.hover['background-color'] === '#000080', 'Compound rules should go on the combo class');
+  console.assert(btnPrimary.styles['font-weight'] === '700' && !('font-weight' in btn.styles), 'Rules on a combo class alone should go on the combo class');
+  console.assert(Object.keys(primary.styles).length === 0 && !primary.stateStyles && !primary.breakpointStyles, 'Elements should not repeat what their classes set');
+  console.assert(Object.keys(reversedPrimary.styles).join() === 'margin-top,margin-right,margin-bottom,margin-left', 'Elements should keep their own styles');
+  console.assert(conversionManager.inspectElement('.btn-primary', { state: 'hover' }).properties['background-color'].webflow.target === 'class', 'Should report values set by classes');
+  
+  
+  // Test shared classes for identical styles
+  const sharedResult = await conversionManager.convert(
+    `<footer><p style="color: red; margin: 0">A</p><p style="margin: 0; color: red">B</p>
+    <p class="note">C</p><p class="aside-note">D</p><p class="card">E</p><p class="card">F</p></footer>`,
+    '.note, .aside-note { color: red; margin: 0 } .card { color: red; margin: 0 }'
+  );
+  const footerParagraphs = conversionManager.htmlParser.getAllElements()
+    .filter(element => element.tagName === 'p')
+    .map(element => conversionManager.elementMapper.getWebflowElement(element.id));
+  const sharedClass = sharedResult.report.deduplication.shared[0];
+  
+  console.assert(sharedResult.report.deduplication.shared.length === 1 && sharedClass.className === 'html2wf-footer-text', 'Identical styles should share one class named by the naming convention');
+  console.assert(footerParagraphs.slice(0, 4).every(element => element.classes.join() === 'html2wf-footer-text' && Object.keys(element.styles).length === 0), 'Inline styles and single-use classes should give way to the shared class');
+  console.assert(footerParagraphs[4].classes.join() === 'html2wf-card', 'Classes used by several elements should stay');
+  console.assert(!findClassStyle(conversionManager, 'note') && findClassStyle(conversionManager, 'card'), 'Replaced classes should be deleted');
+  console.assert(conversionManager.inspectElement('.note').properties.color.webflow.name === 'html2wf-footer-text', 'Should report values set by shared classes');
+  
+  const desktopResult = await conversionManager.convert('<p class="a">A</p><p class="b">B</p>', '@media (min-width: 992px) { .a { color: red; } .b { color: red; } }');
+  const desktopClass = conversionManager.elementMapper.findClassStyle([desktopResult.report.deduplication.shared[0].className]);
+  console.assert(desktopClass.styles.color === '#ff0000' && desktopClass.breakpointStyles.medium.color === 'initial', 'Shared classes should keep resets at smaller breakpoints');
+  
+  const unsharedResult = await conversionManager.convert('<p style="color: red">A</p><p style="color: red">B</p>', '', { deduplicateStyles: false });
+  console.assert(unsharedResult.report.deduplication.shared.length === 0, 'Sharing styles should be optional');
+  
+  
+  // Test the class dictionary across conversions
+  const dictionaryStore = {};
+  const dictionaryStorage = { getItem: key => dictionaryStore[key] || null, setItem: (key, value) => { dictionaryStore[key] = value; } };
+  const siteStyles = [{ name: 'html2wf-panel', properties: {} }];
+  const siteAdapter = { getSiteId: async () => 'site-1', getStyles: async () => siteStyles };
+  const firstSection = new ConversionManager(mockWebflow, dictionaryStorage);
+  firstSection.setSiteStyleAdapter(siteAdapter);
+  await firstSection.convert('<div class="panel">A</div><div class="tile">B</div>', '.panel { color: red; } .tile { color: blue; }');
+  
+  // The first conversion's classes are now in the site
+  siteStyles.push({ name: 'html2wf-panel-1', properties: {} }, { name: 'html2wf-tile', properties: {} });
+  const secondSection = new ConversionManager(mockWebflow, dictionaryStorage);
+  secondSection.setSiteStyleAdapter(siteAdapter);
+  const secondResult = await secondSection.convert('<div class="tile">C</div><div class="tile">D</div>', '.tile { color: blue; padding: 4px; }');
+  const secondTile = secondSection.elementMapper.getWebflowElement(findElementByClass(secondSection.htmlParser.root, 'tile').id);
+  
+  console.assert(JSON.parse(await firstSection.exportClassDictionary()).sites['site-1'].panel.name === 'html2wf-panel-1', 'Should remember the classes of each conversion');
+  console.assert(secondTile.classes.join() === 'html2wf-tile' && secondResult.report.classes.remembered.join() === 'html2wf-tile', 'Repeat conversions should reuse remembered names');
+  console.assert(secondResult.report.classes.reused.join() === '.html2wf-tile' && secondTile.styles.color === undefined && secondTile.styles['padding-top'] === '4px', 'Repeat conversions should reuse remembered styles');
+  console.assert(await secondSection.importClassDictionary(JSON.stringify({ version: 1, sites: { other: { hero: { name: 'html2wf-hero' } } } })) === 1, 'Should import a shared dictionary');
+  console.assert((await secondSection.pruneClassDictionary({ classes: ['hero'] })).join() === 'hero', 'Should prune the dictionary');
+  await secondSection.resetClassDictionary();
+  console.assert(!JSON.parse(await secondSection.exportClassDictionary()).sites['site-1'], 'Should reset the dictionary');
+  
+  
+  // Test collisions with existing site styles
+  conversionManager.setSiteStyleAdapter({
+    getStyles: async () => [
+      { name: 'html2wf-card', properties: { color: '#000000', 'padding-top': '4px' } },
+      { name: 'html2wf-badge', properties: { color: '#ff0000' } },
+      { name: 'html2wf-note' }
+    ]
+  });
+  const collisionHtml = '<div class="card">A</div><span class="badge">B</span><p class="note">C</p>';
+  const collisionCss = '.card { color: black; padding-top: 8px; } .badge { color: blue; } .note { color: red; }';
+  const detected = await conversionManager.detectCollisions(collisionHtml, collisionCss);
+  const collisionResult = await conversionManager.convert(collisionHtml, collisionCss, {
+    collisions: { 'html2wf-card': 'merge', 'html2wf-badge': 'reuse' }
+  });
+  const getCollisionElement = className => conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, className).id);
+  
+  console.assert(detected.map(collision => collision.name).join() === 'html2wf-card,html2wf-badge,html2wf-note' && detected[1].properties.color === '#ff0000', 'Should detect classes named like existing styles');
+  console.assert(detected[1].resolutions.join() === 'suffix,reuse,merge' && detected[2].resolutions.join() === 'suffix,reuse', 'Should only offer merging into styles with known properties');
+  console.assert(detected[0].remembered && detected[0].resolutions[0] === 'reuse', 'Should offer reusing remembered classes first');
+  console.assert(getCollisionElement('note').classes.join() === 'html2wf-note-1' && findClassStyle(conversionManager, 'note').styles.color === '#ff0000', 'Should suffix new classes by default');
+  console.assert(Object.keys(findClassStyle(conversionManager, 'badge').styles).length === 0 && getCollisionElement('badge').styles.color === '#0000ff', 'Reused styles should be left as they are, with elements keeping what differs');
+  console.assert(JSON.stringify(findClassStyle(conversionManager, 'card').styles) === '{"padding-top":"8px"}' && Object.keys(getCollisionElement('card').styles).length === 0, 'Merged styles should only get what differs');
+  console.assert(collisionResult.report.classes.reused.join() === '.html2wf-badge' && collisionResult.report.classes.merged.join() === '.html2wf-card' && collisionResult.report.classes.created.join() === '.html2wf-note-1', 'Should report reused, merged and created classes');
+  conversionManager.setSiteStyleAdapter(null);
+  
+  
+  // Test grid layouts
+  const gridResult = await conversionManager.convert(
+    '<div class="layout"><header class="head">H</header><main class="main">M</main><div class="wide">W</div></div>',
+    `.layout { display: grid; grid-template-areas: "head head" "side main"; grid-template-columns: 200px 1fr; grid-column-gap: 2rem; }
+    .head { grid-area: head; }
+    .main { grid-area: main; }
+    .wide { grid-column: 1 / span 2; }
+    @media (max-width: 767px) { .layout { grid-template-areas: "head" "main" "side"; grid-template-columns: 1fr; } }`
+  );
+  const getGridElement = className => conversionManager.elementMapper.getWebflowElement(findElementByClass(conversionManager.htmlParser.root, className).id);
+  const layout = findClassStyle(conversionManager, 'layout');
+  const main = getGridElement('main');
+  
+  console.assert(layout.styles['column-gap'] === '2rem' && !('grid-column-gap' in layout.styles), 'Should fold legacy gap names');
+  console.assert(layout.styles['grid-template-rows'] === 'auto auto', 'Should give named areas explicit rows');
+  console.assert(layout.breakpointStyles.small['grid-template-columns'] === '1fr', 'Should change the template per breakpoint');
+  console.assert(main.styles['grid-column-start'] === '2' && main.styles['grid-row-start'] === '2', 'Should place children in their area');
+  console.assert(main.breakpointStyles.small['grid-column-start'] === '1' && !('grid-row-start' in main.breakpointStyles.small), 'Should move children where the template changes');
+  console.assert(getGridElement('wide').styles['grid-column-end'] === '3', 'Should resolve spans to lines');
+  console.assert(gridResult.report.grids[0].breakpoints.small.areas.join() === 'head,main,side', 'Should report the grid at each breakpoint');
+  
+  
+  // Test background layers
+  const backgroundResult = await conversionManager.convert(
+    '<section class="hero"><h1>Hi</h1></section>',
+    `.hero { background: linear-gradient(rgba(0, 0, 0, 0.5), rgba(0, 0, 0, 0.5)), url(img/hero.jpg) center / cover no-repeat, #222; }
+    .hero:hover { background-position: top; }
+    @media (max-width: 767px) { .hero { background-image: linear-gradient(to top right, red, blue); } }
+    .hero::before { content: ""; background-image: linear-gradient(90deg, #000, transparent); }`
+  );
+  const heroElement = findClassStyle(conversionManager, 'hero');
+  const heroBefore = conversionManager.elementMapper.getAllWebflowElements().find(element => element.id.endsWith('-before'));
+  
+  console.assert(heroElement.styles['background-color'] === '#222222' && !('background-image' in heroElement.styles), 'Should keep the colour as a style and move images into layers');
+  console.assert(heroElement.backgrounds.main.map(layer => layer.type).join() === 'color-overlay,image', 'Should layer the overlay over the photo');
+  console.assert(heroElement.backgrounds.hover[1].position === 'top' && heroElement.backgrounds.hover[1].size === 'cover', 'State layers should keep the rest of the background');
+  console.assert(heroElement.backgrounds.small[0].angle === 45, 'Breakpoints should get their own layers');
+  console.assert(backgroundResult.assets.length === 1 && backgroundResult.assets[0].url === 'img/hero.jpg', 'Should upload background images as assets');
+  console.assert(heroBefore.backgrounds.main[0].type === 'linear-gradient', 'Materialised pseudo-elements should get layers');
+  console.assert(backgroundResult.report.diagnostics.some(diagnostic => diagnostic.property === 'background-image' && diagnostic.line === 3 && diagnostic.media === '(max-width: 767px)'), 'Should trace gradient approximations to their declaration');
+  
   console.log('Conversion Manager tests passed!');
 }
 
@@ -431,6 +1927,18 @@ function findElementByClass(element, className) {
   return null;
 }
 
+/**
+ * Helper function to find the Webflow class created for a class chain
+ * @param {ConversionManager} conversionManager - The conversion manager that ran the conversion
+ * @param {...string} classNames - The original class names, base class first
+ * @returns {Object|null} - The Webflow class or combo class, or null
+ */
+function findClassStyle(conversionManager, ...classNames) {
+  return conversionManager.elementMapper.findClassStyle(
+    classNames.map(className => conversionManager.classNamingSystem.getGeneratedClassName(className))
+  );
+}
+
 /**
  * Helper function to find an element by tag name
  * @param {Object} element - The element to search in
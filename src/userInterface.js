@@ -8,19 +8,27 @@
 // This would be a Webflow Designer Extension UI implementation
 // For demonstration purposes, we're creating a mock UI structure
 
+// Storage key the options are persisted under
+const OPTIONS_KEY = 'html2wf-options';
+
 class UserInterface {
   /**
    * Constructor for the User Interface
    * @param {Object} converter - The conversion manager instance
+   * @param {Object|null} storage - Where options are persisted between sessions, with
+   *                                getItem and setItem like localStorage (default: none)
    */
-  constructor(converter) {
+  constructor(converter, storage = null) {
     this.converter = converter;
+    this.storage = storage;
     this.container = null;
     this.htmlInput = null;
     this.cssInput = null;
     this.convertButton = null;
     this.statusIndicator = null;
     this.optionsPanel = null;
+    this.collisions = []; // Classes the last check found already in the site
+    this.collisionChoices = {}; // Maps colliding class names to the chosen resolution
   }
 
   /**
@@ -41,8 +49,9 @@ class UserInterface {
     this.htmlInput = this.createInputPanel('HTML Input', 'Paste your HTML code here');
     this.cssInput = this.createInputPanel('CSS Input', 'Paste your CSS code here');
     
-    // Create options panel
+    // Create options panel, restoring the options of the last session
     this.optionsPanel = this.createOptionsPanel();
+    this.loadOptions();
     
     // Create convert button
     this.convertButton = {
@@ -123,6 +132,70 @@ class UserInterface {
           type: 'checkbox',
           label: 'Preserve Original Classes',
           checked: false
+        },
+        {
+          id: 'html2wf-breakpoint-policy-option',
+          type: 'select',
+          label: 'Breakpoint Snapping',
+          options: ['nearest', 'smaller', 'larger'],
+          value: 'nearest'
+        },
+        {
+          id: 'html2wf-create-variables-option',
+          type: 'checkbox',
+          label: 'Create Webflow Variables',
+          checked: false
+        },
+        {
+          id: 'html2wf-css-syntax-option',
+          type: 'select',
+          label: 'CSS Syntax',
+          options: ['css', 'nested', 'scss'],
+          value: 'css'
+        },
+        {
+          id: 'html2wf-tag-style-scope-option',
+          type: 'input',
+          label: 'Scope Tag Styles to Class',
+          value: ''
+        },
+        {
+          id: 'html2wf-naming-convention-option',
+          type: 'select',
+          label: 'Naming Convention',
+          options: ['prefix', 'client-first', 'bem', 'custom'],
+          value: 'prefix'
+        },
+        {
+          id: 'html2wf-class-template-option',
+          type: 'input',
+          label: 'Class Name Template',
+          value: '{prefix}{name}'
+        },
+        {
+          id: 'html2wf-element-template-option',
+          type: 'input',
+          label: 'Element Name Template',
+          value: '{prefix}{component}-{role}'
+        },
+        {
+          id: 'html2wf-collision-policy-option',
+          type: 'select',
+          label: 'When a Class Exists in the Site',
+          options: ['suffix', 'reuse', 'merge'],
+          value: 'suffix'
+        },
+        {
+          id: 'html2wf-deduplicate-styles-option',
+          type: 'checkbox',
+          label: 'Share Identical Styles',
+          checked: true
+        },
+        {
+          id: 'html2wf-class-dictionary-option',
+          type: 'checkbox',
+          label: 'Remember Classes Across Conversions',
+          checked: true
         }
       ]
     };
@@ -150,8 +223,9 @@ class UserInterface {
       const htmlCode = this.getInputValue(this.htmlInput);
       const cssCode = this.getInputValue(this.cssInput);
       
-      // Get options
+      // Get options, and keep them for the next session
       const options = this.getOptions();
+      this.saveOptions();
       
       // Perform conversion
       const result = await this.converter.convert(htmlCode, cssCode, options);
@@ -168,6 +242,125 @@ class UserInterface {
     }
   }
   
+  /**
+   * Check which classes of the input already exist in the site
+   * @returns {Promise<Array>} - The collisions, each with the class name, the original class,
+   *                             the existing style's properties, the ways it can be resolved
+   *                             and the resolution chosen so far
+   */
+  async checkCollisions() {
+    try {
+      const htmlCode = this.getInputValue(this.htmlInput);
+      const cssCode = this.getInputValue(this.cssInput);
+      const collisions = await this.converter.detectCollisions(htmlCode, cssCode, this.getOptions());
+      
+      // Choices for classes that no longer collide are dropped
+      const choices = {};
+      collisions.forEach(collision => {
+        if (this.collisionChoices[collision.name]) {
+          choices[collision.name] = this.collisionChoices[collision.name];
+        }
+      });
+      this.collisionChoices = choices;
+      this.collisions = collisions.map(collision => ({
+        ...collision,
+        resolution: choices[collision.name] || this.optionsPanel.children[10].value
+      }));
+      
+      this.updateStatus(collisions.length > 0
+        ? `${collisions.length} class(es) already exist in the site`
+        : 'No class exists in the site yet');
+      return this.collisions;
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      console.error('Collision check error:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Choose how a class that already exists in the site is resolved
+   * @param {string} className - The colliding class name
+   * @param {string} resolution - 'reuse', 'suffix' or 'merge'
+   */
+  setCollisionChoice(className, resolution) {
+    const collision = this.collisions.find(candidate => candidate.name === className);
+    if (!collision || !collision.resolutions.includes(resolution)) {
+      this.updateStatus(`Cannot ${resolution} ${className}`);
+      return;
+    }
+    
+    this.collisionChoices[className] = resolution;
+    collision.resolution = resolution;
+  }
+  
+  /**
+   * Export the classes remembered for the current site
+   * @returns {Promise<string|null>} - The class dictionary as JSON, or null if it failed
+   */
+  async exportClassDictionary() {
+    try {
+      const json = await this.converter.exportClassDictionary();
+      this.updateStatus('Class dictionary exported');
+      return json;
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Import a class dictionary shared by the team
+   * @param {string} json - The class dictionary, as exported
+   * @returns {Promise<number>} - The number of classes imported
+   */
+  async importClassDictionary(json) {
+    try {
+      const count = await this.converter.importClassDictionary(json);
+      this.updateStatus(`Imported ${count} class(es)`);
+      return count;
+    } catch (error) {
+      this.updateStatus(`Error: ${error.message}`);
+      return 0;
+    }
+  }
+  
+  /**
+   * Forget the classes remembered for the current site
+   * @returns {Promise<void>}
+   */
+  async resetClassDictionary() {
+    await this.converter.resetClassDictionary();
+    this.updateStatus('Class dictionary reset');
+  }
+  
+  /**
+   * Forget some of the classes remembered for the current site
+   * @param {Object} options - The original class names to forget, and the time classes
+   *                           not converted since are forgotten from
+   * @returns {Promise<Array<string>>} - The original class names forgotten
+   */
+  async pruneClassDictionary(options = {}) {
+    const pruned = await this.converter.pruneClassDictionary(options);
+    this.updateStatus(`Removed ${pruned.length} class(es) from the dictionary`);
+    return pruned;
+  }
+  
+  /**
+   * Inspect how the last conversion styled an element
+   * @param {string} target - A parsed element ID, or a CSS selector into the HTML input
+   * @param {Object} options - The breakpoint and state to inspect
+   * @returns {Object|null} - The element's style broken down by property, or null if no
+   *                          element matches
+   */
+  inspectElement(target, options = {}) {
+    const inspection = this.converter.inspectElement(target, options);
+    if (!inspection) {
+      this.updateStatus(`No element matches ${target}`);
+    }
+    return inspection;
+  }
+  
   /**
    * Get the value from an input panel
    * @param {Object} panel - The input panel
@@ -189,10 +382,58 @@ class UserInterface {
     return {
       prefix: this.optionsPanel.children[0].value,
       useNativeElementsOnly: this.optionsPanel.children[1].checked,
-      preserveOriginalClasses: this.optionsPanel.children[2].checked
+      preserveOriginalClasses: this.optionsPanel.children[2].checked,
+      breakpointPolicy: this.optionsPanel.children[3].value,
+      createVariables: this.optionsPanel.children[4].checked,
+      cssSyntax: this.optionsPanel.children[5].value,
+      tagStyleScope: this.optionsPanel.children[6].value,
+      namingConvention: this.optionsPanel.children[7].value,
+      classTemplate: this.optionsPanel.children[8].value,
+      elementTemplate: this.optionsPanel.children[9].value,
+      collisionPolicy: this.optionsPanel.children[10].value,
+      deduplicateStyles: this.optionsPanel.children[11].checked,
+      useClassDictionary: this.optionsPanel.children[12].checked,
+      collisions: { ...this.collisionChoices }
     };
   }
   
+  /**
+   * Restore the options saved by the last session
+   */
+  loadOptions() {
+    if (!this.storage) return;
+    
+    let saved;
+    try {
+      saved = JSON.parse(this.storage.getItem(OPTIONS_KEY) || '{}');
+    } catch (error) {
+      // Options saved by an older version are ignored
+      return;
+    }
+    
+    this.optionsPanel.children.forEach(option => {
+      if (!(option.id in saved)) return;
+      if (option.type === 'checkbox') {
+        option.checked = !!saved[option.id];
+      } else if (option.type !== 'select' || option.options.includes(saved[option.id])) {
+        option.value = saved[option.id];
+      }
+    });
+  }
+  
+  /**
+   * Save the options for the next session
+   */
+  saveOptions() {
+    if (!this.storage) return;
+    
+    const saved = {};
+    this.optionsPanel.children.forEach(option => {
+      saved[option.id] = option.type === 'checkbox' ? option.checked : option.value;
+    });
+    this.storage.setItem(OPTIONS_KEY, JSON.stringify(saved));
+  }
+  
   /**
    * Update the status indicator
    * @param {string} status - The status message
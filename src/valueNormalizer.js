@@ -0,0 +1,633 @@
+/**
+ * Value Normalizer for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for rewriting length values into forms Webflow accepts.
+ * Webflow takes px, %, em, rem, vw, vh and ch lengths and calc(), so calc() is simplified
+ * where it can be, other units are converted, and min(), max() and clamp() are evaluated
+ * at each breakpoint. Colours are handed to the colour normalizer. Values that had to be
+ * approximated or dropped are reported.
+ */
+
+const ColorNormalizer = require('./colorNormalizer');
+
+// Units Webflow accepts in length values
+const ACCEPTED_UNITS = ['px', '%', 'em', 'rem', 'vw', 'vh', 'ch'];
+
+// Absolute units and their size in pixels
+const ABSOLUTE_UNITS = {
+  px: 1,
+  pt: 4 / 3,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6
+};
+
+// Units Webflow lacks, the accepted unit they are approximated with and its factor
+const APPROXIMATED_UNITS = {
+  svh: ['vh', 1],
+  lvh: ['vh', 1],
+  dvh: ['vh', 1],
+  svw: ['vw', 1],
+  lvw: ['vw', 1],
+  dvw: ['vw', 1],
+  vmin: ['vw', 1],
+  vmax: ['vh', 1],
+  ex: ['em', 0.5]
+};
+
+// Properties taking a length or percentage; line-height also takes plain numbers
+const LENGTH_PROPERTIES = ['width', 'height', 'min-width', 'min-height', 'max-width', 'max-height',
+  'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'top', 'right', 'bottom', 'left', 'font-size', 'line-height', 'letter-spacing', 'word-spacing', 'text-indent',
+  'border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width',
+  'border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius',
+  'outline-width', 'outline-offset', 'row-gap', 'column-gap', 'flex-basis'];
+const NUMBER_PROPERTIES = ['line-height'];
+
+// Grid track lists, whose lengths sit among fr sizes, keywords and track functions
+const TRACK_PROPERTIES = ['grid-template-columns', 'grid-template-rows', 'grid-auto-columns', 'grid-auto-rows'];
+const TRACK_LENGTH = /(^|[\s(,\]])(-?(?:\d+\.?\d*|\.\d+)[a-z%]*)(?=[\s),[]|$)/gi;
+
+const MATH_FUNCTIONS = ['calc', 'min', 'max', 'clamp'];
+
+// A value that is only a reference to a Webflow Variable, whose value Webflow already accepts
+const VARIABLE_REFERENCE = /^var\(\s*--[\w-]+\s*\)$/;
+
+// Font size rem and em are resolved against when a value must be evaluated
+const ROOT_FONT_SIZE = 16;
+
+class ValueNormalizer {
+  /**
+   * Constructor for the Value Normalizer
+   * @param {BreakpointMapper} breakpointMapper - The breakpoint mapper, for breakpoint inheritance
+   *                                             and the viewport width of each breakpoint
+   * @param {ColorNormalizer} colorNormalizer - The colour normalizer, collecting the palette
+   */
+  constructor(breakpointMapper, colorNormalizer = new ColorNormalizer()) {
+    this.breakpointMapper = breakpointMapper;
+    this.colorNormalizer = colorNormalizer;
+    this.issues = new Map();
+  }
+
+  /**
+   * Clear the report of approximated and dropped values
+   */
+  reset() {
+    this.issues.clear();
+  }
+
+  /**
+   * Normalise the values of an element's style variants
+   * @param {Array} variants - The element's style variants; their styles are rewritten
+   * @param {string} elementId - The parsed element's ID, for the report
+   * @param {Function} getInheritedColor - Returns the colour the element inherits at a
+   *                                       breakpoint, or null for the default text colour
+   */
+  normalizeVariants(variants, elementId, getInheritedColor = () => null) {
+    const breakpoints = this.breakpointMapper.getBreakpoints();
+    const resting = {};
+    variants.filter(variant => !variant.state).forEach(variant => {
+      resting[variant.breakpoint] = variant;
+    });
+
+    const properties = new Set();
+    Object.values(resting).forEach(variant => {
+      Object.keys(variant.styles).forEach(property => properties.add(property));
+    });
+
+    // currentColor refers to the element's own colour, so color is normalised first
+    const currentColors = {};
+    breakpoints.forEach(breakpoint => {
+      currentColors[breakpoint] = getInheritedColor(breakpoint);
+    });
+    const ordered = [...properties].sort((a, b) => (b === 'color') - (a === 'color'));
+    const declaredValues = {};
+
+    // Values are normalised per breakpoint, as viewport-dependent values differ at each
+    ordered.forEach(property => {
+      const declared = {};
+      const normalized = {};
+      declaredValues[property] = declared;
+
+      breakpoints.forEach(breakpoint => {
+        const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+        const variant = resting[breakpoint];
+        declared[breakpoint] = variant && property in variant.styles
+          ? variant.styles[property]
+          : parent ? declared[parent] : undefined;
+        normalized[breakpoint] = declared[breakpoint] === undefined
+          ? undefined
+          : this.normalizeValue(property, declared[breakpoint], breakpoint, elementId, currentColors[breakpoint]);
+      });
+
+      if (property === 'color') {
+        breakpoints.forEach(breakpoint => {
+          currentColors[breakpoint] = this.colorNormalizer.computeColor(normalized[breakpoint], currentColors[breakpoint]);
+        });
+      }
+
+      breakpoints.forEach(breakpoint => {
+        const variant = resting[breakpoint];
+        if (!variant) return;
+
+        const parent = this.breakpointMapper.getParentBreakpoint(breakpoint);
+        const value = normalized[breakpoint];
+        if (value === undefined || value === null || (parent && value === normalized[parent])) {
+          delete variant.styles[property];
+        } else {
+          variant.styles[property] = value;
+        }
+      });
+    });
+
+    // States are evaluated at the breakpoint they are set for
+    variants.filter(variant => variant.state).forEach(variant => {
+      const inheritedColor = getInheritedColor(variant.breakpoint);
+      const stateColor = 'color' in variant.styles
+        ? this.colorNormalizer.computeColor(
+          this.normalizeValue('color', variant.styles.color, variant.breakpoint, elementId, inheritedColor),
+          inheritedColor
+        )
+        : currentColors[variant.breakpoint];
+
+      // Values using currentColor follow the colour a state sets
+      if (stateColor !== currentColors[variant.breakpoint]) {
+        Object.entries(declaredValues).forEach(([property, declared]) => {
+          const value = declared[variant.breakpoint];
+          if (property !== 'color' && !(property in variant.styles) && value && /currentcolor/i.test(value)) {
+            variant.styles[property] = value;
+          }
+        });
+      }
+
+      Object.entries(variant.styles).forEach(([property, value]) => {
+        const currentColor = property === 'color' ? inheritedColor : stateColor;
+        const result = this.normalizeValue(property, value, variant.breakpoint, elementId, currentColor);
+        if (result === null) {
+          delete variant.styles[property];
+        } else {
+          variant.styles[property] = result;
+        }
+      });
+    });
+  }
+
+  /**
+   * Normalise a single value
+   * @param {string} property - The CSS property
+   * @param {string} value - The value
+   * @param {string} breakpoint - The breakpoint the value is evaluated at
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @param {string|null} currentColor - The colour currentColor refers to in this value
+   * @returns {string|null} - The value Webflow accepts, or null if it has none
+   */
+  normalizeValue(property, value, breakpoint = 'main', elementId = null, currentColor = null) {
+    if (VARIABLE_REFERENCE.test(value.trim())) {
+      return value;
+    }
+    if (this.colorNormalizer.handles(property)) {
+      return this.normalizeColors(property, value, elementId, currentColor);
+    }
+    if (TRACK_PROPERTIES.includes(property)) {
+      return this.normalizeTracks(property, value, breakpoint, elementId);
+    }
+    if (!LENGTH_PROPERTIES.includes(property)) return value;
+
+    const context = {
+      property,
+      width: this.breakpointMapper.getReferenceWidth(breakpoint),
+      approximations: [],
+      viewport: false
+    };
+
+    const parts = this.splitComponents(value.trim());
+    const results = [];
+
+    for (const part of parts) {
+      // Keywords such as auto, none and normal are kept
+      if (/^-?[a-z][a-z-]*$/i.test(part)) {
+        results.push(part);
+        continue;
+      }
+
+      const terms = this.evaluate(part, context);
+      const formatted = terms ? this.format(terms, property) : null;
+      if (formatted === null) {
+        this.addIssue(property, value, `Webflow does not accept "${part}"; the value was dropped`, elementId);
+        return null;
+      }
+      results.push(formatted);
+    }
+
+    const result = results.join(' ');
+    context.approximations.forEach(reason => this.addIssue(property, value, reason, elementId));
+    if (context.viewport) {
+      this.addIssue(property, value, 'Evaluated at each breakpoint\'s viewport width', elementId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalise the lengths in a grid track list
+   * @param {string} property - The grid track property
+   * @param {string} value - The track list, e.g. "repeat(auto-fit, minmax(15em, 1fr))"
+   * @param {string} breakpoint - The breakpoint the value is evaluated at
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @returns {string|null} - The track list with lengths Webflow accepts, or null if it has none
+   */
+  normalizeTracks(property, value, breakpoint, elementId) {
+    const context = {
+      property,
+      width: this.breakpointMapper.getReferenceWidth(breakpoint),
+      approximations: [],
+      viewport: false
+    };
+    let invalid = null;
+
+    const result = value.replace(TRACK_LENGTH, (match, before, length) => {
+      // Flexible sizes and repeat() counts are not lengths
+      if (/fr$/i.test(length) || /^\d+$/.test(length)) return match;
+
+      const terms = this.evaluate(length, context);
+      const formatted = terms ? this.format(terms, property) : null;
+      if (formatted === null) {
+        invalid = invalid || length;
+        return match;
+      }
+      return before + formatted;
+    });
+
+    if (invalid) {
+      this.addIssue(property, value, `Webflow does not accept "${invalid}"; the value was dropped`, elementId);
+      return null;
+    }
+    context.approximations.forEach(reason => this.addIssue(property, value, reason, elementId));
+
+    return result;
+  }
+
+  /**
+   * Normalise the colours in a value and record them in the palette
+   * @param {string} property - The CSS property
+   * @param {string} value - The value
+   * @param {string|null} elementId - The parsed element's ID, for the report
+   * @param {string|null} currentColor - The colour currentColor refers to
+   * @returns {string|null} - The value with normalised colours, or null if a colour is invalid
+   */
+  normalizeColors(property, value, elementId, currentColor) {
+    // A color of currentColor is the inherited colour
+    const declared = property === 'color' && currentColor === null && /^currentcolor$/i.test(value.trim())
+      ? 'inherit'
+      : value;
+
+    const result = this.colorNormalizer.normalize(declared, currentColor);
+    if (!result) {
+      this.addIssue(property, value, 'Webflow does not accept this colour; the value was dropped', elementId);
+      return null;
+    }
+
+    result.approximations.forEach(reason => this.addIssue(property, value, reason, elementId));
+    this.colorNormalizer.recordPalette(result.value, property, elementId);
+    return result.value;
+  }
+
+  /**
+   * Split a value on its top-level whitespace
+   * @param {string} value - The value
+   * @returns {Array<string>} - The components, keeping functions intact
+   */
+  splitComponents(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of value) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (/\s/.test(char) && depth === 0) {
+        if (current) parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current) parts.push(current);
+
+    return parts;
+  }
+
+  /**
+   * Evaluate a length or math expression into a sum of terms per unit
+   * @param {string} text - The expression, e.g. "calc(100% - 2rem)"
+   * @param {Object} context - The evaluation context, collecting approximations
+   * @returns {Object|null} - Coefficients keyed by unit ('' for plain numbers), or null if
+   *                          the expression is invalid or uses something Webflow cannot hold
+   */
+  evaluate(text, context) {
+    const tokens = this.tokenize(text);
+    if (!tokens) return null;
+
+    (tokens.approximated || []).forEach(unit => {
+      context.approximations.push(`${unit} was approximated with ${APPROXIMATED_UNITS[unit][0]}`);
+    });
+    (tokens.rounded || []).forEach(unit => {
+      context.approximations.push(`${unit} was rounded to the nearest 0.001px`);
+    });
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    const parseSum = () => {
+      let left = parseProduct();
+      while (left && peek() && peek().type === 'op' && /^[+-]$/.test(peek().value)) {
+        const sign = next().value === '-' ? -1 : 1;
+        const right = parseProduct();
+        if (!right) return null;
+        left = this.addTerms(left, right, sign);
+      }
+      return left;
+    };
+
+    const parseProduct = () => {
+      let left = parseValue();
+      while (left && peek() && peek().type === 'op' && /^[*/]$/.test(peek().value)) {
+        const operator = next().value;
+        const right = parseValue();
+        if (!right) return null;
+        left = this.multiplyTerms(left, right, operator === '/');
+      }
+      return left;
+    };
+
+    const parseValue = () => {
+      const token = next();
+      if (!token) return null;
+
+      if (token.type === 'number') {
+        return { [token.unit]: token.value };
+      }
+      if (token.type === 'open') {
+        const inner = parseSum();
+        return inner && next() && tokens[index - 1].type === 'close' ? inner : null;
+      }
+      if (token.type === 'function') {
+        const args = [parseSum()];
+        while (args[args.length - 1] && peek() && peek().type === 'comma') {
+          next();
+          args.push(parseSum());
+        }
+        const close = next();
+        if (!close || close.type !== 'close' || args.includes(null)) return null;
+        return this.evaluateFunction(token.name, args, context);
+      }
+      return null;
+    };
+
+    const result = parseSum();
+    return result && index === tokens.length ? result : null;
+  }
+
+  /**
+   * Split an expression into tokens, converting units Webflow lacks on the way
+   * @param {string} text - The expression
+   * @returns {Array|null} - The tokens, or null if the expression uses unknown units or functions
+   */
+  tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z%]*)|([a-z-]+)\(|(\()|(\))|(,)|([+\-*/]))/giy;
+    let match;
+    let lastIndex = 0;
+
+    while (lastIndex < text.length && (match = pattern.exec(text))) {
+      lastIndex = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        const converted = this.convertUnit(parseFloat(match[1]), match[2].toLowerCase(), tokens);
+        if (!converted) return null;
+        tokens.push({ type: 'number', ...converted });
+      } else if (match[3]) {
+        const name = match[3].toLowerCase();
+        if (!MATH_FUNCTIONS.includes(name)) return null;
+        tokens.push({ type: 'function', name });
+      } else if (match[4]) {
+        tokens.push({ type: 'open' });
+      } else if (match[5]) {
+        tokens.push({ type: 'close' });
+      } else if (match[6]) {
+        tokens.push({ type: 'comma' });
+      } else {
+        tokens.push({ type: 'op', value: match[7] });
+      }
+    }
+
+    return text.slice(lastIndex).trim() === '' ? tokens : null;
+  }
+
+  /**
+   * Convert a number and unit into a unit Webflow accepts
+   * @param {number} value - The number
+   * @param {string} unit - The unit ('' for plain numbers)
+   * @param {Array} tokens - The tokens so far; approximations and absolute lengths that do
+   *                         not come out as a whole number of 0.001px are noted on the array
+   * @returns {Object|null} - The value and accepted unit, or null for unknown units
+   */
+  convertUnit(value, unit, tokens) {
+    if (unit === '' || ACCEPTED_UNITS.includes(unit)) {
+      return { value, unit };
+    }
+    if (ABSOLUTE_UNITS[unit]) {
+      const pixels = value * ABSOLUTE_UNITS[unit];
+      if (Math.abs(Math.round(pixels * 1000) - pixels * 1000) > 1e-6) {
+        tokens.rounded = tokens.rounded || [];
+        tokens.rounded.push(unit);
+      }
+      return { value: pixels, unit: 'px' };
+    }
+    if (APPROXIMATED_UNITS[unit]) {
+      const [accepted, factor] = APPROXIMATED_UNITS[unit];
+      tokens.approximated = tokens.approximated || [];
+      tokens.approximated.push(unit);
+      return { value: value * factor, unit: accepted };
+    }
+    return null;
+  }
+
+  /**
+   * Add or subtract two sums of terms
+   * @param {Object} left - The left terms
+   * @param {Object} right - The right terms
+   * @param {number} sign - 1 to add, -1 to subtract
+   * @returns {Object|null} - The combined terms, or null when mixing numbers and lengths
+   */
+  addTerms(left, right, sign) {
+    const hasNumber = terms => '' in terms;
+    const hasLength = terms => Object.keys(terms).some(unit => unit !== '');
+    if ((hasNumber(left) && hasLength(right)) || (hasLength(left) && hasNumber(right))) {
+      return null;
+    }
+
+    const result = { ...left };
+    Object.entries(right).forEach(([unit, value]) => {
+      result[unit] = (result[unit] || 0) + sign * value;
+    });
+    return result;
+  }
+
+  /**
+   * Multiply or divide two sums of terms, one of which must be a plain number
+   * @param {Object} left - The left terms
+   * @param {Object} right - The right terms
+   * @param {boolean} divide - Whether to divide instead of multiplying
+   * @returns {Object|null} - The resulting terms, or null if the operation is invalid
+   */
+  multiplyTerms(left, right, divide) {
+    const isNumber = terms => Object.keys(terms).length === 1 && '' in terms;
+
+    if (isNumber(right)) {
+      const factor = divide ? 1 / right[''] : right[''];
+      if (!isFinite(factor)) return null;
+      return this.scaleTerms(left, factor);
+    }
+    if (isNumber(left) && !divide) {
+      return this.scaleTerms(right, left['']);
+    }
+    return null;
+  }
+
+  /**
+   * Multiply every term by a factor
+   * @param {Object} terms - The terms
+   * @param {number} factor - The factor
+   * @returns {Object} - The scaled terms
+   */
+  scaleTerms(terms, factor) {
+    const result = {};
+    Object.entries(terms).forEach(([unit, value]) => {
+      result[unit] = value * factor;
+    });
+    return result;
+  }
+
+  /**
+   * Evaluate a math function
+   * @param {string} name - 'calc', 'min', 'max' or 'clamp'
+   * @param {Array} args - The evaluated arguments
+   * @param {Object} context - The evaluation context
+   * @returns {Object|null} - The resulting terms
+   */
+  evaluateFunction(name, args, context) {
+    if (name === 'calc') {
+      return args.length === 1 ? args[0] : null;
+    }
+    if ((name === 'clamp' && args.length !== 3) || args.length === 0) {
+      return null;
+    }
+
+    const pick = values => {
+      if (name === 'min') return Math.min(...values);
+      if (name === 'max') return Math.max(...values);
+      return Math.max(values[0], Math.min(values[1], values[2]));
+    };
+
+    // Arguments in a single shared unit compare exactly
+    const units = new Set(args.flatMap(terms => Object.keys(terms).filter(unit => terms[unit] !== 0)));
+    if (units.size <= 1) {
+      const unit = units.size === 1 ? [...units][0] : 'px';
+      return { [unit]: pick(args.map(terms => terms[unit] || 0)) };
+    }
+
+    // Otherwise Webflow cannot hold the comparison, so it is evaluated at this breakpoint
+    if ([...units].every(unit => ['px', 'rem', 'em', 'vw'].includes(unit))) {
+      if (units.has('vw')) context.viewport = true;
+      if (units.has('em')) {
+        context.approximations.push(`em in ${name}() was evaluated against a ${ROOT_FONT_SIZE}px font size`);
+      }
+
+      const toPixels = terms => Object.entries(terms).reduce((sum, [unit, value]) => {
+        const size = unit === 'vw' ? context.width / 100 : unit === 'px' ? 1 : ROOT_FONT_SIZE;
+        return sum + value * size;
+      }, 0);
+
+      return { px: pick(args.map(toPixels)) };
+    }
+
+    // Percentages and viewport heights cannot be evaluated here, so the preferred value is kept
+    context.approximations.push(`${name}() could not be evaluated; its ${name === 'clamp' ? 'preferred' : 'first'} value was kept`);
+    return name === 'clamp' ? args[1] : args[0];
+  }
+
+  /**
+   * Write a sum of terms as a value
+   * @param {Object} terms - Coefficients keyed by unit
+   * @param {string} property - The property the value is for
+   * @returns {string|null} - The value, or null if it is not valid for the property
+   */
+  format(terms, property) {
+    const entries = Object.entries(terms).filter(([, value]) => Math.abs(value) > 1e-9);
+
+    if (entries.length === 0) {
+      return '' in terms && NUMBER_PROPERTIES.includes(property) ? '0' : '0px';
+    }
+
+    if (entries.some(([unit]) => unit === '')) {
+      return entries.length === 1 && NUMBER_PROPERTIES.includes(property) ? this.formatNumber(entries[0][1]) : null;
+    }
+
+    if (entries.length === 1) {
+      return `${this.formatNumber(entries[0][1])}${entries[0][0]}`;
+    }
+
+    // Mixed units stay in calc(), percentages first
+    entries.sort(([a], [b]) => (b === '%') - (a === '%'));
+    const sum = entries.map(([unit, value], index) => {
+      const text = `${this.formatNumber(Math.abs(value))}${unit}`;
+      if (index === 0) return value < 0 ? `-${text}` : text;
+      return value < 0 ? `- ${text}` : `+ ${text}`;
+    }).join(' ');
+
+    return `calc(${sum})`;
+  }
+
+  /**
+   * Write a number without floating-point noise
+   * @param {number} value - The number
+   * @returns {string} - The number, rounded to three decimals
+   */
+  formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+
+  /**
+   * Record a value that was approximated or dropped
+   * @param {string} property - The CSS property
+   * @param {string} value - The original value
+   * @param {string} reason - What was done to the value
+   * @param {string|null} elementId - The parsed element's ID
+   */
+  addIssue(property, value, reason, elementId) {
+    const key = `${property}|${value}|${reason}`;
+    if (!this.issues.has(key)) {
+      this.issues.set(key, { property, value, reason, elements: [] });
+    }
+
+    const issue = this.issues.get(key);
+    if (elementId && !issue.elements.includes(elementId)) {
+      issue.elements.push(elementId);
+    }
+  }
+
+  /**
+   * Get the report of approximated and dropped values
+   * @returns {Array} - One entry per property, value and reason, with the affected elements
+   */
+  getReport() {
+    return Array.from(this.issues.values());
+  }
+}
+
+module.exports = ValueNormalizer;
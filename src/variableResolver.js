@@ -0,0 +1,316 @@
+/**
+ * Variable Resolver for HTML/CSS to Webflow Converter
+ *
+ * This module is responsible for resolving CSS custom properties. Custom properties
+ * inherit down the tree and can be overridden in any scope, so var() references are
+ * substituted per element once the cascade is resolved. Colour, size and font tokens
+ * declared on :root can optionally become Webflow Variables that styles reference.
+ */
+
+const ShorthandExpander = require('./shorthandExpander');
+const ColorNormalizer = require('./colorNormalizer');
+
+// Webflow Variable collections, by token type
+const COLLECTIONS = {
+  color: 'Colors',
+  size: 'Sizes',
+  font: 'Fonts'
+};
+
+const SIZE = /^(-?(\d+\.?\d*|\.\d+)(px|em|rem|%|vw|vh|ch)|0)$/i;
+const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded'];
+
+class VariableResolver {
+  /**
+   * Constructor for the Variable Resolver
+   */
+  constructor() {
+    this.shorthandExpander = new ShorthandExpander();
+    this.colorNormalizer = new ColorNormalizer();
+    this.variables = new Map(); // Maps custom property names to created Webflow Variables
+    this.unresolved = [];
+  }
+
+  /**
+   * Clear created variables and the report of unresolved references
+   */
+  reset() {
+    this.variables.clear();
+    this.unresolved = [];
+  }
+
+  /**
+   * Compute an element's custom properties from its own declarations and its parent's
+   * @param {Object} properties - The element's resolved properties, including custom properties
+   * @param {Object} inherited - The parent element's computed custom properties
+   * @returns {Object} - The computed custom properties, with var() references substituted
+   */
+  computeCustomProperties(properties, inherited = {}) {
+    const declared = {};
+    Object.entries(properties).forEach(([property, value]) => {
+      if (property.startsWith('--')) {
+        declared[property] = value.trim();
+      }
+    });
+
+    const computed = { ...inherited };
+    const resolving = new Set();
+
+    // References resolve against the element's own values; cycles make every member invalid
+    const compute = name => {
+      if (!(name in declared)) return computed[name];
+      if (resolving.has(name)) return null;
+
+      resolving.add(name);
+      const value = this.substitute(declared[name], lookup);
+      resolving.delete(name);
+
+      delete declared[name];
+      if (value === null) {
+        delete computed[name];
+      } else {
+        computed[name] = value;
+      }
+      return value;
+    };
+    const lookup = name => {
+      const value = compute(name);
+      return value === undefined ? null : value;
+    };
+
+    Object.keys(declared).forEach(compute);
+
+    return computed;
+  }
+
+  /**
+   * Substitute the custom properties of an element into its resolved properties
+   * @param {Object} resolved - The cascade result, as returned by CascadeResolver.resolve
+   * @param {Object} customProperties - The element's computed custom properties
+   * @param {boolean} useVariables - Reference created Webflow Variables instead of their values
+   * @returns {Object} - The properties with var() substituted, without custom properties
+   */
+  resolve(resolved, customProperties, useVariables = false) {
+    const properties = {};
+    const lookup = name => (name in customProperties ? customProperties[name] : null);
+
+    Object.entries(resolved.properties).forEach(([property, value]) => {
+      if (property.startsWith('--')) return;
+
+      if (!/var\(/i.test(value)) {
+        properties[property] = value;
+        return;
+      }
+
+      const declaration = resolved.declarations ? resolved.declarations[property] : null;
+      const shorthand = declaration ? declaration.shorthand : null;
+      let substituted = this.substitute(value, lookup);
+
+      // A shorthand using var() is expanded once its value is known
+      if (substituted !== null && shorthand) {
+        const expanded = this.shorthandExpander.expand(shorthand, substituted);
+        const longhand = expanded ? expanded.find(([name]) => name === property) : null;
+        substituted = longhand ? longhand[1] : null;
+      }
+
+      // Invalid at computed-value time: the property is left unset
+      if (substituted === null) {
+        this.addUnresolved(shorthand || property, value, declaration ? declaration.selector : null);
+        return;
+      }
+
+      properties[property] = useVariables
+        ? this.getVariableReference(value, substituted, customProperties) || substituted
+        : substituted;
+    });
+
+    return properties;
+  }
+
+  /**
+   * Substitute the var() references in a value
+   * @param {string} value - The value
+   * @param {Function} lookup - Returns the value of a custom property, or null if it is not set
+   * @returns {string|null} - The substituted value, or null if a reference cannot be resolved
+   */
+  substitute(value, lookup) {
+    let result = '';
+    let index = 0;
+
+    while (index < value.length) {
+      const reference = this.findReference(value, index);
+      if (!reference) {
+        result += value.slice(index);
+        break;
+      }
+
+      result += value.slice(index, reference.start);
+
+      let replacement = lookup(reference.name);
+      if (replacement === null && reference.fallback !== null) {
+        replacement = this.substitute(reference.fallback, lookup);
+      }
+      if (replacement === null) {
+        return null;
+      }
+
+      result += replacement;
+      index = reference.end;
+    }
+
+    return result.trim();
+  }
+
+  /**
+   * Find the next var() reference in a value
+   * @param {string} value - The value
+   * @param {number} from - The index to search from
+   * @returns {Object|null} - The reference's start and end index, custom property name and
+   *                          fallback (null if none), or null if there are no more references
+   */
+  findReference(value, from) {
+    const match = /var\(/ig;
+    match.lastIndex = from;
+    const found = match.exec(value);
+    if (!found) return null;
+
+    const start = found.index;
+    let depth = 0;
+    let comma = -1;
+
+    for (let i = start + 3; i < value.length; i++) {
+      const char = value[i];
+      if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          const name = value.slice(start + 4, comma === -1 ? i : comma).trim();
+          return {
+            start,
+            end: i + 1,
+            name,
+            fallback: comma === -1 ? null : value.slice(comma + 1, i).trim()
+          };
+        }
+      } else if (char === ',' && depth === 1 && comma === -1) {
+        comma = i;
+      }
+    }
+
+    // An unclosed var() runs to the end of the value
+    return {
+      start,
+      end: value.length,
+      name: value.slice(start + 4, comma === -1 ? value.length : comma).trim(),
+      fallback: comma === -1 ? null : value.slice(comma + 1).trim()
+    };
+  }
+
+  /**
+   * Create Webflow Variables for the colour, size and font tokens declared on :root
+   * @param {Object} customProperties - The computed custom properties of the root element
+   * @returns {Promise<Array>} - The created variables
+   */
+  async createVariables(customProperties) {
+    const created = [];
+
+    Object.entries(customProperties).forEach(([name, value]) => {
+      const type = this.getTokenType(value);
+      if (!type) return;
+
+      // Colour variables hold the colour in a form Webflow accepts
+      const normalized = type === 'color' ? this.colorNormalizer.normalize(value) : null;
+
+      // In a real implementation, this would use the Webflow API
+      // For now, we'll create a mock variable in its collection
+      const variable = {
+        id: `variable-${name.slice(2)}`,
+        name: name.slice(2),
+        type,
+        value: normalized ? normalized.value : value,
+        cssValue: value,
+        collection: COLLECTIONS[type]
+      };
+
+      this.variables.set(name, variable);
+      created.push(variable);
+    });
+
+    return created;
+  }
+
+  /**
+   * Determine which kind of Webflow Variable a token can become
+   * @param {string} value - The token's value
+   * @returns {string|null} - 'color', 'size' or 'font', or null if Webflow has no matching type
+   */
+  getTokenType(value) {
+    if (value.toLowerCase() !== 'currentcolor' && this.colorNormalizer.parseColor(value)) {
+      return 'color';
+    }
+    if (SIZE.test(value)) {
+      return 'size';
+    }
+
+    const families = value.split(',').map(family => family.trim());
+    const isFamily = family => /^(["']).*\1$/.test(family) || GENERIC_FONT_FAMILIES.includes(family.toLowerCase());
+    if (families.some(isFamily) && families.every(family => isFamily(family) || /^[\w -]+$/.test(family))) {
+      return 'font';
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the Webflow Variable a resolved value came from
+   * @param {string} value - The value as declared, with var() references
+   * @param {string} substituted - The value after substitution
+   * @param {Object} customProperties - The element's computed custom properties
+   * @returns {string|null} - A var() reference to the Webflow Variable, or null if the value
+   *                          is not exactly the value of a created variable in this scope
+   */
+  getVariableReference(value, substituted, customProperties) {
+    let index = 0;
+    let reference;
+
+    while ((reference = this.findReference(value, index))) {
+      const variable = this.variables.get(reference.name);
+      if (variable && customProperties[reference.name] === variable.cssValue && substituted === variable.cssValue) {
+        return `var(${reference.name})`;
+      }
+      index = reference.end;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a value whose var() references could not be resolved
+   * @param {string} property - The property as declared
+   * @param {string} value - The declared value
+   * @param {string|null} selector - The declaring selector, or null for inline styles
+   */
+  addUnresolved(property, value, selector) {
+    const exists = this.unresolved.some(entry => {
+      return entry.property === property && entry.value === value && entry.selector === selector;
+    });
+    if (!exists) {
+      this.unresolved.push({ property, value, selector });
+    }
+  }
+
+  /**
+   * Get the report of created variables and unresolved references
+   * @returns {Object} - The created Webflow Variables and the unresolved declarations
+   */
+  getReport() {
+    return {
+      created: Array.from(this.variables.values()),
+      unresolved: this.unresolved.slice()
+    };
+  }
+}
+
+module.exports = VariableResolver;
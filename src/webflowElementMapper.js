@@ -13,6 +13,10 @@ class WebflowElementMapper {
   constructor(webflow) {
     this.webflow = webflow;
     this.createdElements = new Map(); // Maps parsed element IDs to created Webflow elements
+    this.textElements = new Map(); // Maps text node IDs to created Webflow text nodes
+    this.tagStyles = new Map(); // Maps tag style selectors to Webflow styles
+    this.classStyles = new Map(); // Maps class and combo class selectors to Webflow styles
+    this.assets = new Map(); // Maps image URLs to Webflow assets
     this.elementPresets = null;
   }
 
@@ -58,6 +62,9 @@ class WebflowElementMapper {
         blockquote: { id: 'preset-blockquote' },
         divider: { id: 'preset-divider' },
         lineBreak: { id: 'preset-line-break' },
+        bold: { id: 'preset-bold' },
+        italic: { id: 'preset-italic' },
+        inline: { id: 'preset-inline' },
         table: { id: 'preset-table' },
         tableRow: { id: 'preset-table-row' },
         tableCell: { id: 'preset-table-cell' },
@@ -83,6 +90,10 @@ class WebflowElementMapper {
 
     // Clear previous mapping
     this.createdElements.clear();
+    this.textElements.clear();
+    this.tagStyles.clear();
+    this.classStyles.clear();
+    this.assets.clear();
 
     // Start mapping from the root element
     const rootElement = await this.mapElement(parsedStructure);
@@ -120,17 +131,19 @@ class WebflowElementMapper {
       // Set element attributes
       await this.setElementAttributes(webflowElement, parsedElement);
 
-      // Set element content
-      if (parsedElement.content) {
-        await this.setElementContent(webflowElement, parsedElement);
-      }
-
       // Store the created element for later reference
       this.createdElements.set(parsedElement.id, webflowElement);
 
-      // Process children recursively
+      // Set element content (inline children referenced by runs are created here)
+      if (parsedElement.content || parsedElement.runs) {
+        await this.setElementContent(webflowElement, parsedElement);
+      }
+
+      // Process remaining children recursively
       for (const childElement of parsedElement.children) {
-        await this.mapElement(childElement, webflowElement);
+        if (!this.createdElements.has(childElement.id)) {
+          await this.mapElement(childElement, webflowElement);
+        }
       }
 
       return webflowElement;
@@ -179,12 +192,73 @@ class WebflowElementMapper {
       parent: parentElement.id
     };
 
+    // Generic inline elements keep their original tag
+    if (parsedElement.type === 'inline') {
+      element.tag = parsedElement.tagName;
+    }
+
     // Add to parent's children
     parentElement.children.push(element.id);
 
     return element;
   }
 
+  /**
+   * Create an element standing in for a pseudo-element and place it inside its host
+   * @param {Object} parsedElement - The synthesized parsed element
+   * @param {Object} parentElement - The host Webflow element
+   * @param {string} position - 'first' or 'last' among the host's children
+   * @returns {Promise<Object>} - The created Webflow element
+   */
+  async createPseudoElement(parsedElement, parentElement, position) {
+    const preset = this.elementPresets[parsedElement.type] || this.elementPresets.div;
+    const element = await this.createChildElement(parsedElement, preset, parentElement);
+
+    if (position === 'first') {
+      parentElement.children.pop();
+      parentElement.children.unshift(element.id);
+    }
+
+    if (parsedElement.content) {
+      await this.setElementContent(element, parsedElement);
+    }
+
+    this.createdElements.set(parsedElement.id, element);
+
+    return element;
+  }
+
+  /**
+   * Create a custom-code Embed element and append it to a parent
+   * @param {Object} parsedElement - The synthesized parsed element
+   * @param {string} code - The custom code of the Embed
+   * @param {Object} parentElement - The parent Webflow element
+   * @returns {Promise<Object>} - The created Webflow element
+   */
+  async createEmbedElement(parsedElement, code, parentElement) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll store the code on the mock element
+    const element = await this.createChildElement(parsedElement, this.elementPresets.embed, parentElement);
+    element.code = code;
+
+    this.createdElements.set(parsedElement.id, element);
+
+    return element;
+  }
+
+  /**
+   * Set a single attribute on a Webflow element
+   * @param {Object} webflowElement - The Webflow element
+   * @param {string} name - The attribute name
+   * @param {string} value - The attribute value
+   * @returns {Promise<void>}
+   */
+  async setAttribute(webflowElement, name, value) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll just set the attribute
+    webflowElement.attributes[name] = value;
+  }
+
   /**
    * Set attributes on a Webflow element
    * @param {Object} webflowElement - The Webflow element
@@ -233,18 +307,211 @@ class WebflowElementMapper {
     // In a real implementation, this would use the Webflow API
     // For now, we'll just set a content property
     webflowElement.content = parsedElement.content;
+
+    // Plain text needs no rebuilding
+    const runs = parsedElement.runs || [];
+    if (!runs.some(run => run.type === 'element')) {
+      return;
+    }
+
+    // Rebuild the runs in order as text nodes and inline children
+    for (const run of runs) {
+      if (run.type === 'text') {
+        await this.createTextElement(run.text, webflowElement);
+      } else {
+        const childElement = parsedElement.children.find(child => child.id === run.id);
+        if (childElement) {
+          await this.mapElement(childElement, webflowElement);
+        }
+      }
+    }
+  }
+
+  /**
+   * Create a text node and append it to a parent
+   * @param {string} text - The text of the node
+   * @param {Object} parentElement - The parent Webflow element
+   * @returns {Promise<Object>} - The created Webflow text node
+   */
+  async createTextElement(text, parentElement) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll create a mock text node
+    const element = {
+      id: `${parentElement.id}-text-${parentElement.children.length}`,
+      type: 'string',
+      text,
+      parent: parentElement.id
+    };
+
+    // Add to parent's children
+    parentElement.children.push(element.id);
+    this.textElements.set(element.id, element);
+
+    return element;
   }
 
   /**
    * Apply styles to a Webflow element
-   * @param {Object} webflowElement - The Webflow element
+   * @param {Object} webflowElement - The Webflow element, or a Webflow tag style
    * @param {Object} styles - The styles to apply
+   * @param {string} breakpoint - The Webflow breakpoint ID (default: 'main')
+   * @param {string|null} state - The Webflow style state, e.g. 'hover' (default: none)
    * @returns {Promise<void>}
    */
-  async applyStyles(webflowElement, styles) {
+  async applyStyles(webflowElement, styles, breakpoint = 'main', state = null) {
     // In a real implementation, this would use the Webflow API
     // For now, we'll just copy the styles
-    Object.assign(webflowElement.styles, styles);
+    if (!state) {
+      if (breakpoint === 'main') {
+        Object.assign(webflowElement.styles, styles);
+        return;
+      }
+
+      if (!webflowElement.breakpointStyles) {
+        webflowElement.breakpointStyles = {};
+      }
+      webflowElement.breakpointStyles[breakpoint] = {
+        ...(webflowElement.breakpointStyles[breakpoint] || {}),
+        ...styles
+      };
+      return;
+    }
+
+    // State styles are keyed by state, prefixed with the breakpoint outside desktop
+    const key = breakpoint === 'main' ? state : `${breakpoint}:${state}`;
+    if (!webflowElement.stateStyles) {
+      webflowElement.stateStyles = {};
+    }
+    webflowElement.stateStyles[key] = {
+      ...(webflowElement.stateStyles[key] || {}),
+      ...styles
+    };
+  }
+
+  /**
+   * Set the background layers of a Webflow element
+   * @param {Object} webflowElement - The Webflow element, or a Webflow tag style
+   * @param {Array} layers - The background layers, topmost first, as built by BackgroundMapper
+   * @param {string} breakpoint - The Webflow breakpoint ID (default: 'main')
+   * @param {string|null} state - The Webflow style state, e.g. 'hover' (default: none)
+   * @returns {Promise<void>}
+   */
+  async applyBackgrounds(webflowElement, layers, breakpoint = 'main', state = null) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll store the layers keyed by breakpoint, or by state like stateStyles
+    if (!webflowElement.backgrounds) {
+      webflowElement.backgrounds = {};
+    }
+    const key = state ? (breakpoint === 'main' ? state : `${breakpoint}:${state}`) : breakpoint;
+    webflowElement.backgrounds[key] = layers;
+  }
+
+  /**
+   * Get the Webflow asset for an image URL, uploading it if it does not exist yet
+   * @param {string} url - The image URL
+   * @returns {Promise<Object>} - The Webflow asset
+   */
+  async getAsset(url) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll create a mock asset
+    if (!this.assets.has(url)) {
+      const fileName = url.startsWith('data:')
+        ? `image-${this.assets.size}`
+        : decodeURIComponent(url.split(/[?#]/)[0].split('/').pop() || `image-${this.assets.size}`);
+      this.assets.set(url, {
+        id: `asset-${this.assets.size}`,
+        url,
+        fileName
+      });
+    }
+    return this.assets.get(url);
+  }
+
+  /**
+   * Get all Webflow assets created
+   * @returns {Array} - Array of the assets
+   */
+  getAllAssets() {
+    return Array.from(this.assets.values());
+  }
+
+  /**
+   * Get the Webflow style for an HTML tag, creating it if it does not exist yet
+   * @param {string} selector - The style's selector, e.g. 'h1' or '.html2wf-content h1'
+   * @param {string} name - The name Webflow shows for the style, e.g. 'All H1 Headings'
+   * @returns {Promise<Object>} - The Webflow style, which styles can be applied to like an element
+   */
+  async getTagStyle(selector, name) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll create a mock style
+    if (!this.tagStyles.has(selector)) {
+      this.tagStyles.set(selector, {
+        id: `style-${this.tagStyles.size}`,
+        selector,
+        name,
+        styles: {}
+      });
+    }
+    return this.tagStyles.get(selector);
+  }
+
+  /**
+   * Get all Webflow tag styles created
+   * @returns {Array} - Array of the tag styles
+   */
+  getAllTagStyles() {
+    return Array.from(this.tagStyles.values());
+  }
+
+  /**
+   * Get the Webflow style for a class or combo class, creating it if it does not exist yet
+   * @param {Array<string>} classNames - The class names, base class first; more than one
+   *                                     makes a combo class on top of the classes before it
+   * @returns {Promise<Object>} - The Webflow style, which styles can be applied to like an element
+   */
+  async getClassStyle(classNames) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll create a mock style
+    const selector = classNames.map(className => `.${className}`).join('');
+    if (!this.classStyles.has(selector)) {
+      this.classStyles.set(selector, {
+        id: `class-${this.classStyles.size}`,
+        selector,
+        name: classNames[classNames.length - 1],
+        chain: classNames.slice(),
+        combo: classNames.length > 1,
+        styles: {}
+      });
+    }
+    return this.classStyles.get(selector);
+  }
+
+  /**
+   * Find the Webflow style created for a class or combo class
+   * @param {Array<string>} classNames - The class names, base class first
+   * @returns {Object|null} - The Webflow style, or null if none was created
+   */
+  findClassStyle(classNames) {
+    return this.classStyles.get(classNames.map(className => `.${className}`).join('')) || null;
+  }
+
+  /**
+   * Delete a Webflow class or combo class no element uses any more
+   * @param {Array<string>} classNames - The class names, base class first
+   * @returns {boolean} - True if the class had been created
+   */
+  removeClassStyle(classNames) {
+    // In a real implementation, this would use the Webflow API
+    // For now, we'll just forget the mock style
+    return this.classStyles.delete(classNames.map(className => `.${className}`).join(''));
+  }
+
+  /**
+   * Get all Webflow class and combo class styles created
+   * @returns {Array} - Array of the class styles, in the order they were created
+   */
+  getAllClassStyles() {
+    return Array.from(this.classStyles.values());
   }
 
   /**
@@ -271,6 +538,15 @@ class WebflowElementMapper {
     return this.createdElements.get(parsedElementId);
   }
 
+  /**
+   * Get a created text node by ID
+   * @param {string} textElementId - The text node ID
+   * @returns {Object} - The Webflow text node
+   */
+  getTextElement(textElementId) {
+    return this.textElements.get(textElementId);
+  }
+
   /**
    * Get all created Webflow elements
    * @returns {Array} - Array of all Webflow elements